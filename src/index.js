@@ -3,19 +3,47 @@ const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
-const Joi = require('joi');
-const { Client, Databases, ID } = require('node-appwrite');
 require('dotenv').config();
 
 // Logger (usar util común)
 const logger = require('./utils/logger');
-
-// Appwrite client configuration
-const client = new Client();
-if (process.env.APPWRITE_ENDPOINT) client.setEndpoint(process.env.APPWRITE_ENDPOINT);
-if (process.env.APPWRITE_PROJECT_ID) client.setProject(process.env.APPWRITE_PROJECT_ID);
-if (process.env.APPWRITE_API_KEY) client.setKey(process.env.APPWRITE_API_KEY);
-const databases = new Databases(client);
+const metrics = require('./utils/metrics');
+
+const deviceRegistry = require('./services/deviceRegistry');
+const telemetryIngestion = require('./services/telemetryIngestion');
+const leakPrediction = require('./services/leakPrediction');
+const mqttBroker = require('./services/mqttBroker');
+const ingestQueue = require('./services/ingestQueue');
+const devicePresence = require('./services/devicePresence');
+const notifier = require('./services/notifier');
+const users = require('./services/users');
+const auditLog = require('./services/auditLog');
+const tenants = require('./services/tenants');
+const sensorTypes = require('./services/sensorTypes');
+const retention = require('./services/retention');
+const limits = require('./services/limits');
+const deviceAbuse = require('./services/deviceAbuse');
+const tenantContext = require('./utils/tenantContext');
+const { backend } = require('./utils/appwrite');
+const { authenticateToken } = require('./middleware/deviceAuth');
+const { compactBody } = require('./middleware/compactBody');
+const { authenticatePrincipal } = require('./middleware/authorize');
+const adminDevicesRouter = require('./routes/adminDevices');
+const locationsRouter = require('./routes/locations');
+const devicesRouter = require('./routes/devices');
+const streamRouter = require('./routes/stream');
+const adminQueueRouter = require('./routes/adminQueue');
+const alertsRouter = require('./routes/alerts');
+const adminFirmwareRouter = require('./routes/adminFirmware');
+const firmwareRouter = require('./routes/firmware');
+const adminUsersRouter = require('./routes/adminUsers');
+const adminApiKeysRouter = require('./routes/adminApiKeys');
+const adminTenantsRouter = require('./routes/adminTenants');
+const sensorTypesRouter = require('./routes/sensorTypes');
+const adminSensorTypesRouter = require('./routes/adminSensorTypes');
+const healthRouter = require('./routes/health');
+const metricsRouter = require('./routes/metrics');
+const readingsRouter = require('./routes/readings');
 
 // Express app setup
 const app = express();
@@ -33,24 +61,66 @@ app.use(helmet({
   }
 }));
 
-// Rate limiting (configurable via env)
+// Rate limiting (configurable via env); counters live in the LIMITS_STORE store, shared across instances if it is
 const rateWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || `${15 * 60 * 1000}`); // 15m
 const rateMaxReq = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '1000');
-const ingestWindowMs = parseInt(process.env.INGEST_RATE_LIMIT_WINDOW_MS || `${60 * 1000}`); // 1m
-const ingestMaxReq = parseInt(process.env.INGEST_RATE_LIMIT_MAX_REQUESTS || '300');
+
+// Same response as the default handler, counted per limiter in /metrics
+const rateLimitHandler = (name) => (req, res, next, options) => {
+  metrics.recordRateLimited(name);
+  res.status(options.statusCode).json(options.message);
+};
 
 const limiter = rateLimit({
   windowMs: rateWindowMs,
   max: rateMaxReq,
-  message: { error: 'Too many requests from this IP, please try again later.' }
+  message: { error: 'Too many requests from this IP, please try again later.' },
+  store: limits.rateLimitStore('global:'),
+  handler: rateLimitHandler('global')
+});
+
+// Per-device ingest limit (after authentication, so devices behind one NAT don't share it). Throttled devices
+// get a lower limit; the first rejection in a window counts as a burst for abuse detection
+const deviceIngestLimiter = rateLimit({
+  windowMs: deviceAbuse.ingestWindowMs(),
+  max: (req) => deviceAbuse.ingestLimit(req.deviceId),
+  keyGenerator: (req) => deviceAbuse.deviceKey(req.deviceId),
+  store: limits.rateLimitStore('ingest:'),
+  message: { error: 'Rate limit exceeded for this device.', code: 'DEVICE_RATE_LIMITED' },
+  handler: (req, res, next, options) => {
+    if (req.rateLimit.used === req.rateLimit.limit + 1) deviceAbuse.record(req.deviceId, 'burst', { limit: req.rateLimit.limit });
+    rateLimitHandler('device_ingest')(req, res, next, options);
+  }
 });
 
-const ingestLimiter = rateLimit({
-  windowMs: ingestWindowMs,
-  max: ingestMaxReq,
-  message: { error: 'Rate limit exceeded for telemetry ingestion.' }
+// Per-tenant ingest limit (after authentication; only tenants with ingestRateLimitMax)
+const tenantIngestLimiter = rateLimit({
+  windowMs: deviceAbuse.ingestWindowMs(),
+  max: (req) => req.tenant.ingestRateLimitMax,
+  skip: (req) => !req.tenant.ingestRateLimitMax,
+  keyGenerator: (req) => `tenant:${req.tenant.id}`,
+  store: limits.rateLimitStore('tenant_ingest:'),
+  message: { error: 'Rate limit exceeded for this tenant.', code: 'TENANT_RATE_LIMITED' },
+  handler: rateLimitHandler('tenant_ingest')
 });
 
+// Quarantined devices (abuse detection) can't ingest until the quarantine ends or an admin releases them
+const rejectQuarantined = async (req, res, next) => {
+  try {
+    const until = await deviceAbuse.quarantinedUntil(req.deviceId);
+    if (!until) return next();
+    res.status(403).json({ error: 'Device is quarantined', code: 'DEVICE_QUARANTINED', quarantinedUntil: until.toISOString() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const readingQuotaExceeded = (res, quota) => res.status(429).json({ error: quota.error, code: quota.code });
+
+// Health probes and Prometheus scrape, before the global rate limit
+app.use('/health', healthRouter);
+app.use('/metrics', metricsRouter);
+
 app.use(limiter);
 app.use(cors({
   origin: (process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000']).map(o => o.trim()),
@@ -59,93 +129,43 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Utilidades
-const allowedSensorTypes = [
-  'flow',
-  'pressure',
-  'temperature',
-  'humidity',
-  'ph',
-  'turbidity',
-  'dissolvedOxygen',
-  'conductivity'
-];
-
-const getUnit = (type) => {
-  const units = {
-    flow: 'L/min',
-    pressure: 'bar',
-    temperature: '°C',
-    humidity: '%',
-    ph: 'pH',
-    turbidity: 'NTU',
-    dissolvedOxygen: 'mg/L',
-    conductivity: 'μS/cm'
-  };
-  return units[type] || 'unit';
-};
-
-// Telemetry payload validation schema (camelCase)
-const telemetrySchema = Joi.object({
-  deviceId: Joi.string().required().min(1).max(100),
-  sensorType: Joi.string().valid(...allowedSensorTypes).required(),
-  value: Joi.number().required().min(-1000).max(10000),
-  unit: Joi.string().optional(),
-  timestamp: Joi.alternatives().try(
-    Joi.string().isoDate(),
-    Joi.number().positive()
-  ).optional(),
-  location: Joi.string().optional(),
-  metadata: Joi.object().optional()
-});
-
-const bulkTelemetrySchema = Joi.object({
-  readings: Joi.array().items(telemetrySchema).min(1).max(100).required()
-});
-
-// JWT Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required', code: 'MISSING_TOKEN' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      logger.warn('Invalid token attempt', { ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
-      return res.status(403).json({ error: 'Invalid or expired token', code: 'INVALID_TOKEN' });
-    }
-
-    req.deviceId = decoded.deviceId;
-    req.tokenExp = decoded.exp;
-    next();
-  });
-};
-
 // Generate token endpoint (for ESP8266 devices)
 app.post('/auth/token', async (req, res) => {
   try {
-    const { deviceId, deviceSecret } = req.body || {};
+    const { deviceId, deviceSecret, tenantId = tenants.DEFAULT_TENANT_ID } = req.body || {};
 
     if (!deviceId || !deviceSecret) {
       return res.status(400).json({ error: 'Device ID and secret are required', code: 'MISSING_CREDENTIALS' });
     }
 
-    const expectedSecret = (process.env.DEVICE_SECRET_PREFIX || '') + deviceId;
-    if (deviceSecret !== expectedSecret) {
-      logger.warn('Invalid device credentials', { deviceId, ip: req.ip });
+    const tenant = await tenants.getTenant(tenantId);
+    if (!tenant) {
+      logger.warn('Device token requested for unknown tenant', { deviceId, tenantId, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid device credentials', code: 'INVALID_CREDENTIALS' });
+    }
+    if (!tenant.isEnabled) {
+      return res.status(403).json({ error: 'Tenant is disabled', code: 'TENANT_DISABLED' });
+    }
+    if (!tenant.isProvisioned) {
+      return res.status(403).json({ error: 'Tenant has no database', code: 'TENANT_NOT_PROVISIONED' });
+    }
+
+    const credentials = await tenantContext.run(tenant, () => deviceRegistry.verifyDeviceCredentials(deviceId, deviceSecret));
+    if (!credentials.ok) {
+      logger.warn('Invalid device credentials', { deviceId, ip: req.ip, reason: credentials.reason });
+      if (credentials.reason === 'DEVICE_DISABLED') {
+        return res.status(403).json({ error: 'Device is disabled', code: 'DEVICE_DISABLED' });
+      }
       return res.status(401).json({ error: 'Invalid device credentials', code: 'INVALID_CREDENTIALS' });
     }
 
     const token = jwt.sign(
-      { deviceId, type: 'device', iat: Math.floor(Date.now() / 1000) },
+      { deviceId, tenantId: tenant.id, type: 'device', secretVersion: deviceRegistry.secretVersion(credentials.device), iat: Math.floor(Date.now() / 1000) },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
 
-    logger.info('Token generated for device', { deviceId, ip: req.ip });
+    logger.info('Token generated for device', { deviceId, tenantId: tenant.id, ip: req.ip });
 
     res.json({ token, expiresIn: 60 * 15, tokenType: 'Bearer' });
   } catch (error) {
@@ -154,125 +174,180 @@ app.post('/auth/token', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString(), version: '1.0.0' });
+// User login (dashboards); the token only works on user routes, never on device routes
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password, tenantId = tenants.DEFAULT_TENANT_ID } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required', code: 'MISSING_CREDENTIALS' });
+    }
+
+    const tenant = await tenants.getTenant(tenantId);
+    if (!tenant || !tenant.isEnabled) {
+      auditLog.record('login_failed', { reason: tenant ? 'TENANT_DISABLED' : 'UNKNOWN_TENANT', req, details: { email, tenantId } });
+      return res.status(401).json({ error: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+    if (!tenant.isProvisioned) {
+      auditLog.record('login_failed', { reason: 'TENANT_NOT_PROVISIONED', req, details: { email, tenantId } });
+      return res.status(403).json({ error: 'Tenant has no database', code: 'TENANT_NOT_PROVISIONED' });
+    }
+
+    const result = await tenantContext.run(tenant, async () => {
+      const outcome = await users.login(email, password);
+      if (!outcome.ok) auditLog.record('login_failed', { reason: outcome.reason, req, details: { email } });
+      return outcome;
+    });
+    if (!result.ok) {
+      if (result.reason === 'USER_DISABLED') {
+        return res.status(403).json({ error: 'User is disabled', code: 'USER_DISABLED' });
+      }
+      return res.status(401).json({ error: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    logger.info('Token generated for user', { userId: result.user.id, tenantId: tenant.id, ip: req.ip });
+    res.json({ token: result.token, expiresIn: result.expiresIn, tokenType: 'Bearer', user: result.user });
+  } catch (error) {
+    logger.error('User login error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'LOGIN_ERROR' });
+  }
 });
 
-// Single telemetry ingestion endpoint (camelCase fields)
-app.post('/ingest', ingestLimiter, authenticateToken, async (req, res) => {
+// Current principal (user, API key or admin key) with its role and scopes
+app.get('/auth/me', authenticatePrincipal, (req, res) => {
+  res.json({ principal: req.principal });
+});
+
+// Users and service-account API keys (users:manage)
+app.use('/admin/users', adminUsersRouter);
+app.use('/admin/api-keys', adminApiKeysRouter);
+
+// Tenants: limits, quotas and usage (global admin key only)
+app.use('/admin/tenants', adminTenantsRouter);
+
+// Sensor type registry: public catalogue and platform-wide definitions (global admin key only)
+app.use('/sensor-types', sensorTypesRouter);
+app.use('/admin/sensor-types', adminSensorTypesRouter);
+
+// Device provisioning (admin)
+app.use('/admin/devices', adminDevicesRouter);
+
+// Firmware releases and staged rollouts (admin)
+app.use('/admin/firmware', adminFirmwareRouter);
+
+// OTA updates for devices (ESPhttpUpdate)
+app.use('/firmware', firmwareRouter);
+
+// Offline ingest queue (admin)
+app.use('/admin/queue', adminQueueRouter);
+
+// Leak risk per location
+app.use('/locations', locationsRouter);
+
+// Stored telemetry queries
+app.use('/devices', devicesRouter);
+
+// Historical export (CSV, NDJSON, Parquet) by device, location or time range
+app.use('/readings', readingsRouter);
+
+// Real-time stream of readings and alerts (SSE)
+app.use('/stream', streamRouter);
+
+// Alert lifecycle (acknowledge/resolve) and notification deliveries (admin)
+app.use('/alerts', alertsRouter);
+
+// Validates a batch (bulk body or expanded multi-sensor frame), stores it and answers per reading.
+// Only stored readings count against the daily quotas: duplicates, rejections and failures are refunded
+const bulkIngestHandler = (validate, invalidMessage, payload) => async (req, res) => {
+  let charged = 0;
+  let quota = null;
   try {
-    const { error, value } = telemetrySchema.validate(req.body);
+    const { error, value } = validate(req);
     if (error) {
-      return res.status(400).json({ error: 'Invalid telemetry data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+      metrics.recordValidationFailure('http', payload);
+      return res.status(400).json({ error: invalidMessage, details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
     }
+    quota = await limits.consumeReadings(req.tenant, req.deviceId, value.readings.length);
+    if (!quota.ok) return readingQuotaExceeded(res, quota);
+    charged = value.readings.length;
+
+    const outcome = await telemetryIngestion.ingestBulk(value.readings, req.deviceId, { atomic: value.atomic });
+    const { results, errors, duplicates } = outcome;
+    const unstored = charged - results.filter(r => !r.duplicate).length;
+    charged = 0;
+    await limits.refundReadings(req.tenant, req.deviceId, unstored, quota.day);
+
+    res.status(telemetryIngestion.bulkStatus(outcome)).json({
+      success: errors.length === 0,
+      atomic: value.atomic,
+      processed: results.length,
+      duplicates,
+      failed: errors.length,
+      results,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (error) {
+    if (charged) await limits.refundReadings(req.tenant, req.deviceId, charged, quota.day);
+    logger.error('Bulk telemetry ingestion error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'BULK_INGESTION_ERROR' });
+  }
+};
 
-    if (value.deviceId !== req.deviceId) {
-      return res.status(403).json({ error: 'Device ID mismatch', code: 'DEVICE_ID_MISMATCH' });
-    }
+// Multi-sensor frame: one reading per entry in `values`, answered like /ingest/bulk
+const ingestFrame = bulkIngestHandler(req => telemetryIngestion.validateFrame(req.body, req.deviceId), 'Invalid telemetry data', 'frame');
+
+// Single telemetry ingestion endpoint (camelCase fields; JSON, CBOR or MessagePack)
+app.post('/ingest', compactBody, authenticateToken, rejectQuarantined, deviceIngestLimiter, tenantIngestLimiter, async (req, res) => {
+  if (telemetryIngestion.isFrame(req.body)) return ingestFrame(req, res);
 
-    let timestamp = value.timestamp;
-    if (typeof timestamp === 'number') {
-      timestamp = new Date(timestamp * 1000).toISOString();
-    } else if (!timestamp) {
-      timestamp = new Date().toISOString();
+  let charged = 0;
+  let quota = null;
+  try {
+    const { error, value } = telemetryIngestion.validateReading(req.body);
+    if (error) {
+      metrics.recordValidationFailure('http', 'single');
+      return res.status(400).json({ error: 'Invalid telemetry data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    quota = await limits.consumeReadings(req.tenant, req.deviceId, 1);
+    if (!quota.ok) return readingQuotaExceeded(res, quota);
+    charged = 1;
+
+    const result = await telemetryIngestion.ingestReading(value, req.deviceId);
+    // Rejected readings and retried messageIds don't count against the quota
+    if (!result.ok || result.duplicate) await limits.refundReadings(req.tenant, req.deviceId, 1, quota.day);
+    charged = 0;
+    if (!result.ok) {
+      return res.status(result.code === 'DEVICE_ID_MISMATCH' ? 403 : 422).json({ error: result.error, code: result.code });
     }
 
-    const unit = value.unit || getUnit(value.sensorType);
-    const location = value.location || 'unknown';
-
-    const document = await databases.createDocument(
-      process.env.APPWRITE_DATABASE_ID,
-      process.env.APPWRITE_SENSOR_READINGS_COLLECTION_ID,
-      ID.unique(),
-      {
-        deviceId: value.deviceId,
-        sensorType: value.sensorType,
-        value: value.value,
-        unit,
-        timestamp,
-        location,
-        isAnomalous: false,
-        ingestedAt: new Date().toISOString(),
-        metadata: value.metadata || {}
-      }
-    );
+    if (result.duplicate) {
+      logger.info('Duplicate telemetry ignored', { deviceId: value.deviceId, sensorType: value.sensorType, documentId: result.documentId });
+      return res.status(200).json({ success: true, duplicate: true, documentId: result.documentId, timestamp: result.timestamp });
+    }
 
-    logger.info('Telemetry stored', { deviceId: value.deviceId, sensorType: value.sensorType, documentId: document.$id });
+    logger.info('Telemetry stored', { deviceId: value.deviceId, sensorType: value.sensorType, documentId: result.documentId, isAnomalous: result.isAnomalous, queued: result.queued });
 
-    res.status(201).json({ success: true, documentId: document.$id, timestamp });
+    // 202: aceptada y guardada en la cola local, pendiente de escribir en Appwrite
+    res.status(result.queued ? 202 : 201).json({ success: true, duplicate: false, documentId: result.documentId, timestamp: result.timestamp, isAnomalous: result.isAnomalous, queued: result.queued });
   } catch (error) {
+    if (charged) await limits.refundReadings(req.tenant, req.deviceId, charged, quota.day);
     logger.error('Telemetry ingestion error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
 
     if (error.code === 401) {
       res.status(500).json({ error: 'Database authentication failed', code: 'DB_AUTH_ERROR' });
     } else if (error.code === 404) {
       res.status(500).json({ error: 'Database or collection not found', code: 'DB_NOT_FOUND' });
+    } else if (error.code === 'QUEUE_FULL') {
+      res.status(503).json({ error: 'Storage unavailable and local queue is full', code: 'QUEUE_FULL' });
     } else {
       res.status(500).json({ error: 'Internal server error', code: 'INGESTION_ERROR' });
     }
   }
 });
 
-// Bulk telemetry ingestion endpoint (camelCase fields)
-app.post('/ingest/bulk', ingestLimiter, authenticateToken, async (req, res) => {
-  try {
-    const { error, value } = bulkTelemetrySchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: 'Invalid bulk telemetry data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
-    }
-
-    const results = [];
-    const errors = [];
-
-    for (const reading of value.readings) {
-      try {
-        if (reading.deviceId !== req.deviceId) {
-          errors.push({ reading, error: 'Device ID mismatch' });
-          continue;
-        }
-
-        let timestamp = reading.timestamp;
-        if (typeof timestamp === 'number') {
-          timestamp = new Date(timestamp * 1000).toISOString();
-        } else if (!timestamp) {
-          timestamp = new Date().toISOString();
-        }
-
-        const unit = reading.unit || getUnit(reading.sensorType);
-        const location = reading.location || 'unknown';
-
-        const document = await databases.createDocument(
-          process.env.APPWRITE_DATABASE_ID,
-          process.env.APPWRITE_SENSOR_READINGS_COLLECTION_ID,
-          ID.unique(),
-          {
-            deviceId: reading.deviceId,
-            sensorType: reading.sensorType,
-            value: reading.value,
-            unit,
-            timestamp,
-            location,
-            isAnomalous: false,
-            ingestedAt: new Date().toISOString(),
-            metadata: reading.metadata || {}
-          }
-        );
-
-        results.push({ documentId: document.$id, timestamp, sensorType: reading.sensorType });
-      } catch (err) {
-        errors.push({ reading, error: err.message });
-      }
-    }
-
-    logger.info('Bulk telemetry processed', { deviceId: req.deviceId, successful: results.length, failed: errors.length });
-
-    res.status(201).json({ success: true, processed: results.length, failed: errors.length, results, errors: errors.length > 0 ? errors : undefined });
-  } catch (error) {
-    logger.error('Bulk telemetry ingestion error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
-    res.status(500).json({ error: 'Internal server error', code: 'BULK_INGESTION_ERROR' });
-  }
-});
+// Bulk telemetry ingestion endpoint (camelCase fields; JSON, CBOR or MessagePack)
+app.post('/ingest/bulk', compactBody, authenticateToken, rejectQuarantined, deviceIngestLimiter, tenantIngestLimiter,
+  bulkIngestHandler(req => telemetryIngestion.validateBulk(req.body), 'Invalid bulk telemetry data', 'bulk'));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -288,20 +363,34 @@ app.use((req, res) => {
 // Start server
 if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, '0.0.0.0', () => {
-    logger.info(`AquaGuard Telemetry Gateway started on port ${PORT}`);
+    logger.info(`AquaGuard Telemetry Gateway started on port ${PORT}`, { storage: backend.name });
     console.log(`AquaGuard Telemetry Gateway running on port ${PORT}`);
   });
+
+  backend.start();
+  limits.start();
+  ingestQueue.start();
+  sensorTypes.start();
+  if (process.env.DEVICE_WATCHDOG_ENABLED !== 'false') devicePresence.start();
+  if (process.env.NOTIFY_ENABLED !== 'false') notifier.start();
+  if (process.env.LEAK_PREDICTION_ENABLED !== 'false') leakPrediction.start();
+  if (process.env.MQTT_ENABLED === 'true') mqttBroker.start();
+  if (process.env.RETENTION_ENABLED === 'true') retention.start();
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Graceful shutdown: pending shared limit counters are synced first (at most 5s)
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  setTimeout(() => process.exit(0), 5000).unref();
+  limits.stop()
+    .catch(error => logger.error('Limit counters shutdown error', { error: error.message }))
+    .finally(() => {
+      backend.close();
+      process.exit(0);
+    });
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
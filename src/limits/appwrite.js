@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { Query } = require('node-appwrite');
+const logger = require('../utils/logger');
+
+// Contadores compartidos entre instancias (LIMITS_STORE=appwrite): un documento por clave y ventana en
+// la colección de contadores de la base principal. Cada instancia cuenta en local y cada
+// LIMITS_SYNC_INTERVAL_MS suma lo pendiente al documento y recoge lo que han contado las demás. Solo la
+// primera petición de una clave (o la primera tras LIMITS_SYNC_INTERVAL_MS) lee el documento; si Appwrite
+// no responde se sigue contando en local desde el último valor conocido y se reintenta en la siguiente
+// sincronización, así una caída de Appwrite no rechaza peticiones. Los límites son aproximados: entre
+// sincronizaciones cada instancia solo ve lo suyo, y Appwrite no tiene incrementos atómicos (dos
+// instancias que escriben la misma clave a la vez pueden perder un incremento).
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1h
+const CLEANUP_PAGE_SIZE = 100;
+
+// IDs de Appwrite: 36 caracteres como mucho
+const documentIdFor = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 36);
+
+const createAppwriteStore = ({ databases, databaseId, collectionId, syncMs }) => {
+  // key -> { count (compartido en la última sincronización), pending (local sin sincronizar), resetAt, syncedAt }
+  const entries = new Map();
+  const loading = new Map();
+  let timer = null;
+  let flushing = null;
+  let cleanedAt = Date.now();
+
+  const read = async (key) => {
+    try {
+      const doc = await databases.getDocument(databaseId(), collectionId(), documentIdFor(key));
+      const resetAt = Date.parse(doc.resetAt);
+      return resetAt > Date.now() ? { count: doc.count, resetAt } : null;
+    } catch (err) {
+      if (err.code === 404) return null;
+      throw err;
+    }
+  };
+
+  const write = async (key, count, resetAt) => {
+    const data = { key, count, resetAt: new Date(resetAt).toISOString() };
+    try {
+      await databases.updateDocument(databaseId(), collectionId(), documentIdFor(key), data);
+    } catch (err) {
+      if (err.code !== 404) throw err;
+      await databases.createDocument(databaseId(), collectionId(), documentIdFor(key), data);
+    }
+  };
+
+  // Relee el valor compartido sin perder lo pendiente; una sola lectura por clave a la vez.
+  // Si falla, la entrada conserva el último valor conocido (0 si es nueva) y se relee tras syncMs.
+  const refresh = (key) => {
+    if (!loading.has(key)) {
+      const promise = read(key)
+        .then(
+          (shared) => ({ shared, ok: true }),
+          (err) => {
+            logger.warn('Limit counter read error, counting locally', { key, error: err.message });
+            return { ok: false };
+          }
+        )
+        .then(({ shared, ok }) => {
+          const entry = entries.get(key) || { count: 0, pending: 0, resetAt: null };
+          if (ok) {
+            entry.count = shared ? shared.count : 0;
+            if (shared) entry.resetAt = shared.resetAt;
+          }
+          entry.syncedAt = Date.now();
+          entries.set(key, entry);
+          return entry;
+        })
+        .finally(() => loading.delete(key));
+      loading.set(key, promise);
+    }
+    return loading.get(key);
+  };
+
+  const current = async (key) => {
+    const now = Date.now();
+    let entry = entries.get(key);
+    if (entry && entry.resetAt && entry.resetAt <= now) {
+      entries.delete(key);
+      entry = null;
+    }
+    if (!entry || now - entry.syncedAt >= syncMs) entry = await refresh(key);
+    return entry;
+  };
+
+  const increment = async (key, { windowMs, amount = 1 }) => {
+    const entry = await current(key);
+    if (!entry.resetAt) entry.resetAt = Date.now() + windowMs;
+    entry.pending = Math.max(-entry.count, entry.pending + amount);
+    return { count: entry.count + entry.pending, resetAt: new Date(entry.resetAt) };
+  };
+
+  const get = async (key) => {
+    const entry = await current(key);
+    const count = entry.count + entry.pending;
+    return entry.resetAt && count > 0 ? { count, resetAt: new Date(entry.resetAt) } : null;
+  };
+
+  const reset = async (key) => {
+    entries.delete(key);
+    try {
+      await databases.deleteDocument(databaseId(), collectionId(), documentIdFor(key));
+    } catch (err) {
+      if (err.code !== 404) throw err;
+    }
+  };
+
+  // Documentos de ventanas ya cerradas (las claves que nadie vuelve a usar)
+  const cleanup = async () => {
+    for (;;) {
+      const page = await databases.listDocuments(databaseId(), collectionId(), [
+        Query.lessThan('resetAt', new Date().toISOString()),
+        Query.limit(CLEANUP_PAGE_SIZE)
+      ]);
+      for (const doc of page.documents) {
+        await databases.deleteDocument(databaseId(), collectionId(), doc.$id).catch(() => {});
+      }
+      if (page.documents.length < CLEANUP_PAGE_SIZE) break;
+    }
+  };
+
+  const syncEntry = async (key, entry) => {
+    const delta = entry.pending;
+    const shared = await read(key);
+    const count = Math.max(0, (shared ? shared.count : 0) + delta);
+    const resetAt = shared ? shared.resetAt : entry.resetAt;
+    await write(key, count, resetAt);
+    entry.pending -= delta;
+    entry.count = count;
+    entry.resetAt = resetAt;
+    entry.syncedAt = Date.now();
+  };
+
+  const flushOnce = async () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt && entry.resetAt <= now) {
+        entries.delete(key);
+        continue;
+      }
+      // Lo que solo se consultó se vuelve a leer cuando haga falta
+      if (entry.pending === 0) {
+        if (now - entry.syncedAt >= syncMs) entries.delete(key);
+        continue;
+      }
+      try {
+        await syncEntry(key, entry);
+      } catch (err) {
+        logger.error('Limit counter sync error', { key, error: err.message });
+      }
+    }
+
+    if (now - cleanedAt >= CLEANUP_INTERVAL_MS) {
+      cleanedAt = now;
+      await cleanup().catch(err => logger.error('Limit counter cleanup error', { error: err.message }));
+    }
+  };
+
+  const flush = () => {
+    if (!flushing) flushing = flushOnce().finally(() => { flushing = null; });
+    return flushing;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(flush, syncMs);
+    timer.unref();
+    logger.info('Shared limit counters started', { syncMs });
+  };
+
+  // Al cerrar se sincroniza lo pendiente
+  const stop = async () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+    await flush();
+  };
+
+  return {
+    name: 'appwrite',
+    shared: true,
+    increment,
+    get,
+    reset,
+    flush,
+    start,
+    stop
+  };
+};
+
+module.exports = { createAppwriteStore, documentIdFor };
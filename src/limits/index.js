@@ -0,0 +1,26 @@
+const { createMemoryStore } = require('./memory');
+const { createAppwriteStore } = require('./appwrite');
+
+// Contadores de los límites de ingesta (por dispositivo y tenant), las cuotas diarias y la detección de
+// abusos (services/limits, services/deviceAbuse). Se elige con LIMITS_STORE:
+// - memory (por defecto): en el proceso; cada instancia cuenta por separado y se reinicia al arrancar
+// - appwrite: compartido entre instancias en una colección de la base principal (./appwrite.js)
+//
+// Interfaz que tiene que implementar un almacén (ventanas fijas: la primera cuenta abre la ventana):
+// - increment(key, { windowMs, amount = 1 }) -> { count, resetAt: Date }; amount negativo devuelve cuentas
+// - get(key) -> { count, resetAt } o null si la ventana no existe o ya terminó
+// - reset(key): borra el contador
+// - start() / stop(): tareas de fondo (sincronización) y cierre ordenado
+// - name, shared: si las cuentas de una instancia las ven las demás
+const STORES = {
+  memory: () => createMemoryStore(),
+  appwrite: (options) => createAppwriteStore(options)
+};
+
+const createLimitStore = (name, options) => {
+  const create = STORES[name];
+  if (!create) throw new Error(`LIMITS_STORE desconocido: ${name} (${Object.keys(STORES).join(', ')})`);
+  return create(options);
+};
+
+module.exports = { STORES, createLimitStore };
@@ -0,0 +1,55 @@
+// Contadores en memoria (LIMITS_STORE=memory, por defecto). Un solo proceso: cada instancia cuenta
+// por su cuenta y todo se pierde al reiniciar.
+const SWEEP_INTERVAL_MS = 60000;
+
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+  let sweptAt = Date.now();
+
+  // Las ventanas caducadas se borran como mucho una vez por minuto, al contar
+  const sweep = (now) => {
+    if (now - sweptAt < SWEEP_INTERVAL_MS) return;
+    sweptAt = now;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  const live = (key, now) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? counter : null;
+  };
+
+  const increment = async (key, { windowMs, amount = 1 }) => {
+    const now = Date.now();
+    sweep(now);
+    let counter = live(key, now);
+    if (!counter) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count = Math.max(0, counter.count + amount);
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  };
+
+  const get = async (key) => {
+    const counter = live(key, Date.now());
+    return counter && counter.count > 0 ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+  };
+
+  const reset = async (key) => {
+    counters.delete(key);
+  };
+
+  return {
+    name: 'memory',
+    shared: false,
+    increment,
+    get,
+    reset,
+    start: () => {},
+    stop: async () => {}
+  };
+};
+
+module.exports = { createMemoryStore };
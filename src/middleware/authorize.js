@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const accessControl = require('../services/accessControl');
+const auditLog = require('../services/auditLog');
+const users = require('../services/users');
+const apiKeys = require('../services/apiKeys');
+const tenants = require('../services/tenants');
+const deviceRegistry = require('../services/deviceRegistry');
+
+// Autenticación de usuarios y cuentas de servicio, por orden:
+//   Authorization: Bearer <JWT de usuario>   (POST /auth/login)
+//   x-api-key: agk_...                       (cuentas de servicio)
+//   x-admin-key: ADMIN_API_KEY              (clave de administración global, rol admin sin ámbito;
+//                                            tenant en la cabecera x-tenant-id)
+// Los tokens de dispositivo se rechazan siempre en estas rutas.
+
+const matchesAdminKey = (provided) => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected || !provided) return false;
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+const deny = (req, res, status, code, error, details = {}) => {
+  auditLog.record('access_denied', { principal: req.principal, reason: code, req, ...details });
+  res.status(status).json({ error, code });
+};
+
+const isDeviceToken = (token) => {
+  const decoded = jwt.decode(token);
+  return Boolean(decoded && (decoded.type === 'device' || decoded.deviceId));
+};
+
+// Tenant de la credencial: claim tenantId del JWT, prefijo de la API key o cabecera x-tenant-id (x-admin-key)
+const loadTenant = async (tenantId) => {
+  const tenant = await tenants.getTenant(tenantId || tenants.DEFAULT_TENANT_ID);
+  if (!tenant) return { error: [401, 'UNKNOWN_TENANT', 'Unknown tenant'] };
+  if (!tenant.isEnabled) return { error: [403, 'TENANT_DISABLED', 'Tenant is disabled'] };
+  if (!tenant.isProvisioned) return { error: [403, 'TENANT_NOT_PROVISIONED', 'Tenant has no database'] };
+  return { tenant };
+};
+
+const resolvePrincipal = async (req) => {
+  const authHeader = req.headers['authorization'];
+  const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (bearer) {
+    if (isDeviceToken(bearer)) return { error: [403, 'DEVICE_TOKEN_NOT_ALLOWED', 'Device tokens cannot access this endpoint'] };
+    const decoded = jwt.decode(bearer);
+    const { tenant, error } = await loadTenant(decoded && decoded.tenantId);
+    if (error) return { error };
+    try {
+      return { tenant, principal: await tenantContext.run(tenant, () => users.verifyUserToken(bearer)) };
+    } catch (err) {
+      return { error: [401, 'INVALID_TOKEN', 'Invalid or expired token'], reason: err.message };
+    }
+  }
+
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    const parsed = apiKeys.parseApiKey(apiKey);
+    if (!parsed) return { error: [401, 'INVALID_API_KEY', 'Invalid or revoked API key'] };
+    const { tenant, error } = await loadTenant(parsed.tenantId);
+    if (error) return { error };
+    const principal = await tenantContext.run(tenant, () => apiKeys.verifyApiKey(apiKey));
+    return principal ? { tenant, principal } : { error: [401, 'INVALID_API_KEY', 'Invalid or revoked API key'] };
+  }
+
+  const adminKey = req.get('x-admin-key');
+  if (adminKey) {
+    if (!process.env.ADMIN_API_KEY) return { error: [503, 'ADMIN_API_DISABLED', 'Admin API is not configured'] };
+    if (!matchesAdminKey(adminKey)) return { error: [401, 'INVALID_ADMIN_KEY', 'Admin credentials required'] };
+    // La clave global puede actuar sobre cualquier tenant, incluso deshabilitado
+    const tenant = await tenants.getTenant(req.get('x-tenant-id') || tenants.DEFAULT_TENANT_ID);
+    if (!tenant) return { error: [404, 'TENANT_NOT_FOUND', 'Tenant not found'] };
+    if (!tenant.isProvisioned) return { error: [403, 'TENANT_NOT_PROVISIONED', 'Tenant has no database'] };
+    return { tenant, principal: { type: 'admin_key', id: 'admin', name: 'admin', role: 'admin', tenantId: tenant.id, scopes: { locations: null, devices: null } } };
+  }
+
+  return { error: [401, 'MISSING_CREDENTIALS', 'User token or API key required'] };
+};
+
+const authenticatePrincipal = async (req, res, next) => {
+  if (req.principal) return next();
+
+  try {
+    const result = await resolvePrincipal(req);
+    if (result.error) {
+      const [status, code, error] = result.error;
+      if (status === 503) return res.status(status).json({ error, code });
+      return deny(req, res, status, code, error, { details: result.reason ? { error: result.reason } : undefined });
+    }
+
+    req.principal = result.principal;
+    req.tenant = result.tenant;
+    // Todo lo que sigue (consultas, auditoría, eventos) usa la base de datos del tenant
+    tenantContext.run(result.tenant, next);
+  } catch (error) {
+    logger.error('Principal authentication error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'AUTHENTICATION_ERROR' });
+  }
+};
+
+// Permiso del rol y, si se indica `resolveResource(req)` -> { deviceId, location }, el ámbito del principal
+const requirePermission = (permission, resolveResource) => async (req, res, next) => {
+  if (!accessControl.can(req.principal, permission)) {
+    return deny(req, res, 403, 'FORBIDDEN', 'Insufficient permissions', { permission });
+  }
+  if (!resolveResource) return next();
+
+  try {
+    const resource = await resolveResource(req);
+    if (resource && !accessControl.inScope(req.principal, resource)) {
+      return deny(req, res, 403, 'OUT_OF_SCOPE', 'Resource is outside your scope', { permission, resource });
+    }
+    next();
+  } catch (error) {
+    logger.error('Authorization scope check error', { error: error.message, stack: error.stack, permission });
+    res.status(500).json({ error: 'Internal server error', code: 'AUTHORIZATION_ERROR' });
+  }
+};
+
+const authorize = (permission, resolveResource) => [authenticatePrincipal, requirePermission(permission, resolveResource)];
+
+// Resolutores de recurso habituales
+const deviceFromParam = async (req) => {
+  const device = await deviceRegistry.getDevice(req.params.deviceId);
+  return { deviceId: req.params.deviceId, location: device ? device.location : null };
+};
+
+const locationFromParam = (req) => ({ location: req.params.location });
+
+// Alta o cambio de ubicación: el dispositivo tiene que quedar dentro del ámbito con la ubicación del body
+const deviceFromBody = (req) => ({ deviceId: req.params.deviceId || (req.body && req.body.deviceId), location: req.body && req.body.location });
+
+// Para listados: deja solo los elementos dentro del ámbito del principal
+const filterInScope = (principal, items, toResource) => (accessControl.isUnscoped(principal)
+  ? items
+  : items.filter(item => accessControl.inScope(principal, toResource(item))));
+
+module.exports = {
+  authenticatePrincipal,
+  requirePermission,
+  authorize,
+  deviceFromParam,
+  deviceFromBody,
+  locationFromParam,
+  filterInScope
+};
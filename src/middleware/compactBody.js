@@ -0,0 +1,76 @@
+const express = require('express');
+const cbor = require('cbor-x');
+const msgpackr = require('msgpackr');
+const logger = require('../utils/logger');
+
+// Cuerpos binarios compactos para dispositivos con poca RAM: CBOR o MessagePack según el Content-Type.
+// Se decodifican al mismo objeto que enviaría el JSON, así que la validación y los errores son los mismos.
+// La respuesta va en el formato que pida Accept (o, sin preferencia, en el mismo que la petición).
+const FORMATS = {
+  cbor: {
+    types: ['application/cbor'],
+    decode: (buffer) => cbor.decode(buffer),
+    encode: (body) => cbor.encode(body)
+  },
+  msgpack: {
+    types: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack'],
+    decode: (buffer) => msgpackr.unpack(buffer),
+    encode: (body) => msgpackr.pack(body)
+  }
+};
+
+const COMPACT_TYPES = Object.values(FORMATS).flatMap(f => f.types);
+
+const formatOf = (type) => Object.keys(FORMATS).find(name => FORMATS[name].types.includes(type));
+
+// Los decodificadores devuelven Date para las fechas etiquetadas; el esquema espera ISO8601 o epoch.
+// Se reconstruye el objeto sin claves __proto__ (el cuerpo llega de un dispositivo).
+const toPlain = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Map) return toPlain(Object.fromEntries(value));
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const plain = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key !== '__proto__') plain[key] = toPlain(item);
+    }
+    return plain;
+  }
+  return value;
+};
+
+const rawBody = express.raw({ type: COMPACT_TYPES, limit: '10mb' });
+
+const decodeBody = (req, res, next) => {
+  const type = req.is(COMPACT_TYPES);
+  if (!type || !Buffer.isBuffer(req.body)) return next();
+
+  const format = formatOf(type);
+  try {
+    req.body = toPlain(FORMATS[format].decode(req.body));
+    req.bodyFormat = format;
+    next();
+  } catch (err) {
+    logger.warn('Malformed compact body', { format, ip: req.ip, error: err.message });
+    res.status(400).json({ error: `Malformed ${format} body`, code: 'INVALID_PAYLOAD' });
+  }
+};
+
+// Sustituye res.json en esta petición para responder en CBOR/MessagePack si se prefiere
+const encodeResponse = (req, res, next) => {
+  const requestType = req.is(COMPACT_TYPES) || 'application/json';
+  const preferred = req.accepts([requestType, 'application/json', ...COMPACT_TYPES.filter(t => t !== requestType)]);
+  const format = preferred ? formatOf(preferred) : null;
+  if (!format) return next();
+
+  res.json = (body) => {
+    res.type(FORMATS[format].types[0]);
+    return res.send(FORMATS[format].encode(body));
+  };
+  next();
+};
+
+// encodeResponse primero, para que también los errores del propio decodificado vayan en el formato pedido
+const compactBody = [encodeResponse, rawBody, decodeBody];
+
+module.exports = { COMPACT_TYPES, compactBody };
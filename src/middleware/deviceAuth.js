@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const devicePresence = require('../services/devicePresence');
+const deviceRegistry = require('../services/deviceRegistry');
+const tenants = require('../services/tenants');
+
+// Verifica un JWT de dispositivo (emitido por /auth/token); compartido por HTTP y MQTT
+const verifyDeviceToken = (token) => new Promise((resolve, reject) => {
+  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    if (err) return reject(err);
+    if (!decoded.deviceId) return reject(new Error('Token has no deviceId claim'));
+    // Tokens de usuario/stream llevan audiencia propia: nunca valen como token de dispositivo
+    if (decoded.type !== 'device' || decoded.aud) return reject(new Error('Not a device token'));
+    resolve(decoded);
+  });
+});
+
+// JWT Authentication middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required', code: 'MISSING_TOKEN' });
+  }
+
+  verifyDeviceToken(token)
+    .then(async (decoded) => {
+      // Tokens anteriores a los tenants no llevan tenantId: son del tenant por defecto
+      const tenant = await tenants.getTenant(decoded.tenantId || tenants.DEFAULT_TENANT_ID);
+      if (!tenant || !tenant.isEnabled) {
+        logger.warn('Device token for unknown or disabled tenant', { deviceId: decoded.deviceId, tenantId: decoded.tenantId, ip: req.ip });
+        return res.status(403).json({ error: 'Tenant is disabled', code: 'TENANT_DISABLED' });
+      }
+      if (!tenant.isProvisioned) {
+        return res.status(403).json({ error: 'Tenant has no database', code: 'TENANT_NOT_PROVISIONED' });
+      }
+
+      // El JWT deja de valer si el dispositivo se deshabilita, se borra o rota su secreto
+      const revoked = await tenantContext.run(tenant, () => deviceRegistry.checkSession(decoded.deviceId, decoded.secretVersion));
+      if (revoked) {
+        logger.warn('Revoked device token', { deviceId: decoded.deviceId, tenantId: tenant.id, reason: revoked, ip: req.ip });
+        return revoked === 'DEVICE_DISABLED'
+          ? res.status(403).json({ error: 'Device is disabled', code: 'DEVICE_DISABLED' })
+          : res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+      }
+
+      req.deviceId = decoded.deviceId;
+      req.tokenExp = decoded.exp;
+      req.tenant = tenant;
+      tenantContext.run(tenant, () => {
+        devicePresence.touch(decoded.deviceId);
+        next();
+      });
+    }, (err) => {
+      logger.warn('Invalid token attempt', { ip: req.ip, userAgent: req.get('User-Agent'), error: err.message });
+      res.status(403).json({ error: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+    })
+    .catch((error) => {
+      logger.error('Device authentication error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error', code: 'AUTHENTICATION_ERROR' });
+    });
+};
+
+module.exports = { verifyDeviceToken, authenticateToken };
@@ -0,0 +1,101 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const { ROLES } = require('../services/accessControl');
+const auditLog = require('../services/auditLog');
+const apiKeys = require('../services/apiKeys');
+
+const router = express.Router();
+router.use(authorize('users:manage'));
+
+const scopeSchema = Joi.array().items(Joi.string().max(256)).max(100);
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().max(128).required(),
+  role: Joi.string().valid(...ROLES).required(),
+  scopeLocations: scopeSchema.optional(),
+  scopeDevices: scopeSchema.optional()
+});
+
+const updateApiKeySchema = Joi.object({
+  name: Joi.string().max(128).optional(),
+  role: Joi.string().valid(...ROLES).optional(),
+  scopeLocations: scopeSchema.optional(),
+  scopeDevices: scopeSchema.optional(),
+  isEnabled: Joi.boolean().optional()
+}).min(1);
+
+const listApiKeysSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+// Create a service-account key; the full key is only returned once
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createApiKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid API key data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await apiKeys.createApiKey(value);
+    auditLog.record('api_key_created', { principal: req.principal, req, resource: { apiKeyId: result.apiKey.id }, details: { role: result.apiKey.role } });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('API key creation error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'API_KEY_CREATION_ERROR' });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = listApiKeysSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json(await apiKeys.listApiKeys(value));
+  } catch (error) {
+    logger.error('API key listing error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'API_KEY_LIST_ERROR' });
+  }
+});
+
+router.patch('/:apiKeyId', async (req, res) => {
+  try {
+    const { error, value } = updateApiKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid API key data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const apiKey = await apiKeys.updateApiKey(req.params.apiKeyId, value);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    auditLog.record('api_key_updated', { principal: req.principal, req, resource: { apiKeyId: apiKey.id }, details: { fields: Object.keys(value) } });
+    res.json({ apiKey });
+  } catch (error) {
+    logger.error('API key update error', { error: error.message, stack: error.stack, apiKeyId: req.params.apiKeyId });
+    res.status(500).json({ error: 'Internal server error', code: 'API_KEY_UPDATE_ERROR' });
+  }
+});
+
+// Revoke (delete) a key
+router.delete('/:apiKeyId', async (req, res) => {
+  try {
+    const deleted = await apiKeys.deleteApiKey(req.params.apiKeyId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    auditLog.record('api_key_revoked', { principal: req.principal, req, resource: { apiKeyId: req.params.apiKeyId } });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('API key revocation error', { error: error.message, stack: error.stack, apiKeyId: req.params.apiKeyId });
+    res.status(500).json({ error: 'Internal server error', code: 'API_KEY_REVOCATION_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,390 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize, requirePermission, deviceFromParam, deviceFromBody, filterInScope } = require('../middleware/authorize');
+const deviceRegistry = require('../services/deviceRegistry');
+const deviceConfig = require('../services/deviceConfig');
+const deviceCommands = require('../services/deviceCommands');
+const calibration = require('../services/calibration');
+const auditLog = require('../services/auditLog');
+const sensorTypes = require('../services/sensorTypes');
+const limits = require('../services/limits');
+const deviceAbuse = require('../services/deviceAbuse');
+
+const router = express.Router();
+const registerDeviceSchema = Joi.object({
+  deviceId: Joi.string().required().min(1).max(100),
+  name: Joi.string().max(128).optional(),
+  serialNumber: Joi.string().max(128).optional(),
+  location: Joi.string().max(256).optional(),
+  macAddress: Joi.string().max(64).optional(),
+  deviceType: Joi.string().max(64).optional(),
+  cohort: Joi.string().max(64).optional()
+});
+
+const updateDeviceSchema = Joi.object({
+  name: Joi.string().max(128).optional(),
+  serialNumber: Joi.string().max(128).optional(),
+  location: Joi.string().max(256).optional(),
+  macAddress: Joi.string().max(64).optional(),
+  deviceType: Joi.string().max(64).optional(),
+  cohort: Joi.string().max(64).allow(null).optional()
+}).min(1);
+
+const enqueueCommandSchema = Joi.object({
+  type: Joi.string().valid(...deviceCommands.COMMAND_TYPES).required(),
+  params: Joi.object().optional(),
+  ttlMs: Joi.number().integer().min(1000).max(7 * 24 * 60 * 60 * 1000).optional()
+});
+
+const listCommandsSchema = Joi.object({
+  status: Joi.string().valid(...deviceCommands.COMMAND_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+const COMMAND_ERRORS = {
+  COMMAND_NOT_FOUND: { status: 404, error: 'Command not found' },
+  COMMAND_CLOSED: { status: 409, error: 'Command is no longer open' }
+};
+
+const calibrationHistorySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(25)
+});
+
+const CALIBRATION_ERRORS = {
+  CALIBRATION_NOT_FOUND: { status: 404, error: 'No calibration profile for this sensor' },
+  VERSION_CONFLICT: { status: 409, error: 'Calibration profile was changed concurrently, retry' }
+};
+
+const sensorTypeParam = (req, res, next) => {
+  if (!sensorTypes.has(req.params.sensorType)) {
+    return res.status(400).json({ error: 'Unknown sensor type', code: 'INVALID_SENSOR_TYPE' });
+  }
+  next();
+};
+
+// Si el cambio mueve el dispositivo, la ubicación nueva también tiene que estar en el ámbito
+const movedDevice = (req) => (req.body && req.body.location !== undefined ? deviceFromBody(req) : null);
+
+const listDevicesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+// Register a device; the generated secret is only returned once
+router.post('/', authorize('devices:manage', deviceFromBody), async (req, res) => {
+  try {
+    const { error, value } = registerDeviceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid device data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const { maxDevices } = req.tenant;
+    if (maxDevices && (await deviceRegistry.listDevices({ limit: 1 })).total >= maxDevices) {
+      return res.status(403).json({ error: `Tenant device quota reached (${maxDevices})`, code: 'DEVICE_QUOTA_EXCEEDED' });
+    }
+
+    const result = await deviceRegistry.registerDevice(value);
+    if (!result) {
+      return res.status(409).json({ error: 'Device already registered', code: 'DEVICE_EXISTS' });
+    }
+
+    logger.info('Device registered', { deviceId: value.deviceId, tenantId: req.tenant.id, ip: req.ip });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Device registration error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_REGISTRATION_ERROR' });
+  }
+});
+
+router.get('/', authorize('devices:read'), async (req, res) => {
+  try {
+    const { error, value } = listDevicesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await deviceRegistry.listDevices(value);
+    result.devices = filterInScope(req.principal, result.devices, device => ({ deviceId: device.deviceId, location: device.location }));
+    res.json(result);
+  } catch (error) {
+    logger.error('Device listing error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_LIST_ERROR' });
+  }
+});
+
+router.get('/:deviceId', authorize('devices:read', deviceFromParam), async (req, res) => {
+  try {
+    const device = await deviceRegistry.getDevice(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+    res.json({ device });
+  } catch (error) {
+    logger.error('Device lookup error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_LOOKUP_ERROR' });
+  }
+});
+
+// Partial update of descriptive attributes (name, location, rollout cohort...)
+router.patch('/:deviceId', authorize('devices:manage', deviceFromParam), requirePermission('devices:manage', movedDevice), async (req, res) => {
+  try {
+    const { error, value } = updateDeviceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid device data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const device = await deviceRegistry.updateDevice(req.params.deviceId, value);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    logger.info('Device updated', { deviceId: req.params.deviceId, fields: Object.keys(value), ip: req.ip });
+    res.json({ device });
+  } catch (error) {
+    logger.error('Device update error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_UPDATE_ERROR' });
+  }
+});
+
+router.post('/:deviceId/rotate-secret', authorize('devices:manage', deviceFromParam), async (req, res) => {
+  try {
+    const result = await deviceRegistry.rotateSecret(req.params.deviceId);
+    if (!result) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    logger.info('Device secret rotated', { deviceId: req.params.deviceId, ip: req.ip });
+    res.json(result);
+  } catch (error) {
+    logger.error('Device secret rotation error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_ROTATION_ERROR' });
+  }
+});
+
+const setEnabledHandler = (isEnabled) => async (req, res) => {
+  try {
+    const device = await deviceRegistry.setEnabled(req.params.deviceId, isEnabled);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    logger.info(isEnabled ? 'Device enabled' : 'Device disabled', { deviceId: req.params.deviceId, ip: req.ip });
+    res.json({ device });
+  } catch (error) {
+    logger.error('Device update error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_UPDATE_ERROR' });
+  }
+};
+
+// Daily quota usage, current ingest limit and abuse state (strikes, throttling, quarantine)
+router.get('/:deviceId/limits', authorize('devices:read', deviceFromParam), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await deviceRegistry.getDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    res.json({
+      deviceId,
+      ingestRateLimitMax: await deviceAbuse.ingestLimit(deviceId),
+      maxReadingsPerDay: req.tenant.deviceMaxReadingsPerDay,
+      usage: await limits.getDeviceUsage(req.tenant, deviceId),
+      abuse: await deviceAbuse.getStatus(deviceId)
+    });
+  } catch (error) {
+    logger.error('Device limits lookup error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_LIMITS_ERROR' });
+  }
+});
+
+// Lifts quarantine and throttling, clears the strikes and resolves their alerts
+router.post('/:deviceId/release', authorize('devices:manage', deviceFromParam), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!(await deviceRegistry.getDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    await deviceAbuse.release(deviceId);
+    auditLog.record('device_released', { principal: req.principal, req, resource: { deviceId } });
+    res.json({ device: await deviceRegistry.getDevice(deviceId), abuse: await deviceAbuse.getStatus(deviceId) });
+  } catch (error) {
+    logger.error('Device release error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_RELEASE_ERROR' });
+  }
+});
+
+router.post('/:deviceId/disable', authorize('devices:manage', deviceFromParam), setEnabledHandler(false));
+router.post('/:deviceId/enable', authorize('devices:manage', deviceFromParam), setEnabledHandler(true));
+
+// Desired config (replaces the previous one and bumps the version) and what the device reported
+router.put('/:deviceId/config', authorize('devices:configure', deviceFromParam), async (req, res) => {
+  try {
+    const { error, value } = deviceConfig.validateConfig(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid device config', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    if (!(await deviceRegistry.getDevice(req.params.deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    const config = await deviceConfig.setConfig(req.params.deviceId, value);
+    logger.info('Device config set', { deviceId: req.params.deviceId, version: config.version, principal: req.principal.id, ip: req.ip });
+    res.json(config);
+  } catch (error) {
+    logger.error('Device config update error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'CONFIG_UPDATE_ERROR' });
+  }
+});
+
+router.get('/:deviceId/config', authorize('devices:read', deviceFromParam), async (req, res) => {
+  try {
+    if (!(await deviceRegistry.getDevice(req.params.deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+    res.json(await deviceConfig.getConfig(req.params.deviceId));
+  } catch (error) {
+    logger.error('Device config lookup error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'CONFIG_LOOKUP_ERROR' });
+  }
+});
+
+// Calibration profiles (per sensor type, applied on ingest after unit conversion)
+router.get('/:deviceId/calibration', authorize('devices:read', deviceFromParam), async (req, res) => {
+  try {
+    if (!(await deviceRegistry.getDevice(req.params.deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    const profiles = await Promise.all(sensorTypes.names().map(sensorType => calibration.getProfile(req.params.deviceId, sensorType)));
+    res.json({ deviceId: req.params.deviceId, profiles: profiles.filter(Boolean) });
+  } catch (error) {
+    logger.error('Calibration list error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'CALIBRATION_LIST_ERROR' });
+  }
+});
+
+// Version history, newest first; a version with a null profile means the calibration was removed
+router.get('/:deviceId/calibration/:sensorType', authorize('devices:read', deviceFromParam), sensorTypeParam, async (req, res) => {
+  try {
+    const { error, value } = calibrationHistorySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const versions = await calibration.listVersions(req.params.deviceId, req.params.sensorType, value);
+    const current = versions.length > 0 && versions[0].profile ? versions[0] : null;
+    res.json({ deviceId: req.params.deviceId, sensorType: req.params.sensorType, current, versions });
+  } catch (error) {
+    logger.error('Calibration history error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId, sensorType: req.params.sensorType });
+    res.status(500).json({ error: 'Internal server error', code: 'CALIBRATION_LOOKUP_ERROR' });
+  }
+});
+
+router.put('/:deviceId/calibration/:sensorType', authorize('devices:configure', deviceFromParam), sensorTypeParam, async (req, res) => {
+  try {
+    const { deviceId, sensorType } = req.params;
+    const { error, value } = calibration.validateProfile(sensorType, req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid calibration profile', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    if (!(await deviceRegistry.getDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    const result = await calibration.setProfile(deviceId, sensorType, value, `${req.principal.type}:${req.principal.id}`);
+    if (!result.ok) {
+      const { status, error: message } = CALIBRATION_ERRORS[result.code];
+      return res.status(status).json({ error: message, code: result.code });
+    }
+
+    auditLog.record('calibration_updated', { principal: req.principal, req, resource: { deviceId, sensorType }, details: { version: result.profile.version } });
+    res.json({ profile: result.profile });
+  } catch (error) {
+    logger.error('Calibration update error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId, sensorType: req.params.sensorType });
+    res.status(500).json({ error: 'Internal server error', code: 'CALIBRATION_UPDATE_ERROR' });
+  }
+});
+
+router.delete('/:deviceId/calibration/:sensorType', authorize('devices:configure', deviceFromParam), sensorTypeParam, async (req, res) => {
+  try {
+    const { deviceId, sensorType } = req.params;
+    const result = await calibration.clearProfile(deviceId, sensorType, `${req.principal.type}:${req.principal.id}`);
+    if (!result.ok) {
+      const { status, error } = CALIBRATION_ERRORS[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+
+    auditLog.record('calibration_cleared', { principal: req.principal, req, resource: { deviceId, sensorType }, details: { version: result.profile.version } });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Calibration removal error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId, sensorType: req.params.sensorType });
+    res.status(500).json({ error: 'Internal server error', code: 'CALIBRATION_DELETE_ERROR' });
+  }
+});
+
+// Command downlink: queue, list (with device results) and cancel
+router.post('/:deviceId/commands', authorize('devices:command', deviceFromParam), async (req, res) => {
+  try {
+    const { error, value } = enqueueCommandSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid command', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    if (!(await deviceRegistry.getDevice(req.params.deviceId))) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    const command = await deviceCommands.enqueue(req.params.deviceId, value);
+    res.status(201).json({ command });
+  } catch (error) {
+    logger.error('Device command enqueue error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'COMMAND_ENQUEUE_ERROR' });
+  }
+});
+
+router.get('/:deviceId/commands', authorize('devices:read', deviceFromParam), async (req, res) => {
+  try {
+    const { error, value } = listCommandsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json(await deviceCommands.listCommands(req.params.deviceId, value));
+  } catch (error) {
+    logger.error('Device command list error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'COMMAND_LIST_ERROR' });
+  }
+});
+
+router.delete('/:deviceId/commands/:commandId', authorize('devices:command', deviceFromParam), async (req, res) => {
+  try {
+    const result = await deviceCommands.cancel(req.params.deviceId, req.params.commandId);
+    if (!result.ok) {
+      const { status, error } = COMMAND_ERRORS[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+    res.json({ command: result.command });
+  } catch (error) {
+    logger.error('Device command cancel error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId, commandId: req.params.commandId });
+    res.status(500).json({ error: 'Internal server error', code: 'COMMAND_CANCEL_ERROR' });
+  }
+});
+
+router.delete('/:deviceId', authorize('devices:manage', deviceFromParam), async (req, res) => {
+  try {
+    const deleted = await deviceRegistry.deleteDevice(req.params.deviceId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    logger.info('Device deleted', { deviceId: req.params.deviceId, ip: req.ip });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Device deletion error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'DEVICE_DELETION_ERROR' });
+  }
+});
+
+module.exports = router;
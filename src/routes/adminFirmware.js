@@ -0,0 +1,123 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const firmware = require('../services/firmware');
+
+const router = express.Router();
+const maxFirmwareBytes = process.env.FIRMWARE_MAX_BYTES || '4mb';
+
+const uploadSchema = Joi.object({
+  version: Joi.string().max(32).pattern(/^[0-9A-Za-z.+-]+$/).required(),
+  deviceType: Joi.string().max(64).required(),
+  md5: Joi.string().hex().length(32).optional(),
+  sha256: Joi.string().hex().length(64).optional(),
+  notes: Joi.string().max(1024).optional(),
+  fileName: Joi.string().max(128).optional()
+}).or('md5', 'sha256');
+
+const listReleasesSchema = Joi.object({
+  deviceType: Joi.string().max(64).optional(),
+  status: Joi.string().valid(...firmware.RELEASE_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+const rolloutSchema = Joi.object({
+  status: Joi.string().valid(...firmware.RELEASE_STATUSES).optional(),
+  rolloutPercent: Joi.number().integer().min(0).max(100).optional(),
+  cohorts: Joi.array().items(Joi.string().max(64)).max(50).optional()
+}).min(1);
+
+const RELEASE_ERRORS = {
+  CHECKSUM_MISMATCH: 400,
+  RELEASE_EXISTS: 409
+};
+
+// Upload a firmware binary (raw application/octet-stream body); metadata in the query string
+router.post('/', authorize('firmware:manage'), express.raw({ type: 'application/octet-stream', limit: maxFirmwareBytes }), async (req, res) => {
+  try {
+    const { error, value } = uploadSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid firmware metadata', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Firmware binary required (Content-Type: application/octet-stream)', code: 'MISSING_BINARY' });
+    }
+
+    const result = await firmware.createRelease(req.body, value);
+    if (!result.ok) {
+      return res.status(RELEASE_ERRORS[result.code]).json({ error: result.error, code: result.code });
+    }
+
+    logger.info('Firmware uploaded', { releaseId: result.release.id, version: value.version, deviceType: value.deviceType, size: req.body.length, ip: req.ip });
+    res.status(201).json({ release: result.release });
+  } catch (error) {
+    logger.error('Firmware upload error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_UPLOAD_ERROR' });
+  }
+});
+
+router.get('/', authorize('firmware:read'), async (req, res) => {
+  try {
+    const { error, value } = listReleasesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json(await firmware.listReleases(value));
+  } catch (error) {
+    logger.error('Firmware listing error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_LIST_ERROR' });
+  }
+});
+
+// Release details plus rollout progress (devices per update status)
+router.get('/:releaseId', authorize('firmware:read'), async (req, res) => {
+  try {
+    const release = await firmware.getRelease(req.params.releaseId);
+    if (!release) {
+      return res.status(404).json({ error: 'Firmware release not found', code: 'RELEASE_NOT_FOUND' });
+    }
+    res.json({ release, rollout: await firmware.getRolloutStats(release.id) });
+  } catch (error) {
+    logger.error('Firmware lookup error', { error: error.message, stack: error.stack, releaseId: req.params.releaseId });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_LOOKUP_ERROR' });
+  }
+});
+
+// Staged rollout: activate/pause, percentage of devices and named cohorts
+router.patch('/:releaseId/rollout', authorize('firmware:manage'), async (req, res) => {
+  try {
+    const { error, value } = rolloutSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid rollout', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const release = await firmware.updateRollout(req.params.releaseId, value);
+    if (!release) {
+      return res.status(404).json({ error: 'Firmware release not found', code: 'RELEASE_NOT_FOUND' });
+    }
+    res.json({ release });
+  } catch (error) {
+    logger.error('Firmware rollout error', { error: error.message, stack: error.stack, releaseId: req.params.releaseId });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_ROLLOUT_ERROR' });
+  }
+});
+
+router.delete('/:releaseId', authorize('firmware:manage'), async (req, res) => {
+  try {
+    const deleted = await firmware.deleteRelease(req.params.releaseId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Firmware release not found', code: 'RELEASE_NOT_FOUND' });
+    }
+
+    logger.info('Firmware release deleted', { releaseId: req.params.releaseId, ip: req.ip });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Firmware deletion error', { error: error.message, stack: error.stack, releaseId: req.params.releaseId });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_DELETION_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const ingestQueue = require('../services/ingestQueue');
+
+const router = express.Router();
+const listQueueSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  deadLetters: Joi.boolean().default(false)
+});
+
+// Queue depth, oldest item age and pending (or dead-letter) items
+router.get('/', authorize('queue:read'), (req, res) => {
+  try {
+    const { error, value } = listQueueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json({ stats: ingestQueue.getStats(), items: ingestQueue.listItems(value) });
+  } catch (error) {
+    logger.error('Ingest queue inspection error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'QUEUE_INSPECTION_ERROR' });
+  }
+});
+
+// Flush pending readings to Appwrite now
+router.post('/drain', authorize('queue:manage'), async (req, res) => {
+  try {
+    const result = await ingestQueue.drain();
+    logger.info('Ingest queue drained by admin', { ...result, principal: req.principal.id, ip: req.ip });
+    res.json({ ...result, stats: ingestQueue.getStats() });
+  } catch (error) {
+    logger.error('Ingest queue drain error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'QUEUE_DRAIN_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const auditLog = require('../services/auditLog');
+const sensorTypes = require('../services/sensorTypes');
+
+const router = express.Router();
+router.use(authorize('sensorTypes:manage'));
+
+const SENSOR_TYPE_ERRORS = {
+  SENSOR_TYPE_NOT_FOUND: { status: 404, error: 'No stored definition for this sensor type' },
+  CANONICAL_UNIT_CHANGE: { status: 409, error: 'The canonical unit of an existing sensor type cannot change' }
+};
+
+const sendSensorTypeError = (res, code) => {
+  const { status, error } = SENSOR_TYPE_ERRORS[code];
+  res.status(status).json({ error, code });
+};
+
+// All types with their source: builtin, file (SENSOR_TYPES_FILE) or custom (stored)
+router.get('/', (req, res) => {
+  res.json({ sensorTypes: sensorTypes.listTypes() });
+});
+
+// New sensor type; available for ingest on this instance immediately, on others after SENSOR_TYPES_REFRESH_MS
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = sensorTypes.validateDefinition(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid sensor type', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+    if (sensorTypes.has(value.name)) {
+      return res.status(409).json({ error: 'Sensor type already exists', code: 'SENSOR_TYPE_EXISTS' });
+    }
+
+    const result = await sensorTypes.saveType(value);
+    if (!result.ok) return sendSensorTypeError(res, result.code);
+
+    auditLog.record('sensor_type_created', { principal: req.principal, req, resource: { sensorType: value.name } });
+    res.status(201).json({ sensorType: result.sensorType });
+  } catch (error) {
+    logger.error('Sensor type creation error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'SENSOR_TYPE_CREATE_ERROR' });
+  }
+});
+
+// Create or replace the stored definition; also overrides a built-in type (range, units, precision)
+router.put('/:name', async (req, res) => {
+  try {
+    const { error, value } = sensorTypes.validateDefinition({ ...req.body, name: req.params.name });
+    if (error) {
+      return res.status(400).json({ error: 'Invalid sensor type', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await sensorTypes.saveType(value);
+    if (!result.ok) return sendSensorTypeError(res, result.code);
+
+    auditLog.record('sensor_type_updated', { principal: req.principal, req, resource: { sensorType: value.name } });
+    res.status(result.created ? 201 : 200).json({ sensorType: result.sensorType });
+  } catch (error) {
+    logger.error('Sensor type update error', { error: error.message, stack: error.stack, name: req.params.name });
+    res.status(500).json({ error: 'Internal server error', code: 'SENSOR_TYPE_UPDATE_ERROR' });
+  }
+});
+
+// Removes the stored definition; a built-in or file type it overrode comes back
+router.delete('/:name', async (req, res) => {
+  try {
+    const result = await sensorTypes.deleteType(req.params.name);
+    if (!result.ok) return sendSensorTypeError(res, result.code);
+
+    auditLog.record('sensor_type_deleted', { principal: req.principal, req, resource: { sensorType: req.params.name } });
+    res.json({ deleted: true, sensorType: result.sensorType });
+  } catch (error) {
+    logger.error('Sensor type deletion error', { error: error.message, stack: error.stack, name: req.params.name });
+    res.status(500).json({ error: 'Internal server error', code: 'SENSOR_TYPE_DELETE_ERROR' });
+  }
+});
+
+module.exports = router;
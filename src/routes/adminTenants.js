@@ -0,0 +1,69 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const auditLog = require('../services/auditLog');
+const tenants = require('../services/tenants');
+const limits = require('../services/limits');
+
+const router = express.Router();
+router.use(authorize('tenants:manage'));
+
+// 0 removes the tenant's own limit (the TENANT_* default applies)
+const updateTenantSchema = Joi.object({
+  name: Joi.string().max(128).optional(),
+  isEnabled: Joi.boolean().optional(),
+  ingestRateLimitMax: Joi.number().integer().min(0).optional(),
+  maxDevices: Joi.number().integer().min(0).optional(),
+  maxReadingsPerDay: Joi.number().integer().min(0).optional(),
+  deviceMaxReadingsPerDay: Joi.number().integer().min(0).optional()
+}).min(1);
+
+const withUsage = async (tenant) => ({ ...tenant, usage: await limits.getUsage(tenant) });
+
+// Tenants are provisioned with `npm run bootstrap:appwrite -- --tenant <id>`
+router.get('/', async (req, res) => {
+  try {
+    const list = await tenants.listTenants();
+    res.json({ tenants: await Promise.all(list.map(withUsage)) });
+  } catch (error) {
+    logger.error('Tenant listing error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'TENANT_LIST_ERROR' });
+  }
+});
+
+router.get('/:tenantId', async (req, res) => {
+  try {
+    const tenant = await tenants.getTenant(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found', code: 'TENANT_NOT_FOUND' });
+    }
+    res.json({ tenant: await withUsage(tenant) });
+  } catch (error) {
+    logger.error('Tenant lookup error', { error: error.message, stack: error.stack, tenantId: req.params.tenantId });
+    res.status(500).json({ error: 'Internal server error', code: 'TENANT_LOOKUP_ERROR' });
+  }
+});
+
+// Limits and enable/disable; a disabled tenant's devices and users are rejected
+router.patch('/:tenantId', async (req, res) => {
+  try {
+    const { error, value } = updateTenantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid tenant data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const tenant = await tenants.updateTenant(req.params.tenantId, value);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found', code: 'TENANT_NOT_FOUND' });
+    }
+
+    auditLog.record('tenant_updated', { principal: req.principal, req, resource: { tenantId: tenant.id }, details: { fields: Object.keys(value) } });
+    res.json({ tenant: await withUsage(tenant) });
+  } catch (error) {
+    logger.error('Tenant update error', { error: error.message, stack: error.stack, tenantId: req.params.tenantId });
+    res.status(500).json({ error: 'Internal server error', code: 'TENANT_UPDATE_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const { ROLES } = require('../services/accessControl');
+const auditLog = require('../services/auditLog');
+const users = require('../services/users');
+
+const router = express.Router();
+router.use(authorize('users:manage'));
+
+const scopeSchema = Joi.array().items(Joi.string().max(256)).max(100);
+
+const createUserSchema = Joi.object({
+  email: Joi.string().email().max(256).required(),
+  password: Joi.string().min(10).max(256).required(),
+  name: Joi.string().max(128).optional(),
+  role: Joi.string().valid(...ROLES).required(),
+  scopeLocations: scopeSchema.optional(),
+  scopeDevices: scopeSchema.optional()
+});
+
+const updateUserSchema = Joi.object({
+  password: Joi.string().min(10).max(256).optional(),
+  name: Joi.string().max(128).optional(),
+  role: Joi.string().valid(...ROLES).optional(),
+  scopeLocations: scopeSchema.optional(),
+  scopeDevices: scopeSchema.optional(),
+  isEnabled: Joi.boolean().optional()
+}).min(1);
+
+const listUsersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid user data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const user = await users.createUser(value);
+    if (!user) {
+      return res.status(409).json({ error: 'User already exists', code: 'USER_EXISTS' });
+    }
+
+    auditLog.record('user_created', { principal: req.principal, req, resource: { userId: user.id }, details: { role: user.role } });
+    res.status(201).json({ user });
+  } catch (error) {
+    logger.error('User creation error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'USER_CREATION_ERROR' });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = listUsersSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json(await users.listUsers(value));
+  } catch (error) {
+    logger.error('User listing error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'USER_LIST_ERROR' });
+  }
+});
+
+router.get('/:userId', async (req, res) => {
+  try {
+    const user = await users.getUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+    res.json({ user });
+  } catch (error) {
+    logger.error('User lookup error', { error: error.message, stack: error.stack, userId: req.params.userId });
+    res.status(500).json({ error: 'Internal server error', code: 'USER_LOOKUP_ERROR' });
+  }
+});
+
+// Role, scopes, password reset or disable; changes apply on the user's next request
+router.patch('/:userId', async (req, res) => {
+  try {
+    const { error, value } = updateUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid user data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const user = await users.updateUser(req.params.userId, value);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+
+    auditLog.record('user_updated', { principal: req.principal, req, resource: { userId: user.id }, details: { fields: Object.keys(value) } });
+    res.json({ user });
+  } catch (error) {
+    logger.error('User update error', { error: error.message, stack: error.stack, userId: req.params.userId });
+    res.status(500).json({ error: 'Internal server error', code: 'USER_UPDATE_ERROR' });
+  }
+});
+
+router.delete('/:userId', async (req, res) => {
+  try {
+    const deleted = await users.deleteUser(req.params.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+
+    auditLog.record('user_deleted', { principal: req.principal, req, resource: { userId: req.params.userId } });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('User deletion error', { error: error.message, stack: error.stack, userId: req.params.userId });
+    res.status(500).json({ error: 'Internal server error', code: 'USER_DELETION_ERROR' });
+  }
+});
+
+module.exports = router;
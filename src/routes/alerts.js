@@ -0,0 +1,125 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const accessControl = require('../services/accessControl');
+const deviceRegistry = require('../services/deviceRegistry');
+const alerts = require('../services/alerts');
+const notifier = require('../services/notifier');
+
+const router = express.Router();
+
+// Scope resource of an alert: its device and the location of the reading (or of the device)
+const alertResource = async (alert) => {
+  let location = alert.metadata && alert.metadata.location;
+  if (!location) {
+    const device = await deviceRegistry.getDevice(alert.deviceId);
+    location = device ? device.location : null;
+  }
+  return { deviceId: alert.deviceId, location };
+};
+
+// Unknown alerts fall through to the handler's 404
+const alertFromParam = async (req) => {
+  const alert = await alerts.getAlert(req.params.alertId);
+  return alert ? alertResource(alert) : null;
+};
+
+const listAlertsSchema = Joi.object({
+  status: Joi.string().valid('open', 'acknowledged', 'resolved').optional(),
+  deviceId: Joi.string().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  cursor: Joi.string().optional()
+});
+
+const acknowledgeSchema = Joi.object({
+  acknowledgedBy: Joi.string().max(128).optional(),
+  note: Joi.string().max(1024).optional()
+});
+
+const ALERT_ERRORS = {
+  ALERT_NOT_FOUND: { status: 404, error: 'Alert not found' },
+  ALERT_RESOLVED: { status: 409, error: 'Alert is already resolved' }
+};
+
+const sendAlertError = (res, code) => {
+  const { status, error } = ALERT_ERRORS[code];
+  res.status(status).json({ error, code });
+};
+
+// List alerts, newest first
+router.get('/', authorize('alerts:read'), async (req, res) => {
+  try {
+    const { error, value } = listAlertsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await alerts.listAlerts(value);
+    if (!accessControl.isUnscoped(req.principal)) {
+      const resources = await Promise.all(result.alerts.map(alertResource));
+      result.alerts = result.alerts.filter((alert, i) => accessControl.inScope(req.principal, resources[i]));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Alert list error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'ALERT_LIST_ERROR' });
+  }
+});
+
+router.get('/:alertId', authorize('alerts:read', alertFromParam), async (req, res) => {
+  try {
+    const alert = await alerts.getAlert(req.params.alertId);
+    if (!alert) return sendAlertError(res, 'ALERT_NOT_FOUND');
+    res.json({ alert });
+  } catch (error) {
+    logger.error('Alert lookup error', { error: error.message, stack: error.stack, alertId: req.params.alertId });
+    res.status(500).json({ error: 'Internal server error', code: 'ALERT_LOOKUP_ERROR' });
+  }
+});
+
+// Every notification attempt (sent, failed, deferred, skipped) for the alert
+router.get('/:alertId/deliveries', authorize('alerts:read', alertFromParam), async (req, res) => {
+  try {
+    const alert = await alerts.getAlert(req.params.alertId);
+    if (!alert) return sendAlertError(res, 'ALERT_NOT_FOUND');
+    res.json({ alertId: alert.id, deliveries: await notifier.listDeliveries(alert.id) });
+  } catch (error) {
+    logger.error('Alert deliveries lookup error', { error: error.message, stack: error.stack, alertId: req.params.alertId });
+    res.status(500).json({ error: 'Internal server error', code: 'ALERT_DELIVERIES_ERROR' });
+  }
+});
+
+// Acknowledging stops retries and escalation; the alert stays active until resolved
+router.post('/:alertId/acknowledge', authorize('alerts:write', alertFromParam), async (req, res) => {
+  try {
+    const { error, value } = acknowledgeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: 'Invalid acknowledgement', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await alerts.acknowledge(req.params.alertId, { acknowledgedBy: req.principal.name, ...value });
+    if (!result.ok) return sendAlertError(res, result.code);
+
+    logger.info('Alert acknowledged', { alertId: req.params.alertId, principal: req.principal.id, ip: req.ip });
+    res.json({ alert: result.alert });
+  } catch (error) {
+    logger.error('Alert acknowledge error', { error: error.message, stack: error.stack, alertId: req.params.alertId });
+    res.status(500).json({ error: 'Internal server error', code: 'ALERT_ACKNOWLEDGE_ERROR' });
+  }
+});
+
+router.post('/:alertId/resolve', authorize('alerts:write', alertFromParam), async (req, res) => {
+  try {
+    const result = await alerts.resolveById(req.params.alertId);
+    if (!result.ok) return sendAlertError(res, result.code);
+
+    logger.info('Alert resolved', { alertId: req.params.alertId, principal: req.principal.id, ip: req.ip });
+    res.json({ alert: result.alert });
+  } catch (error) {
+    logger.error('Alert resolve error', { error: error.message, stack: error.stack, alertId: req.params.alertId });
+    res.status(500).json({ error: 'Internal server error', code: 'ALERT_RESOLVE_ERROR' });
+  }
+});
+
+module.exports = router;
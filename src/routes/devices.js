@@ -0,0 +1,188 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize, deviceFromParam } = require('../middleware/authorize');
+const { authenticateToken } = require('../middleware/deviceAuth');
+const readingsQuery = require('../services/readingsQuery');
+const devicePresence = require('../services/devicePresence');
+const deviceConfig = require('../services/deviceConfig');
+const deviceCommands = require('../services/deviceCommands');
+
+const router = express.Router();
+
+// `from` cannot be in the future: the range would always come back empty
+const fromUntilNow = Joi.date().iso().max('now').optional();
+
+// `to` must follow `from` only when `from` is given (a ref to a missing key rejects any date)
+const toAfterFrom = Joi.when('from', { is: Joi.exist(), then: Joi.date().iso().greater(Joi.ref('from')), otherwise: Joi.date().iso() });
+
+const readingsQuerySchema = Joi.object({
+  sensorType: Joi.string().max(64).optional(),
+  from: fromUntilNow,
+  to: toAfterFrom,
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  cursor: Joi.string().optional(),
+  order: Joi.string().valid('asc', 'desc').default('desc')
+});
+
+const aggregateQuerySchema = Joi.object({
+  sensorType: Joi.string().max(64).required(),
+  interval: Joi.string().valid(...Object.keys(readingsQuery.INTERVALS)).required(),
+  from: fromUntilNow,
+  to: toAfterFrom
+});
+
+const heartbeatSchema = Joi.object({
+  batteryLevel: Joi.number().min(0).max(100).optional(),
+  firmwareVersion: Joi.string().max(64).optional(),
+  rssi: Joi.number().integer().min(-150).max(0).optional(),
+  uptimeSeconds: Joi.number().integer().min(0).optional()
+});
+
+// Device heartbeat: marks the device online and stores its health fields
+router.post('/heartbeat', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = heartbeatSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid heartbeat data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const device = await devicePresence.recordHeartbeat(req.deviceId, value);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    res.json({ success: true, device });
+  } catch (error) {
+    logger.error('Heartbeat error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'HEARTBEAT_ERROR' });
+  }
+});
+
+const configReportSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  status: Joi.string().valid('applied', 'rejected').required(),
+  error: Joi.string().max(1024).optional(),
+  config: deviceConfig.configSchema.optional()
+});
+
+const pollCommandsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const commandAckSchema = Joi.object({
+  status: Joi.string().valid('succeeded', 'failed').required(),
+  result: Joi.object().optional(),
+  error: Joi.string().max(1024).optional()
+});
+
+// Desired configuration for the authenticated device; 304 when If-None-Match matches the version
+router.get('/config', authenticateToken, async (req, res) => {
+  try {
+    const config = await deviceConfig.getConfig(req.deviceId);
+    const etag = deviceConfig.etagFor(config.version);
+    res.set('ETag', etag);
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    res.json({ version: config.version, config: config.config });
+  } catch (error) {
+    logger.error('Device config fetch error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'CONFIG_FETCH_ERROR' });
+  }
+});
+
+// The device reports which config version it applied (or why it rejected it)
+router.post('/config/report', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = configReportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid config report', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await deviceConfig.reportApplied(req.deviceId, value);
+    if (!result.ok) {
+      return result.code === 'CONFIG_NOT_FOUND'
+        ? res.status(404).json({ error: 'No config set for this device', code: result.code })
+        : res.status(409).json({ error: 'Reported version is newer than the desired config', code: result.code });
+    }
+    res.json({ success: true, desiredVersion: result.config.version });
+  } catch (error) {
+    logger.error('Device config report error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'CONFIG_REPORT_ERROR' });
+  }
+});
+
+// Pending commands for the authenticated device, oldest first
+router.get('/commands', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = pollCommandsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    res.json({ commands: await deviceCommands.poll(req.deviceId, value) });
+  } catch (error) {
+    logger.error('Device command poll error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'COMMAND_POLL_ERROR' });
+  }
+});
+
+router.post('/commands/:commandId/ack', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = commandAckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid command acknowledgement', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await deviceCommands.acknowledge(req.deviceId, req.params.commandId, value);
+    if (!result.ok) {
+      return result.code === 'COMMAND_NOT_FOUND'
+        ? res.status(404).json({ error: 'Command not found', code: result.code })
+        : res.status(409).json({ error: 'Command is no longer open', code: result.code });
+    }
+    res.json({ success: true, command: { id: result.command.id, status: result.command.status } });
+  } catch (error) {
+    logger.error('Device command ack error', { error: error.message, stack: error.stack, deviceId: req.deviceId, commandId: req.params.commandId });
+    res.status(500).json({ error: 'Internal server error', code: 'COMMAND_ACK_ERROR' });
+  }
+});
+
+// Raw readings, newest first by default, with cursor pagination
+router.get('/:deviceId/readings', authorize('readings:read', deviceFromParam), async (req, res) => {
+  try {
+    const { error, value } = readingsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await readingsQuery.listReadings({ deviceId: req.params.deviceId, ...value });
+    res.json(result);
+  } catch (error) {
+    logger.error('Readings query error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'READINGS_QUERY_ERROR' });
+  }
+});
+
+// Aggregated buckets (min/max/avg/count) for charts; defaults to the last 24h
+router.get('/:deviceId/readings/aggregate', authorize('readings:read', deviceFromParam), async (req, res) => {
+  try {
+    const { error, value } = aggregateQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - readingsQuery.INTERVALS['1d']);
+    if (readingsQuery.bucketCount(from, to, value.interval) > readingsQuery.MAX_BUCKETS) {
+      return res.status(400).json({ error: `Time range too large for interval ${value.interval}`, code: 'RANGE_TOO_LARGE' });
+    }
+
+    const result = await readingsQuery.aggregateReadings({ deviceId: req.params.deviceId, sensorType: value.sensorType, interval: value.interval, from, to });
+    res.json({ deviceId: req.params.deviceId, sensorType: value.sensorType, from: from.toISOString(), to: to.toISOString(), ...result });
+  } catch (error) {
+    logger.error('Readings aggregation error', { error: error.message, stack: error.stack, deviceId: req.params.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'READINGS_AGGREGATION_ERROR' });
+  }
+});
+
+module.exports = router;
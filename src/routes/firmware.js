@@ -0,0 +1,84 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authenticateToken } = require('../middleware/deviceAuth');
+const deviceRegistry = require('../services/deviceRegistry');
+const firmware = require('../services/firmware');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+const reportSchema = Joi.object({
+  version: Joi.string().max(32).required(),
+  status: Joi.string().valid('success', 'failed').required(),
+  error: Joi.string().max(1024).optional()
+});
+
+const REPORT_ERRORS = {
+  DEVICE_NOT_FOUND: 'Device not found',
+  RELEASE_NOT_FOUND: 'Firmware release not found',
+  UPDATE_NOT_FOUND: 'No update was offered for this version'
+};
+
+// ESPhttpUpdate endpoint: ESPhttpUpdate.setAuthorization("Bearer <token>") and
+// ESPhttpUpdate.update(client, url, currentVersion). 304 when there is nothing to install.
+router.get('/update', async (req, res) => {
+  try {
+    const currentVersion = req.get('x-ESP8266-version') || null;
+    const mode = req.get('x-ESP8266-mode');
+    const device = await deviceRegistry.getDevice(req.deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    if (currentVersion) await firmware.confirmVersion(req.deviceId, currentVersion);
+
+    // Solo se distribuyen imágenes de sketch (no SPIFFS/LittleFS)
+    if (mode && mode !== 'sketch') return res.status(304).end();
+
+    const release = await firmware.findUpdateFor(device, currentVersion || device.firmwareVersion);
+    if (!release || req.get('x-ESP8266-sketch-md5') === release.md5) {
+      return res.status(304).end();
+    }
+
+    const freeSpace = parseInt(req.get('x-ESP8266-free-space'), 10);
+    if (Number.isInteger(freeSpace) && release.size > freeSpace) {
+      logger.warn('Firmware too large for device', { deviceId: req.deviceId, releaseId: release.id, size: release.size, freeSpace });
+      return res.status(304).end();
+    }
+
+    const binary = await firmware.downloadBinary(release);
+    await firmware.recordOffer(req.deviceId, release, currentVersion || device.firmwareVersion);
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename=${release.fileName}`,
+      'x-MD5': release.md5
+    });
+    res.send(binary);
+  } catch (error) {
+    logger.error('Firmware update check error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_UPDATE_ERROR' });
+  }
+});
+
+// Result reported by the device after trying to install `version`
+router.post('/report', async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid update report', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await firmware.reportResult(req.deviceId, value);
+    if (!result.ok) {
+      return res.status(404).json({ error: REPORT_ERRORS[result.code], code: result.code });
+    }
+    res.json({ success: true, update: result.update });
+  } catch (error) {
+    logger.error('Firmware report error', { error: error.message, stack: error.stack, deviceId: req.deviceId });
+    res.status(500).json({ error: 'Internal server error', code: 'FIRMWARE_REPORT_ERROR' });
+  }
+});
+
+module.exports = router;
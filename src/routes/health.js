@@ -0,0 +1,82 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { backend, databases, platformDatabaseId } = require('../utils/appwrite');
+const ingestQueue = require('../services/ingestQueue');
+const { version } = require('../../package.json');
+
+const router = express.Router();
+
+const startedAt = new Date();
+
+const readyTimeoutMs = () => parseInt(process.env.HEALTH_READY_TIMEOUT_MS || '3000');
+const readyCacheMs = () => parseInt(process.env.HEALTH_READY_CACHE_MS || '5000');
+
+// Último resultado de la comprobación de Appwrite; se reutiliza durante HEALTH_READY_CACHE_MS
+// para que sondas frecuentes (o varias réplicas del balanceador) no multipliquen las llamadas
+let lastCheck = null;
+let pendingCheck = null;
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  timer.unref();
+  promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+const checkAppwrite = async () => {
+  const started = Date.now();
+  try {
+    await withTimeout(databases.get(platformDatabaseId()), readyTimeoutMs());
+    return { ok: true, latencyMs: Date.now() - started, checkedAt: new Date().toISOString() };
+  } catch (err) {
+    logger.warn('Readiness check failed', { error: err.message, code: err.code });
+    return { ok: false, latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), error: err.message };
+  }
+};
+
+const appwriteStatus = async () => {
+  if (lastCheck && Date.now() - lastCheck.at < readyCacheMs()) return lastCheck.result;
+  if (!pendingCheck) {
+    pendingCheck = checkAppwrite().then((result) => {
+      lastCheck = { result, at: Date.now() };
+      pendingCheck = null;
+      return result;
+    });
+  }
+  return pendingCheck;
+};
+
+const queueSummary = () => {
+  const { depth, deadLetters, oldestAgeMs } = ingestQueue.getStats();
+  return { depth, deadLetters, oldestAgeMs };
+};
+
+// General status: version, uptime and the last known Appwrite check (no new calls)
+router.get('/', (req, res) => {
+  const appwrite = lastCheck ? lastCheck.result : null;
+  res.json({
+    status: appwrite && !appwrite.ok ? 'degraded' : 'healthy',
+    timestamp: new Date().toISOString(),
+    version,
+    storage: backend.name,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: { appwrite, ingestQueue: queueSummary() }
+  });
+});
+
+// Liveness: the process answers; never depends on external services
+router.get('/live', (req, res) => {
+  res.json({ status: 'alive', timestamp: new Date().toISOString() });
+});
+
+// Readiness: 503 while Appwrite is unreachable so the load balancer stops routing here
+router.get('/ready', async (req, res) => {
+  const appwrite = await appwriteStatus();
+  res.status(appwrite.ok ? 200 : 503).json({
+    status: appwrite.ok ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks: { appwrite }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { authorize, locationFromParam } = require('../middleware/authorize');
+const leakPrediction = require('../services/leakPrediction');
+
+const router = express.Router();
+// Latest stored leak prediction for a location (computed by the scheduler or POST)
+router.get('/:location/leak-risk', authorize('locations:read', locationFromParam), async (req, res) => {
+  try {
+    const prediction = await leakPrediction.getLatestPrediction(req.params.location);
+    if (!prediction) {
+      return res.status(404).json({ error: 'No leak prediction for this location yet', code: 'LEAK_PREDICTION_NOT_FOUND' });
+    }
+
+    res.json({ prediction });
+  } catch (error) {
+    logger.error('Leak risk lookup error', { error: error.message, stack: error.stack, location: req.params.location });
+    res.status(500).json({ error: 'Internal server error', code: 'LEAK_RISK_ERROR' });
+  }
+});
+
+// Computes and stores a new leak prediction (scans the last readings of the location)
+router.post('/:location/leak-risk', authorize('locations:write', locationFromParam), async (req, res) => {
+  try {
+    const prediction = await leakPrediction.predictLocation(req.params.location);
+    res.status(201).json({ prediction });
+  } catch (error) {
+    logger.error('Leak risk computation error', { error: error.message, stack: error.stack, location: req.params.location });
+    res.status(500).json({ error: 'Internal server error', code: 'LEAK_RISK_ERROR' });
+  }
+});
+
+module.exports = router;
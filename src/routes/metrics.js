@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const ingestQueue = require('../services/ingestQueue');
+
+const router = express.Router();
+
+metrics.registerGauge('aquaguard_ingest_queue_depth', 'Readings waiting in the local ingest queue', () => ingestQueue.getStats().depth);
+metrics.registerGauge('aquaguard_ingest_queue_oldest_age_seconds', 'Age of the oldest reading waiting in the local ingest queue (0 if empty)', () => ingestQueue.getStats().oldestAgeMs / 1000);
+metrics.registerGauge('aquaguard_ingest_queue_dead_letters', 'Readings in the ingest queue dead-letter list', () => ingestQueue.getStats().deadLetters);
+
+// El scraper tiene que enviar Authorization: Bearer <METRICS_TOKEN>. Las métricas llevan IDs de
+// dispositivo y tenant, así que sin token no se sirven salvo METRICS_PUBLIC=true (desarrollo local)
+const matchesToken = (provided) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!provided) return false;
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Prometheus text exposition format
+router.get('/', async (req, res) => {
+  if (!process.env.METRICS_TOKEN) {
+    if (process.env.METRICS_PUBLIC !== 'true') {
+      return res.status(503).json({ error: 'Metrics are disabled until METRICS_TOKEN is set', code: 'METRICS_TOKEN_NOT_SET' });
+    }
+  } else {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!matchesToken(token)) {
+      return res.status(401).json({ error: 'Metrics token required', code: 'INVALID_METRICS_TOKEN' });
+    }
+  }
+
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Metrics collection error', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Internal server error', code: 'METRICS_ERROR' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const deviceRegistry = require('../services/deviceRegistry');
+const readingsExport = require('../services/readingsExport');
+
+const router = express.Router();
+
+const exportQuerySchema = Joi.object({
+  deviceId: Joi.string().max(128).optional(),
+  location: Joi.string().max(256).optional(),
+  sensorType: Joi.string().max(64).optional(),
+  from: Joi.date().iso().max('now').optional(),
+  to: Joi.when('from', { is: Joi.exist(), then: Joi.date().iso().greater(Joi.ref('from')), otherwise: Joi.date().iso() }),
+  format: Joi.string().valid(...Object.keys(readingsExport.FORMATS)).default('csv'),
+  interval: Joi.string().valid(...readingsExport.EXPORT_INTERVALS).default('raw')
+}).or('deviceId', 'location', 'from');
+
+// Scoped principals can export their devices or locations, never the whole tenant
+const exportResource = async (req) => {
+  const { deviceId, location } = req.query;
+  if (typeof deviceId === 'string') {
+    const device = await deviceRegistry.getDevice(deviceId);
+    return { deviceId, location: device ? device.location : null };
+  }
+  return { location: typeof location === 'string' ? location : null };
+};
+
+// Streams stored readings (or hourly/daily rollups) for a device, location or time range as CSV, NDJSON or Parquet
+router.get('/export', authorize('readings:read', exportResource), async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid query parameters', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+  }
+
+  const { format, interval, ...filters } = value;
+  const { contentType, extension } = readingsExport.FORMATS[format];
+  const name = ['readings', interval !== 'raw' ? interval : null, filters.deviceId || filters.location, new Date().toISOString().slice(0, 10)]
+    .filter(Boolean).join('-').replace(/[^a-zA-Z0-9._-]/g, '_');
+
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+
+  try {
+    const rows = await readingsExport.writeExport(filters, { format, interval }, res);
+    logger.info('Readings exported', { ...filters, format, interval, rows, principal: req.principal.id });
+  } catch (error) {
+    logger.error('Readings export error', { error: error.message, stack: error.stack, ...filters, format, interval });
+    // Con la respuesta ya empezada no se puede enviar un error JSON: se corta para que el cliente lo note
+    if (!res.headersSent) {
+      res.set('Content-Type', 'application/json');
+      res.set('Content-Disposition', 'inline');
+      return res.status(500).json({ error: 'Internal server error', code: 'READINGS_EXPORT_ERROR' });
+    }
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
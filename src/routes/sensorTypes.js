@@ -0,0 +1,21 @@
+const express = require('express');
+const sensorTypes = require('../services/sensorTypes');
+
+const router = express.Router();
+
+// Sensor types accepted on ingest, with units, valid ranges and precision (public, no credentials)
+router.get('/', (req, res) => {
+  res.json({ sensorTypes: sensorTypes.listTypes().map(({ source, ...type }) => type) });
+});
+
+router.get('/:name', (req, res) => {
+  const type = sensorTypes.getType(req.params.name);
+  if (!type) {
+    return res.status(404).json({ error: 'Sensor type not found', code: 'SENSOR_TYPE_NOT_FOUND' });
+  }
+
+  const { source, ...publicType } = type;
+  res.json({ sensorType: publicType });
+});
+
+module.exports = router;
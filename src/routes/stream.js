@@ -0,0 +1,110 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authorize } = require('../middleware/authorize');
+const accessControl = require('../services/accessControl');
+const tenants = require('../services/tenants');
+const eventBus = require('../services/eventBus');
+
+const router = express.Router();
+
+// Subscriber tokens are independent from device tokens (own audience and, optionally, own secret)
+const STREAM_AUDIENCE = 'aquaguard-stream';
+const streamSecret = () => process.env.STREAM_JWT_SECRET || process.env.JWT_SECRET;
+
+const streamTokenSchema = Joi.object({
+  subscriber: Joi.string().required().min(1).max(100)
+});
+
+const filterList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null);
+
+const matchesFilters = (event, filters) => {
+  const data = event.data || {};
+  const location = data.location || (data.metadata && data.metadata.location);
+  if (filters.deviceId && !filters.deviceId.includes(data.deviceId)) return false;
+  if (filters.sensorType && !filters.sensorType.includes(data.sensorType)) return false;
+  if (filters.location && !filters.location.includes(location)) return false;
+  return true;
+};
+
+// Tokens issued before tenants existed belong to the default tenant
+const inPrincipalScope = (principal, event) => {
+  if ((principal.tenantId || tenants.DEFAULT_TENANT_ID) !== event.tenantId) return false;
+  const data = event.data || {};
+  return accessControl.inScope(principal, { deviceId: data.deviceId, location: data.location || (data.metadata && data.metadata.location) });
+};
+
+const authenticateSubscriber = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Subscriber token required', code: 'MISSING_TOKEN' });
+  }
+
+  jwt.verify(token, streamSecret(), { audience: STREAM_AUDIENCE }, (err, decoded) => {
+    if (err || decoded.type !== 'subscriber') {
+      logger.warn('Invalid subscriber token attempt', { ip: req.ip, error: err ? err.message : 'wrong token type' });
+      return res.status(403).json({ error: 'Invalid or expired subscriber token', code: 'INVALID_TOKEN' });
+    }
+
+    req.subscriber = decoded.sub;
+    req.principal = { type: 'subscriber', id: decoded.sub, role: 'viewer', tenantId: decoded.tenantId, scopes: decoded.scopes || null };
+    next();
+  });
+};
+
+// Issue a subscriber token; it inherits the caller's tenant and location/device scopes
+router.post('/token', authorize('stream:subscribe'), (req, res) => {
+  const { error, value } = streamTokenSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid token request', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+  }
+
+  const expiresIn = process.env.STREAM_TOKEN_EXPIRES_IN || '12h';
+  const token = jwt.sign({ type: 'subscriber', tenantId: req.tenant.id, scopes: req.principal.scopes || null }, streamSecret(), { subject: value.subscriber, audience: STREAM_AUDIENCE, expiresIn });
+
+  logger.info('Stream token generated', { subscriber: value.subscriber, principal: req.principal.id, ip: req.ip });
+  res.json({ token, expiresIn, tokenType: 'Bearer' });
+});
+
+// Server-Sent Events: events `reading` and `alert`, filters ?deviceId=&location=&sensorType= (comma separated)
+router.get('/', authenticateSubscriber, (req, res) => {
+  const filters = {
+    deviceId: filterList(req.query.deviceId),
+    location: filterList(req.query.location),
+    sensorType: filterList(req.query.sensorType)
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!matchesFilters(event, filters) || !inPrincipalScope(req.principal, event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  res.write(`retry: ${parseInt(process.env.STREAM_RETRY_MS || '5000')}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) eventBus.replaySince(lastEventId).forEach(send);
+
+  const unsubscribe = eventBus.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), parseInt(process.env.STREAM_HEARTBEAT_MS || '15000'));
+
+  logger.info('Stream subscriber connected', { subscriber: req.subscriber, ip: req.ip, filters });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('Stream subscriber disconnected', { subscriber: req.subscriber });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,399 @@
+const { collections, buckets } = require('../utils/appwrite');
+
+// Esquema esperado de Appwrite (declarativo). `npm run migrate` compara esto con el proyecto y crea
+// lo que falta; los cambios que Appwrite no puede aplicar en sitio (tipo, tamaño, array) se informan
+// como drift y necesitan una migración numerada (src/schema/migrations).
+//
+// Colección: { id, scope, attributes, indexes }
+// - scope 'tenant': en la base de datos de cada tenant (y en la principal, que es la del tenant por defecto)
+// - scope 'platform': solo en la base de datos principal (APPWRITE_DATABASE_ID)
+// Atributo: { key, type: string | integer | float | boolean | datetime, size, required, array, default, min, max }
+// Índice: { key, type: key | unique | fulltext, attributes, orders }
+
+const string = (key, size, options = {}) => ({ key, type: 'string', size, required: false, ...options });
+const integer = (key, options = {}) => ({ key, type: 'integer', required: false, ...options });
+const float = (key, options = {}) => ({ key, type: 'float', required: false, ...options });
+const boolean = (key, options = {}) => ({ key, type: 'boolean', required: false, ...options });
+const datetime = (key, options = {}) => ({ key, type: 'datetime', required: false, ...options });
+// Objetos serializados (utils/jsonAttribute): Appwrite no tiene atributos JSON
+const json = (key, size, options = {}) => string(key, size, options);
+
+const index = (key, attributes, orders = attributes.map(() => 'asc'), type = 'key') => ({ key, type, attributes, orders });
+
+const required = { required: true };
+
+const rollupCollection = (id) => ({
+  id,
+  scope: 'tenant',
+  attributes: [
+    string('deviceId', 128, required),
+    string('sensorType', 64, required),
+    string('location', 256),
+    string('unit', 16),
+    datetime('start', required),
+    float('min', required),
+    float('max', required),
+    float('sum', required),
+    integer('count', required),
+    float('avg'),
+    integer('anomalies'),
+    datetime('lastCreatedAt', required),
+    datetime('rolledUpAt')
+  ],
+  indexes: [
+    index('idx_device_sensor_start', ['deviceId', 'sensorType', 'start']),
+    index('idx_sensor_start', ['sensorType', 'start'])
+  ]
+});
+
+// Funciones: los IDs salen de las variables de entorno en el momento de migrar
+const schemaCollections = () => [
+  {
+    id: collections.sensorReadings(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('sensorType', 64, required),
+      float('value', required),
+      string('unit', 16),
+      datetime('timestamp'),
+      string('location', 256),
+      boolean('isAnomalous'),
+      datetime('ingestedAt'),
+      json('metadata', 8192),
+      string('messageId', 64),
+      float('rawValue'),
+      string('rawUnit', 16),
+      integer('calibrationVersion'),
+      float('compensationTemperature')
+    ],
+    indexes: [
+      index('idx_device_timestamp', ['deviceId', 'timestamp'], ['asc', 'desc']),
+      index('idx_sensorType', ['sensorType']),
+      // Consultas por dispositivo filtradas por sensorType y rango de tiempo
+      index('idx_device_sensor_timestamp', ['deviceId', 'sensorType', 'timestamp'], ['asc', 'asc', 'desc']),
+      // Predicción de fugas: lecturas por ubicación y rango de tiempo
+      index('idx_location_timestamp', ['location', 'sensorType', 'timestamp']),
+      // Retención (lecturas de un tipo por día) y exportación por rango de tiempo
+      index('idx_sensor_timestamp', ['sensorType', 'timestamp']),
+      index('idx_timestamp', ['timestamp'])
+    ]
+  },
+  {
+    id: collections.devices(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('serialNumber', 128),
+      string('name', 128),
+      string('location', 256),
+      string('macAddress', 64),
+      string('wifiSSID', 128),
+      boolean('isOnline'),
+      float('batteryLevel'),
+      string('firmwareVersion', 64),
+      string('deviceType', 64),
+      datetime('createdAt'),
+      datetime('lastSeen'),
+      string('secretHash', 256),
+      boolean('isEnabled'),
+      datetime('secretRotatedAt'),
+      integer('rssi'),
+      integer('uptimeSeconds'),
+      datetime('lastHeartbeatAt'),
+      string('cohort', 64),
+      datetime('quarantinedUntil'),
+      string('quarantineReason', 64)
+    ],
+    indexes: [
+      index('idx_deviceId', ['deviceId']),
+      // Watchdog: dispositivos online con lastSeen antiguo
+      index('idx_online_lastSeen', ['isOnline', 'lastSeen'])
+    ]
+  },
+  {
+    id: collections.alerts(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('type', 64, required),
+      string('severity', 32, required),
+      string('message', 1024),
+      datetime('timestamp', required),
+      json('metadata', 4096),
+      string('sensorType', 64),
+      string('status', 16),
+      datetime('resolvedAt'),
+      datetime('acknowledgedAt'),
+      string('acknowledgedBy', 128),
+      datetime('escalatedAt')
+    ],
+    indexes: [
+      index('idx_device_timestamp', ['deviceId', 'timestamp'], ['asc', 'desc']),
+      // Búsqueda de alertas abiertas por condición (supresión de duplicados)
+      index('idx_open_condition', ['deviceId', 'sensorType', 'type', 'status'])
+    ]
+  },
+  {
+    id: collections.leakPredictions(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceLocation', 256, required),
+      float('probability', required),
+      float('confidence', required),
+      datetime('timestamp', required),
+      json('contributingFactors', 4096)
+    ],
+    indexes: [
+      index('idx_location_timestamp', ['deviceLocation', 'timestamp'], ['asc', 'desc'])
+    ]
+  },
+  {
+    id: collections.notificationDeliveries(),
+    scope: 'tenant',
+    attributes: [
+      string('deliveryId', 64, required),
+      string('alertId', 64, required),
+      string('deviceId', 128),
+      string('channel', 64, required),
+      string('channelType', 16, required),
+      string('stage', 16, required),
+      integer('attempt', required),
+      string('status', 16, required),
+      string('error', 1024),
+      integer('responseCode'),
+      string('sentTo', 64, { array: true }),
+      string('pendingRecipients', 64, { array: true }),
+      datetime('attemptedAt', required),
+      datetime('nextAttemptAt'),
+      boolean('retryPending')
+    ],
+    indexes: [
+      index('idx_alert_attempted', ['alertId', 'attemptedAt']),
+      index('idx_retry_due', ['retryPending', 'nextAttemptAt'])
+    ]
+  },
+  {
+    id: collections.firmwareReleases(),
+    scope: 'tenant',
+    attributes: [
+      string('version', 32, required),
+      string('deviceType', 64, required),
+      string('fileId', 64, required),
+      string('fileName', 128, required),
+      integer('size', required),
+      string('md5', 32, required),
+      string('sha256', 64, required),
+      string('status', 16, required),
+      integer('rolloutPercent'),
+      string('cohorts', 64, { array: true }),
+      string('notes', 1024),
+      datetime('createdAt')
+    ],
+    indexes: [
+      index('idx_type_status', ['deviceType', 'status'])
+    ]
+  },
+  {
+    id: collections.firmwareUpdates(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('releaseId', 64, required),
+      string('fromVersion', 32),
+      string('toVersion', 32, required),
+      string('status', 16, required),
+      integer('failures'),
+      string('error', 1024),
+      datetime('offeredAt'),
+      datetime('reportedAt'),
+      datetime('confirmedAt')
+    ],
+    indexes: [
+      index('idx_device_version_status', ['deviceId', 'toVersion', 'status']),
+      index('idx_release_status', ['releaseId', 'status'])
+    ]
+  },
+  {
+    id: collections.deviceConfigs(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      integer('version', required),
+      string('config', 8192, required),
+      datetime('updatedAt'),
+      integer('reportedVersion'),
+      string('reportedStatus', 16),
+      string('reportedError', 1024),
+      string('reportedConfig', 8192),
+      datetime('reportedAt')
+    ],
+    indexes: []
+  },
+  {
+    id: collections.deviceCommands(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('type', 32, required),
+      string('params', 4096),
+      string('status', 16, required),
+      datetime('createdAt', required),
+      datetime('expiresAt', required),
+      datetime('deliveredAt'),
+      integer('deliveries'),
+      datetime('completedAt'),
+      string('result', 4096),
+      string('error', 1024)
+    ],
+    indexes: [
+      index('idx_device_status_created', ['deviceId', 'status', 'createdAt'])
+    ]
+  },
+  {
+    id: collections.users(),
+    scope: 'tenant',
+    attributes: [
+      string('email', 256, required),
+      string('name', 128),
+      string('passwordHash', 256, required),
+      string('role', 16, required),
+      string('scopeLocations', 256, { array: true }),
+      string('scopeDevices', 128, { array: true }),
+      boolean('isEnabled'),
+      datetime('createdAt'),
+      datetime('lastLoginAt')
+    ],
+    indexes: [
+      index('uniq_email', ['email'], ['asc'], 'unique')
+    ]
+  },
+  {
+    id: collections.apiKeys(),
+    scope: 'tenant',
+    attributes: [
+      string('name', 128, required),
+      string('keyHash', 256, required),
+      string('role', 16, required),
+      string('scopeLocations', 256, { array: true }),
+      string('scopeDevices', 128, { array: true }),
+      boolean('isEnabled'),
+      datetime('createdAt'),
+      datetime('lastUsedAt')
+    ],
+    indexes: []
+  },
+  {
+    id: collections.auditLog(),
+    scope: 'tenant',
+    attributes: [
+      string('event', 64, required),
+      string('principalType', 16),
+      string('principalId', 128),
+      string('role', 16),
+      string('permission', 64),
+      string('resource', 1024),
+      string('reason', 64),
+      string('details', 2048),
+      string('ip', 64),
+      string('method', 8),
+      string('path', 512),
+      datetime('at', required)
+    ],
+    indexes: [
+      index('idx_event_at', ['event', 'at'], ['asc', 'desc'])
+    ]
+  },
+  {
+    id: collections.calibrationProfiles(),
+    scope: 'tenant',
+    attributes: [
+      string('deviceId', 128, required),
+      string('sensorType', 64, required),
+      integer('version', required),
+      string('profile', 4096),
+      datetime('createdAt', required),
+      string('createdBy', 128)
+    ],
+    indexes: [
+      index('idx_device_sensor_version', ['deviceId', 'sensorType', 'version'], ['asc', 'asc', 'desc'])
+    ]
+  },
+  rollupCollection(collections.readingsHourly()),
+  rollupCollection(collections.readingsDaily()),
+  {
+    id: collections.tenants(),
+    scope: 'platform',
+    attributes: [
+      string('name', 128, required),
+      string('databaseId', 36, required),
+      boolean('isEnabled'),
+      integer('ingestRateLimitMax'),
+      integer('maxDevices'),
+      integer('maxReadingsPerDay'),
+      integer('deviceMaxReadingsPerDay'),
+      datetime('createdAt')
+    ],
+    indexes: []
+  },
+  {
+    // El ID de cada documento es el nombre del tipo
+    id: collections.sensorTypes(),
+    scope: 'platform',
+    attributes: [
+      string('label', 128),
+      string('canonicalUnit', 16, required),
+      string('units', 4096),
+      float('min', required),
+      float('max', required),
+      integer('precision', required),
+      integer('retentionDays'),
+      datetime('updatedAt')
+    ],
+    indexes: []
+  },
+  {
+    // Contadores de límites y cuotas compartidos entre instancias (LIMITS_STORE=appwrite, src/limits)
+    id: collections.limitCounters(),
+    scope: 'platform',
+    attributes: [
+      string('key', 256, required),
+      integer('count', required),
+      datetime('resetAt', required)
+    ],
+    indexes: [
+      index('idx_resetAt', ['resetAt'])
+    ]
+  }
+];
+
+// Registro de migraciones aplicadas, en cada base de datos (el ID del documento es el de la migración)
+const MIGRATIONS_COLLECTION = {
+  id: process.env.APPWRITE_SCHEMA_MIGRATIONS_COLLECTION_ID || 'schema_migrations',
+  scope: 'all',
+  attributes: [
+    string('name', 128, required),
+    datetime('appliedAt', required),
+    integer('durationMs')
+  ],
+  indexes: []
+};
+
+// Buckets de Storage (del proyecto, no de una base de datos)
+const schemaBuckets = () => [
+  {
+    id: buckets.firmware(),
+    fileSecurity: true,
+    enabled: true,
+    maximumFileSize: 8 * 1024 * 1024,
+    allowedFileExtensions: ['bin']
+  }
+];
+
+// Colecciones de una base de datos: la principal lleva también las de plataforma
+const collectionsFor = (scope) => [
+  ...schemaCollections().filter(c => c.scope === 'tenant' || (scope === 'platform' && c.scope === 'platform')),
+  MIGRATIONS_COLLECTION
+];
+
+module.exports = { schemaCollections, schemaBuckets, collectionsFor, MIGRATIONS_COLLECTION };
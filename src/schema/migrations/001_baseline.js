@@ -0,0 +1,6 @@
+// Punto de partida: el esquema declarativo de collections.js (que ya creó el diff antes de esta migración).
+// Las bases de datos creadas con el antiguo bootstrap quedan registradas igual que las nuevas.
+module.exports = {
+  description: 'Esquema declarativo inicial',
+  up: async () => {}
+};
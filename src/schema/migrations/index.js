@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migraciones numeradas: NNN_descripcion.js en este directorio, aplicadas en orden una sola vez por base
+// de datos (registro en schema_migrations). Cada módulo exporta:
+//   description: texto corto
+//   scope (opcional): 'platform' | 'tenant' | 'all' (por defecto 'all')
+//   up({ databases, storage, databaseId, scope, log }): cambios de datos o de esquema que el diff
+//     declarativo no puede hacer (cambiar el tipo de un atributo, rellenar un campo nuevo...)
+// No se edita una migración ya publicada: se añade otra.
+const FILE_PATTERN = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+const loadMigrations = (dir = __dirname) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .sort()
+    .map(file => ({ id: path.basename(file, '.js'), ...require(path.join(dir, file)) }));
+
+  const numbers = new Set();
+  for (const migration of migrations) {
+    const number = migration.id.slice(0, 3);
+    if (numbers.has(number)) throw new Error(`Migración duplicada con el número ${number}`);
+    if (typeof migration.up !== 'function' || !migration.description) throw new Error(`La migración ${migration.id} debe exportar description y up()`);
+    numbers.add(number);
+  }
+  return migrations;
+};
+
+module.exports = { loadMigrations };
@@ -0,0 +1,330 @@
+const { Query } = require('../utils/appwrite');
+const { collectionsFor, schemaBuckets, MIGRATIONS_COLLECTION } = require('./collections');
+const { loadMigrations } = require('./migrations');
+
+// Migrador del esquema de Appwrite. Compara el esquema declarado (collections.js) con el de una base de
+// datos y genera un plan de cambios:
+// - create_*: base de datos, colección, atributo, índice o bucket que falta
+// - update_attribute: required/default/min/max distintos (Appwrite los cambia en sitio)
+// - recreate_index: índice con otro tipo, atributos u orden (se borra y se vuelve a crear)
+// - drift: diferencias que Appwrite no puede aplicar en sitio (tipo, tamaño, array); necesitan una migración
+// - extra: atributos o índices que no están en el esquema (solo se informa, nunca se borran)
+// Después aplica las migraciones numeradas pendientes (migrations/) y las registra en schema_migrations.
+// Los clientes (databases, storage) se inyectan para poder probarlo contra un Appwrite simulado.
+const APPLIED_ACTIONS = ['create_database', 'create_collection', 'create_attribute', 'update_attribute', 'create_index', 'recreate_index', 'create_bucket', 'update_bucket'];
+
+const LIST_LIMIT = 100;
+
+// Appwrite devuelve los float como 'double'
+const LIVE_TYPES = { double: 'float' };
+
+const isNotFound = (err) => err && (err.code === 404 || err.response?.status === 404);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+const attributeDrift = (expected, live) => {
+  const reasons = [];
+  if (['failed', 'stuck'].includes(live.status)) reasons.push(`status ${live.status}`);
+  const liveType = LIVE_TYPES[live.type] || live.type;
+  if (liveType !== expected.type) reasons.push(`type ${liveType} -> ${expected.type}`);
+  if (expected.type === 'string' && live.size !== expected.size) reasons.push(`size ${live.size} -> ${expected.size}`);
+  if (Boolean(live.array) !== Boolean(expected.array)) reasons.push(`array ${Boolean(live.array)} -> ${Boolean(expected.array)}`);
+  return reasons;
+};
+
+const attributeChanges = (expected, live) => {
+  const reasons = [];
+  if (Boolean(live.required) !== Boolean(expected.required)) reasons.push(`required ${Boolean(live.required)} -> ${Boolean(expected.required)}`);
+  const liveDefault = live.default === undefined ? null : live.default;
+  const expectedDefault = expected.default === undefined ? null : expected.default;
+  if (liveDefault !== expectedDefault) reasons.push(`default ${liveDefault} -> ${expectedDefault}`);
+  // Sin min/max en el esquema, Appwrite usa los límites del tipo: solo se comparan si están declarados
+  if (expected.min !== undefined && live.min !== expected.min) reasons.push(`min ${live.min} -> ${expected.min}`);
+  if (expected.max !== undefined && live.max !== expected.max) reasons.push(`max ${live.max} -> ${expected.max}`);
+  return reasons;
+};
+
+const indexChanges = (expected, live) => {
+  const reasons = [];
+  if (live.type !== expected.type) reasons.push(`type ${live.type} -> ${expected.type}`);
+  if (!sameList(live.attributes, expected.attributes)) reasons.push(`attributes [${live.attributes}] -> [${expected.attributes}]`);
+  if (!sameList(live.orders, expected.orders)) reasons.push(`orders [${live.orders}] -> [${expected.orders}]`);
+  return reasons;
+};
+
+// Texto de un cambio del plan para el log y el modo --dry-run
+const describe = (change) => {
+  const target = change.bucketId
+    ? `bucket ${change.bucketId}`
+    : [change.databaseId, change.collectionId, change.key].filter(Boolean).join('.');
+  return change.reasons ? `${target} (${change.reasons.join(', ')})` : target;
+};
+
+const createMigrator = ({ databases, storage, log = () => {}, migrationsDir }) => {
+  const pollIntervalMs = () => parseInt(process.env.SCHEMA_POLL_INTERVAL_MS || '500');
+  const pollTimeoutMs = () => parseInt(process.env.SCHEMA_POLL_TIMEOUT_MS || '120000'); // 2m
+
+  const getOrNull = async (fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  };
+
+  // Appwrite crea atributos e índices en segundo plano: hay que esperar a 'available' antes de usarlos
+  const waitUntil = async (label, fetch, done) => {
+    const deadline = Date.now() + pollTimeoutMs();
+    for (;;) {
+      const current = await getOrNull(fetch);
+      if (done(current)) return current;
+      if (current && ['failed', 'stuck'].includes(current.status)) {
+        throw new Error(`${label} quedó en estado ${current.status}${current.error ? `: ${current.error}` : ''}`);
+      }
+      if (Date.now() > deadline) throw new Error(`${label} no está disponible tras ${pollTimeoutMs()} ms (estado ${current ? current.status : 'inexistente'})`);
+      await sleep(pollIntervalMs());
+    }
+  };
+
+  const waitForAttribute = (databaseId, collectionId, key) => waitUntil(
+    `Atributo ${collectionId}.${key}`,
+    () => databases.getAttribute(databaseId, collectionId, key),
+    (attr) => attr && attr.status === 'available'
+  );
+
+  const waitForIndex = (databaseId, collectionId, key) => waitUntil(
+    `Índice ${collectionId}.${key}`,
+    () => databases.getIndex(databaseId, collectionId, key),
+    (index) => index && index.status === 'available'
+  );
+
+  const waitForIndexDeleted = (databaseId, collectionId, key) => waitUntil(
+    `Índice ${collectionId}.${key}`,
+    () => databases.getIndex(databaseId, collectionId, key),
+    (index) => index === null
+  );
+
+  const diffCollection = async (databaseId, collection, exists) => {
+    const changes = [];
+    const base = { databaseId, collectionId: collection.id };
+
+    if (!exists) {
+      changes.push({ ...base, action: 'create_collection' });
+      collection.attributes.forEach(attr => changes.push({ ...base, action: 'create_attribute', key: attr.key, spec: attr }));
+      collection.indexes.forEach(index => changes.push({ ...base, action: 'create_index', key: index.key, spec: index }));
+      return changes;
+    }
+
+    const [liveAttributes, liveIndexes] = await Promise.all([
+      databases.listAttributes(databaseId, collection.id, [Query.limit(LIST_LIMIT)]),
+      databases.listIndexes(databaseId, collection.id, [Query.limit(LIST_LIMIT)])
+    ]);
+    const attributesByKey = new Map(liveAttributes.attributes.map(a => [a.key, a]));
+    const indexesByKey = new Map(liveIndexes.indexes.map(i => [i.key, i]));
+
+    for (const attr of collection.attributes) {
+      const live = attributesByKey.get(attr.key);
+      attributesByKey.delete(attr.key);
+      if (!live) {
+        changes.push({ ...base, action: 'create_attribute', key: attr.key, spec: attr });
+        continue;
+      }
+      const drift = attributeDrift(attr, live);
+      if (drift.length > 0) {
+        changes.push({ ...base, action: 'drift', key: attr.key, spec: attr, reasons: drift });
+        continue;
+      }
+      const reasons = attributeChanges(attr, live);
+      if (reasons.length > 0) changes.push({ ...base, action: 'update_attribute', key: attr.key, spec: attr, reasons });
+    }
+    for (const key of attributesByKey.keys()) changes.push({ ...base, action: 'extra', key, reasons: ['atributo fuera del esquema'] });
+
+    for (const index of collection.indexes) {
+      const live = indexesByKey.get(index.key);
+      indexesByKey.delete(index.key);
+      if (!live) {
+        changes.push({ ...base, action: 'create_index', key: index.key, spec: index });
+        continue;
+      }
+      const reasons = indexChanges(index, live);
+      if (reasons.length > 0) changes.push({ ...base, action: 'recreate_index', key: index.key, spec: index, reasons });
+    }
+    for (const key of indexesByKey.keys()) changes.push({ ...base, action: 'extra', key, reasons: ['índice fuera del esquema'] });
+
+    return changes;
+  };
+
+  // Plan de cambios de una base de datos. scope: 'platform' (base principal) o 'tenant'
+  const diffDatabase = async (databaseId, scope) => {
+    const database = await getOrNull(() => databases.get(databaseId));
+    const changes = database ? [] : [{ databaseId, action: 'create_database', scope }];
+
+    for (const collection of collectionsFor(scope)) {
+      const exists = database ? Boolean(await getOrNull(() => databases.getCollection(databaseId, collection.id))) : false;
+      changes.push(...await diffCollection(databaseId, collection, exists));
+    }
+    return changes;
+  };
+
+  const diffBuckets = async () => {
+    const changes = [];
+    for (const bucket of schemaBuckets()) {
+      const live = await getOrNull(() => storage.getBucket(bucket.id));
+      if (!live) {
+        changes.push({ bucketId: bucket.id, action: 'create_bucket', spec: bucket });
+        continue;
+      }
+      const reasons = [];
+      if (live.maximumFileSize !== bucket.maximumFileSize) reasons.push(`maximumFileSize ${live.maximumFileSize} -> ${bucket.maximumFileSize}`);
+      if (!sameList(live.allowedFileExtensions, bucket.allowedFileExtensions)) reasons.push(`allowedFileExtensions [${live.allowedFileExtensions}] -> [${bucket.allowedFileExtensions}]`);
+      if (reasons.length > 0) changes.push({ bucketId: bucket.id, action: 'update_bucket', spec: { ...bucket, name: live.name, permissions: live.$permissions }, reasons });
+    }
+    return changes;
+  };
+
+  const createAttribute = (databaseId, collectionId, attr) => {
+    const xdefault = attr.default === undefined ? undefined : attr.default;
+    switch (attr.type) {
+      case 'string':
+        return databases.createStringAttribute(databaseId, collectionId, attr.key, attr.size, attr.required, xdefault, attr.array);
+      case 'integer':
+        return databases.createIntegerAttribute(databaseId, collectionId, attr.key, attr.required, attr.min, attr.max, xdefault, attr.array);
+      case 'float':
+        return databases.createFloatAttribute(databaseId, collectionId, attr.key, attr.required, attr.min, attr.max, xdefault, attr.array);
+      case 'boolean':
+        return databases.createBooleanAttribute(databaseId, collectionId, attr.key, attr.required, xdefault, attr.array);
+      case 'datetime':
+        return databases.createDatetimeAttribute(databaseId, collectionId, attr.key, attr.required, xdefault, attr.array);
+      default:
+        throw new Error(`Tipo de atributo no soportado: ${attr.type}`);
+    }
+  };
+
+  const updateAttribute = async (databaseId, collectionId, attr) => {
+    const xdefault = attr.default === undefined ? null : attr.default;
+    switch (attr.type) {
+      case 'string':
+        return databases.updateStringAttribute(databaseId, collectionId, attr.key, attr.required, xdefault);
+      case 'integer':
+      case 'float': {
+        // Appwrite pide min y max en la actualización: sin declararlos se conservan los actuales
+        const live = await databases.getAttribute(databaseId, collectionId, attr.key);
+        const update = attr.type === 'integer' ? databases.updateIntegerAttribute : databases.updateFloatAttribute;
+        return update.call(databases, databaseId, collectionId, attr.key, attr.required, attr.min ?? live.min, attr.max ?? live.max, xdefault);
+      }
+      case 'boolean':
+        return databases.updateBooleanAttribute(databaseId, collectionId, attr.key, attr.required, xdefault);
+      case 'datetime':
+        return databases.updateDatetimeAttribute(databaseId, collectionId, attr.key, attr.required, xdefault);
+      default:
+        throw new Error(`Tipo de atributo no soportado: ${attr.type}`);
+    }
+  };
+
+  const applyChange = async (change) => {
+    const { databaseId, collectionId, key, spec } = change;
+    switch (change.action) {
+      case 'create_database':
+        return databases.create(databaseId, databaseId, change.scope === 'platform' ? 'AquaGuard Database' : `AquaGuard ${databaseId}`);
+      case 'create_collection':
+        return databases.createCollection(databaseId, collectionId, collectionId, [], true);
+      case 'create_attribute':
+        await createAttribute(databaseId, collectionId, spec);
+        return waitForAttribute(databaseId, collectionId, key);
+      case 'update_attribute':
+        await updateAttribute(databaseId, collectionId, spec);
+        return waitForAttribute(databaseId, collectionId, key);
+      case 'recreate_index':
+        await databases.deleteIndex(databaseId, collectionId, key);
+        await waitForIndexDeleted(databaseId, collectionId, key);
+        // fallthrough
+      case 'create_index':
+        await databases.createIndex(databaseId, collectionId, key, spec.type, spec.attributes, spec.orders);
+        return waitForIndex(databaseId, collectionId, key);
+      case 'create_bucket':
+        return storage.createBucket(spec.id, spec.id, [], spec.fileSecurity, spec.enabled, spec.maximumFileSize, spec.allowedFileExtensions);
+      case 'update_bucket':
+        return storage.updateBucket(spec.id, spec.name, spec.permissions, spec.fileSecurity, spec.enabled, spec.maximumFileSize, spec.allowedFileExtensions);
+      default:
+        return null;
+    }
+  };
+
+  // Aplica los cambios del plan en orden (los atributos de una colección antes que sus índices)
+  const applyPlan = async (changes) => {
+    let applied = 0;
+    for (const change of changes) {
+      if (!APPLIED_ACTIONS.includes(change.action)) continue;
+      log(`${change.action} ${describe(change)}`);
+      await applyChange(change);
+      applied += 1;
+    }
+    return applied;
+  };
+
+  const appliedMigrations = async (databaseId) => {
+    const ids = new Set();
+    let cursor = null;
+    for (;;) {
+      const queries = [Query.limit(LIST_LIMIT)];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const page = await getOrNull(() => databases.listDocuments(databaseId, MIGRATIONS_COLLECTION.id, queries));
+      if (!page) return ids;
+      page.documents.forEach(doc => ids.add(doc.$id));
+      if (page.documents.length < LIST_LIMIT) return ids;
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+  };
+
+  const pendingMigrations = async (databaseId, scope) => {
+    const applied = await appliedMigrations(databaseId);
+    return loadMigrations(migrationsDir).filter(m => !applied.has(m.id) && (!m.scope || m.scope === 'all' || m.scope === scope));
+  };
+
+  const runMigration = async (databaseId, scope, migration) => {
+    log(`migration ${migration.id} (${databaseId}): ${migration.description}`);
+    const startedAt = Date.now();
+    await migration.up({ databases, storage, databaseId, scope, log });
+    await databases.createDocument(databaseId, MIGRATIONS_COLLECTION.id, migration.id, {
+      name: migration.description.slice(0, 128),
+      appliedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt
+    });
+  };
+
+  // Deja una base de datos al día. Con dryRun solo calcula el plan.
+  // Resultado: { databaseId, scope, changes, pending, applied, migrated, drift } (drift: lo que sigue sin aplicar)
+  const migrate = async (databaseId, scope, { dryRun = false } = {}) => {
+    const changes = await diffDatabase(databaseId, scope);
+    const pending = await pendingMigrations(databaseId, scope);
+    const driftOf = (plan) => plan.filter(c => c.action === 'drift');
+    if (dryRun) return { databaseId, scope, changes, pending, applied: 0, migrated: 0, drift: driftOf(changes) };
+
+    let applied = await applyPlan(changes);
+    let remaining = changes;
+    for (const migration of pending) await runMigration(databaseId, scope, migration);
+    // Una migración puede haber borrado atributos para recrearlos con otro tipo: segunda pasada
+    if (pending.length > 0) {
+      remaining = await diffDatabase(databaseId, scope);
+      applied += await applyPlan(remaining);
+    }
+
+    return { databaseId, scope, changes, pending, applied, migrated: pending.length, drift: driftOf(remaining) };
+  };
+
+  const migrateBuckets = async ({ dryRun = false } = {}) => {
+    const changes = await diffBuckets();
+    const applied = dryRun ? 0 : await applyPlan(changes);
+    return { changes, applied };
+  };
+
+  return { diffDatabase, diffBuckets, applyPlan, pendingMigrations, migrate, migrateBuckets, waitForAttribute, waitForIndex };
+};
+
+// Hay drift si queda algo por aplicar o que no se puede aplicar sin una migración
+const hasDrift = (result) => result.changes.some(c => c.action !== 'extra') || (result.pending || []).length > 0;
+
+module.exports = { createMigrator, describe, hasDrift, APPLIED_ACTIONS };
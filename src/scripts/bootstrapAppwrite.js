@@ -1,199 +1,128 @@
-// Bootstrap de Appwrite: crea/asegura DB, colecciones, atributos e índices requeridos
-// Requiere variables de entorno APPWRITE_* y permisos de API Key para Database (write/admin)
+// Bootstrap / migración de Appwrite: deja la base de datos principal (y el bucket de firmware) al día con
+// el esquema declarativo de src/schema/collections.js y aplica las migraciones pendientes de src/schema/migrations.
+// Requiere variables de entorno APPWRITE_* y permisos de API Key para Database y Storage (write/admin)
+//   npm run migrate                        base de datos principal
+//   npm run schema:diff                    solo muestra las diferencias y las migraciones pendientes (--dry-run)
+//   npm run migrate -- --check             como --dry-run, pero sale con código 1 si hay diferencias (CI)
+//   npm run migrate -- --all-tenants       principal y las de todos los tenants registrados
+// Provisionar un tenant (base de datos propia con el mismo esquema + registro en la colección de tenants):
+//   npm run migrate -- --tenant <id> [--name "Nombre"] [--max-devices N] [--max-readings-per-day N]
+//                          [--device-max-readings-per-day N] [--ingest-rate-limit N]
 require('dotenv').config();
-const { Client, Databases } = require('node-appwrite');
-
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const { backend, databases, storage, platformDatabaseId, collections } = require('../utils/appwrite');
+const { createMigrator, describe, hasDrift } = require('../schema/migrator');
+const tenants = require('../services/tenants');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    args[argv[i].slice(2)] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+};
+
+const printResult = (label, result) => {
+  const changes = result.changes.filter(c => c.action !== 'extra');
+  const extras = result.changes.filter(c => c.action === 'extra');
+  if (changes.length === 0 && extras.length === 0 && (result.pending || []).length === 0) {
+    console.log(`[bootstrap] ${label}: al día`);
+    return;
+  }
+  console.log(`[bootstrap] ${label}:`);
+  changes.forEach(c => console.log(`  ${c.action === 'drift' ? '!' : '+'} ${c.action} ${describe(c)}`));
+  extras.forEach(c => console.log(`  ? ${c.action} ${describe(c)}`));
+  (result.pending || []).forEach(m => console.log(`  > migration ${m.id}: ${m.description}`));
+  const drift = changes.filter(c => c.action === 'drift');
+  if (drift.length > 0) console.log(`  ${drift.length} cambio(s) que Appwrite no aplica en sitio: añade una migración en src/schema/migrations`);
+};
+
+const provisionTenant = async (tenantId, databaseId, args) => {
+  const limits = {};
+  if (args['max-devices']) limits.maxDevices = parseInt(args['max-devices'], 10);
+  if (args['max-readings-per-day']) limits.maxReadingsPerDay = parseInt(args['max-readings-per-day'], 10);
+  if (args['device-max-readings-per-day']) limits.deviceMaxReadingsPerDay = parseInt(args['device-max-readings-per-day'], 10);
+  if (args['ingest-rate-limit']) limits.ingestRateLimitMax = parseInt(args['ingest-rate-limit'], 10);
+  const name = typeof args.name === 'string' ? args.name : tenantId;
+
+  try {
+    await databases.createDocument(platformDatabaseId(), collections.tenants(), tenantId, {
+      name,
+      databaseId,
+      isEnabled: true,
+      createdAt: new Date().toISOString(),
+      ...limits
+    });
+  } catch (err) {
+    if (err.code !== 409) throw err;
+    await databases.updateDocument(platformDatabaseId(), collections.tenants(), tenantId, { name, databaseId, ...limits });
+  }
+  console.log(`[bootstrap] Tenant ${tenantId} provisionado en la base de datos ${databaseId}`);
+};
 
 async function main() {
-  const {
-    APPWRITE_ENDPOINT,
-    APPWRITE_PROJECT_ID,
-    APPWRITE_API_KEY,
-    APPWRITE_DATABASE_ID,
-    APPWRITE_SENSOR_READINGS_COLLECTION_ID,
-    APPWRITE_DEVICES_COLLECTION_ID,
-    APPWRITE_ALERTS_COLLECTION_ID,
-    APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID
-  } = process.env;
-
+  const { APPWRITE_ENDPOINT, APPWRITE_PROJECT_ID, APPWRITE_API_KEY, TENANT_DATABASE_PREFIX = 'tn_' } = process.env;
+  const args = parseArgs(process.argv.slice(2));
+  const tenantId = typeof args.tenant === 'string' ? args.tenant : null;
+  const dryRun = Boolean(args['dry-run'] || args.check);
+
+  if (backend.name !== 'appwrite') {
+    console.log(`[bootstrap] STORAGE_BACKEND=${backend.name}: el backend local usa el esquema de src/schema directamente, no hay nada que migrar`);
+    return;
+  }
   if (!APPWRITE_ENDPOINT || !APPWRITE_PROJECT_ID || !APPWRITE_API_KEY) {
     console.error('[bootstrap] Faltan variables APPWRITE_ENDPOINT/PROJECT_ID/API_KEY');
     process.exit(1);
   }
-  if (!APPWRITE_DATABASE_ID || !APPWRITE_SENSOR_READINGS_COLLECTION_ID) {
+  if (!platformDatabaseId() || !collections.sensorReadings()) {
     console.error('[bootstrap] Faltan APPWRITE_DATABASE_ID o APPWRITE_SENSOR_READINGS_COLLECTION_ID');
     process.exit(1);
   }
+  if (args.tenant !== undefined && (!tenantId || !tenants.TENANT_ID_PATTERN.test(tenantId) || `${TENANT_DATABASE_PREFIX}${tenantId}`.length > 36)) {
+    console.error('[bootstrap] --tenant debe ser un id en minúsculas (a-z, 0-9, -) y con el prefijo no superar 36 caracteres');
+    process.exit(1);
+  }
 
-  const client = new Client()
-    .setEndpoint(APPWRITE_ENDPOINT)
-    .setProject(APPWRITE_PROJECT_ID)
-    .setKey(APPWRITE_API_KEY);
-  const databases = new Databases(client);
+  const migrator = createMigrator({ databases, storage, log: (message) => console.log(`[bootstrap] ${message}`) });
+  const results = [];
 
-  // Helpers de creación con idempotencia (ignora 409 ya existente)
-  const ensure = async (fn, args, label) => {
-    try {
-      return await fn(...args);
-    } catch (err) {
-      if (err && (err.code === 409 || err.response?.status === 409)) {
-        console.log(`[bootstrap] ${label} ya existe`);
-        return null;
-      }
-      console.error(`[bootstrap] Error creando ${label}:`, err?.message || err);
-      throw err;
-    }
+  // La base principal siempre primero: tiene el registro de tenants
+  const run = async (label, databaseId, scope) => {
+    const result = await migrator.migrate(databaseId, scope, { dryRun });
+    if (dryRun) printResult(label, result);
+    else console.log(`[bootstrap] ${label}: ${result.applied} cambio(s), ${result.migrated} migración(es)`);
+    results.push(result);
   };
 
-  // 1) DB
-  await ensure(databases.create, [APPWRITE_DATABASE_ID, APPWRITE_DATABASE_ID, 'AquaGuard Database'], `DB ${APPWRITE_DATABASE_ID}`);
-
-  // 2) Colección de lecturas de sensor
-  await ensure(
-    databases.createCollection,
-    [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, {
-      permissions: [],
-      documentSecurity: true
-    }],
-    `Collection ${APPWRITE_SENSOR_READINGS_COLLECTION_ID}`
-  );
-
-  // Atributos requeridos (camelCase)
-  const createAttrs = [
-    () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'deviceId', 128, true], 'attr deviceId'),
-    () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'sensorType', 64, true], 'attr sensorType'),
-    () => ensure(databases.createFloatAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'value', true], 'attr value'),
-    () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'unit', 16, false], 'attr unit'),
-    () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'timestamp', false], 'attr timestamp'),
-    () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'location', 256, false], 'attr location'),
-    () => ensure(databases.createBooleanAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'isAnomalous', false], 'attr isAnomalous'),
-    () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'ingestedAt', false], 'attr ingestedAt'),
-    () => ensure(databases.createJsonAttribute, [APPWRITE_DATABASE_ID, APPWRITE_SENSOR_READINGS_COLLECTION_ID, 'metadata', false], 'attr metadata'),
-  ];
-  for (const create of createAttrs) {
-    try { await create(); } catch (_) {}
-    await sleep(150); // Pequeña pausa para que Appwrite aplique cambios
-  }
-
-  // Índices útiles
-  await ensure(databases.createIndex, [
-    APPWRITE_DATABASE_ID,
-    APPWRITE_SENSOR_READINGS_COLLECTION_ID,
-    'idx_device_timestamp',
-    'key',
-    ['deviceId', 'timestamp'],
-    ['asc', 'desc']
-  ], 'index idx_device_timestamp');
+  await run(`DB ${platformDatabaseId()}`, platformDatabaseId(), 'platform');
 
-  await ensure(databases.createIndex, [
-    APPWRITE_DATABASE_ID,
-    APPWRITE_SENSOR_READINGS_COLLECTION_ID,
-    'idx_sensorType',
-    'key',
-    ['sensorType'],
-    ['asc']
-  ], 'index idx_sensorType');
+  const bucketResult = await migrator.migrateBuckets({ dryRun });
+  if (dryRun) printResult('Storage', bucketResult);
+  results.push(bucketResult);
 
-  // 3) Colección de dispositivos (si se define)
-  if (APPWRITE_DEVICES_COLLECTION_ID) {
-    await ensure(
-      databases.createCollection,
-      [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, APPWRITE_DEVICES_COLLECTION_ID, { permissions: [], documentSecurity: true }],
-      `Collection ${APPWRITE_DEVICES_COLLECTION_ID}`
-    );
-
-    const deviceAttrs = [
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'deviceId', 128, true], 'devices.deviceId'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'serialNumber', 128, false], 'devices.serialNumber'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'name', 128, false], 'devices.name'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'location', 256, false], 'devices.location'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'macAddress', 64, false], 'devices.macAddress'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'wifiSSID', 128, false], 'devices.wifiSSID'),
-      () => ensure(databases.createBooleanAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'isOnline', false], 'devices.isOnline'),
-      () => ensure(databases.createFloatAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'batteryLevel', false], 'devices.batteryLevel'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'firmwareVersion', 64, false], 'devices.firmwareVersion'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'deviceType', 64, false], 'devices.deviceType'),
-      () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'createdAt', false], 'devices.createdAt'),
-      () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_DEVICES_COLLECTION_ID, 'lastSeen', false], 'devices.lastSeen')
-    ];
-    for (const create of deviceAttrs) {
-      try { await create(); } catch (_) {}
-      await sleep(150);
+  if (tenantId) {
+    const databaseId = `${TENANT_DATABASE_PREFIX}${tenantId}`;
+    await run(`Tenant ${tenantId} (${databaseId})`, databaseId, 'tenant');
+    if (!dryRun) await provisionTenant(tenantId, databaseId, args);
+  } else if (args['all-tenants']) {
+    for (const tenant of await tenants.listTenants()) {
+      if (!tenant.databaseId || tenant.databaseId === platformDatabaseId()) continue;
+      await run(`Tenant ${tenant.id} (${tenant.databaseId})`, tenant.databaseId, 'tenant');
     }
-
-    await ensure(databases.createIndex, [
-      APPWRITE_DATABASE_ID,
-      APPWRITE_DEVICES_COLLECTION_ID,
-      'idx_deviceId',
-      'key',
-      ['deviceId'],
-      ['asc']
-    ], 'devices.idx_deviceId');
   }
 
-  // 4) Colección de alerts (si se define) - esquema mínimo genérico
-  if (APPWRITE_ALERTS_COLLECTION_ID) {
-    await ensure(
-      databases.createCollection,
-      [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, APPWRITE_ALERTS_COLLECTION_ID, { permissions: [], documentSecurity: true }],
-      `Collection ${APPWRITE_ALERTS_COLLECTION_ID}`
-    );
-
-    const alertAttrs = [
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'deviceId', 128, true], 'alerts.deviceId'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'type', 64, true], 'alerts.type'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'severity', 32, true], 'alerts.severity'),
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'message', 1024, false], 'alerts.message'),
-      () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'timestamp', true], 'alerts.timestamp'),
-      () => ensure(databases.createJsonAttribute, [APPWRITE_DATABASE_ID, APPWRITE_ALERTS_COLLECTION_ID, 'metadata', false], 'alerts.metadata')
-    ];
-    for (const create of alertAttrs) {
-      try { await create(); } catch (_) {}
-      await sleep(150);
-    }
-
-    await ensure(databases.createIndex, [
-      APPWRITE_DATABASE_ID,
-      APPWRITE_ALERTS_COLLECTION_ID,
-      'idx_device_timestamp',
-      'key',
-      ['deviceId', 'timestamp'],
-      ['asc', 'desc']
-    ], 'alerts.idx_device_timestamp');
+  // Los atributos fuera del esquema solo se informan; lo demás pendiente (o en drift) cuenta como diferencia
+  const drift = results.flatMap(r => r.drift || []);
+  if (args.check && results.some(hasDrift)) {
+    console.error('[bootstrap] El esquema de Appwrite no coincide con src/schema');
+    process.exit(1);
   }
-
-  // 5) Colección de leak_predictions (si se define)
-  if (APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID) {
-    await ensure(
-      databases.createCollection,
-      [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, { permissions: [], documentSecurity: true }],
-      `Collection ${APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID}`
-    );
-
-    const leakAttrs = [
-      () => ensure(databases.createStringAttribute, [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, 'deviceLocation', 256, true], 'leaks.deviceLocation'),
-      () => ensure(databases.createFloatAttribute, [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, 'probability', true], 'leaks.probability'),
-      () => ensure(databases.createFloatAttribute, [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, 'confidence', true], 'leaks.confidence'),
-      () => ensure(databases.createDatetimeAttribute, [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, 'timestamp', true], 'leaks.timestamp'),
-      () => ensure(databases.createJsonAttribute, [APPWRITE_DATABASE_ID, APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID, 'contributingFactors', false], 'leaks.contributingFactors')
-    ];
-    for (const create of leakAttrs) {
-      try { await create(); } catch (_) {}
-      await sleep(150);
-    }
-
-    await ensure(databases.createIndex, [
-      APPWRITE_DATABASE_ID,
-      APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID,
-      'idx_location_timestamp',
-      'key',
-      ['deviceLocation', 'timestamp'],
-      ['asc', 'desc']
-    ], 'leaks.idx_location_timestamp');
+  if (!dryRun && drift.length > 0) {
+    drift.forEach(c => console.error(`[bootstrap] Sin aplicar: ${describe(c)}`));
+    process.exit(1);
   }
-
-  console.log('[bootstrap] Appwrite listo. DB y colecciones verificadas.');
+  if (!dryRun) console.log('[bootstrap] Appwrite listo. Esquema y migraciones al día.');
 }
 
 main().catch((e) => {
@@ -0,0 +1,79 @@
+// Exporta lecturas (o los agregados de retención) de Appwrite a CSV, NDJSON o Parquet, en streaming
+// Uso: npm run export:readings -- [--device <id>] [--location <loc>] [--sensor-type <tipo>]
+//        [--from ISO] [--to ISO] [--format csv|ndjson|parquet] [--interval raw|1h|1d] [--tenant <id>] [--out fichero]
+// Sin --out escribe en la salida estándar (el log de consola se desactiva para no mezclarlo)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const tenants = require('../services/tenants');
+const readingsExport = require('../services/readingsExport');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    args[argv[i].slice(2)] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    console.error(`[export] --${name} debe ser una fecha ISO8601`);
+    process.exit(1);
+  }
+  return date;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const format = args.format || 'csv';
+  const interval = args.interval || 'raw';
+  const filters = {
+    deviceId: typeof args.device === 'string' ? args.device : undefined,
+    location: typeof args.location === 'string' ? args.location : undefined,
+    sensorType: typeof args['sensor-type'] === 'string' ? args['sensor-type'] : undefined,
+    from: parseDate(args.from, 'from'),
+    to: parseDate(args.to, 'to')
+  };
+
+  if (!readingsExport.FORMATS[format] || !readingsExport.EXPORT_INTERVALS.includes(interval)) {
+    console.error(`[export] --format: ${Object.keys(readingsExport.FORMATS).join('|')}; --interval: ${readingsExport.EXPORT_INTERVALS.join('|')}`);
+    process.exit(1);
+  }
+  if (!filters.deviceId && !filters.location && !filters.from) {
+    console.error('[export] Indica al menos --device, --location o --from');
+    process.exit(1);
+  }
+
+  const tenantId = typeof args.tenant === 'string' ? args.tenant : tenants.DEFAULT_TENANT_ID;
+  const tenant = await tenants.getTenant(tenantId);
+  if (!tenant) {
+    console.error(`[export] Tenant ${tenantId} no encontrado`);
+    process.exit(1);
+  }
+  if (!tenant.isProvisioned) {
+    console.error(`[export] El tenant ${tenantId} no tiene base de datos (npm run migrate -- --tenant ${tenantId})`);
+    process.exit(1);
+  }
+
+  let output = process.stdout;
+  if (typeof args.out === 'string') {
+    output = fs.createWriteStream(path.resolve(args.out));
+  } else {
+    logger.transports.filter(t => t.name === 'console').forEach(t => { t.silent = true; });
+  }
+
+  const rows = await tenantContext.run(tenant, () => readingsExport.writeExport(filters, { format, interval }, output));
+  if (output !== process.stdout) console.error(`[export] ${rows} filas escritas en ${args.out}`);
+}
+
+main().catch((e) => {
+  console.error('[export] Error fatal:', e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,17 @@
+// Evalúa las heurísticas de fuga contra un fichero de lecturas (sin Appwrite)
+// Uso: npm run leak:score -- ruta/lecturas.json [ISO_NOW]
+// El JSON es un array de { sensorType: 'flow' | 'pressure', value, timestamp }
+const fs = require('fs');
+const path = require('path');
+const { scoreReadings } = require('../services/leakPrediction');
+
+const [file, now] = process.argv.slice(2);
+if (!file) {
+  console.error('[leak] Uso: npm run leak:score -- <lecturas.json> [ISO_NOW]');
+  process.exit(1);
+}
+
+const readings = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+const latest = readings.reduce((max, r) => Math.max(max, new Date(r.timestamp).getTime()), 0);
+const result = scoreReadings(readings, { now: now || new Date(latest).toISOString() });
+console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,57 @@
+// Control de acceso para usuarios y cuentas de servicio (API keys). Los dispositivos no pasan por aquí:
+// tienen su propio token y solo acceden a las rutas de dispositivo.
+//
+// Principal: { type: 'user' | 'api_key' | 'admin_key', id, name, role, tenantId, scopes: { locations, devices } }
+// scopes.locations / scopes.devices = null significa sin restricción.
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const VIEWER_PERMISSIONS = [
+  'devices:read',
+  'readings:read',
+  'alerts:read',
+  'locations:read',
+  'firmware:read',
+  'stream:subscribe'
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'alerts:write',
+  'locations:write',
+  'devices:configure',
+  'devices:command'
+];
+
+// admin: todo dentro de su tenant, incluidos devices:manage, firmware:manage, users:manage
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: ['*']
+};
+
+// Permisos de plataforma (afectan a todos los tenants): solo la clave global x-admin-key
+const PLATFORM_PERMISSIONS = ['tenants:manage', 'queue:read', 'queue:manage', 'sensorTypes:manage'];
+
+const can = (principal, permission) => {
+  if (PLATFORM_PERMISSIONS.includes(permission)) return principal.type === 'admin_key';
+  const granted = ROLE_PERMISSIONS[principal.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+const isUnscoped = (principal) => !principal.scopes || (!principal.scopes.locations && !principal.scopes.devices);
+
+// Un recurso { deviceId, location } está en el ámbito si coincide su dispositivo o su ubicación
+const inScope = (principal, resource) => {
+  if (isUnscoped(principal)) return true;
+  const { locations, devices } = principal.scopes;
+  if (resource.deviceId && devices && devices.includes(resource.deviceId)) return true;
+  if (resource.location && locations && locations.includes(resource.location)) return true;
+  return false;
+};
+
+const toScopes = ({ scopeLocations, scopeDevices }) => ({
+  locations: scopeLocations && scopeLocations.length > 0 ? scopeLocations : null,
+  devices: scopeDevices && scopeDevices.length > 0 ? scopeDevices : null
+});
+
+module.exports = { ROLES, ROLE_PERMISSIONS, PLATFORM_PERMISSIONS, can, isUnscoped, inScope, toScopes };
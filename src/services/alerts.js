@@ -0,0 +1,195 @@
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+const eventBus = require('./eventBus');
+const { currentTenantId } = require('./tenants');
+
+// Alertas con supresión de duplicados: una sola alerta abierta por condición
+// (deviceId + sensorType opcional + type)
+
+const toPublicAlert = (doc) => ({
+  id: doc.$id,
+  deviceId: doc.deviceId,
+  sensorType: doc.sensorType || null,
+  type: doc.type,
+  severity: doc.severity,
+  message: doc.message,
+  status: doc.status,
+  timestamp: doc.timestamp,
+  acknowledgedAt: doc.acknowledgedAt || null,
+  acknowledgedBy: doc.acknowledgedBy || null,
+  escalatedAt: doc.escalatedAt || null,
+  resolvedAt: doc.resolvedAt || null,
+  metadata: fromAttribute(doc.metadata, {})
+});
+
+// Una alerta reconocida sigue activa: no se abre otra para la misma condición
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+// Caché por tenant + condición -> { alertId (null si no hay ninguna abierta), checkedAt }.
+// Otra instancia puede abrir o resolver la alerta y tras un reinicio la caché está vacía: pasados
+// ALERT_CACHE_TTL_MS (o si falta la entrada) se vuelve a consultar Appwrite.
+const openAlerts = new Map();
+const cacheTtlMs = () => parseInt(process.env.ALERT_CACHE_TTL_MS || '60000'); // 1m
+
+const cachedEntry = (key) => {
+  const entry = openAlerts.get(key);
+  return entry && Date.now() - entry.checkedAt < cacheTtlMs() ? entry : null;
+};
+
+const remember = (key, alertId) => {
+  const entry = { alertId, checkedAt: Date.now() };
+  openAlerts.set(key, entry);
+  return entry;
+};
+// Condiciones con una alerta en creación (escrituras concurrentes de /ingest/bulk)
+const raising = new Set();
+
+const conditionKey = ({ deviceId, sensorType, type }) => `${currentTenantId()}:${deviceId}:${sensorType || '*'}:${type}`;
+
+const findOpenAlert = async ({ deviceId, sensorType, type }) => {
+  const queries = [Query.equal('deviceId', deviceId), Query.equal('type', type), Query.equal('status', ACTIVE_STATUSES), Query.limit(1)];
+  if (sensorType) queries.push(Query.equal('sensorType', sensorType));
+  const list = await databases.listDocuments(databaseId(), collections.alerts(), queries);
+  return list.documents[0] || null;
+};
+
+const createAlertIfNone = async (condition, details, key) => {
+  const existing = await findOpenAlert(condition);
+  if (existing) {
+    remember(key, existing.$id);
+    return null;
+  }
+
+  const alert = await databases.createDocument(databaseId(), collections.alerts(), ID.unique(), {
+    deviceId: condition.deviceId,
+    ...(condition.sensorType ? { sensorType: condition.sensorType } : {}),
+    type: condition.type,
+    severity: details.severity,
+    message: details.message,
+    status: 'open',
+    timestamp: details.timestamp || new Date().toISOString(),
+    metadata: toAttribute(details.metadata || {})
+  });
+  remember(key, alert.$id);
+  eventBus.publish('alert', toPublicAlert(alert));
+
+  logger.warn('Alert raised', { deviceId: condition.deviceId, sensorType: condition.sensorType, type: condition.type, alertId: alert.$id });
+  return alert;
+};
+
+// Crea la alerta salvo que ya haya una abierta para la condición; devuelve null si se suprime.
+// Una entrada caducada no suprime: createAlertIfNone comprueba en Appwrite si la alerta sigue abierta.
+const raise = async (condition, details) => {
+  const key = conditionKey(condition);
+  const entry = cachedEntry(key);
+  if ((entry && entry.alertId) || raising.has(key)) return null;
+
+  raising.add(key);
+  try {
+    return await createAlertIfNone(condition, details, key);
+  } finally {
+    raising.delete(key);
+  }
+};
+
+// Resuelve la alerta abierta de la condición. Sin `lookup` usa la caché mientras no caduque
+// (evita una consulta por lectura); con `lookup` la busca siempre en Appwrite.
+const resolve = async (condition, { lookup = false } = {}) => {
+  const key = conditionKey(condition);
+  let entry = lookup ? null : cachedEntry(key);
+  if (!entry) {
+    const existing = await findOpenAlert(condition);
+    entry = remember(key, existing ? existing.$id : null);
+  }
+  const { alertId } = entry;
+  if (!alertId) return null;
+
+  remember(key, null);
+  const alert = await databases.updateDocument(databaseId(), collections.alerts(), alertId, {
+    status: 'resolved',
+    resolvedAt: new Date().toISOString()
+  });
+  eventBus.publish('alert', toPublicAlert(alert));
+  logger.info('Alert resolved', { deviceId: condition.deviceId, sensorType: condition.sensorType, type: condition.type, alertId });
+  return alert;
+};
+
+const getAlertDocument = async (alertId) => {
+  try {
+    return await databases.getDocument(databaseId(), collections.alerts(), alertId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+const getAlert = async (alertId) => {
+  const doc = await getAlertDocument(alertId);
+  return doc ? toPublicAlert(doc) : null;
+};
+
+const listAlerts = async ({ status, deviceId, limit = 25, cursor } = {}) => {
+  const queries = [Query.orderDesc('$createdAt'), Query.limit(limit)];
+  if (status) queries.push(Query.equal('status', status));
+  if (deviceId) queries.push(Query.equal('deviceId', deviceId));
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.alerts(), queries);
+  const alerts = list.documents.map(toPublicAlert);
+  return {
+    alerts,
+    total: list.total,
+    nextCursor: alerts.length === limit ? alerts[alerts.length - 1].id : null
+  };
+};
+
+// Resultado: { ok: true, alert } o { ok: false, code: 'ALERT_NOT_FOUND' | 'ALERT_RESOLVED' }
+const acknowledge = async (alertId, { acknowledgedBy, note } = {}) => {
+  const doc = await getAlertDocument(alertId);
+  if (!doc) return { ok: false, code: 'ALERT_NOT_FOUND' };
+  if (doc.status === 'resolved') return { ok: false, code: 'ALERT_RESOLVED' };
+  if (doc.status === 'acknowledged') return { ok: true, alert: toPublicAlert(doc) };
+
+  const alert = await databases.updateDocument(databaseId(), collections.alerts(), alertId, {
+    status: 'acknowledged',
+    acknowledgedAt: new Date().toISOString(),
+    acknowledgedBy: acknowledgedBy || null,
+    metadata: toAttribute({ ...fromAttribute(doc.metadata, {}), ...(note ? { acknowledgeNote: note } : {}) })
+  });
+  eventBus.publish('alert', toPublicAlert(alert));
+  logger.info('Alert acknowledged', { alertId, deviceId: doc.deviceId, acknowledgedBy });
+  return { ok: true, alert: toPublicAlert(alert) };
+};
+
+// Resolución manual; la condición deja de estar suprimida aunque siga activa
+const resolveById = async (alertId) => {
+  const doc = await getAlertDocument(alertId);
+  if (!doc) return { ok: false, code: 'ALERT_NOT_FOUND' };
+  if (doc.status === 'resolved') return { ok: true, alert: toPublicAlert(doc) };
+
+  remember(conditionKey(doc), null);
+  const alert = await databases.updateDocument(databaseId(), collections.alerts(), alertId, {
+    status: 'resolved',
+    resolvedAt: new Date().toISOString()
+  });
+  eventBus.publish('alert', toPublicAlert(alert));
+  logger.info('Alert resolved manually', { alertId, deviceId: doc.deviceId, type: doc.type });
+  return { ok: true, alert: toPublicAlert(alert) };
+};
+
+const markEscalated = (alertId) => databases.updateDocument(databaseId(), collections.alerts(), alertId, {
+  escalatedAt: new Date().toISOString()
+});
+
+module.exports = {
+  ACTIVE_STATUSES,
+  toPublicAlert,
+  raise,
+  resolve,
+  getAlert,
+  getAlertDocument,
+  listAlerts,
+  acknowledge,
+  resolveById,
+  markEscalated
+};
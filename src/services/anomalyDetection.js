@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const alerts = require('./alerts');
+const { currentTenantId } = require('./tenants');
+
+// Reglas por defecto (por sensorType). Se pueden sobreescribir con ANOMALY_RULES_FILE:
+// { "sensorTypes": { "<type>": rule }, "devices": { "<deviceId>": { "<type>": rule } } }
+// rule = { min, max, maxRatePerMinute, flatline: { samples, tolerance }, severity: { threshold, rateOfChange, flatline } }
+const DEFAULT_RULES = {
+  sensorTypes: {
+    flow: { min: 0 },
+    pressure: { min: 0.5, max: 10, maxRatePerMinute: 2 },
+    temperature: { min: 0, max: 45, maxRatePerMinute: 5 },
+    ph: { min: 6.5, max: 8.5, maxRatePerMinute: 1, flatline: { samples: 60, tolerance: 0 } },
+    turbidity: { min: 0, max: 5 },
+    dissolvedOxygen: { min: 4 },
+    conductivity: { max: 2500 }
+  },
+  devices: {}
+};
+
+const DEFAULT_SEVERITY = { threshold: 'high', rateOfChange: 'medium', flatline: 'low' };
+
+let rules = null;
+
+const loadRules = () => {
+  const file = process.env.ANOMALY_RULES_FILE;
+  if (!file) return DEFAULT_RULES;
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return { sensorTypes: loaded.sensorTypes || {}, devices: loaded.devices || {} };
+  } catch (err) {
+    logger.error('Could not load anomaly rules, using defaults', { file, error: err.message });
+    return DEFAULT_RULES;
+  }
+};
+
+const getRules = () => {
+  if (!rules) rules = loadRules();
+  return rules;
+};
+
+const setRules = (next) => {
+  rules = next ? { sensorTypes: next.sensorTypes || {}, devices: next.devices || {} } : null;
+};
+
+// La regla del dispositivo sobreescribe campo a campo a la del sensorType
+const resolveRule = (deviceId, sensorType) => {
+  const { sensorTypes, devices } = getRules();
+  const base = sensorTypes[sensorType] || {};
+  const override = (devices[deviceId] && devices[deviceId][sensorType]) || {};
+  return {
+    ...base,
+    ...override,
+    severity: { ...DEFAULT_SEVERITY, ...(base.severity || {}), ...(override.severity || {}) }
+  };
+};
+
+// Historial reciente en memoria por tenant:deviceId:sensorType (rate-of-change y flatline)
+const history = new Map();
+const seriesKey = (deviceId, sensorType) => `${currentTenantId()}:${deviceId}:${sensorType}`;
+
+// Borrador del historial para lotes que se pueden deshacer: evaluate(reading, pending) lee y
+// actualiza una copia de las series y commit(pending) la aplica cuando el lote queda guardado
+const draft = () => new Map();
+const commit = (pending) => {
+  pending.forEach((series, key) => history.set(key, series));
+};
+
+const evaluate = (reading, pending = null) => {
+  const rule = resolveRule(reading.deviceId, reading.sensorType);
+  const at = new Date(reading.timestamp).getTime();
+  const violations = [];
+  const cleared = [];
+
+  const check = (type, violated, severity, message, details) => {
+    if (violated) violations.push({ type, severity, message, details });
+    else cleared.push(type);
+  };
+
+  if (typeof rule.min === 'number') {
+    check('threshold_low', reading.value < rule.min, rule.severity.threshold,
+      `${reading.sensorType} value ${reading.value} below minimum ${rule.min}`, { min: rule.min });
+  }
+  if (typeof rule.max === 'number') {
+    check('threshold_high', reading.value > rule.max, rule.severity.threshold,
+      `${reading.sensorType} value ${reading.value} above maximum ${rule.max}`, { max: rule.max });
+  }
+
+  const key = seriesKey(reading.deviceId, reading.sensorType);
+  const store = pending || history;
+  const series = store.get(key) || [...(history.get(key) || [])];
+  const previous = series[series.length - 1];
+
+  if (typeof rule.maxRatePerMinute === 'number' && previous) {
+    const minutes = (at - previous.at) / 60000;
+    if (minutes > 0) {
+      const rate = Math.abs(reading.value - previous.value) / minutes;
+      check('rate_of_change', rate > rule.maxRatePerMinute, rule.severity.rateOfChange,
+        `${reading.sensorType} changed ${rate.toFixed(3)}/min (limit ${rule.maxRatePerMinute}/min)`,
+        { rate, maxRatePerMinute: rule.maxRatePerMinute, previousValue: previous.value });
+    }
+  }
+
+  // Lecturas fuera de orden o repetidas (reintentos) no alteran el historial
+  if (!previous || at > previous.at) {
+    series.push({ value: reading.value, at });
+    const keep = Math.max((rule.flatline && rule.flatline.samples) || 0, 1);
+    while (series.length > keep) series.shift();
+    store.set(key, series);
+  }
+
+  if (rule.flatline && rule.flatline.samples > 1 && series.length >= rule.flatline.samples) {
+    const values = series.map(s => s.value);
+    const spread = Math.max(...values) - Math.min(...values);
+    const tolerance = rule.flatline.tolerance || 0;
+    check('flatline', spread <= tolerance, rule.severity.flatline,
+      `${reading.sensorType} stuck at ${reading.value} for ${series.length} samples`,
+      { samples: series.length, spread, tolerance });
+  }
+
+  return { isAnomalous: violations.length > 0, violations, cleared };
+};
+
+// Crea/resuelve alertas tras guardar la lectura. Los errores no deben tumbar la ingesta.
+const processAlerts = async (reading, detection, readingId) => {
+  const raised = [];
+  const { deviceId, sensorType } = reading;
+  try {
+    for (const violation of detection.violations) {
+      const alert = await alerts.raise({ deviceId, sensorType, type: violation.type }, {
+        severity: violation.severity,
+        message: violation.message,
+        timestamp: reading.timestamp,
+        metadata: { ...violation.details, value: reading.value, unit: reading.unit, location: reading.location, readingId }
+      });
+      if (alert) raised.push(alert);
+    }
+    for (const type of detection.cleared) {
+      await alerts.resolve({ deviceId, sensorType, type });
+    }
+  } catch (err) {
+    logger.error('Alert processing error', { error: err.message, stack: err.stack, deviceId, readingId });
+  }
+  return raised;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  getRules,
+  setRules,
+  resolveRule,
+  evaluate,
+  draft,
+  commit,
+  processAlerts
+};
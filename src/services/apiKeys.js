@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const { generateSecret, verifySecret } = require('./deviceRegistry');
+const { toScopes } = require('./accessControl');
+const { currentTenantId, DEFAULT_TENANT_ID } = require('./tenants');
+
+// API keys para cuentas de servicio (integraciones, scripts). Formato: agk_<keyId>.<secreto>, o
+// agk_<tenantId>.<keyId>.<secreto> fuera del tenant por defecto.
+// El keyId permite buscar el documento directamente; solo se guarda el hash del secreto.
+const KEY_PREFIX = 'agk_';
+
+// El secreto es aleatorio y de alta entropía: un SHA-256 basta y evita un scrypt en cada petición.
+// Las claves creadas con scrypt se siguen aceptando y pasan a SHA-256 la primera vez que se usan.
+const digestSecret = (secret) => `sha256$${crypto.createHash('sha256').update(secret).digest('base64')}`;
+
+const isLegacyHash = (stored) => typeof stored === 'string' && stored.startsWith('scrypt$');
+
+const verifyKeySecret = async (secret, stored) => {
+  if (isLegacyHash(stored)) return verifySecret(secret, stored);
+  if (typeof stored !== 'string') return false;
+  const expected = Buffer.from(stored);
+  const actual = Buffer.from(digestSecret(secret));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const toPublicApiKey = (doc) => ({
+  id: doc.$id,
+  name: doc.name,
+  role: doc.role,
+  scopeLocations: doc.scopeLocations || [],
+  scopeDevices: doc.scopeDevices || [],
+  isEnabled: doc.isEnabled !== false,
+  createdAt: doc.createdAt || doc.$createdAt,
+  lastUsedAt: doc.lastUsedAt || null
+});
+
+const getApiKeyDocument = async (keyId) => {
+  try {
+    return await databases.getDocument(databaseId(), collections.apiKeys(), keyId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+const listApiKeys = async ({ limit = 25, cursor } = {}) => {
+  const queries = [Query.orderAsc('name'), Query.limit(limit)];
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.apiKeys(), queries);
+  const apiKeys = list.documents.map(toPublicApiKey);
+  return {
+    apiKeys,
+    total: list.total,
+    nextCursor: apiKeys.length === limit ? apiKeys[apiKeys.length - 1].id : null
+  };
+};
+
+// La clave completa solo se devuelve aquí
+const createApiKey = async (attributes) => {
+  const secret = generateSecret();
+  const doc = await databases.createDocument(databaseId(), collections.apiKeys(), ID.unique(), {
+    scopeLocations: [],
+    scopeDevices: [],
+    ...attributes,
+    keyHash: digestSecret(secret),
+    isEnabled: true,
+    createdAt: new Date().toISOString()
+  });
+  const tenantId = currentTenantId();
+  const keyId = tenantId === DEFAULT_TENANT_ID ? doc.$id : `${tenantId}.${doc.$id}`;
+  return { apiKey: toPublicApiKey(doc), key: `${KEY_PREFIX}${keyId}.${secret}` };
+};
+
+const updateApiKey = async (keyId, attributes) => {
+  if (!(await getApiKeyDocument(keyId))) return null;
+  const updated = await databases.updateDocument(databaseId(), collections.apiKeys(), keyId, attributes);
+  return toPublicApiKey(updated);
+};
+
+const deleteApiKey = async (keyId) => {
+  if (!(await getApiKeyDocument(keyId))) return false;
+  await databases.deleteDocument(databaseId(), collections.apiKeys(), keyId);
+  return true;
+};
+
+// { tenantId, keyId, secret } o null si no tiene el formato de una API key
+const parseApiKey = (key) => {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  const parts = key.slice(KEY_PREFIX.length).split('.');
+  const [tenantId, keyId, secret] = parts.length === 3 ? parts : [DEFAULT_TENANT_ID, ...parts];
+  if (parts.length > 3 || !keyId || !secret) return null;
+  return { tenantId, keyId, secret };
+};
+
+// Devuelve el principal o null si la clave no es válida o está revocada (en el contexto del tenant de la clave)
+const verifyApiKey = async (key) => {
+  const parsed = parseApiKey(key);
+  if (!parsed || parsed.tenantId !== currentTenantId()) return null;
+  const { keyId, secret } = parsed;
+
+  const doc = await getApiKeyDocument(keyId);
+  if (!doc || doc.isEnabled === false || !(await verifyKeySecret(secret, doc.keyHash))) return null;
+
+  // lastUsedAt como mucho una vez por minuto
+  const changes = {};
+  if (!doc.lastUsedAt || Date.now() - new Date(doc.lastUsedAt).getTime() > 60 * 1000) changes.lastUsedAt = new Date().toISOString();
+  if (isLegacyHash(doc.keyHash)) changes.keyHash = digestSecret(secret);
+  if (Object.keys(changes).length > 0) {
+    databases.updateDocument(databaseId(), collections.apiKeys(), keyId, changes)
+      .catch(err => logger.warn('API key usage update error', { keyId, fields: Object.keys(changes), error: err.message }));
+  }
+  return { type: 'api_key', id: doc.$id, name: doc.name, role: doc.role, tenantId: parsed.tenantId, scopes: toScopes(doc) };
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+  parseApiKey,
+  verifyApiKey
+};
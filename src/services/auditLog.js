@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID } = require('../utils/appwrite');
+
+// Registro de auditoría: denegaciones de acceso, logins fallidos y cambios de usuarios/API keys.
+const WARN_EVENTS = ['access_denied', 'login_failed'];
+
+// Siempre va al log (audit: true); además se guarda en Appwrite salvo AUDIT_LOG_PERSIST=false.
+const record = (event, { principal, permission, resource, reason, req, details } = {}) => {
+  const entry = {
+    event,
+    principalType: principal ? principal.type : null,
+    principalId: principal ? principal.id : null,
+    role: principal ? principal.role : null,
+    permission: permission || null,
+    resource: resource ? JSON.stringify(resource) : null,
+    reason: reason || null,
+    details: details ? JSON.stringify(details) : null,
+    ip: req ? req.ip : null,
+    method: req ? req.method : null,
+    path: req ? req.originalUrl : null,
+    at: new Date().toISOString()
+  };
+
+  logger[WARN_EVENTS.includes(event) ? 'warn' : 'info'](`Audit: ${event}`, { audit: true, ...entry });
+  if (process.env.AUDIT_LOG_PERSIST === 'false') return;
+
+  databases.createDocument(databaseId(), collections.auditLog(), ID.unique(), entry)
+    .catch(err => logger.error('Audit log write error', { event, error: err.message }));
+};
+
+module.exports = { record };
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, Query } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+const tenants = require('./tenants');
+const sensorTypes = require('./sensorTypes');
+
+// Perfiles de calibración por dispositivo y tipo de sensor. Cada cambio crea una versión nueva
+// (documento inmutable) para poder auditar qué perfil se aplicó a cada lectura; borrar un perfil
+// también es una versión, sin perfil. Se aplican sobre el valor ya convertido a la unidad canónica:
+//   - offset/ganancia: value * gain + offset
+//   - multipunto: interpolación lineal entre puntos { raw, actual } (fuera del rango, el tramo extremo)
+//   - compensación de temperatura (conductividad y pH), después de lo anterior
+const TEMPERATURE_COMPENSATED = ['conductivity', 'ph'];
+
+const pointSchema = Joi.object({
+  raw: Joi.number().required(),
+  actual: Joi.number().required()
+});
+
+const profileSchema = (sensorType) => Joi.object({
+  offset: Joi.number().optional(),
+  gain: Joi.number().invalid(0).optional(),
+  points: Joi.array().items(pointSchema).min(2).max(32).unique('raw').optional(),
+  temperatureCompensation: TEMPERATURE_COMPENSATED.includes(sensorType)
+    ? Joi.object({
+        referenceTemperature: Joi.number().min(0).max(50).default(25),
+        // Coeficiente lineal de la conductividad (fracción por °C); el pH usa la pendiente de Nernst
+        coefficient: sensorType === 'conductivity' ? Joi.number().min(0).max(0.1).default(0.02) : Joi.forbidden()
+      }).optional()
+    : Joi.forbidden(),
+  note: Joi.string().max(256).optional()
+}).or('offset', 'gain', 'points', 'temperatureCompensation').without('points', ['offset', 'gain']);
+
+const validateProfile = (sensorType, payload) => profileSchema(sensorType).validate(payload);
+
+const profileIdFor = (deviceId, sensorType, version) =>
+  crypto.createHash('sha256').update(`calibration|${deviceId}|${sensorType}|${version}`).digest('hex').slice(0, 32);
+
+const toPublicProfile = (doc) => ({
+  deviceId: doc.deviceId,
+  sensorType: doc.sensorType,
+  version: doc.version,
+  profile: fromAttribute(doc.profile, null),
+  createdAt: doc.createdAt || null,
+  createdBy: doc.createdBy || null
+});
+
+const listVersions = async (deviceId, sensorType, { limit = 25 } = {}) => {
+  const page = await databases.listDocuments(databaseId(), collections.calibrationProfiles(), [
+    Query.equal('deviceId', deviceId),
+    Query.equal('sensorType', sensorType),
+    Query.orderDesc('version'),
+    Query.limit(limit)
+  ]);
+  return page.documents.map(toPublicProfile);
+};
+
+const getLatest = async (deviceId, sensorType) => {
+  const [latest] = await listVersions(deviceId, sensorType, { limit: 1 });
+  return latest || null;
+};
+
+const cacheTtlMs = () => parseInt(process.env.CALIBRATION_CACHE_TTL_MS || '60000'); // 1m
+
+// tenant|deviceId|sensorType -> { latest, at }. Se consulta en cada lectura; en otras instancias
+// un cambio tarda como mucho CALIBRATION_CACHE_TTL_MS en aplicarse.
+const cache = new Map();
+
+const cacheKey = (deviceId, sensorType) => `${tenants.currentTenantId()}|${deviceId}|${sensorType}`;
+
+const activeProfile = (latest) => (latest && latest.profile ? latest : null);
+
+// Perfil vigente (null si no hay o se borró). Si Appwrite falla se sigue usando el de la caché aunque
+// haya caducado, para no rechazar lecturas que la cola local podría guardar; 404 si la colección no existe.
+const getProfile = async (deviceId, sensorType) => {
+  const key = cacheKey(deviceId, sensorType);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < cacheTtlMs()) return activeProfile(cached.latest);
+
+  let latest;
+  try {
+    latest = await getLatest(deviceId, sensorType);
+  } catch (err) {
+    if (err.code === 404) {
+      latest = null;
+    } else if (cached) {
+      logger.warn('Calibration lookup failed, using cached profile', { deviceId, sensorType, error: err.message });
+      return activeProfile(cached.latest);
+    } else {
+      throw err;
+    }
+  }
+  cache.set(key, { latest, at: Date.now() });
+  return activeProfile(latest);
+};
+
+// Crea la versión siguiente; profile null borra la calibración.
+// Resultado: { ok: true, profile } o { ok: false, code: 'CALIBRATION_NOT_FOUND' | 'VERSION_CONFLICT' }
+const saveVersion = async (deviceId, sensorType, profile, createdBy) => {
+  const latest = await getLatest(deviceId, sensorType);
+  if (!profile && !(latest && latest.profile)) return { ok: false, code: 'CALIBRATION_NOT_FOUND' };
+
+  const version = latest ? latest.version + 1 : 1;
+  const stored = profile && profile.points
+    ? { ...profile, points: [...profile.points].sort((a, b) => a.raw - b.raw) }
+    : profile;
+
+  try {
+    const doc = await databases.createDocument(databaseId(), collections.calibrationProfiles(), profileIdFor(deviceId, sensorType, version), {
+      deviceId,
+      sensorType,
+      version,
+      profile: toAttribute(stored),
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null
+    });
+    cache.delete(cacheKey(deviceId, sensorType));
+    logger.info(stored ? 'Calibration profile updated' : 'Calibration profile cleared', { deviceId, sensorType, version, createdBy });
+    return { ok: true, profile: toPublicProfile(doc) };
+  } catch (err) {
+    // Otra petición ha creado la misma versión a la vez
+    if (err.code === 409) return { ok: false, code: 'VERSION_CONFLICT' };
+    throw err;
+  }
+};
+
+const setProfile = (deviceId, sensorType, profile, createdBy) => saveVersion(deviceId, sensorType, profile, createdBy);
+
+const clearProfile = (deviceId, sensorType, createdBy) => saveVersion(deviceId, sensorType, null, createdBy);
+
+// Última temperatura (ya normalizada) de cada dispositivo: tenant|deviceId -> { value, at }
+const lastTemperatures = new Map();
+
+const temperatureMaxAgeMs = () => parseInt(process.env.CALIBRATION_TEMPERATURE_MAX_AGE_MS || '600000'); // 10m
+
+const rememberTemperature = (deviceId, value, timestamp) => {
+  const key = `${tenants.currentTenantId()}|${deviceId}`;
+  const at = Date.parse(timestamp);
+  const previous = lastTemperatures.get(key);
+  if (!previous || previous.at <= at) lastTemperatures.set(key, { value, at });
+};
+
+const needsTemperature = (latest) => Boolean(latest && latest.profile && latest.profile.temperatureCompensation);
+
+// Temperatura para compensar una lectura, por orden: metadata.temperature (con metadata.temperatureUnit
+// opcional), la lectura de temperatura más cercana del mismo lote, o la última del dispositivo.
+// Las dos últimas solo si distan menos de CALIBRATION_TEMPERATURE_MAX_AGE_MS. null si no hay.
+const temperatureFor = (deviceId, timestamp, metadata, frame = []) => {
+  if (metadata && typeof metadata.temperature === 'number') {
+    const converted = sensorTypes.toCanonical('temperature', metadata.temperature, metadata.temperatureUnit);
+    if (converted.ok) return sensorTypes.round('temperature', converted.value);
+  }
+
+  const at = Date.parse(timestamp);
+  const maxAge = temperatureMaxAgeMs();
+  const candidates = [...frame];
+  const last = lastTemperatures.get(`${tenants.currentTenantId()}|${deviceId}`);
+  if (last) candidates.push(last);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = Math.abs(candidate.at - at);
+    if (distance <= maxAge && (!best || distance < best.distance)) best = { value: candidate.value, distance };
+  }
+  return best ? best.value : null;
+};
+
+const interpolate = (points, value) => {
+  let i = 1;
+  while (i < points.length - 1 && value > points[i].raw) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  return a.actual + (value - a.raw) * (b.actual - a.actual) / (b.raw - a.raw);
+};
+
+// Lleva el valor a la temperatura de referencia. null si el modelo no vale para esa temperatura:
+// con el coeficiente lineal, 1 + coefficient * (T - Tref) <= 0 daría un valor infinito o de signo contrario
+const compensate = (sensorType, value, temperature, { referenceTemperature = 25, coefficient = 0.02 }) => {
+  if (sensorType === 'conductivity') {
+    const factor = 1 + coefficient * (temperature - referenceTemperature);
+    return factor > 0 ? value / factor : null;
+  }
+  // pH: la pendiente del electrodo es proporcional a la temperatura absoluta (punto isopotencial pH 7)
+  return 7 + (value - 7) * (referenceTemperature + 273.15) / (temperature + 273.15);
+};
+
+// Resultado: { ok: true, value (sin redondear), calibrationVersion, compensationTemperature }
+// o { ok: false, code, error } si la lectura no se puede compensar
+const apply = (latest, sensorType, value, temperature = null) => {
+  if (!latest || !latest.profile) return { ok: true, value, calibrationVersion: null, compensationTemperature: null };
+
+  const { offset = 0, gain = 1, points, temperatureCompensation } = latest.profile;
+  let calibrated = points ? interpolate(points, value) : value * gain + offset;
+
+  let compensationTemperature = null;
+  if (temperatureCompensation) {
+    if (temperature !== null) {
+      calibrated = compensate(sensorType, calibrated, temperature, temperatureCompensation);
+      if (calibrated === null || !Number.isFinite(calibrated)) {
+        return { ok: false, code: 'COMPENSATION_OUT_OF_RANGE', error: `Cannot compensate ${sensorType} at ${temperature} °C with this calibration profile` };
+      }
+      compensationTemperature = temperature;
+    } else {
+      logger.debug('No temperature to compensate reading', { deviceId: latest.deviceId, sensorType });
+    }
+  }
+
+  return { ok: true, value: calibrated, calibrationVersion: latest.version, compensationTemperature };
+};
+
+module.exports = {
+  TEMPERATURE_COMPENSATED,
+  validateProfile,
+  listVersions,
+  getProfile,
+  setProfile,
+  clearProfile,
+  rememberTemperature,
+  needsTemperature,
+  temperatureFor,
+  apply
+};
@@ -0,0 +1,131 @@
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const limits = require('./limits');
+const alerts = require('./alerts');
+const deviceRegistry = require('./deviceRegistry');
+const tenants = require('./tenants');
+
+// Límite de ingesta por dispositivo y detección de abusos. Cada señal anómala (ráfaga: superar el
+// límite de ingesta en una ventana; lecturas con timestamp demasiado en el futuro) suma un strike en
+// ABUSE_WINDOW_MS. Con ABUSE_THROTTLE_STRIKES el dispositivo queda limitado a ABUSE_THROTTLED_MAX_REQUESTS
+// durante ABUSE_THROTTLE_MS; con ABUSE_QUARANTINE_STRIKES se rechaza su telemetría durante
+// ABUSE_QUARANTINE_MS (o hasta que un admin lo libere). Ambas acciones abren una alerta.
+// El estado vive en el almacén de contadores (services/limits): con uno compartido vale para todas las instancias.
+const enabled = () => process.env.ABUSE_DETECTION_ENABLED !== 'false';
+const ingestWindowMs = () => parseInt(process.env.INGEST_RATE_LIMIT_WINDOW_MS || `${60 * 1000}`); // 1m
+const ingestMaxRequests = () => parseInt(process.env.INGEST_RATE_LIMIT_MAX_REQUESTS || '300');
+const windowMs = () => parseInt(process.env.ABUSE_WINDOW_MS || `${60 * 60 * 1000}`); // 1h
+const throttleStrikes = () => parseInt(process.env.ABUSE_THROTTLE_STRIKES || '3');
+const throttleMs = () => parseInt(process.env.ABUSE_THROTTLE_MS || `${15 * 60 * 1000}`); // 15m
+const throttledMaxRequests = () => parseInt(process.env.ABUSE_THROTTLED_MAX_REQUESTS || '10');
+const quarantineStrikes = () => parseInt(process.env.ABUSE_QUARANTINE_STRIKES || '10');
+const quarantineMs = () => parseInt(process.env.ABUSE_QUARANTINE_MS || `${60 * 60 * 1000}`); // 1h
+
+// Clave del dispositivo en el tenant en curso (la misma para HTTP y MQTT)
+const deviceKey = (deviceId) => `device:${tenants.currentTenantId()}:${deviceId}`;
+const ingestKey = (deviceId) => `ingest:${deviceKey(deviceId)}`;
+const strikesKey = (deviceId) => `abuse:strikes:${deviceKey(deviceId)}`;
+const throttleKey = (deviceId) => `abuse:throttle:${deviceKey(deviceId)}`;
+const quarantineKey = (deviceId) => `abuse:quarantine:${deviceKey(deviceId)}`;
+
+const until = async (key) => {
+  const counter = await limits.store.get(key);
+  return counter ? counter.resetAt : null;
+};
+
+const throttledUntil = (deviceId) => until(throttleKey(deviceId));
+
+// Date hasta la que el dispositivo está en cuarentena, o null
+const quarantinedUntil = (deviceId) => until(quarantineKey(deviceId));
+
+// Peticiones de ingesta por ventana (INGEST_RATE_LIMIT_WINDOW_MS) para el dispositivo
+const ingestLimit = async (deviceId) => (await throttledUntil(deviceId)) ? throttledMaxRequests() : ingestMaxRequests();
+
+const conditionFor = (deviceId, type) => ({ deviceId, type });
+
+const throttle = async (deviceId, signal, strikes) => {
+  const { resetAt } = await limits.store.increment(throttleKey(deviceId), { windowMs: throttleMs() });
+  metrics.recordDeviceAbuse('throttled');
+  logger.warn('Device throttled', { deviceId, tenantId: tenants.currentTenantId(), signal, strikes, until: resetAt.toISOString() });
+  await alerts.raise(conditionFor(deviceId, 'device_throttled'), {
+    severity: 'medium',
+    message: `Device ${deviceId} throttled to ${throttledMaxRequests()} requests per window after repeated ${signal}`,
+    metadata: { signal, strikes, throttledUntil: resetAt.toISOString() }
+  });
+};
+
+const quarantine = async (deviceId, signal, strikes) => {
+  const { resetAt } = await limits.store.increment(quarantineKey(deviceId), { windowMs: quarantineMs() });
+  metrics.recordDeviceAbuse('quarantined');
+  logger.warn('Device quarantined', { deviceId, tenantId: tenants.currentTenantId(), signal, strikes, until: resetAt.toISOString() });
+
+  // En el documento del dispositivo solo para consultarlo (GET /admin/devices/:deviceId)
+  const doc = await deviceRegistry.findDeviceDocument(deviceId);
+  if (doc) await deviceRegistry.updateDeviceDocument(doc.$id, { quarantinedUntil: resetAt.toISOString(), quarantineReason: signal });
+
+  await alerts.raise(conditionFor(deviceId, 'device_quarantined'), {
+    severity: 'high',
+    message: `Device ${deviceId} quarantined until ${resetAt.toISOString()} after repeated ${signal}`,
+    metadata: { signal, strikes, quarantinedUntil: resetAt.toISOString() }
+  });
+};
+
+const crossed = (before, after, threshold) => threshold > 0 && before < threshold && after >= threshold;
+
+// Suma un strike por una señal del dispositivo autenticado; nunca falla (se llama sin esperar)
+const record = async (deviceId, signal, details = {}) => {
+  if (!enabled()) return;
+  try {
+    metrics.recordDeviceAbuse(signal);
+    logger.warn('Device abuse signal', { deviceId, tenantId: tenants.currentTenantId(), signal, ...details });
+
+    const { count } = await limits.store.increment(strikesKey(deviceId), { windowMs: windowMs() });
+    if (crossed(count - 1, count, quarantineStrikes())) await quarantine(deviceId, signal, count);
+    else if (crossed(count - 1, count, throttleStrikes())) await throttle(deviceId, signal, count);
+  } catch (err) {
+    logger.error('Device abuse detection error', { deviceId, signal, error: err.message, stack: err.stack });
+  }
+};
+
+// Límite de ingesta sin express-rate-limit (MQTT); comparte contador con el de HTTP.
+// Resultado: { ok, limit, resetAt }; la primera petición rechazada de la ventana cuenta como ráfaga
+const hitIngest = async (deviceId) => {
+  const limit = await ingestLimit(deviceId);
+  const { count, resetAt } = await limits.store.increment(ingestKey(deviceId), { windowMs: ingestWindowMs() });
+  if (count === limit + 1) record(deviceId, 'burst', { limit });
+  return { ok: count <= limit, limit, resetAt };
+};
+
+const getStatus = async (deviceId) => {
+  const strikes = await limits.store.get(strikesKey(deviceId));
+  const throttled = await throttledUntil(deviceId);
+  const quarantined = await quarantinedUntil(deviceId);
+  return {
+    strikes: strikes ? strikes.count : 0,
+    throttledUntil: throttled ? throttled.toISOString() : null,
+    quarantinedUntil: quarantined ? quarantined.toISOString() : null
+  };
+};
+
+// Levanta la cuarentena y el throttling, borra los strikes y resuelve las alertas
+const release = async (deviceId) => {
+  await Promise.all([strikesKey, throttleKey, quarantineKey].map(key => limits.store.reset(key(deviceId))));
+
+  const doc = await deviceRegistry.findDeviceDocument(deviceId);
+  if (doc && doc.quarantinedUntil) await deviceRegistry.updateDeviceDocument(doc.$id, { quarantinedUntil: null, quarantineReason: null });
+
+  await alerts.resolve(conditionFor(deviceId, 'device_throttled'), { lookup: true });
+  await alerts.resolve(conditionFor(deviceId, 'device_quarantined'), { lookup: true });
+  logger.info('Device released from abuse limits', { deviceId, tenantId: tenants.currentTenantId() });
+};
+
+module.exports = {
+  ingestWindowMs,
+  deviceKey,
+  ingestLimit,
+  quarantinedUntil,
+  record,
+  hitIngest,
+  getStatus,
+  release
+};
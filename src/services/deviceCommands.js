@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+
+// Cola de comandos hacia los dispositivos (downlink). El dispositivo consulta sus comandos,
+// los ejecuta y confirma cada uno:
+// pending -> delivered -> succeeded | failed; cancelled (admin) o expired (pasado expiresAt).
+// Un comando delivered sin confirmar se vuelve a entregar en la siguiente consulta.
+const COMMAND_TYPES = ['reboot', 'recalibrate', 'close_valve', 'open_valve', 'report_now'];
+const COMMAND_STATUSES = ['pending', 'delivered', 'succeeded', 'failed', 'cancelled', 'expired'];
+const OPEN_STATUSES = ['pending', 'delivered'];
+
+const commandTtlMs = () => parseInt(process.env.COMMAND_TTL_MS || `${24 * 60 * 60 * 1000}`); // 24h
+
+const toPublicCommand = (doc) => ({
+  id: doc.$id,
+  deviceId: doc.deviceId,
+  type: doc.type,
+  params: fromAttribute(doc.params, {}),
+  status: doc.status,
+  createdAt: doc.createdAt,
+  expiresAt: doc.expiresAt,
+  deliveredAt: doc.deliveredAt || null,
+  deliveries: doc.deliveries || 0,
+  completedAt: doc.completedAt || null,
+  result: fromAttribute(doc.result, null),
+  error: doc.error || null
+});
+
+// Vista reducida para el dispositivo
+const toDeviceCommand = (doc) => ({
+  id: doc.$id,
+  type: doc.type,
+  params: fromAttribute(doc.params, {}),
+  expiresAt: doc.expiresAt
+});
+
+const getCommandDocument = async (commandId) => {
+  try {
+    return await databases.getDocument(databaseId(), collections.deviceCommands(), commandId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+const enqueue = async (deviceId, { type, params, ttlMs }) => {
+  const now = Date.now();
+  const doc = await databases.createDocument(databaseId(), collections.deviceCommands(), ID.unique(), {
+    deviceId,
+    type,
+    params: toAttribute(params || {}),
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + (ttlMs || commandTtlMs())).toISOString(),
+    deliveries: 0
+  });
+
+  logger.info('Device command queued', { deviceId, commandId: doc.$id, type });
+  return toPublicCommand(doc);
+};
+
+const listCommands = async (deviceId, { status, limit = 25, cursor } = {}) => {
+  const queries = [Query.equal('deviceId', deviceId), Query.orderDesc('createdAt'), Query.limit(limit)];
+  if (status) queries.push(Query.equal('status', status));
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.deviceCommands(), queries);
+  const commands = list.documents.map(toPublicCommand);
+  return {
+    commands,
+    total: list.total,
+    nextCursor: commands.length === limit ? commands[commands.length - 1].id : null
+  };
+};
+
+// Entrega los comandos abiertos más antiguos primero; los caducados se marcan expired
+const poll = async (deviceId, { limit = 10 } = {}) => {
+  const list = await databases.listDocuments(databaseId(), collections.deviceCommands(), [
+    Query.equal('deviceId', deviceId),
+    Query.equal('status', OPEN_STATUSES),
+    Query.orderAsc('createdAt'),
+    Query.limit(limit)
+  ]);
+
+  const now = new Date().toISOString();
+  const commands = [];
+  for (const doc of list.documents) {
+    if (doc.expiresAt <= now) {
+      await databases.updateDocument(databaseId(), collections.deviceCommands(), doc.$id, { status: 'expired', completedAt: now });
+      logger.warn('Device command expired', { deviceId, commandId: doc.$id, type: doc.type });
+      continue;
+    }
+
+    const updated = await databases.updateDocument(databaseId(), collections.deviceCommands(), doc.$id, {
+      status: 'delivered',
+      deliveredAt: now,
+      deliveries: (doc.deliveries || 0) + 1
+    });
+    commands.push(toDeviceCommand(updated));
+  }
+  return commands;
+};
+
+// Resultado: { ok: true, command } o { ok: false, code: 'COMMAND_NOT_FOUND' | 'COMMAND_CLOSED' }
+const acknowledge = async (deviceId, commandId, { status, result, error }) => {
+  const doc = await getCommandDocument(commandId);
+  if (!doc || doc.deviceId !== deviceId) return { ok: false, code: 'COMMAND_NOT_FOUND' };
+  // Reenvío de la misma confirmación (p. ej. se perdió la respuesta)
+  if (doc.status === status) return { ok: true, command: toPublicCommand(doc) };
+  if (!OPEN_STATUSES.includes(doc.status)) return { ok: false, code: 'COMMAND_CLOSED' };
+
+  const updated = await databases.updateDocument(databaseId(), collections.deviceCommands(), commandId, {
+    status,
+    result: toAttribute(result),
+    error: error || null,
+    completedAt: new Date().toISOString()
+  });
+
+  const log = status === 'succeeded' ? logger.info : logger.warn;
+  log('Device command acknowledged', { deviceId, commandId, type: doc.type, status, error });
+  return { ok: true, command: toPublicCommand(updated) };
+};
+
+// Solo se pueden cancelar comandos que el dispositivo aún no ha confirmado
+const cancel = async (deviceId, commandId) => {
+  const doc = await getCommandDocument(commandId);
+  if (!doc || doc.deviceId !== deviceId) return { ok: false, code: 'COMMAND_NOT_FOUND' };
+  if (!OPEN_STATUSES.includes(doc.status)) return { ok: false, code: 'COMMAND_CLOSED' };
+
+  const updated = await databases.updateDocument(databaseId(), collections.deviceCommands(), commandId, {
+    status: 'cancelled',
+    completedAt: new Date().toISOString()
+  });
+  logger.info('Device command cancelled', { deviceId, commandId, type: doc.type });
+  return { ok: true, command: toPublicCommand(updated) };
+};
+
+module.exports = {
+  COMMAND_TYPES,
+  COMMAND_STATUSES,
+  enqueue,
+  listCommands,
+  poll,
+  acknowledge,
+  cancel
+};
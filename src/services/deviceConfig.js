@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+const sensorTypes = require('./sensorTypes');
+
+// Configuración deseada por dispositivo, versionada. Un documento por dispositivo con la
+// configuración deseada (config) y la última que el dispositivo dice haber aplicado (reported*).
+// Los objetos se guardan serializados en atributos string.
+// Contra el registro en el momento de validar: admite tipos dados de alta sin reiniciar
+const knownSensorType = (value, helpers) => (sensorTypes.has(value) ? value : helpers.message(`"${value}" is not a known sensor type`));
+
+const thresholdSchema = Joi.object({
+  min: Joi.number().optional(),
+  max: Joi.number().optional()
+});
+
+const configSchema = Joi.object({
+  samplingIntervalSec: Joi.number().integer().min(1).max(86400).optional(),
+  enabledSensors: Joi.array().items(Joi.string().custom(knownSensorType)).unique().optional(),
+  thresholds: Joi.object().pattern(Joi.string().custom(knownSensorType), thresholdSchema).optional(),
+  uploadBatchSize: Joi.number().integer().min(1).max(parseInt(process.env.BULK_MAX_READINGS || '100')).optional()
+});
+
+const validateConfig = (payload) => configSchema.validate(payload);
+
+const configIdFor = (deviceId) => crypto.createHash('sha256').update(`config|${deviceId}`).digest('hex').slice(0, 32);
+
+const etagFor = (version) => `"cfg-${version}"`;
+
+const toPublicConfig = (deviceId, doc) => ({
+  deviceId,
+  version: doc ? doc.version : 0,
+  config: (doc && fromAttribute(doc.config, {})) || {},
+  updatedAt: (doc && doc.updatedAt) || null,
+  reported: doc && doc.reportedVersion !== undefined && doc.reportedVersion !== null
+    ? {
+        version: doc.reportedVersion,
+        status: doc.reportedStatus,
+        error: doc.reportedError || null,
+        config: fromAttribute(doc.reportedConfig, null),
+        at: doc.reportedAt
+      }
+    : null
+});
+
+const getConfigDocument = async (deviceId) => {
+  try {
+    return await databases.getDocument(databaseId(), collections.deviceConfigs(), configIdFor(deviceId));
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+// Sin configuración guardada se devuelve la versión 0 vacía (el dispositivo usa sus valores por defecto)
+const getConfig = async (deviceId) => toPublicConfig(deviceId, await getConfigDocument(deviceId));
+
+// Sustituye la configuración deseada y sube la versión
+const setConfig = async (deviceId, config) => {
+  const existing = await getConfigDocument(deviceId);
+  const data = {
+    version: existing ? existing.version + 1 : 1,
+    config: toAttribute(config),
+    updatedAt: new Date().toISOString()
+  };
+
+  const doc = existing
+    ? await databases.updateDocument(databaseId(), collections.deviceConfigs(), existing.$id, data)
+    : await databases.createDocument(databaseId(), collections.deviceConfigs(), configIdFor(deviceId), { deviceId, ...data });
+
+  logger.info('Device config updated', { deviceId, version: doc.version });
+  return toPublicConfig(deviceId, doc);
+};
+
+// El dispositivo informa de la versión que ha aplicado (o rechazado).
+// Resultado: { ok: true, config } o { ok: false, code: 'CONFIG_NOT_FOUND' | 'VERSION_MISMATCH' }
+const reportApplied = async (deviceId, { version, status, error, config }) => {
+  const existing = await getConfigDocument(deviceId);
+  if (!existing) return { ok: false, code: 'CONFIG_NOT_FOUND' };
+  if (version > existing.version) return { ok: false, code: 'VERSION_MISMATCH' };
+
+  const doc = await databases.updateDocument(databaseId(), collections.deviceConfigs(), existing.$id, {
+    reportedVersion: version,
+    reportedStatus: status,
+    reportedError: error || null,
+    reportedConfig: toAttribute(config),
+    reportedAt: new Date().toISOString()
+  });
+
+  const log = status === 'applied' ? logger.info : logger.warn;
+  log('Device config reported', { deviceId, version, status, error, desiredVersion: existing.version });
+  return { ok: true, config: toPublicConfig(deviceId, doc) };
+};
+
+module.exports = {
+  configSchema,
+  validateConfig,
+  etagFor,
+  getConfig,
+  setConfig,
+  reportApplied
+};
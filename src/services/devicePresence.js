@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, Query } = require('../utils/appwrite');
+const deviceRegistry = require('./deviceRegistry');
+const alerts = require('./alerts');
+const firmware = require('./firmware');
+const tenants = require('./tenants');
+
+// Estado online/offline de los dispositivos: lastSeen con debounce, heartbeats y watchdog
+const debounceMs = () => parseInt(process.env.LAST_SEEN_DEBOUNCE_MS || '60000'); // 1m
+const offlineAfterMs = () => parseInt(process.env.DEVICE_OFFLINE_AFTER_MS || `${10 * 60 * 1000}`); // 10m
+
+// tenantId:deviceId -> { documentId, isOnline, lastWrittenAt }. Solo sirve para el debounce: isOnline puede
+// quedar obsoleto (otra instancia o el watchdog lo marcan offline), así que antes de escribir se relee
+const presence = new Map();
+const presenceKey = (deviceId) => `${tenants.currentTenantId()}:${deviceId}`;
+
+const offlineCondition = (deviceId) => ({ deviceId, type: 'device_offline' });
+
+const loadPresence = async (deviceId) => {
+  const doc = await deviceRegistry.findDeviceDocument(deviceId);
+  if (!doc) {
+    presence.delete(presenceKey(deviceId));
+    return null;
+  }
+
+  const entry = { documentId: doc.$id, isOnline: Boolean(doc.isOnline), lastWrittenAt: doc.lastSeen ? new Date(doc.lastSeen).getTime() : 0 };
+  presence.set(presenceKey(deviceId), entry);
+  return entry;
+};
+
+// Escribe lastSeen (y lo que venga en `data`); si el dispositivo estaba offline, resuelve la alerta
+const markSeen = async (deviceId, entry, data = {}) => {
+  const now = new Date();
+  const wasOffline = !entry.isOnline;
+
+  const doc = await deviceRegistry.updateDeviceDocument(entry.documentId, { ...data, isOnline: true, lastSeen: now.toISOString() });
+  entry.isOnline = true;
+  entry.lastWrittenAt = now.getTime();
+
+  if (wasOffline) {
+    logger.info('Device back online', { deviceId });
+    await alerts.resolve(offlineCondition(deviceId), { lookup: true });
+  }
+  return doc;
+};
+
+// Llamado en cada petición autenticada del dispositivo; como mucho una escritura por LAST_SEEN_DEBOUNCE_MS
+const touch = async (deviceId) => {
+  try {
+    const cached = presence.get(presenceKey(deviceId));
+    if (cached && cached.isOnline && Date.now() - cached.lastWrittenAt < debounceMs()) return;
+
+    const entry = await loadPresence(deviceId);
+    if (!entry || (entry.isOnline && Date.now() - entry.lastWrittenAt < debounceMs())) return;
+    await markSeen(deviceId, entry);
+  } catch (err) {
+    if (err.code === 404) presence.delete(presenceKey(deviceId)); // dispositivo borrado
+    logger.error('lastSeen update error', { deviceId, error: err.message });
+  }
+};
+
+// Heartbeat explícito: siempre se escribe
+const recordHeartbeat = async (deviceId, { batteryLevel, firmwareVersion, rssi, uptimeSeconds }) => {
+  const entry = await loadPresence(deviceId);
+  if (!entry) return null;
+
+  const data = { lastHeartbeatAt: new Date().toISOString() };
+  if (batteryLevel !== undefined) data.batteryLevel = batteryLevel;
+  if (firmwareVersion !== undefined) data.firmwareVersion = firmwareVersion;
+  if (rssi !== undefined) data.rssi = rssi;
+  if (uptimeSeconds !== undefined) data.uptimeSeconds = uptimeSeconds;
+
+  const doc = await markSeen(deviceId, entry, data);
+  // La versión reportada confirma una actualización OTA pendiente
+  if (firmwareVersion !== undefined) {
+    await firmware.confirmVersion(deviceId, firmwareVersion).catch(err => {
+      logger.error('Firmware confirmation error', { deviceId, firmwareVersion, error: err.message });
+    });
+  }
+  return deviceRegistry.toPublicDevice(doc);
+};
+
+const markOffline = async (doc) => {
+  await deviceRegistry.updateDeviceDocument(doc.$id, { isOnline: false });
+  const entry = presence.get(presenceKey(doc.deviceId));
+  if (entry) entry.isOnline = false;
+
+  logger.warn('Device offline', { deviceId: doc.deviceId, lastSeen: doc.lastSeen });
+  await alerts.raise(offlineCondition(doc.deviceId), {
+    severity: 'high',
+    message: `Device ${doc.deviceId} has not been seen since ${doc.lastSeen || 'never'}`,
+    metadata: { lastSeen: doc.lastSeen || null, location: doc.location || null, offlineAfterMs: offlineAfterMs() }
+  });
+};
+
+// Watchdog: dispositivos online cuyo lastSeen es más antiguo que DEVICE_OFFLINE_AFTER_MS.
+// Los marcados salen del filtro, así que se vuelve a pedir la primera página (sin cursor).
+const checkOffline = async () => {
+  const cutoff = new Date(Date.now() - offlineAfterMs()).toISOString();
+  let marked = 0;
+
+  for (;;) {
+    const page = await databases.listDocuments(databaseId(), collections.devices(), [
+      Query.equal('isOnline', true),
+      Query.lessThan('lastSeen', cutoff),
+      Query.limit(100)
+    ]);
+
+    let markedInPage = 0;
+    for (const doc of page.documents) {
+      try {
+        await markOffline(doc);
+        markedInPage++;
+      } catch (err) {
+        logger.error('Device offline marking error', { deviceId: doc.deviceId, error: err.message });
+      }
+    }
+
+    marked += markedInPage;
+    if (page.documents.length < 100 || markedInPage === 0) break;
+  }
+
+  return marked;
+};
+
+let timer = null;
+
+const start = () => {
+  if (timer) return;
+  const intervalMs = parseInt(process.env.DEVICE_WATCHDOG_INTERVAL_MS || '60000'); // 1m
+  timer = setInterval(() => {
+    tenants.forEachTenant(checkOffline).catch(err => logger.error('Device watchdog error', { error: err.message, stack: err.stack }));
+  }, intervalMs);
+  timer.unref();
+  logger.info('Device watchdog started', { intervalMs, offlineAfterMs: offlineAfterMs() });
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { touch, recordHeartbeat, checkOffline, start, stop };
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const tenants = require('./tenants');
+
+// Secretos de dispositivo: se generan aleatoriamente y solo se guarda su hash (scrypt)
+const SECRET_BYTES = 32;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Asíncrono: scrypt corre en el pool de libuv y no bloquea el event loop
+const scrypt = promisify(crypto.scrypt);
+
+const generateSecret = () => crypto.randomBytes(SECRET_BYTES).toString('base64url');
+
+const hashSecret = async (secret) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(secret, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifySecret = async (secret, stored) => {
+  if (typeof secret !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, saltB64, hashB64] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(secret, Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Cuando la cuenta no existe se verifica igualmente contra un hash cualquiera: así "no existe" tarda
+// lo mismo que "secreto incorrecto" y el tiempo de respuesta no permite enumerar deviceIds (ni emails)
+let dummyHash = null;
+const verifyDummySecret = async (secret) => {
+  if (!dummyHash) dummyHash = hashSecret(generateSecret());
+  await verifySecret(secret, await dummyHash);
+  return false;
+};
+
+// Versión del secreto (cambia al rotarlo); va en el JWT del dispositivo (claim secretVersion)
+const secretVersion = (doc) => doc.secretRotatedAt || doc.createdAt || doc.$createdAt || null;
+
+// Nunca exponer el hash del secreto fuera del servicio
+const toPublicDevice = (doc) => ({
+  id: doc.$id,
+  deviceId: doc.deviceId,
+  name: doc.name || null,
+  serialNumber: doc.serialNumber || null,
+  location: doc.location || null,
+  macAddress: doc.macAddress || null,
+  deviceType: doc.deviceType || null,
+  cohort: doc.cohort || null,
+  firmwareVersion: doc.firmwareVersion || null,
+  isEnabled: doc.isEnabled !== false,
+  isOnline: Boolean(doc.isOnline),
+  lastSeen: doc.lastSeen || null,
+  batteryLevel: typeof doc.batteryLevel === 'number' ? doc.batteryLevel : null,
+  rssi: typeof doc.rssi === 'number' ? doc.rssi : null,
+  uptimeSeconds: typeof doc.uptimeSeconds === 'number' ? doc.uptimeSeconds : null,
+  lastHeartbeatAt: doc.lastHeartbeatAt || null,
+  createdAt: doc.createdAt || doc.$createdAt,
+  secretRotatedAt: doc.secretRotatedAt || null,
+  // Informativo: la cuarentena la aplica services/deviceAbuse
+  quarantinedUntil: doc.quarantinedUntil && Date.parse(doc.quarantinedUntil) > Date.now() ? doc.quarantinedUntil : null,
+  quarantineReason: doc.quarantinedUntil && Date.parse(doc.quarantinedUntil) > Date.now() ? doc.quarantineReason || null : null
+});
+
+const findDeviceDocument = async (deviceId) => {
+  const list = await databases.listDocuments(databaseId(), collections.devices(), [
+    Query.equal('deviceId', deviceId),
+    Query.limit(1)
+  ]);
+  return list.documents[0] || null;
+};
+
+const updateDeviceDocument = (documentId, data) => databases.updateDocument(databaseId(), collections.devices(), documentId, data);
+
+const getDevice = async (deviceId) => {
+  const doc = await findDeviceDocument(deviceId);
+  return doc ? toPublicDevice(doc) : null;
+};
+
+const listDevices = async ({ limit = 25, cursor } = {}) => {
+  const queries = [Query.limit(limit), Query.orderAsc('deviceId')];
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.devices(), queries);
+  const devices = list.documents.map(toPublicDevice);
+  return {
+    devices,
+    total: list.total,
+    nextCursor: devices.length === limit ? devices[devices.length - 1].id : null
+  };
+};
+
+// Devuelve null si el deviceId ya está registrado
+const registerDevice = async ({ deviceId, ...attributes }) => {
+  if (await findDeviceDocument(deviceId)) return null;
+
+  const deviceSecret = generateSecret();
+  const now = new Date().toISOString();
+  const doc = await databases.createDocument(databaseId(), collections.devices(), ID.unique(), {
+    deviceId,
+    ...attributes,
+    secretHash: await hashSecret(deviceSecret),
+    isEnabled: true,
+    isOnline: false,
+    createdAt: now,
+    secretRotatedAt: now
+  });
+
+  return { device: toPublicDevice(doc), deviceSecret };
+};
+
+// Estado con el que se valida cada petición de una sesión (JWT o conexión MQTT), en una caché corta
+// (DEVICE_AUTH_CACHE_TTL_MS): deshabilitar, borrar o rotar el secreto corta las sesiones abiertas como
+// mucho ese tiempo después (en la instancia que hace el cambio, al momento)
+const authCacheTtlMs = () => parseInt(process.env.DEVICE_AUTH_CACHE_TTL_MS || '10000'); // 10s
+
+// tenantId:deviceId -> { state: { isEnabled, secretVersion } | null, at }
+const authCache = new Map();
+
+const authCacheKey = (deviceId) => `${tenants.currentTenantId()}:${deviceId}`;
+
+const forgetAuthState = (deviceId) => authCache.delete(authCacheKey(deviceId));
+
+// null si la sesión sigue valiendo; si no, 'UNKNOWN_DEVICE' | 'DEVICE_DISABLED' | 'SECRET_ROTATED'
+const checkSession = async (deviceId, version) => {
+  const key = authCacheKey(deviceId);
+  let cached = authCache.get(key);
+  if (!cached || Date.now() - cached.at >= authCacheTtlMs()) {
+    const doc = await findDeviceDocument(deviceId);
+    cached = { state: doc ? { isEnabled: doc.isEnabled !== false, secretVersion: secretVersion(doc) } : null, at: Date.now() };
+    authCache.set(key, cached);
+  }
+
+  const { state } = cached;
+  if (!state) return 'UNKNOWN_DEVICE';
+  if (!state.isEnabled) return 'DEVICE_DISABLED';
+  if (state.secretVersion !== version) return 'SECRET_ROTATED';
+  return null;
+};
+
+const rotateSecret = async (deviceId) => {
+  const doc = await findDeviceDocument(deviceId);
+  if (!doc) return null;
+
+  const deviceSecret = generateSecret();
+  const updated = await databases.updateDocument(databaseId(), collections.devices(), doc.$id, {
+    secretHash: await hashSecret(deviceSecret),
+    secretRotatedAt: new Date().toISOString()
+  });
+  forgetAuthState(deviceId);
+
+  return { device: toPublicDevice(updated), deviceSecret };
+};
+
+const setEnabled = async (deviceId, isEnabled) => {
+  const doc = await findDeviceDocument(deviceId);
+  if (!doc) return null;
+
+  const updated = await databases.updateDocument(databaseId(), collections.devices(), doc.$id, { isEnabled });
+  forgetAuthState(deviceId);
+  return toPublicDevice(updated);
+};
+
+// Actualiza los atributos editables (name, location, cohort...); null si no existe
+const updateDevice = async (deviceId, attributes) => {
+  const doc = await findDeviceDocument(deviceId);
+  if (!doc) return null;
+
+  const updated = await databases.updateDocument(databaseId(), collections.devices(), doc.$id, attributes);
+  return toPublicDevice(updated);
+};
+
+const deleteDevice = async (deviceId) => {
+  const doc = await findDeviceDocument(deviceId);
+  if (!doc) return false;
+
+  await databases.deleteDocument(databaseId(), collections.devices(), doc.$id);
+  forgetAuthState(deviceId);
+  return true;
+};
+
+// Resultado: { ok: true, device } o { ok: false, reason: 'UNKNOWN_DEVICE' | 'INVALID_SECRET' | 'DEVICE_DISABLED' }
+const verifyDeviceCredentials = async (deviceId, deviceSecret) => {
+  const doc = await findDeviceDocument(deviceId);
+  if (!doc) {
+    await verifyDummySecret(deviceSecret);
+    return { ok: false, reason: 'UNKNOWN_DEVICE' };
+  }
+  if (!(await verifySecret(deviceSecret, doc.secretHash))) return { ok: false, reason: 'INVALID_SECRET' };
+  if (doc.isEnabled === false) return { ok: false, reason: 'DEVICE_DISABLED' };
+  return { ok: true, device: toPublicDevice(doc) };
+};
+
+module.exports = {
+  toPublicDevice,
+  findDeviceDocument,
+  updateDeviceDocument,
+  generateSecret,
+  hashSecret,
+  verifySecret,
+  verifyDummySecret,
+  secretVersion,
+  checkSession,
+  getDevice,
+  listDevices,
+  registerDevice,
+  rotateSecret,
+  setEnabled,
+  updateDevice,
+  deleteDevice,
+  verifyDeviceCredentials
+};
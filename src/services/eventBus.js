@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+const { currentTenantId } = require('./tenants');
+
+// Bus en memoria para difundir lecturas y alertas a los suscriptores (SSE)
+// Mantiene una ventana de reenvío para reconexiones con Last-Event-ID.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const REPLAY_SIZE = parseInt(process.env.STREAM_REPLAY_SIZE || '1000');
+const REPLAY_WINDOW_MS = parseInt(process.env.STREAM_REPLAY_WINDOW_MS || `${5 * 60 * 1000}`); // 5m
+
+const buffer = [];
+// Arranca en Date.now() para que los IDs sigan creciendo tras un reinicio
+let sequence = Date.now();
+
+const trim = () => {
+  const cutoff = Date.now() - REPLAY_WINDOW_MS;
+  while (buffer.length > REPLAY_SIZE || (buffer.length && buffer[0].at < cutoff)) buffer.shift();
+};
+
+// type: 'reading' | 'alert'. Cada evento lleva el tenant en curso; los suscriptores solo ven el suyo
+const publish = (type, data) => {
+  const event = { id: String(++sequence), type, tenantId: currentTenantId(), data, at: Date.now() };
+  buffer.push(event);
+  trim();
+  emitter.emit('event', event);
+  return event;
+};
+
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+const replaySince = (lastEventId) => {
+  trim();
+  const last = Number(lastEventId);
+  if (!Number.isFinite(last)) return [];
+  return buffer.filter(e => Number(e.id) > last);
+};
+
+module.exports = { publish, subscribe, replaySince };
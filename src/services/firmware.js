@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { InputFile } = require('node-appwrite/file');
+const logger = require('../utils/logger');
+const { databases, storage, databaseId, collections, buckets, ID, Query } = require('../utils/appwrite');
+const deviceRegistry = require('./deviceRegistry');
+
+// Distribución de firmware OTA. Los binarios van al bucket de Appwrite Storage y cada release
+// (version + deviceType) tiene un despliegue: status draft | active | paused, rolloutPercent y cohorts.
+// Por dispositivo y release se guarda un documento en firmware_updates:
+// offered (binario servido) -> installed (el dispositivo informa) -> confirmed (reporta la versión nueva)
+// o failed (tras FIRMWARE_MAX_FAILURES fallos deja de ofrecerse a ese dispositivo).
+const RELEASE_STATUSES = ['draft', 'active', 'paused'];
+const PENDING_UPDATE_STATUSES = ['offered', 'installed', 'failed'];
+
+const maxFailures = () => parseInt(process.env.FIRMWARE_MAX_FAILURES || '3');
+const cacheSize = () => parseInt(process.env.FIRMWARE_CACHE_SIZE || '4');
+
+// Compara versiones con la precedencia de semver: núcleo numérico (1.10.0 > 1.9.3, las partes que
+// faltan cuentan como 0), una prerelease va antes que su release (1.0.0-rc.1 < 1.0.0) y sus
+// identificadores se comparan uno a uno (numéricos como números y por debajo de los de texto).
+// Los metadatos de build (+...) no cuentan.
+const parseVersion = (version) => {
+  const [core, ...pre] = String(version).trim().replace(/^v/, '').split('+')[0].split('-');
+  return { core: core.split('.'), prerelease: pre.length > 0 ? pre.join('-').split('.') : [] };
+};
+
+const isNumeric = (part) => /^\d+$/.test(part);
+
+const compareIdentifiers = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) return Math.sign(Number(a) - Number(b));
+  if (isNumeric(a)) return -1;
+  if (isNumeric(b)) return 1;
+  return a === b ? 0 : (a > b ? 1 : -1);
+};
+
+const compareVersions = (a, b) => {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  for (let i = 0; i < Math.max(va.core.length, vb.core.length); i++) {
+    const result = compareIdentifiers(va.core[i] || '0', vb.core[i] || '0');
+    if (result !== 0) return result;
+  }
+
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return Math.sign(vb.prerelease.length - va.prerelease.length);
+  }
+  for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+    if (va.prerelease[i] === undefined) return -1;
+    if (vb.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(va.prerelease[i], vb.prerelease[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+// Cubo estable 0-99 por dispositivo y release: subir el porcentaje mantiene a los ya incluidos
+const rolloutBucket = (releaseId, deviceId) => parseInt(crypto.createHash('sha256').update(`${releaseId}:${deviceId}`).digest('hex').slice(0, 8), 16) % 100;
+
+const isEligible = (release, device) => (release.cohorts || []).includes(device.cohort)
+  || rolloutBucket(release.id, device.deviceId) < release.rolloutPercent;
+
+const updateIdFor = (deviceId, releaseId) => crypto.createHash('sha256').update(`${deviceId}|${releaseId}`).digest('hex').slice(0, 32);
+
+const toPublicRelease = (doc) => ({
+  id: doc.$id,
+  version: doc.version,
+  deviceType: doc.deviceType,
+  fileId: doc.fileId,
+  fileName: doc.fileName,
+  size: doc.size,
+  md5: doc.md5,
+  sha256: doc.sha256,
+  status: doc.status,
+  rolloutPercent: doc.rolloutPercent || 0,
+  cohorts: doc.cohorts || [],
+  notes: doc.notes || null,
+  createdAt: doc.createdAt || doc.$createdAt
+});
+
+const toPublicUpdate = (doc) => ({
+  id: doc.$id,
+  deviceId: doc.deviceId,
+  releaseId: doc.releaseId,
+  fromVersion: doc.fromVersion || null,
+  toVersion: doc.toVersion,
+  status: doc.status,
+  failures: doc.failures || 0,
+  error: doc.error || null,
+  offeredAt: doc.offeredAt || null,
+  reportedAt: doc.reportedAt || null,
+  confirmedAt: doc.confirmedAt || null
+});
+
+const getDocumentOrNull = async (collectionId, documentId) => {
+  try {
+    return await databases.getDocument(databaseId(), collectionId, documentId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+const findRelease = async (deviceType, version) => {
+  const list = await databases.listDocuments(databaseId(), collections.firmwareReleases(), [
+    Query.equal('deviceType', deviceType),
+    Query.equal('version', version),
+    Query.limit(1)
+  ]);
+  return list.documents[0] || null;
+};
+
+// Resultado: { ok: true, release } o { ok: false, code: 'CHECKSUM_MISMATCH' | 'RELEASE_EXISTS', error }
+const createRelease = async (binary, { version, deviceType, md5, sha256, notes, fileName }) => {
+  const actualMd5 = crypto.createHash('md5').update(binary).digest('hex');
+  const actualSha256 = crypto.createHash('sha256').update(binary).digest('hex');
+  if ((md5 && md5.toLowerCase() !== actualMd5) || (sha256 && sha256.toLowerCase() !== actualSha256)) {
+    return { ok: false, code: 'CHECKSUM_MISMATCH', error: 'Checksum does not match the uploaded binary' };
+  }
+  if (await findRelease(deviceType, version)) {
+    return { ok: false, code: 'RELEASE_EXISTS', error: `Firmware ${version} for ${deviceType} already exists` };
+  }
+
+  const name = fileName || `${deviceType}-${version}.bin`;
+  const file = await storage.createFile(buckets.firmware(), ID.unique(), InputFile.fromBuffer(binary, name));
+  try {
+    const doc = await databases.createDocument(databaseId(), collections.firmwareReleases(), ID.unique(), {
+      version,
+      deviceType,
+      fileId: file.$id,
+      fileName: name,
+      size: binary.length,
+      md5: actualMd5,
+      sha256: actualSha256,
+      status: 'draft',
+      rolloutPercent: 0,
+      cohorts: [],
+      notes: notes || null,
+      createdAt: new Date().toISOString()
+    });
+    return { ok: true, release: toPublicRelease(doc) };
+  } catch (err) {
+    await storage.deleteFile(buckets.firmware(), file.$id).catch(() => {});
+    throw err;
+  }
+};
+
+const getRelease = async (releaseId) => {
+  const doc = await getDocumentOrNull(collections.firmwareReleases(), releaseId);
+  return doc ? toPublicRelease(doc) : null;
+};
+
+const listReleases = async ({ deviceType, status, limit = 25, cursor } = {}) => {
+  const queries = [Query.orderDesc('$createdAt'), Query.limit(limit)];
+  if (deviceType) queries.push(Query.equal('deviceType', deviceType));
+  if (status) queries.push(Query.equal('status', status));
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.firmwareReleases(), queries);
+  const releases = list.documents.map(toPublicRelease);
+  return {
+    releases,
+    total: list.total,
+    nextCursor: releases.length === limit ? releases[releases.length - 1].id : null
+  };
+};
+
+// Progreso del despliegue: dispositivos por estado
+const getRolloutStats = async (releaseId) => {
+  const stats = {};
+  for (const status of ['offered', 'installed', 'confirmed', 'failed']) {
+    const list = await databases.listDocuments(databaseId(), collections.firmwareUpdates(), [
+      Query.equal('releaseId', releaseId),
+      Query.equal('status', status),
+      Query.limit(1)
+    ]);
+    stats[status] = list.total;
+  }
+  return stats;
+};
+
+const updateRollout = async (releaseId, { status, rolloutPercent, cohorts }) => {
+  const doc = await getDocumentOrNull(collections.firmwareReleases(), releaseId);
+  if (!doc) return null;
+
+  const data = {};
+  if (status !== undefined) data.status = status;
+  if (rolloutPercent !== undefined) data.rolloutPercent = rolloutPercent;
+  if (cohorts !== undefined) data.cohorts = cohorts;
+  const updated = await databases.updateDocument(databaseId(), collections.firmwareReleases(), releaseId, data);
+
+  logger.info('Firmware rollout updated', { releaseId, version: updated.version, deviceType: updated.deviceType, ...data });
+  return toPublicRelease(updated);
+};
+
+const deleteRelease = async (releaseId) => {
+  const doc = await getDocumentOrNull(collections.firmwareReleases(), releaseId);
+  if (!doc) return false;
+
+  await databases.deleteDocument(databaseId(), collections.firmwareReleases(), releaseId);
+  await storage.deleteFile(buckets.firmware(), doc.fileId).catch(err => {
+    logger.warn('Firmware binary delete error', { releaseId, fileId: doc.fileId, error: err.message });
+  });
+  binaryCache.delete(doc.fileId);
+  return true;
+};
+
+// Release más nueva que `currentVersion` para el deviceType del dispositivo, según el despliegue
+const findUpdateFor = async (device, currentVersion) => {
+  if (!device.deviceType) return null;
+
+  const list = await databases.listDocuments(databaseId(), collections.firmwareReleases(), [
+    Query.equal('deviceType', device.deviceType),
+    Query.equal('status', 'active'),
+    Query.limit(100)
+  ]);
+  const candidates = list.documents
+    .map(toPublicRelease)
+    .filter(release => !currentVersion || compareVersions(release.version, currentVersion) > 0)
+    .filter(release => isEligible(release, device))
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  for (const release of candidates) {
+    const update = await getDocumentOrNull(collections.firmwareUpdates(), updateIdFor(device.deviceId, release.id));
+    if (update && update.status === 'failed' && (update.failures || 0) >= maxFailures()) continue;
+    return release;
+  }
+  return null;
+};
+
+// Caché en memoria de los últimos binarios descargados (muchos dispositivos piden el mismo)
+const binaryCache = new Map();
+
+const downloadBinary = async (release) => {
+  if (binaryCache.has(release.fileId)) return binaryCache.get(release.fileId);
+
+  const binary = Buffer.from(await storage.getFileDownload(buckets.firmware(), release.fileId));
+  binaryCache.set(release.fileId, binary);
+  while (binaryCache.size > cacheSize()) binaryCache.delete(binaryCache.keys().next().value);
+  return binary;
+};
+
+const recordOffer = async (deviceId, release, fromVersion) => {
+  const updateId = updateIdFor(deviceId, release.id);
+  const data = { status: 'offered', fromVersion: fromVersion || null, offeredAt: new Date().toISOString() };
+  try {
+    await databases.updateDocument(databaseId(), collections.firmwareUpdates(), updateId, data);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+    await databases.createDocument(databaseId(), collections.firmwareUpdates(), updateId, {
+      deviceId,
+      releaseId: release.id,
+      toVersion: release.version,
+      failures: 0,
+      ...data
+    });
+  }
+  logger.info('Firmware offered', { deviceId, releaseId: release.id, fromVersion, toVersion: release.version });
+};
+
+// Resultado que informa el dispositivo tras intentar instalar `version`.
+// Resultado: { ok: true, update } o { ok: false, code: 'DEVICE_NOT_FOUND' | 'RELEASE_NOT_FOUND' | 'UPDATE_NOT_FOUND' }
+const reportResult = async (deviceId, { version, status, error }) => {
+  const device = await deviceRegistry.getDevice(deviceId);
+  if (!device) return { ok: false, code: 'DEVICE_NOT_FOUND' };
+  const release = device.deviceType ? await findRelease(device.deviceType, version) : null;
+  if (!release) return { ok: false, code: 'RELEASE_NOT_FOUND' };
+
+  const updateId = updateIdFor(deviceId, release.$id);
+  const update = await getDocumentOrNull(collections.firmwareUpdates(), updateId);
+  if (!update) return { ok: false, code: 'UPDATE_NOT_FOUND' };
+  if (update.status === 'confirmed') return { ok: true, update: toPublicUpdate(update) };
+
+  const data = status === 'success'
+    ? { status: 'installed', error: null, reportedAt: new Date().toISOString() }
+    : { status: 'failed', error: error || null, failures: (update.failures || 0) + 1, reportedAt: new Date().toISOString() };
+  const updated = await databases.updateDocument(databaseId(), collections.firmwareUpdates(), updateId, data);
+
+  const log = status === 'success' ? logger.info : logger.warn;
+  log('Firmware update reported', { deviceId, releaseId: release.$id, version, status, error, failures: updated.failures });
+  return { ok: true, update: toPublicUpdate(updated) };
+};
+
+// El dispositivo reporta la versión que ejecuta (heartbeat o petición OTA): si coincide con
+// una actualización pendiente, queda confirmada. Devuelve el número de actualizaciones confirmadas.
+const confirmVersion = async (deviceId, version) => {
+  const list = await databases.listDocuments(databaseId(), collections.firmwareUpdates(), [
+    Query.equal('deviceId', deviceId),
+    Query.equal('toVersion', version),
+    Query.equal('status', PENDING_UPDATE_STATUSES),
+    Query.limit(10)
+  ]);
+  if (list.documents.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  for (const doc of list.documents) {
+    await databases.updateDocument(databaseId(), collections.firmwareUpdates(), doc.$id, { status: 'confirmed', confirmedAt: now });
+    logger.info('Firmware update confirmed', { deviceId, releaseId: doc.releaseId, version });
+  }
+
+  const device = await deviceRegistry.findDeviceDocument(deviceId);
+  if (device && device.firmwareVersion !== version) {
+    await deviceRegistry.updateDeviceDocument(device.$id, { firmwareVersion: version });
+  }
+  return list.documents.length;
+};
+
+module.exports = {
+  RELEASE_STATUSES,
+  compareVersions,
+  rolloutBucket,
+  createRelease,
+  getRelease,
+  listReleases,
+  getRolloutStats,
+  updateRollout,
+  deleteRelease,
+  findUpdateFor,
+  downloadBinary,
+  recordOffer,
+  reportResult,
+  confirmVersion
+};
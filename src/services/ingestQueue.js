@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections } = require('../utils/appwrite');
+const { currentTenantId } = require('./tenants');
+
+// Cola local persistente (append-only JSONL) para lecturas que no se pudieron escribir en Appwrite.
+// Cada línea es una operación: enqueue | ack | dead. Al arrancar se reproduce el log para
+// reconstruir los pendientes, y se compacta cuando acumula demasiadas operaciones cerradas.
+const QUEUE_FILE = 'ingest-queue.jsonl';
+const COMPACT_AFTER = 1000;
+
+const pending = new Map(); // id -> { id, documentId, tenantId, databaseId, data, enqueuedAt, attempts, lastError }
+const dead = new Map();
+let fd = null;
+let closedOps = 0;
+let timer = null;
+let flushing = null;
+let backoffMs = 0;
+let nextRetryAt = null;
+let lastError = null;
+let lastFlushAt = null;
+
+const queueDir = () => path.resolve(process.env.QUEUE_DIR || path.join(process.cwd(), 'data', 'queue'));
+const queuePath = () => path.join(queueDir(), QUEUE_FILE);
+const retryBaseMs = () => parseInt(process.env.QUEUE_RETRY_BASE_MS || '1000');
+const retryMaxMs = () => parseInt(process.env.QUEUE_RETRY_MAX_MS || `${5 * 60 * 1000}`); // 5m
+const maxDepth = () => parseInt(process.env.QUEUE_MAX_DEPTH || '100000');
+const maxDeadLetters = () => parseInt(process.env.QUEUE_MAX_DEAD_LETTERS || '10000');
+
+// Appwrite rechaza el documento (400) o ya no existe su colección o base de datos (404, p. ej. un
+// tenant dado de baja): reintentar no sirve, va a dead-letter
+const PERMANENT_ERROR_CODES = [400, 404];
+const isPermanentError = (err) => Boolean(err) && PERMANENT_ERROR_CODES.includes(err.code);
+
+// Cualquier otro fallo (red, 5xx, 429, credenciales...) se guarda localmente
+const isQueueable = (err) => !isPermanentError(err);
+
+// Solo se guardan las QUEUE_MAX_DEAD_LETTERS más recientes (la compactación borra el resto del disco)
+const trimDeadLetters = () => {
+  let dropped = 0;
+  for (const id of dead.keys()) {
+    if (dead.size <= maxDeadLetters()) break;
+    dead.delete(id);
+    closedOps++;
+    dropped++;
+  }
+  if (dropped > 0) logger.warn('Ingest queue dead letters dropped', { dropped, deadLetters: dead.size });
+};
+
+const load = () => {
+  if (fd !== null) return;
+
+  fs.mkdirSync(queueDir(), { recursive: true });
+  if (fs.existsSync(queuePath())) {
+    const lines = fs.readFileSync(queuePath(), 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let op;
+      try {
+        op = JSON.parse(line);
+      } catch (_) {
+        continue; // última línea truncada por una caída
+      }
+      if (op.op === 'enqueue') pending.set(op.item.id, op.item);
+      else if (op.op === 'ack') { pending.delete(op.id); closedOps++; }
+      else if (op.op === 'dead') { dead.set(op.item.id, op.item); pending.delete(op.item.id); closedOps++; }
+    }
+  }
+
+  trimDeadLetters();
+  fd = fs.openSync(queuePath(), 'a');
+  if (pending.size > 0) logger.info('Ingest queue restored', { depth: pending.size, dead: dead.size });
+};
+
+const append = (op) => {
+  load();
+  fs.writeSync(fd, `${JSON.stringify(op)}\n`);
+  fs.fdatasyncSync(fd);
+};
+
+// Reescribe el log solo con lo vigente (tmp + rename para que sea atómico)
+const compact = () => {
+  const tmp = `${queuePath()}.tmp`;
+  const lines = [
+    ...[...pending.values()].map(item => JSON.stringify({ op: 'enqueue', item })),
+    ...[...dead.values()].map(item => JSON.stringify({ op: 'dead', item }))
+  ];
+  fs.writeFileSync(tmp, lines.length ? `${lines.join('\n')}\n` : '');
+  fs.closeSync(fd);
+  fs.renameSync(tmp, queuePath());
+  fd = fs.openSync(queuePath(), 'a');
+  closedOps = 0;
+};
+
+// Persiste la lectura en disco; a partir de aquí se puede confirmar al dispositivo.
+// Con QUEUE_MAX_DEPTH lecturas pendientes lanza un error QUEUE_FULL (la ingesta responde 503).
+const enqueue = ({ documentId, data }, cause) => {
+  load();
+  if (pending.size >= maxDepth()) {
+    const err = new Error(`Local ingest queue is full (${pending.size} readings)`);
+    err.code = 'QUEUE_FULL';
+    throw err;
+  }
+
+  const item = {
+    id: documentId,
+    documentId,
+    // La cola es común a todos los tenants: cada lectura recuerda su base de datos
+    tenantId: currentTenantId(),
+    databaseId: databaseId(),
+    data,
+    enqueuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: cause ? cause.message : null
+  };
+  append({ op: 'enqueue', item });
+  pending.set(item.id, item);
+  logger.warn('Reading queued locally', { deviceId: data.deviceId, tenantId: item.tenantId, documentId, depth: pending.size, error: item.lastError });
+  schedule();
+  return item;
+};
+
+const has = (id) => {
+  load();
+  return pending.has(id);
+};
+
+const flushItem = async (item) => {
+  try {
+    await databases.createDocument(item.databaseId || databaseId(), collections.sensorReadings(), item.documentId, item.data);
+  } catch (err) {
+    // 409: un intento anterior llegó a escribirse; el ID es fijo, así que ya está guardado
+    if (err.code !== 409) throw err;
+  }
+};
+
+// Envía los pendientes en orden. Un fallo transitorio solo detiene, hasta el siguiente reintento,
+// los de esa base de datos: el problema de un tenant no bloquea la cola de los demás.
+const flush = async () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    load();
+    let flushed = 0;
+    let failed = 0;
+    const paused = new Set();
+
+    for (const item of [...pending.values()]) {
+      if (paused.has(item.databaseId)) continue;
+      try {
+        await flushItem(item);
+        append({ op: 'ack', id: item.id });
+        pending.delete(item.id);
+        closedOps++;
+        flushed++;
+      } catch (err) {
+        item.attempts++;
+        item.lastError = err.message;
+        if (isPermanentError(err)) {
+          append({ op: 'dead', item });
+          pending.delete(item.id);
+          dead.set(item.id, item);
+          closedOps++;
+          trimDeadLetters();
+          logger.error('Queued reading rejected by Appwrite', { documentId: item.documentId, tenantId: item.tenantId, code: err.code, error: err.message });
+          continue;
+        }
+        failed++;
+        paused.add(item.databaseId);
+        lastError = { message: err.message, at: new Date().toISOString() };
+        logger.warn('Ingest queue flush paused for database', { databaseId: item.databaseId, tenantId: item.tenantId, error: err.message });
+      }
+    }
+
+    if (closedOps >= COMPACT_AFTER) compact();
+    lastFlushAt = new Date().toISOString();
+    if (flushed > 0) logger.info('Ingest queue flushed', { flushed, depth: pending.size });
+    return { flushed, failed, depth: pending.size };
+  })();
+
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+// Reintento con backoff exponencial mientras haya pendientes
+const schedule = () => {
+  if (timer || pending.size === 0) return;
+
+  const delay = backoffMs || retryBaseMs();
+  nextRetryAt = new Date(Date.now() + delay).toISOString();
+  timer = setTimeout(async () => {
+    timer = null;
+    nextRetryAt = null;
+    try {
+      const result = await flush();
+      backoffMs = result.failed > 0 ? Math.min((backoffMs || retryBaseMs()) * 2, retryMaxMs()) : 0;
+    } catch (err) {
+      logger.error('Ingest queue flush error', { error: err.message, stack: err.stack });
+      backoffMs = Math.min((backoffMs || retryBaseMs()) * 2, retryMaxMs());
+    }
+    schedule();
+  }, delay);
+  timer.unref();
+};
+
+// Vaciado manual (admin): intenta ya, sin esperar al siguiente reintento
+const drain = async () => {
+  const result = await flush();
+  if (result.failed === 0) backoffMs = 0;
+  schedule();
+  return result;
+};
+
+const getStats = () => {
+  load();
+  const oldest = pending.values().next().value;
+  return {
+    depth: pending.size,
+    oldestEnqueuedAt: oldest ? oldest.enqueuedAt : null,
+    oldestAgeMs: oldest ? Date.now() - new Date(oldest.enqueuedAt).getTime() : 0,
+    deadLetters: dead.size,
+    nextRetryAt,
+    backoffMs,
+    lastError,
+    lastFlushAt
+  };
+};
+
+const listItems = ({ limit = 50, deadLetters = false } = {}) => {
+  load();
+  return [...(deadLetters ? dead : pending).values()].slice(0, limit);
+};
+
+// Arranque: recupera lo pendiente del disco y programa el primer reintento
+const start = () => {
+  load();
+  schedule();
+};
+
+const stop = () => {
+  if (timer) clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  isQueueable,
+  enqueue,
+  has,
+  flush,
+  drain,
+  getStats,
+  listItems,
+  start,
+  stop
+};
@@ -0,0 +1,277 @@
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+const deviceRegistry = require('./deviceRegistry');
+const tenants = require('./tenants');
+
+// Parámetros de las heurísticas (sobreescribibles por llamada, p. ej. con datos de fixture)
+const DEFAULT_OPTIONS = {
+  windowHours: 48,
+  timeZone: process.env.LEAK_TIMEZONE || 'UTC',
+  nightStartHour: 2,
+  nightEndHour: 4,
+  nightFlowThreshold: 0.5, // L/min
+  steadyWindowMinutes: 60,
+  steadyFlowMaxCv: 0.1,
+  pressureDropThreshold: 0.2, // bar
+  zeroFlowThreshold: 0.05, // L/min
+  continuousFlowHours: 24,
+  weights: { nightFlow: 0.6, pressureDrop: 0.5, continuousFlow: 0.4 },
+  minSamples: { flow: 30, pressure: 30, night: 5 }
+};
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+const hourIn = (date, timeZone) => {
+  const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date);
+  return parseInt(hour, 10);
+};
+
+const toSeries = (readings, sensorType) => readings
+  .filter(r => r.sensorType === sensorType && typeof r.value === 'number')
+  .map(r => ({ at: new Date(r.timestamp).getTime(), value: r.value }))
+  .filter(p => !Number.isNaN(p.at))
+  .sort((a, b) => a.at - b.at);
+
+const mean = (values) => values.reduce((acc, v) => acc + v, 0) / values.length;
+
+// 1) Caudal mínimo nocturno: con consumo legítimo ~0 de madrugada, un caudal mínimo alto indica fuga
+const nightFlowFactor = (flow, opts) => {
+  const night = flow.filter(p => {
+    const hour = hourIn(new Date(p.at), opts.timeZone);
+    return hour >= opts.nightStartHour && hour < opts.nightEndHour;
+  });
+  if (night.length === 0) return { factor: 'nightFlow', score: 0, samples: 0 };
+
+  const minimum = Math.min(...night.map(p => p.value));
+  return {
+    factor: 'nightFlow',
+    score: minimum > opts.nightFlowThreshold ? clamp01(minimum / (opts.nightFlowThreshold * 4)) : 0,
+    samples: night.length,
+    value: minimum,
+    threshold: opts.nightFlowThreshold,
+    description: `Minimum night flow ${minimum.toFixed(2)} L/min`
+  };
+};
+
+// 2) Caída de presión con caudal estable en la última ventana
+const pressureDropFactor = (flow, pressure, opts, now) => {
+  const since = now - opts.steadyWindowMinutes * 60000;
+  const recentFlow = flow.filter(p => p.at >= since).map(p => p.value);
+  const recentPressure = pressure.filter(p => p.at >= since);
+  if (recentFlow.length < 2 || recentPressure.length < 2) return { factor: 'pressureDrop', score: 0, samples: recentPressure.length };
+
+  const flowMean = mean(recentFlow);
+  const flowStd = Math.sqrt(mean(recentFlow.map(v => (v - flowMean) ** 2)));
+  const cv = flowMean > 0 ? flowStd / flowMean : 0;
+  const drop = recentPressure[0].value - recentPressure[recentPressure.length - 1].value;
+  const steady = cv <= opts.steadyFlowMaxCv;
+
+  return {
+    factor: 'pressureDrop',
+    score: steady && drop > opts.pressureDropThreshold ? clamp01(drop / (opts.pressureDropThreshold * 2)) : 0,
+    samples: recentPressure.length,
+    value: drop,
+    threshold: opts.pressureDropThreshold,
+    description: `Pressure dropped ${drop.toFixed(2)} bar with flow CV ${cv.toFixed(2)}`
+  };
+};
+
+// 3) Caudal continuo sin periodos a cero
+const continuousFlowFactor = (flow, opts) => {
+  if (flow.length === 0) return { factor: 'continuousFlow', score: 0, samples: 0 };
+
+  let longest = 0;
+  let runStart = null;
+  for (const p of flow) {
+    if (p.value > opts.zeroFlowThreshold) {
+      if (runStart === null) runStart = p.at;
+      longest = Math.max(longest, p.at - runStart);
+    } else {
+      runStart = null;
+    }
+  }
+
+  const hours = longest / 3600000;
+  return {
+    factor: 'continuousFlow',
+    score: clamp01(hours / opts.continuousFlowHours),
+    samples: flow.length,
+    value: hours,
+    threshold: opts.continuousFlowHours,
+    description: `Longest run without zero flow ${hours.toFixed(1)} h`
+  };
+};
+
+// Función pura: lecturas (flow/pressure) de una ubicación -> { probability, confidence, contributingFactors }
+const scoreReadings = (readings, options = {}) => {
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) },
+    minSamples: { ...DEFAULT_OPTIONS.minSamples, ...(options.minSamples || {}) }
+  };
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const since = now - opts.windowHours * 3600000;
+  const inWindow = readings.filter(r => {
+    const at = new Date(r.timestamp).getTime();
+    return at >= since && at <= now;
+  });
+
+  const flow = toSeries(inWindow, 'flow');
+  const pressure = toSeries(inWindow, 'pressure');
+
+  const factors = [
+    nightFlowFactor(flow, opts),
+    pressureDropFactor(flow, pressure, opts, now),
+    continuousFlowFactor(flow, opts)
+  ];
+
+  // Combinación tipo "noisy-OR" ponderada
+  const probability = 1 - factors.reduce((acc, f) => acc * (1 - opts.weights[f.factor] * f.score), 1);
+
+  const nightSamples = factors[0].samples;
+  const confidence = mean([
+    clamp01(flow.length / opts.minSamples.flow),
+    clamp01(pressure.length / opts.minSamples.pressure),
+    clamp01(nightSamples / opts.minSamples.night)
+  ]);
+
+  return {
+    probability: Number(probability.toFixed(4)),
+    confidence: Number(confidence.toFixed(4)),
+    contributingFactors: factors.filter(f => f.score > 0),
+    samples: { flow: flow.length, pressure: pressure.length }
+  };
+};
+
+const PAGE_SIZE = 500;
+const MAX_READINGS = 10000;
+
+// De la más reciente hacia atrás: si se llega al tope en una ubicación con mucho tráfico, se pierden
+// las lecturas más antiguas de la ventana y no las últimas (las que necesita pressureDrop)
+const fetchRecentReadings = async (location, since, until) => {
+  const readings = [];
+  let cursor = null;
+
+  while (readings.length < MAX_READINGS) {
+    const queries = [
+      Query.equal('location', location),
+      Query.equal('sensorType', ['flow', 'pressure']),
+      Query.greaterThanEqual('timestamp', since.toISOString()),
+      Query.lessThanEqual('timestamp', until.toISOString()),
+      Query.orderDesc('timestamp'),
+      Query.limit(PAGE_SIZE)
+    ];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+
+    const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), queries);
+    readings.push(...page.documents);
+    if (page.documents.length < PAGE_SIZE) break;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+
+  return readings.slice(0, MAX_READINGS).reverse();
+};
+
+const predictLocation = async (location, options = {}) => {
+  const now = options.now ? new Date(options.now) : new Date();
+  const windowHours = options.windowHours || DEFAULT_OPTIONS.windowHours;
+  const readings = await fetchRecentReadings(location, new Date(now.getTime() - windowHours * 3600000), now);
+  const score = scoreReadings(readings, { ...options, now });
+
+  const document = await databases.createDocument(databaseId(), collections.leakPredictions(), ID.unique(), {
+    deviceLocation: location,
+    probability: score.probability,
+    confidence: score.confidence,
+    timestamp: now.toISOString(),
+    contributingFactors: toAttribute(score.contributingFactors)
+  });
+
+  return { id: document.$id, deviceLocation: location, timestamp: document.timestamp, ...score };
+};
+
+const getLatestPrediction = async (location) => {
+  const list = await databases.listDocuments(databaseId(), collections.leakPredictions(), [
+    Query.equal('deviceLocation', location),
+    Query.orderDesc('timestamp'),
+    Query.limit(1)
+  ]);
+  const doc = list.documents[0];
+  if (!doc) return null;
+
+  return {
+    id: doc.$id,
+    deviceLocation: doc.deviceLocation,
+    timestamp: doc.timestamp,
+    probability: doc.probability,
+    confidence: doc.confidence,
+    contributingFactors: fromAttribute(doc.contributingFactors, [])
+  };
+};
+
+// Ubicaciones a evaluar: LEAK_PREDICTION_LOCATIONS (solo tenant por defecto) o las de los dispositivos registrados
+const listLocations = async () => {
+  if (process.env.LEAK_PREDICTION_LOCATIONS && tenants.currentTenantId() === tenants.DEFAULT_TENANT_ID) {
+    return process.env.LEAK_PREDICTION_LOCATIONS.split(',').map(l => l.trim()).filter(Boolean);
+  }
+
+  const locations = new Set();
+  let cursor;
+  do {
+    const page = await deviceRegistry.listDevices({ limit: 100, cursor });
+    page.devices.forEach(d => d.location && locations.add(d.location));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return [...locations];
+};
+
+let timer = null;
+let running = false;
+
+const predictTenantLocations = async () => {
+  const locations = await listLocations();
+  for (const location of locations) {
+    try {
+      const prediction = await predictLocation(location);
+      logger.info('Leak prediction stored', { tenantId: tenants.currentTenantId(), location, probability: prediction.probability, confidence: prediction.confidence });
+    } catch (err) {
+      logger.error('Leak prediction error', { tenantId: tenants.currentTenantId(), location, error: err.message, stack: err.stack });
+    }
+  }
+};
+
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await tenants.forEachTenant(predictTenantLocations);
+  } catch (err) {
+    logger.error('Leak prediction run failed', { error: err.message, stack: err.stack });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  const intervalMs = parseInt(process.env.LEAK_PREDICTION_INTERVAL_MS || `${15 * 60 * 1000}`); // 15m
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  logger.info('Leak prediction scheduler started', { intervalMs });
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  scoreReadings,
+  predictLocation,
+  getLatestPrediction,
+  runOnce,
+  start,
+  stop
+};
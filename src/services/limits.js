@@ -0,0 +1,105 @@
+const logger = require('../utils/logger');
+const { databases, platformDatabaseId, collections } = require('../utils/appwrite');
+const { createLimitStore } = require('../limits');
+
+// Límites de ingesta y cuotas diarias de lecturas sobre un almacén de contadores intercambiable
+// (LIMITS_STORE, ver src/limits): con uno compartido los límites valen para todas las instancias
+// y no se reinician al desplegar.
+const store = createLimitStore(process.env.LIMITS_STORE || 'memory', {
+  databases,
+  databaseId: platformDatabaseId,
+  collectionId: collections.limitCounters,
+  syncMs: parseInt(process.env.LIMITS_SYNC_INTERVAL_MS || '5000')
+});
+
+// Adaptador para el `store` de express-rate-limit: la ventana es la del limitador
+const rateLimitStore = (prefix) => {
+  let windowMs;
+  return {
+    prefix,
+    localKeys: !store.shared,
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    increment: async (key) => {
+      const { count, resetAt } = await store.increment(`${prefix}${key}`, { windowMs });
+      return { totalHits: count, resetTime: resetAt };
+    },
+    decrement: async (key) => {
+      await store.increment(`${prefix}${key}`, { windowMs, amount: -1 });
+    },
+    resetKey: (key) => store.reset(`${prefix}${key}`)
+  };
+};
+
+// Las cuotas diarias se reinician a medianoche UTC
+const today = () => new Date().toISOString().slice(0, 10);
+
+const untilMidnight = () => {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime();
+};
+
+const tenantQuotaKey = (tenantId, day) => `quota:tenant:${tenantId}:${day}`;
+const deviceQuotaKey = (tenantId, deviceId, day) => `quota:device:${tenantId}:${deviceId}:${day}`;
+
+// Descuenta `count` lecturas de la cuota diaria del dispositivo y de la del tenant.
+// Resultado: { ok: true, day } o { ok: false, code: 'DEVICE_READING_QUOTA_EXCEEDED' | 'READING_QUOTA_EXCEEDED', error };
+// si se supera alguna no se descuenta nada. Lo que al final no se guarde se devuelve con refundReadings
+const consumeReadings = async (tenant, deviceId, count = 1) => {
+  const day = today();
+  const windowMs = untilMidnight();
+  const quotas = [
+    { key: deviceQuotaKey(tenant.id, deviceId, day), max: tenant.deviceMaxReadingsPerDay, code: 'DEVICE_READING_QUOTA_EXCEEDED', error: 'Daily reading quota exceeded for this device' },
+    { key: tenantQuotaKey(tenant.id, day), max: tenant.maxReadingsPerDay, code: 'READING_QUOTA_EXCEEDED', error: 'Daily reading quota exceeded' }
+  ];
+
+  const consumed = [];
+  for (const quota of quotas) {
+    const counter = await store.increment(quota.key, { windowMs, amount: count });
+    consumed.push(quota);
+    if (quota.max && counter.count > quota.max) {
+      await Promise.all(consumed.map(c => store.increment(c.key, { windowMs, amount: -count })));
+      return { ok: false, code: quota.code, error: quota.error };
+    }
+  }
+  return { ok: true, day };
+};
+
+// Devuelve a las cuotas del día `day` (el de consumeReadings) las lecturas cobradas que no se guardaron
+// (duplicados, rechazos, errores de almacenamiento), para que los reintentos no agoten la cuota.
+// Nunca falla: se llama también desde los manejadores de error
+const refundReadings = async (tenant, deviceId, count, day = today()) => {
+  if (!(count > 0)) return;
+  const windowMs = untilMidnight();
+  try {
+    await Promise.all([deviceQuotaKey(tenant.id, deviceId, day), tenantQuotaKey(tenant.id, day)]
+      .map(key => store.increment(key, { windowMs, amount: -count })));
+  } catch (err) {
+    logger.error('Reading quota refund error', { tenantId: tenant.id, deviceId, count, error: err.message });
+  }
+};
+
+const readingsToday = async (key) => {
+  const counter = await store.get(key);
+  return counter ? counter.count : 0;
+};
+
+const getUsage = async (tenant) => ({ readingsToday: await readingsToday(tenantQuotaKey(tenant.id, today())) });
+
+const getDeviceUsage = async (tenant, deviceId) => ({ readingsToday: await readingsToday(deviceQuotaKey(tenant.id, deviceId, today())) });
+
+const start = () => store.start();
+
+const stop = () => store.stop();
+
+module.exports = {
+  store,
+  rateLimitStore,
+  consumeReadings,
+  refundReadings,
+  getUsage,
+  getDeviceUsage,
+  start,
+  stop
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const Aedes = require('aedes');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const tenantContext = require('../utils/tenantContext');
+const tenants = require('./tenants');
+const deviceRegistry = require('./deviceRegistry');
+const telemetryIngestion = require('./telemetryIngestion');
+const devicePresence = require('./devicePresence');
+const deviceAbuse = require('./deviceAbuse');
+const limits = require('./limits');
+const { verifyDeviceToken } = require('../middleware/deviceAuth');
+
+// Broker MQTT embebido para dispositivos con poca energía.
+// Topics:
+//   aquaguard/{deviceId}/telemetry       lectura individual (mismo payload que POST /ingest)
+//   aquaguard/{deviceId}/telemetry/bulk  { readings: [...] } (mismo payload que POST /ingest/bulk)
+//   aquaguard/{deviceId}/ack             respuestas del gateway (el dispositivo se suscribe)
+// Autenticación: username = deviceId, password = deviceSecret o JWT de /auth/token.
+// Dispositivos de otro tenant: username = {tenantId}/{deviceId} y topics aquaguard/{tenantId}/{deviceId}/...
+const TOPIC_PREFIX = 'aquaguard';
+
+const AUTH_BAD_CREDENTIALS = 4;
+const AUTH_NOT_AUTHORIZED = 5;
+
+let broker = null;
+let server = null;
+
+const authError = (message, returnCode) => {
+  const err = new Error(message);
+  err.returnCode = returnCode;
+  return err;
+};
+
+const looksLikeJwt = (value) => value.split('.').length === 3;
+
+// username -> { tenantId, deviceId, topicPath }; topicPath es el segmento de los topics del dispositivo
+const parseUsername = (username = '') => {
+  const [first, second] = username.split('/');
+  return second === undefined
+    ? { tenantId: tenants.DEFAULT_TENANT_ID, deviceId: first, topicPath: first }
+    : { tenantId: first, deviceId: second, topicPath: username };
+};
+
+// Devuelve { deviceId, tenant, topicPath, secretVersion }
+const authenticate = async (client, username, password) => {
+  const { tenantId, deviceId, topicPath } = parseUsername(username);
+  const secret = password ? password.toString() : '';
+  if (!deviceId || !secret) throw authError('Device ID and secret are required', AUTH_BAD_CREDENTIALS);
+
+  const tenant = await tenants.getTenant(tenantId);
+  if (!tenant) throw authError('Unknown tenant', AUTH_BAD_CREDENTIALS);
+  if (!tenant.isEnabled) throw authError('Tenant is disabled', AUTH_NOT_AUTHORIZED);
+  if (!tenant.isProvisioned) throw authError('Tenant has no database', AUTH_NOT_AUTHORIZED);
+
+  if (looksLikeJwt(secret)) {
+    let decoded;
+    try {
+      decoded = await verifyDeviceToken(secret);
+    } catch (err) {
+      throw authError('Invalid or expired token', AUTH_BAD_CREDENTIALS);
+    }
+    if (decoded.deviceId !== deviceId || (decoded.tenantId || tenants.DEFAULT_TENANT_ID) !== tenant.id) {
+      throw authError('Device ID mismatch', AUTH_NOT_AUTHORIZED);
+    }
+    const revoked = await tenantContext.run(tenant, () => deviceRegistry.checkSession(deviceId, decoded.secretVersion));
+    if (revoked) throw authError('Token has been revoked', revoked === 'DEVICE_DISABLED' ? AUTH_NOT_AUTHORIZED : AUTH_BAD_CREDENTIALS);
+    return { deviceId, tenant, topicPath, secretVersion: decoded.secretVersion };
+  }
+
+  const credentials = await tenantContext.run(tenant, () => deviceRegistry.verifyDeviceCredentials(deviceId, secret));
+  if (!credentials.ok) {
+    throw authError('Invalid device credentials', credentials.reason === 'DEVICE_DISABLED' ? AUTH_NOT_AUTHORIZED : AUTH_BAD_CREDENTIALS);
+  }
+  return { deviceId, tenant, topicPath, secretVersion: deviceRegistry.secretVersion(credentials.device) };
+};
+
+const reply = (client, payload) => {
+  broker.publish({ topic: `${TOPIC_PREFIX}/${client.topicPath}/ack`, payload: Buffer.from(JSON.stringify(payload)), qos: 0, retain: false }, () => {});
+};
+
+const parsePayload = (packet) => {
+  try {
+    return JSON.parse(packet.payload.toString());
+  } catch (_) {
+    return null;
+  }
+};
+
+// Devuelve un error solo si falla el almacenamiento: el broker no envía PUBACK y cierra la
+// conexión, así el dispositivo reintenta con QoS 1. Los errores de validación, los límites y la
+// cuarentena se notifican en /ack. Se ejecuta dentro del contexto del tenant del cliente
+const handleTelemetry = async (client, packet, bulk) => {
+  const { deviceId } = client;
+  const quarantinedUntil = await deviceAbuse.quarantinedUntil(deviceId);
+  if (quarantinedUntil) {
+    return reply(client, { success: false, error: 'Device is quarantined', code: 'DEVICE_QUARANTINED', quarantinedUntil: quarantinedUntil.toISOString() });
+  }
+  // Mismo contador que el límite por dispositivo de HTTP
+  const rate = await deviceAbuse.hitIngest(deviceId);
+  if (!rate.ok) {
+    metrics.recordRateLimited('device_ingest');
+    return reply(client, { success: false, error: 'Rate limit exceeded for this device.', code: 'DEVICE_RATE_LIMITED' });
+  }
+
+  const payload = parsePayload(packet);
+  const { error, value } = payload
+    ? (bulk ? telemetryIngestion.validateBulk(payload) : telemetryIngestion.validateReading(payload))
+    : { error: { details: [{ message: 'Payload must be valid JSON' }] } };
+
+  if (error) {
+    metrics.recordValidationFailure('mqtt', bulk ? 'bulk' : 'single');
+    return reply(client, { success: false, error: 'Invalid telemetry data', details: error.details.map(d => d.message), code: 'VALIDATION_ERROR' });
+  }
+  const count = bulk ? value.readings.length : 1;
+  const quota = await limits.consumeReadings(client.tenant, deviceId, count);
+  if (!quota.ok) {
+    return reply(client, { success: false, error: quota.error, code: quota.code });
+  }
+
+  // Solo cuentan para la cuota las lecturas guardadas: el resto (y todo si falla el almacenamiento) se devuelve
+  let outcome;
+  try {
+    outcome = bulk
+      ? await telemetryIngestion.ingestBulk(value.readings, deviceId, { atomic: value.atomic })
+      : await telemetryIngestion.ingestReading(value, deviceId);
+  } catch (err) {
+    await limits.refundReadings(client.tenant, deviceId, count, quota.day);
+    throw err;
+  }
+  const stored = bulk ? outcome.results.filter(r => !r.duplicate).length : Number(outcome.ok && !outcome.duplicate);
+  await limits.refundReadings(client.tenant, deviceId, count - stored, quota.day);
+
+  if (bulk) {
+    const { results, errors, duplicates } = outcome;
+    return reply(client, { success: errors.length === 0, atomic: value.atomic, processed: results.length, duplicates, failed: errors.length, results, errors: errors.length > 0 ? errors : undefined });
+  }
+
+  const result = outcome;
+  if (!result.ok) {
+    return reply(client, { success: false, error: result.error, code: result.code });
+  }
+
+  if (result.duplicate) {
+    return reply(client, { success: true, duplicate: true, documentId: result.documentId, timestamp: result.timestamp });
+  }
+
+  logger.info('Telemetry stored', { deviceId, sensorType: value.sensorType, documentId: result.documentId, isAnomalous: result.isAnomalous, queued: result.queued, transport: 'mqtt' });
+  reply(client, { success: true, duplicate: false, documentId: result.documentId, timestamp: result.timestamp, isAnomalous: result.isAnomalous, queued: result.queued });
+};
+
+const createBroker = () => {
+  const instance = new Aedes();
+
+  instance.authenticate = (client, username, password, done) => {
+    authenticate(client, username, password)
+      .then(({ deviceId, tenant, topicPath, secretVersion }) => {
+        client.deviceId = deviceId;
+        client.tenant = tenant;
+        client.topicPath = topicPath;
+        client.secretVersion = secretVersion;
+        logger.info('MQTT device connected', { deviceId, tenantId: tenant.id, clientId: client.id });
+        tenantContext.run(tenant, () => devicePresence.touch(deviceId));
+        done(null, true);
+      })
+      .catch((err) => {
+        logger.warn('MQTT authentication failed', { deviceId: username, clientId: client.id, error: err.message });
+        done(err.returnCode ? err : authError('Authentication error', AUTH_BAD_CREDENTIALS), null);
+      });
+  };
+
+  // Cada dispositivo solo publica en su propio topic de telemetría
+  instance.authorizePublish = (client, packet, done) => {
+    if (!client) return done(null); // publicaciones internas del gateway
+
+    const base = `${TOPIC_PREFIX}/${client.topicPath}/telemetry`;
+    if (packet.topic !== base && packet.topic !== `${base}/bulk`) {
+      logger.warn('MQTT publish to unauthorized topic', { deviceId: client.deviceId, topic: packet.topic });
+      return done(new Error('Topic not allowed'));
+    }
+
+    // El tenant se relee (caché de tenants.getTenant) en cada publicación: si se deshabilita
+    // con la sesión abierta se cierra la conexión, como rechaza HTTP en la siguiente petición
+    tenants.getTenant(client.tenant.id)
+      .then((tenant) => {
+        if (!tenant || !tenant.isEnabled || !tenant.isProvisioned) {
+          logger.warn('MQTT session closed, tenant disabled', { deviceId: client.deviceId, tenantId: client.tenant.id, clientId: client.id });
+          return done(authError('Tenant is disabled', AUTH_NOT_AUTHORIZED));
+        }
+        client.tenant = tenant;
+
+        return tenantContext.run(tenant, async () => {
+          // Deshabilitado, borrado o con el secreto rotado: se cierra la conexión abierta
+          const revoked = await deviceRegistry.checkSession(client.deviceId, client.secretVersion);
+          if (revoked) {
+            logger.warn('MQTT session revoked', { deviceId: client.deviceId, tenantId: tenant.id, reason: revoked, clientId: client.id });
+            return done(authError('Session revoked', AUTH_NOT_AUTHORIZED));
+          }
+
+          devicePresence.touch(client.deviceId);
+          await handleTelemetry(client, packet, packet.topic.endsWith('/bulk'));
+          done(null);
+        });
+      })
+      .catch((err) => {
+        logger.error('MQTT telemetry ingestion error', { error: err.message, stack: err.stack, deviceId: client.deviceId });
+        done(err);
+      });
+  };
+
+  // ...y solo se suscribe a su topic de respuestas (sin comodines: con tenants,
+  // aquaguard/{deviceId}/# podría abarcar los topics de un tenant con ese mismo nombre)
+  instance.authorizeSubscribe = (client, subscription, done) => {
+    if (subscription.topic !== `${TOPIC_PREFIX}/${client.topicPath}/ack`) {
+      return done(new Error('Subscription not allowed'));
+    }
+    done(null, subscription);
+  };
+
+  // PINGREQ (keepalive) también cuenta como actividad
+  instance.on('ping', (packet, client) => {
+    if (client && client.deviceId) tenantContext.run(client.tenant, () => devicePresence.touch(client.deviceId));
+  });
+
+  return instance;
+};
+
+const start = () => {
+  if (server) return server;
+
+  broker = createBroker();
+  const port = parseInt(process.env.MQTT_PORT || '1883');
+  const { MQTT_TLS_KEY, MQTT_TLS_CERT } = process.env;
+
+  server = MQTT_TLS_KEY && MQTT_TLS_CERT
+    ? tls.createServer({ key: fs.readFileSync(MQTT_TLS_KEY), cert: fs.readFileSync(MQTT_TLS_CERT) }, broker.handle)
+    : net.createServer(broker.handle);
+
+  server.listen(port, '0.0.0.0', () => {
+    logger.info(`MQTT broker listening on port ${port}`, { tls: Boolean(MQTT_TLS_KEY && MQTT_TLS_CERT) });
+  });
+  return server;
+};
+
+const stop = (callback = () => {}) => {
+  if (!server) return callback();
+  server.close(() => broker.close(callback));
+  server = null;
+};
+
+module.exports = { TOPIC_PREFIX, start, stop };
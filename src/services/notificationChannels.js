@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+// Canales de notificación. Cada canal expone send(alert, config, context) y lanza un error
+// si la entrega falla (el notificador se encarga de reintentar). Los canales con varios destinatarios
+// independientes (SMS) indican en el error cuáles fallaron (err.pendingRecipients) para que el
+// reintento no repita los que ya lo recibieron.
+const httpTimeoutMs = () => parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS || '10000');
+
+const deliveryError = (message, responseCode) => {
+  const err = new Error(message);
+  err.responseCode = responseCode;
+  return err;
+};
+
+const summary = (alert, context) => {
+  const prefix = context.stage === 'escalation' ? '[ESCALATED] ' : '';
+  const location = alert.metadata && alert.metadata.location ? ` @ ${alert.metadata.location}` : '';
+  return `${prefix}[${alert.severity.toUpperCase()}] ${alert.type} ${alert.deviceId}${location}`;
+};
+
+// --- Webhook genérico firmado con HMAC-SHA256 ---
+// Firma: hex(HMAC(secret, `${timestamp}.${body}`)) en X-AquaGuard-Signature (sha256=...)
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const webhook = {
+  send: async (alert, config, context) => {
+    const secret = config.secret || process.env.NOTIFY_WEBHOOK_SECRET;
+    if (!config.url) throw deliveryError('Webhook channel has no url');
+    if (!secret) throw deliveryError('Webhook channel has no secret');
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({ event: `alert.${context.stage}`, deliveryId: context.deliveryId, alert });
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-aquaguard-timestamp': timestamp,
+        'x-aquaguard-signature': `sha256=${signPayload(secret, timestamp, body)}`,
+        'x-aquaguard-delivery': context.deliveryId
+      },
+      body,
+      signal: AbortSignal.timeout(httpTimeoutMs())
+    });
+
+    if (!response.ok) throw deliveryError(`Webhook responded ${response.status}`, response.status);
+    return { responseCode: response.status };
+  }
+};
+
+// --- Email (SMTP) ---
+let transport = null;
+const smtpTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+};
+
+const email = {
+  send: async (alert, config, context) => {
+    if (!process.env.SMTP_HOST) throw deliveryError('SMTP_HOST is not configured');
+    if (!config.to || config.to.length === 0) throw deliveryError('Email channel has no recipients');
+
+    const lines = [
+      alert.message,
+      '',
+      `Device: ${alert.deviceId}`,
+      `Sensor: ${alert.sensorType || '-'}`,
+      `Severity: ${alert.severity}`,
+      `Time: ${alert.timestamp}`,
+      `Alert ID: ${alert.id}`
+    ];
+    const info = await smtpTransport().sendMail({
+      from: config.from || process.env.SMTP_FROM,
+      to: config.to,
+      subject: summary(alert, context),
+      text: lines.join('\n')
+    });
+    return { responseCode: null, providerId: info.messageId };
+  }
+};
+
+// --- SMS ---
+// SMS_PROVIDER=stub solo registra el mensaje (desarrollo local); twilio usa su API REST.
+// stubSent guarda los últimos STUB_SENT_MAX mensajes para inspeccionarlos en pruebas.
+const STUB_SENT_MAX = 100;
+const stubSent = [];
+let stubCount = 0;
+
+const smsProviders = {
+  stub: async (to, text) => {
+    stubCount++;
+    stubSent.push({ to, text, at: new Date().toISOString() });
+    if (stubSent.length > STUB_SENT_MAX) stubSent.splice(0, stubSent.length - STUB_SENT_MAX);
+    logger.info('SMS (stub)', { to, text });
+    return { responseCode: null, providerId: `stub-${stubCount}` };
+  },
+
+  twilio: async (to, text) => {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !SMS_FROM) throw deliveryError('Twilio credentials are not configured');
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+        'content-type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: SMS_FROM, Body: text }).toString(),
+      signal: AbortSignal.timeout(httpTimeoutMs())
+    });
+    if (!response.ok) throw deliveryError(`Twilio responded ${response.status}`, response.status);
+    const result = await response.json();
+    return { responseCode: response.status, providerId: result.sid };
+  }
+};
+
+// Cada número es un envío independiente: en un reintento (context.recipients) solo se envía
+// a los que fallaron en el intento anterior
+const sms = {
+  send: async (alert, config, context) => {
+    const provider = smsProviders[config.provider || process.env.SMS_PROVIDER || 'stub'];
+    if (!provider) throw deliveryError(`Unknown SMS provider ${config.provider || process.env.SMS_PROVIDER}`);
+    if (!config.to || config.to.length === 0) throw deliveryError('SMS channel has no recipients');
+
+    const text = `${summary(alert, context)}: ${alert.message}`.slice(0, 320);
+    const sentTo = [];
+    const failures = [];
+    let last = null;
+    for (const to of context.recipients || config.to) {
+      try {
+        last = await provider(to, text);
+        sentTo.push(to);
+      } catch (err) {
+        failures.push({ to, err });
+      }
+    }
+
+    if (failures.length > 0) {
+      const err = deliveryError(
+        failures.map(({ to, err: cause }) => `${to}: ${cause.message}`).join('; '),
+        failures[failures.length - 1].err.responseCode
+      );
+      err.sentTo = sentTo;
+      err.pendingRecipients = failures.map(({ to }) => to);
+      throw err;
+    }
+    return { ...last, sentTo };
+  }
+};
+
+const channelTypes = { webhook, email, sms };
+
+module.exports = { channelTypes, signPayload, stubSent };
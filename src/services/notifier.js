@@ -0,0 +1,387 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const eventBus = require('./eventBus');
+const alerts = require('./alerts');
+const { channelTypes } = require('./notificationChannels');
+const tenants = require('./tenants');
+
+// Envío de notificaciones de alertas. Configuración en NOTIFY_CONFIG_FILE:
+// {
+//   "channels": { "<name>": { "type": "webhook" | "email" | "sms", ...opciones del canal } },
+//   "routes": [{ "tenants": [...], "severities": [...], "locations": [...], "types": [...], "channels": [...],
+//                "notifyResolved": false, "escalation": { "afterMs": 900000, "channels": [...] } }],
+//   "quietHours": { "start": "22:00", "end": "07:00", "timeZone": "Europe/Madrid", "minSeverity": "critical" }
+// }
+// Los filtros de una ruta que no se indican aceptan cualquier valor; sin "tenants", la ruta solo
+// aplica al tenant por defecto para no enviar alertas de una compañía a los canales de otra.
+// Las alertas se notifican dentro del contexto de su tenant (el del evento o el de la tarea periódica).
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const maxAttempts = () => parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5');
+const retryBaseMs = () => parseInt(process.env.NOTIFY_RETRY_BASE_MS || '5000');
+const retryMaxMs = () => parseInt(process.env.NOTIFY_RETRY_MAX_MS || `${10 * 60 * 1000}`); // 10m
+
+let config = null;
+
+// Sin fichero: un webhook para todas las alertas si hay NOTIFY_WEBHOOK_URL, si no, nada
+const defaultConfig = () => (process.env.NOTIFY_WEBHOOK_URL
+  ? { channels: { webhook: { type: 'webhook', url: process.env.NOTIFY_WEBHOOK_URL } }, routes: [{ channels: ['webhook'] }], quietHours: null }
+  : { channels: {}, routes: [], quietHours: null });
+
+const loadConfig = () => {
+  const file = process.env.NOTIFY_CONFIG_FILE;
+  if (!file) return defaultConfig();
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return { channels: loaded.channels || {}, routes: loaded.routes || [], quietHours: loaded.quietHours || null };
+  } catch (err) {
+    logger.error('Could not load notification config', { file, error: err.message });
+    return defaultConfig();
+  }
+};
+
+const getConfig = () => {
+  if (!config) config = loadConfig();
+  return config;
+};
+
+const setConfig = (next) => {
+  config = next ? { channels: next.channels || {}, routes: next.routes || [], quietHours: next.quietHours || null } : null;
+};
+
+const alertLocation = (alert) => (alert.metadata && alert.metadata.location) || null;
+
+const routeTenantMatches = (route) => (route.tenants
+  ? route.tenants.includes(tenants.currentTenantId())
+  : tenants.currentTenantId() === tenants.DEFAULT_TENANT_ID);
+
+const routeMatches = (route, alert) => routeTenantMatches(route)
+  && (!route.severities || route.severities.includes(alert.severity))
+  && (!route.locations || route.locations.includes(alertLocation(alert)))
+  && (!route.types || route.types.includes(alert.type));
+
+const matchingRoutes = (alert) => getConfig().routes.filter(route => routeMatches(route, alert));
+
+// --- Horario silencioso ---
+const minuteOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: 'numeric', hourCycle: 'h23', timeZone }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return get('hour') * 60 + get('minute');
+};
+
+const parseClock = (value) => {
+  const [h, m] = value.split(':').map(n => parseInt(n, 10));
+  return h * 60 + (m || 0);
+};
+
+// Devuelve los ms que faltan para que termine el horario silencioso, o 0 si se puede enviar ya
+const quietDelayMs = (alert, quietHours, now = new Date()) => {
+  if (!quietHours || !quietHours.start || !quietHours.end) return 0;
+  if (SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[quietHours.minSeverity || 'critical']) return 0;
+
+  const current = minuteOfDay(now, quietHours.timeZone || 'UTC');
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const inQuiet = start <= end ? current >= start && current < end : current >= start || current < end;
+  if (!inQuiet) return 0;
+
+  return (((end - current) + 1440) % 1440) * 60 * 1000;
+};
+
+// --- Registro de intentos ---
+const recordAttempt = async (job, outcome) => {
+  try {
+    await databases.createDocument(databaseId(), collections.notificationDeliveries(), ID.unique(), {
+      deliveryId: job.deliveryId,
+      alertId: job.alert.id,
+      deviceId: job.alert.deviceId,
+      channel: job.channel,
+      channelType: job.channelType,
+      stage: job.stage,
+      attempt: job.attempt,
+      status: outcome.status,
+      error: outcome.error || null,
+      responseCode: outcome.responseCode || null,
+      sentTo: outcome.sentTo || [],
+      pendingRecipients: outcome.pendingRecipients || [],
+      attemptedAt: new Date().toISOString(),
+      nextAttemptAt: outcome.nextAttemptAt || null,
+      retryPending: Boolean(outcome.nextAttemptAt)
+    });
+  } catch (err) {
+    // Sin el registro, un reintento o envío aplazado se pierde
+    logger.error('Notification attempt record error', { alertId: job.alert.id, channel: job.channel, error: err.message, retryLost: Boolean(outcome.nextAttemptAt) });
+  }
+};
+
+const listDeliveries = async (alertId, { limit = 100 } = {}) => {
+  const list = await databases.listDocuments(databaseId(), collections.notificationDeliveries(), [
+    Query.equal('alertId', alertId),
+    Query.orderAsc('attemptedAt'),
+    Query.limit(limit)
+  ]);
+  return list.documents.map(doc => ({
+    id: doc.$id,
+    deliveryId: doc.deliveryId,
+    channel: doc.channel,
+    channelType: doc.channelType,
+    stage: doc.stage,
+    attempt: doc.attempt,
+    status: doc.status,
+    error: doc.error || null,
+    responseCode: doc.responseCode || null,
+    sentTo: doc.sentTo || [],
+    pendingRecipients: doc.pendingRecipients || [],
+    attemptedAt: doc.attemptedAt,
+    nextAttemptAt: doc.nextAttemptAt || null
+  }));
+};
+
+// --- Entrega con reintentos ---
+// Los reintentos y envíos aplazados no son temporizadores: el intento se guarda con nextAttemptAt y
+// retryPending, y el bucle del notificador (NOTIFY_RETRY_CHECK_MS) los lanza cuando vencen,
+// también los que quedaron pendientes antes de un reinicio.
+const backoffMs = (attempt) => Math.min(retryBaseMs() * 2 ** (attempt - 1), retryMaxMs());
+
+// Antes de un reintento o un envío diferido se comprueba que la alerta siga sin atender
+const stillPending = async (job) => {
+  if (job.stage === 'resolved') return true;
+  const current = await alerts.getAlert(job.alert.id);
+  return Boolean(current) && current.status === 'open';
+};
+
+const attemptDelivery = async (job) => {
+  if ((job.attempt > 1 || job.deferred) && !(await stillPending(job))) {
+    return recordAttempt(job, { status: 'skipped', error: 'Alert no longer pending' });
+  }
+
+  if (!job.deferred && job.stage !== 'resolved') {
+    const delay = quietDelayMs(job.alert, job.quietHours);
+    if (delay > 0) {
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      return recordAttempt(job, { status: 'deferred', nextAttemptAt });
+    }
+  }
+
+  const channelConfig = getConfig().channels[job.channel];
+  try {
+    const result = await channelTypes[job.channelType].send(job.alert, channelConfig, { stage: job.stage, deliveryId: job.deliveryId, recipients: job.recipients });
+    await recordAttempt(job, { status: 'sent', responseCode: result && result.responseCode, sentTo: result && result.sentTo });
+    logger.info('Notification sent', { alertId: job.alert.id, channel: job.channel, stage: job.stage, attempt: job.attempt });
+  } catch (err) {
+    // Si el canal dice qué destinatarios fallaron, el reintento solo va a esos
+    const recipients = err.pendingRecipients || job.recipients;
+    const failure = { status: 'failed', error: err.message, responseCode: err.responseCode, sentTo: err.sentTo, pendingRecipients: recipients };
+    if (job.attempt >= maxAttempts()) {
+      await recordAttempt(job, failure);
+      logger.error('Notification failed permanently', { alertId: job.alert.id, channel: job.channel, stage: job.stage, attempts: job.attempt, error: err.message });
+      return;
+    }
+
+    const delay = backoffMs(job.attempt);
+    await recordAttempt(job, { ...failure, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+    logger.warn('Notification attempt failed, retrying', { alertId: job.alert.id, channel: job.channel, attempt: job.attempt, delayMs: delay, error: err.message });
+  }
+};
+
+const run = (job) => {
+  attemptDelivery(job).catch(err => logger.error('Notification dispatch error', { alertId: job.alert.id, channel: job.channel, error: err.message, stack: err.stack }));
+};
+
+const routeQuietHours = (route) => (route.quietHours !== undefined ? route.quietHours : getConfig().quietHours);
+
+// Envía la alerta por los canales de las rutas que coinciden (cada canal una sola vez)
+const dispatch = (alert, stage = 'initial') => {
+  const { channels } = getConfig();
+  const seen = new Set();
+  const jobs = [];
+
+  for (const route of matchingRoutes(alert)) {
+    if (stage === 'resolved' && !route.notifyResolved) continue;
+    const names = stage === 'escalation' ? (route.escalation && route.escalation.channels) || [] : route.channels || [];
+
+    for (const name of names) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      const channel = channels[name];
+      if (!channel || !channelTypes[channel.type]) {
+        logger.error('Notification route references unknown channel', { channel: name });
+        continue;
+      }
+      jobs.push({
+        deliveryId: ID.unique(),
+        alert,
+        channel: name,
+        channelType: channel.type,
+        stage,
+        attempt: 1,
+        quietHours: routeQuietHours(route)
+      });
+    }
+  }
+
+  jobs.forEach(run);
+  return jobs.length;
+};
+
+// Reintentos y envíos aplazados que ya vencieron (del tenant actual). Cada uno se marca como
+// lanzado antes de enviarlo; el siguiente intento deja su propio registro.
+const DUE_PAGE_SIZE = 100;
+
+const jobFromAttempt = async (doc) => {
+  const alert = await alerts.getAlert(doc.alertId);
+  if (!alert) return null;
+  const route = matchingRoutes(alert).find(r => (r.channels || []).includes(doc.channel)
+    || (r.escalation && (r.escalation.channels || []).includes(doc.channel)));
+  const deferred = doc.status === 'deferred';
+  return {
+    deliveryId: doc.deliveryId,
+    alert,
+    channel: doc.channel,
+    channelType: doc.channelType,
+    stage: doc.stage,
+    attempt: deferred ? doc.attempt : doc.attempt + 1,
+    deferred,
+    recipients: doc.pendingRecipients && doc.pendingRecipients.length > 0 ? doc.pendingRecipients : undefined,
+    quietHours: route ? routeQuietHours(route) : getConfig().quietHours
+  };
+};
+
+const runDueDeliveries = async () => {
+  let started = 0;
+  for (;;) {
+    const list = await databases.listDocuments(databaseId(), collections.notificationDeliveries(), [
+      Query.equal('retryPending', true),
+      Query.lessThanEqual('nextAttemptAt', new Date().toISOString()),
+      Query.orderAsc('nextAttemptAt'),
+      Query.limit(DUE_PAGE_SIZE)
+    ]);
+
+    for (const doc of list.documents) {
+      await databases.updateDocument(databaseId(), collections.notificationDeliveries(), doc.$id, { retryPending: false });
+      const job = await jobFromAttempt(doc);
+      if (!job) {
+        logger.warn('Dropping notification retry for a missing alert', { alertId: doc.alertId, channel: doc.channel });
+        continue;
+      }
+      await attemptDelivery(job).catch(err => logger.error('Notification dispatch error', { alertId: doc.alertId, channel: doc.channel, error: err.message, stack: err.stack }));
+      started++;
+    }
+    // Los lanzados dejan de cumplir el filtro: se vuelve a pedir la primera página
+    if (list.documents.length < DUE_PAGE_SIZE) return started;
+  }
+};
+
+// --- Escalado: alertas abiertas (sin reconocer) más antiguas que escalation.afterMs ---
+const escalationRoutes = () => getConfig().routes.filter(route => route.escalation && route.escalation.afterMs);
+
+const ESCALATION_PAGE_SIZE = 100;
+
+const checkEscalations = async () => {
+  const routes = escalationRoutes();
+  if (routes.length === 0) return 0;
+
+  // Se recorren todas las páginas: las alertas que ninguna ruta escala no deben tapar a las más nuevas
+  const minAfterMs = Math.min(...routes.map(route => route.escalation.afterMs));
+  const cutoff = new Date(Date.now() - minAfterMs).toISOString();
+  let escalated = 0;
+  let cursor = null;
+  for (;;) {
+    const queries = [
+      Query.equal('status', 'open'),
+      Query.isNull('escalatedAt'),
+      Query.lessThan('$createdAt', cutoff),
+      Query.orderAsc('$createdAt'),
+      Query.limit(ESCALATION_PAGE_SIZE)
+    ];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+    const list = await databases.listDocuments(databaseId(), collections.alerts(), queries);
+
+    // El cursor avanza por las que siguen sin escalar (las escaladas ya no cumplen el filtro)
+    let next = null;
+    for (const doc of list.documents) {
+      const alert = alerts.toPublicAlert(doc);
+      const age = Date.now() - new Date(doc.$createdAt).getTime();
+      const due = routes.some(route => routeMatches(route, alert) && age >= route.escalation.afterMs);
+      if (!due) {
+        next = doc.$id;
+        continue;
+      }
+
+      await alerts.markEscalated(doc.$id);
+      logger.warn('Alert escalated', { alertId: doc.$id, deviceId: doc.deviceId, type: doc.type, ageMs: age });
+      dispatch(alert, 'escalation');
+      escalated++;
+    }
+
+    if (list.documents.length < ESCALATION_PAGE_SIZE) return escalated;
+    cursor = next;
+  }
+};
+
+// --- Ciclo de vida ---
+let unsubscribe = null;
+let escalationTimer = null;
+let retryTimer = null;
+
+let checkingDue = false;
+
+// Una pasada cada vez: dos a la vez podrían leer el mismo pendiente antes de marcarlo
+const checkDueDeliveries = () => {
+  if (checkingDue) return;
+  checkingDue = true;
+  tenants.forEachTenant(runDueDeliveries)
+    .catch(err => logger.error('Notification retry check error', { error: err.message, stack: err.stack }))
+    .finally(() => { checkingDue = false; });
+};
+
+const onEvent = (event) => {
+  if (event.type !== 'alert') return;
+  if (event.data.status === 'open') dispatch(event.data, 'initial');
+  else if (event.data.status === 'resolved') dispatch(event.data, 'resolved');
+};
+
+const start = () => {
+  if (unsubscribe) return;
+  unsubscribe = eventBus.subscribe(onEvent);
+
+  const intervalMs = parseInt(process.env.NOTIFY_ESCALATION_CHECK_MS || '60000'); // 1m
+  escalationTimer = setInterval(() => {
+    tenants.forEachTenant(checkEscalations).catch(err => logger.error('Escalation check error', { error: err.message, stack: err.stack }));
+  }, intervalMs);
+  escalationTimer.unref();
+
+  // Incluye los pendientes de antes de arrancar
+  checkDueDeliveries();
+  retryTimer = setInterval(checkDueDeliveries, parseInt(process.env.NOTIFY_RETRY_CHECK_MS || '5000'));
+  retryTimer.unref();
+
+  const { channels, routes } = getConfig();
+  logger.info('Alert notifier started', { channels: Object.keys(channels).length, routes: routes.length });
+};
+
+const stop = () => {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  if (escalationTimer) clearInterval(escalationTimer);
+  escalationTimer = null;
+  if (retryTimer) clearInterval(retryTimer);
+  retryTimer = null;
+};
+
+module.exports = {
+  getConfig,
+  setConfig,
+  matchingRoutes,
+  quietDelayMs,
+  dispatch,
+  checkEscalations,
+  runDueDeliveries,
+  listDeliveries,
+  start,
+  stop
+};
@@ -0,0 +1,177 @@
+const parquet = require('parquetjs-lite');
+const { databases, databaseId, collections, Query } = require('../utils/appwrite');
+const { toPublicReading } = require('./readingsQuery');
+
+// Exportación de histórico en streaming (GET /readings/export y npm run export:readings).
+// Recorre Appwrite página a página en orden de timestamp y escribe cada página en cuanto llega,
+// así la memoria no depende del tamaño del rango. interval: raw (lecturas) o 1h / 1d (agregados de retención).
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+const EXPORT_INTERVALS = ['raw', '1h', '1d'];
+
+const PAGE_SIZE = 500;
+
+const READING_COLUMNS = [
+  'id', 'deviceId', 'sensorType', 'value', 'unit', 'rawValue', 'rawUnit', 'calibrationVersion',
+  'compensationTemperature', 'timestamp', 'location', 'isAnomalous', 'ingestedAt', 'metadata'
+];
+
+const ROLLUP_COLUMNS = ['deviceId', 'sensorType', 'location', 'unit', 'start', 'min', 'max', 'avg', 'count', 'anomalies'];
+
+const READING_SCHEMA = {
+  id: { type: 'UTF8' },
+  deviceId: { type: 'UTF8' },
+  sensorType: { type: 'UTF8' },
+  value: { type: 'DOUBLE' },
+  unit: { type: 'UTF8', optional: true },
+  rawValue: { type: 'DOUBLE', optional: true },
+  rawUnit: { type: 'UTF8', optional: true },
+  calibrationVersion: { type: 'INT64', optional: true },
+  compensationTemperature: { type: 'DOUBLE', optional: true },
+  timestamp: { type: 'TIMESTAMP_MILLIS' },
+  location: { type: 'UTF8', optional: true },
+  isAnomalous: { type: 'BOOLEAN' },
+  ingestedAt: { type: 'TIMESTAMP_MILLIS', optional: true },
+  metadata: { type: 'JSON', optional: true }
+};
+
+const ROLLUP_SCHEMA = {
+  deviceId: { type: 'UTF8' },
+  sensorType: { type: 'UTF8' },
+  location: { type: 'UTF8', optional: true },
+  unit: { type: 'UTF8', optional: true },
+  start: { type: 'TIMESTAMP_MILLIS' },
+  min: { type: 'DOUBLE' },
+  max: { type: 'DOUBLE' },
+  avg: { type: 'DOUBLE' },
+  count: { type: 'INT64' },
+  anomalies: { type: 'INT64' }
+};
+
+const toPublicRollup = (doc) => ({
+  deviceId: doc.deviceId,
+  sensorType: doc.sensorType,
+  location: doc.location || null,
+  unit: doc.unit || null,
+  start: doc.start,
+  min: doc.min,
+  max: doc.max,
+  avg: doc.count > 0 ? doc.sum / doc.count : null,
+  count: doc.count,
+  anomalies: doc.anomalies || 0
+});
+
+const SOURCES = {
+  raw: { collection: () => collections.sensorReadings(), timeField: 'timestamp', columns: READING_COLUMNS, schema: READING_SCHEMA, toRow: toPublicReading },
+  '1h': { collection: () => collections.readingsHourly(), timeField: 'start', columns: ROLLUP_COLUMNS, schema: ROLLUP_SCHEMA, toRow: toPublicRollup },
+  '1d': { collection: () => collections.readingsDaily(), timeField: 'start', columns: ROLLUP_COLUMNS, schema: ROLLUP_SCHEMA, toRow: toPublicRollup }
+};
+
+// Filtros: deviceId, location, sensorType y rango [from, to)
+const buildQueries = ({ deviceId, location, sensorType, from, to }, timeField) => {
+  const queries = [];
+  if (deviceId) queries.push(Query.equal('deviceId', deviceId));
+  if (location) queries.push(Query.equal('location', location));
+  if (sensorType) queries.push(Query.equal('sensorType', sensorType));
+  if (from) queries.push(Query.greaterThanEqual(timeField, from.toISOString()));
+  if (to) queries.push(Query.lessThan(timeField, to.toISOString()));
+  return queries;
+};
+
+// Páginas de filas públicas, de la más antigua a la más reciente
+async function* scanPages(filters, interval = 'raw') {
+  const source = SOURCES[interval];
+  let cursor = null;
+  for (;;) {
+    const queries = [...buildQueries(filters, source.timeField), Query.orderAsc(source.timeField), Query.limit(PAGE_SIZE)];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+
+    const page = await databases.listDocuments(databaseId(), source.collection(), queries);
+    if (page.documents.length > 0) yield page.documents.map(source.toRow);
+    if (page.documents.length < PAGE_SIZE) return;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Respeta la contrapresión del destino (respuesta HTTP o fichero). Si el cliente se desconecta
+// la respuesta emite close y no drain: se deja de esperar y el bucle corta al ver output.destroyed
+const write = (output, chunk) => {
+  if (output.write(chunk) || output.destroyed) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = (error) => {
+      output.off('drain', done);
+      output.off('close', done);
+      output.off('error', done);
+      if (error) reject(error);
+      else resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+    output.on('error', done);
+  });
+};
+
+const writeText = async (pages, format, columns, output) => {
+  let count = 0;
+  if (format === 'csv') await write(output, `${columns.join(',')}\n`);
+  for await (const rows of pages) {
+    if (output.destroyed) break;
+    const lines = rows.map(row => (format === 'csv'
+      ? columns.map(column => csvCell(row[column])).join(',')
+      : JSON.stringify(row)));
+    await write(output, `${lines.join('\n')}\n`);
+    count += rows.length;
+    if (output.destroyed) break;
+  }
+  output.end();
+  return count;
+};
+
+const toParquetRow = (row, schema) => {
+  const out = {};
+  for (const [column, field] of Object.entries(schema)) {
+    const value = row[column];
+    if (value === null || value === undefined) continue;
+    out[column] = field.type === 'TIMESTAMP_MILLIS' ? new Date(value) : value;
+  }
+  return out;
+};
+
+// Parquet escribe los row groups según avanza y el pie al cerrar (que también cierra el destino)
+const writeParquet = async (pages, schema, output) => {
+  const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(schema), output);
+  let count = 0;
+  for await (const rows of pages) {
+    if (output.destroyed) break;
+    for (const row of rows) await writer.appendRow(toParquetRow(row, schema));
+    count += rows.length;
+  }
+  await writer.close();
+  return count;
+};
+
+// Escribe la exportación en output (stream escribible) y lo cierra. Devuelve el número de filas.
+const writeExport = (filters, { format = 'csv', interval = 'raw' } = {}, output) => {
+  const source = SOURCES[interval];
+  const pages = scanPages(filters, interval);
+  return format === 'parquet'
+    ? writeParquet(pages, source.schema, output)
+    : writeText(pages, format, source.columns, output);
+};
+
+module.exports = {
+  FORMATS,
+  EXPORT_INTERVALS,
+  scanPages,
+  writeExport
+};
@@ -0,0 +1,108 @@
+const { databases, databaseId, collections, Query } = require('../utils/appwrite');
+const { fromAttribute } = require('../utils/jsonAttribute');
+
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const MAX_BUCKETS = 1500;
+const PAGE_SIZE = 500;
+const MAX_SCANNED = 50000;
+
+const toPublicReading = (doc) => ({
+  id: doc.$id,
+  deviceId: doc.deviceId,
+  sensorType: doc.sensorType,
+  value: doc.value,
+  unit: doc.unit,
+  // Lo que envió el dispositivo y la calibración aplicada (lecturas anteriores a la calibración: null)
+  rawValue: doc.rawValue !== undefined ? doc.rawValue : null,
+  rawUnit: doc.rawUnit || null,
+  calibrationVersion: doc.calibrationVersion !== undefined ? doc.calibrationVersion : null,
+  compensationTemperature: doc.compensationTemperature !== undefined ? doc.compensationTemperature : null,
+  timestamp: doc.timestamp,
+  location: doc.location,
+  isAnomalous: Boolean(doc.isAnomalous),
+  ingestedAt: doc.ingestedAt,
+  metadata: fromAttribute(doc.metadata, {})
+});
+
+// Filtros sobre idx_device_timestamp (deviceId + timestamp)
+const buildFilters = ({ deviceId, sensorType, from, to }) => {
+  const queries = [Query.equal('deviceId', deviceId)];
+  if (sensorType) queries.push(Query.equal('sensorType', sensorType));
+  if (from) queries.push(Query.greaterThanEqual('timestamp', from.toISOString()));
+  if (to) queries.push(Query.lessThan('timestamp', to.toISOString()));
+  return queries;
+};
+
+const listReadings = async ({ limit = 100, cursor, order = 'desc', ...filters }) => {
+  const queries = [
+    ...buildFilters(filters),
+    order === 'asc' ? Query.orderAsc('timestamp') : Query.orderDesc('timestamp'),
+    Query.limit(limit)
+  ];
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+
+  const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), queries);
+  const readings = page.documents.map(toPublicReading);
+  return {
+    readings,
+    nextCursor: readings.length === limit ? readings[readings.length - 1].id : null
+  };
+};
+
+const bucketCount = (from, to, interval) => Math.ceil((to.getTime() - from.getTime()) / INTERVALS[interval]);
+
+// Agrega en el servidor (Appwrite no tiene agregaciones): min/max/avg/count por intervalo
+const aggregateReadings = async ({ interval, ...filters }) => {
+  const size = INTERVALS[interval];
+  const buckets = new Map();
+  let scanned = 0;
+  let cursor = null;
+
+  while (scanned < MAX_SCANNED) {
+    const queries = [...buildFilters(filters), Query.orderAsc('timestamp'), Query.limit(PAGE_SIZE)];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+
+    const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), queries);
+    for (const doc of page.documents) {
+      const start = Math.floor(new Date(doc.timestamp).getTime() / size) * size;
+      const bucket = buckets.get(start) || { min: Infinity, max: -Infinity, sum: 0, count: 0 };
+      bucket.min = Math.min(bucket.min, doc.value);
+      bucket.max = Math.max(bucket.max, doc.value);
+      bucket.sum += doc.value;
+      bucket.count += 1;
+      buckets.set(start, bucket);
+    }
+
+    scanned += page.documents.length;
+    if (page.documents.length < PAGE_SIZE) break;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+
+  return {
+    interval,
+    truncated: scanned >= MAX_SCANNED,
+    buckets: [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([start, b]) => ({
+        start: new Date(start).toISOString(),
+        min: b.min,
+        max: b.max,
+        avg: b.sum / b.count,
+        count: b.count
+      }))
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  bucketCount,
+  toPublicReading,
+  listReadings,
+  aggregateReadings
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, Query } = require('../utils/appwrite');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const tenants = require('./tenants');
+const sensorTypes = require('./sensorTypes');
+
+// Retención de lecturas: las que tienen más de N días se resumen en agregados por hora (readings_hourly)
+// y por día (readings_daily) y después se borran. N es retentionDays del tipo de sensor (0 = no borrar
+// nunca) o RETENTION_DEFAULT_DAYS. Se procesa un día UTC cada vez, del más antiguo al más reciente.
+//
+// Reejecución segura: cada agregado guarda lastCreatedAt (el $createdAt de Appwrite más reciente de las
+// lecturas que incluye) y solo se le suman lecturas creadas después; si una ejecución se corta entre
+// escribir y borrar, la siguiente borra lo que quedó sin volver a contarlo. Las lecturas que llegan tarde
+// (cola local, dispositivos que estuvieron sin conexión) se suman al agregado existente. Se usa
+// $createdAt y no ingestedAt porque la cola local escribe con retraso. Activar en una sola instancia.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PAGE_SIZE = 500;
+
+const defaultRetentionDays = () => parseInt(process.env.RETENTION_DEFAULT_DAYS || '90');
+const maxReadingsPerRun = () => parseInt(process.env.RETENTION_MAX_READINGS_PER_RUN || '100000');
+const deleteConcurrency = () => parseInt(process.env.RETENTION_DELETE_CONCURRENCY || '4');
+
+// Días de lecturas sin resumir que se conservan para un tipo; 0 si no se borran nunca
+const retentionDaysFor = (sensorType) => {
+  const type = sensorTypes.getType(sensorType);
+  if (type && type.retentionDays !== undefined) return type.retentionDays;
+  return defaultRetentionDays();
+};
+
+const startOfDay = (ms) => Math.floor(ms / DAY_MS) * DAY_MS;
+
+const rollupIdFor = (interval, deviceId, sensorType, start) =>
+  crypto.createHash('sha256').update(`rollup|${interval}|${deviceId}|${sensorType}|${start}`).digest('hex').slice(0, 32);
+
+const listAll = async (collectionId, queries) => {
+  const documents = [];
+  let cursor = null;
+  for (;;) {
+    const page = await databases.listDocuments(databaseId(), collectionId, [...queries, Query.limit(PAGE_SIZE), ...(cursor ? [Query.cursorAfter(cursor)] : [])]);
+    documents.push(...page.documents);
+    if (page.documents.length < PAGE_SIZE) return documents;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+};
+
+// Agregados ya escritos para ese día y tipo: deviceId|start -> documento
+const existingRollups = async (collectionId, sensorType, dayStart) => {
+  const docs = await listAll(collectionId, [
+    Query.equal('sensorType', sensorType),
+    Query.greaterThanEqual('start', new Date(dayStart).toISOString()),
+    Query.lessThan('start', new Date(dayStart + DAY_MS).toISOString())
+  ]);
+  return new Map(docs.map(doc => [`${doc.deviceId}|${Date.parse(doc.start)}`, doc]));
+};
+
+const addToBucket = (buckets, key, doc, start) => {
+  const bucket = buckets.get(key) || { deviceId: doc.deviceId, start, min: Infinity, max: -Infinity, sum: 0, count: 0, anomalies: 0, lastCreatedAt: 0 };
+  bucket.min = Math.min(bucket.min, doc.value);
+  bucket.max = Math.max(bucket.max, doc.value);
+  bucket.sum += doc.value;
+  bucket.count += 1;
+  if (doc.isAnomalous) bucket.anomalies += 1;
+  bucket.location = doc.location || bucket.location || null;
+  bucket.unit = doc.unit || bucket.unit || null;
+  bucket.lastCreatedAt = Math.max(bucket.lastCreatedAt, Date.parse(doc.$createdAt));
+  buckets.set(key, bucket);
+};
+
+// Lecturas que el agregado existente (si lo hay) todavía no incluye
+const isNewFor = (existing, createdAt) => !existing || createdAt > Date.parse(existing.lastCreatedAt);
+
+const writeRollups = async (collectionId, interval, sensorType, buckets, existing) => {
+  const rolledUpAt = new Date().toISOString();
+  for (const [key, bucket] of buckets) {
+    const current = existing.get(key);
+    if (current) {
+      const count = current.count + bucket.count;
+      const sum = current.sum + bucket.sum;
+      await databases.updateDocument(databaseId(), collectionId, current.$id, {
+        min: Math.min(current.min, bucket.min),
+        max: Math.max(current.max, bucket.max),
+        sum,
+        count,
+        avg: sum / count,
+        anomalies: (current.anomalies || 0) + bucket.anomalies,
+        location: bucket.location || current.location || null,
+        lastCreatedAt: new Date(Math.max(Date.parse(current.lastCreatedAt), bucket.lastCreatedAt)).toISOString(),
+        rolledUpAt
+      });
+    } else {
+      await databases.createDocument(databaseId(), collectionId, rollupIdFor(interval, bucket.deviceId, sensorType, bucket.start), {
+        deviceId: bucket.deviceId,
+        sensorType,
+        location: bucket.location,
+        unit: bucket.unit,
+        start: new Date(bucket.start).toISOString(),
+        min: bucket.min,
+        max: bucket.max,
+        sum: bucket.sum,
+        count: bucket.count,
+        avg: bucket.sum / bucket.count,
+        anomalies: bucket.anomalies,
+        lastCreatedAt: new Date(bucket.lastCreatedAt).toISOString(),
+        rolledUpAt
+      });
+    }
+  }
+};
+
+const dayQueries = (sensorType, dayStart) => [
+  Query.equal('sensorType', sensorType),
+  Query.greaterThanEqual('timestamp', new Date(dayStart).toISOString()),
+  Query.lessThan('timestamp', new Date(dayStart + DAY_MS).toISOString())
+];
+
+// Borra, página a página, las lecturas del día creadas hasta `boundary` (las que ya están en los agregados)
+const deleteRolledUp = async (sensorType, dayStart, boundary) => {
+  let deleted = 0;
+  for (;;) {
+    const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), [
+      ...dayQueries(sensorType, dayStart),
+      Query.lessThanEqual('$createdAt', new Date(boundary).toISOString()),
+      Query.limit(PAGE_SIZE)
+    ]);
+    await mapWithConcurrency(page.documents, deleteConcurrency(), async (doc) => {
+      try {
+        await databases.deleteDocument(databaseId(), collections.sensorReadings(), doc.$id);
+      } catch (err) {
+        if (err.code !== 404) throw err;
+      }
+    });
+    deleted += page.documents.length;
+    if (page.documents.length < PAGE_SIZE) return deleted;
+  }
+};
+
+// Resume y borra las lecturas de un tipo en un día UTC. Se recorren por páginas en orden de $createdAt y en
+// memoria solo quedan los agregados por dispositivo y hora. Con `limit` se corta después de ese número de
+// lecturas (sin separar las que comparten $createdAt) y el resto del día queda para la siguiente ejecución.
+// Resultado: { deleted, hourly, daily, truncated }
+const rollUpDay = async (sensorType, dayStart, limit = Infinity) => {
+  const [hourlyExisting, dailyExisting] = await Promise.all([
+    existingRollups(collections.readingsHourly(), sensorType, dayStart),
+    existingRollups(collections.readingsDaily(), sensorType, dayStart)
+  ]);
+
+  const hourly = new Map();
+  const daily = new Map();
+  let processed = 0;
+  // $createdAt de la última lectura incluida: lo que se resume y se borra
+  let boundary = 0;
+  let truncated = false;
+  let cursor = null;
+  while (!truncated) {
+    const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), [
+      ...dayQueries(sensorType, dayStart),
+      Query.orderAsc('$createdAt'),
+      Query.limit(PAGE_SIZE),
+      ...(cursor ? [Query.cursorAfter(cursor)] : [])
+    ]);
+    for (const doc of page.documents) {
+      const createdAt = Date.parse(doc.$createdAt);
+      if (processed >= limit && createdAt > boundary) {
+        truncated = true;
+        break;
+      }
+      processed += 1;
+      boundary = Math.max(boundary, createdAt);
+
+      const hourStart = Math.floor(Date.parse(doc.timestamp) / HOUR_MS) * HOUR_MS;
+      const hourKey = `${doc.deviceId}|${hourStart}`;
+      const dayKey = `${doc.deviceId}|${dayStart}`;
+      if (isNewFor(hourlyExisting.get(hourKey), createdAt)) addToBucket(hourly, hourKey, doc, hourStart);
+      if (isNewFor(dailyExisting.get(dayKey), createdAt)) addToBucket(daily, dayKey, doc, dayStart);
+    }
+    if (page.documents.length < PAGE_SIZE) break;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+
+  await writeRollups(collections.readingsHourly(), '1h', sensorType, hourly, hourlyExisting);
+  await writeRollups(collections.readingsDaily(), '1d', sensorType, daily, dailyExisting);
+
+  const deleted = processed > 0 ? await deleteRolledUp(sensorType, dayStart, boundary) : 0;
+  return { deleted, hourly: hourly.size, daily: daily.size, truncated };
+};
+
+const oldestBefore = async (sensorType, cutoff) => {
+  const page = await databases.listDocuments(databaseId(), collections.sensorReadings(), [
+    Query.equal('sensorType', sensorType),
+    Query.lessThan('timestamp', new Date(cutoff).toISOString()),
+    Query.orderAsc('timestamp'),
+    Query.limit(1)
+  ]);
+  return page.documents[0] || null;
+};
+
+// Un tenant (contexto actual). Se detiene al llegar a RETENTION_MAX_READINGS_PER_RUN (aunque sea a mitad de un
+// día); sigue en la próxima.
+// Resultado: { deleted, days }
+const runTenant = async (now = Date.now()) => {
+  let deleted = 0;
+  let days = 0;
+
+  for (const sensorType of sensorTypes.names()) {
+    const retentionDays = retentionDaysFor(sensorType);
+    if (!retentionDays) continue;
+    const cutoff = startOfDay(now - retentionDays * DAY_MS);
+
+    while (deleted < maxReadingsPerRun()) {
+      const oldest = await oldestBefore(sensorType, cutoff);
+      if (!oldest) break;
+
+      const dayStart = startOfDay(Date.parse(oldest.timestamp));
+      const result = await rollUpDay(sensorType, dayStart, maxReadingsPerRun() - deleted);
+      logger.info('Readings rolled up', { tenantId: tenants.currentTenantId(), sensorType, day: new Date(dayStart).toISOString().slice(0, 10), ...result });
+      deleted += result.deleted;
+      days += 1;
+      // No debería pasar (la más antigua es de ese día), pero evita repetir el mismo día sin fin
+      if (result.deleted === 0) break;
+    }
+  }
+  return { deleted, days };
+};
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await tenants.forEachTenant(async () => {
+      const { deleted, days } = await runTenant();
+      if (deleted > 0) logger.info('Retention run finished', { tenantId: tenants.currentTenantId(), deleted, days });
+    });
+  } catch (err) {
+    logger.error('Retention run error', { error: err.message, stack: err.stack });
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  const intervalMs = parseInt(process.env.RETENTION_INTERVAL_MS || `${60 * 60 * 1000}`); // 1h
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  logger.info('Retention job started', { intervalMs, defaultRetentionDays: defaultRetentionDays() });
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  retentionDaysFor,
+  rollUpDay,
+  runTenant,
+  runOnce,
+  start,
+  stop
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { databases, platformDatabaseId, collections, Query } = require('../utils/appwrite');
+const { toAttribute, fromAttribute } = require('../utils/jsonAttribute');
+
+// Registro de tipos de sensor. Tres fuentes; cada una sobreescribe por nombre a la anterior:
+// los tipos incorporados, SENSOR_TYPES_FILE ({ "sensorTypes": [definición] }) y la colección sensor_types
+// de la base principal (altas desde /admin/sensor-types, sin redesplegar). Se mantiene en memoria para
+// validar de forma síncrona y se recarga cada SENSOR_TYPES_REFRESH_MS.
+//
+// Definición: { name, label, canonicalUnit, units: [{ unit, factor, offset, aliases }], min, max, precision, retentionDays }
+// - Cada unidad se convierte a la canónica con value * factor + offset (la canónica siempre se admite).
+// - min/max: rango físico válido en la unidad canónica; fuera de él la lectura se rechaza.
+// - precision: decimales con los que se guarda el valor.
+// - retentionDays (opcional): días que se conservan las lecturas sin resumir (0 = siempre); si no se
+//   indica, RETENTION_DEFAULT_DAYS (ver services/retention.js).
+const BUILT_IN = [
+  {
+    name: 'flow',
+    label: 'Flow',
+    canonicalUnit: 'L/min',
+    units: [
+      { unit: 'L/min', aliases: ['lpm', 'l/m'] },
+      { unit: 'L/s', factor: 60, aliases: ['lps'] },
+      { unit: 'L/h', factor: 1 / 60, aliases: ['lph'] },
+      { unit: 'm³/h', factor: 1000 / 60, aliases: ['m3/h', 'cmh'] },
+      { unit: 'gpm', factor: 3.785411784, aliases: ['gal/min', 'usgpm'] }
+    ],
+    min: -1000,
+    max: 10000,
+    precision: 3
+  },
+  {
+    name: 'pressure',
+    label: 'Pressure',
+    canonicalUnit: 'bar',
+    units: [
+      { unit: 'mbar', factor: 0.001, aliases: ['hpa'] },
+      { unit: 'kPa', factor: 0.01 },
+      { unit: 'MPa', factor: 10 },
+      { unit: 'Pa', factor: 0.00001 },
+      { unit: 'psi', factor: 0.0689475729, aliases: ['lbf/in²', 'lbf/in2'] },
+      { unit: 'atm', factor: 1.01325 },
+      { unit: 'mH2O', factor: 0.0980665, aliases: ['mca', 'm h2o'] }
+    ],
+    min: -1,
+    max: 100,
+    precision: 3
+  },
+  {
+    name: 'temperature',
+    label: 'Temperature',
+    canonicalUnit: '°C',
+    units: [
+      { unit: '°C', aliases: ['c', 'degc', 'celsius', 'ºc'] },
+      { unit: '°F', factor: 5 / 9, offset: -160 / 9, aliases: ['f', 'degf', 'fahrenheit', 'ºf'] },
+      { unit: 'K', offset: -273.15, aliases: ['kelvin'] }
+    ],
+    min: -50,
+    max: 150,
+    precision: 2
+  },
+  {
+    name: 'humidity',
+    label: 'Relative humidity',
+    canonicalUnit: '%',
+    units: [{ unit: '%', aliases: ['%rh', 'rh', 'percent'] }],
+    min: 0,
+    max: 100,
+    precision: 1
+  },
+  {
+    name: 'ph',
+    label: 'pH',
+    canonicalUnit: 'pH',
+    units: [],
+    min: 0,
+    max: 14,
+    precision: 2
+  },
+  {
+    name: 'turbidity',
+    label: 'Turbidity',
+    canonicalUnit: 'NTU',
+    // FNU y FTU son numéricamente equivalentes a NTU para agua potable
+    units: [{ unit: 'NTU', aliases: ['fnu', 'ftu'] }],
+    min: 0,
+    max: 4000,
+    precision: 2
+  },
+  {
+    name: 'dissolvedOxygen',
+    label: 'Dissolved oxygen',
+    canonicalUnit: 'mg/L',
+    units: [
+      { unit: 'mg/L', aliases: ['ppm'] },
+      { unit: 'μg/L', factor: 0.001, aliases: ['ug/l', 'ppb'] }
+    ],
+    min: 0,
+    max: 50,
+    precision: 2
+  },
+  {
+    name: 'conductivity',
+    label: 'Conductivity',
+    canonicalUnit: 'μS/cm',
+    units: [
+      { unit: 'μS/cm', aliases: ['us/cm', 'umho/cm'] },
+      { unit: 'mS/cm', factor: 1000, aliases: ['mmho/cm'] },
+      { unit: 'S/m', factor: 10000 },
+      { unit: 'mS/m', factor: 10 }
+    ],
+    min: 0,
+    max: 200000,
+    precision: 1
+  }
+];
+
+// El nombre es también el ID del documento en Appwrite (36 caracteres como mucho)
+const SENSOR_TYPE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,35}$/;
+
+const unitSchema = Joi.object({
+  unit: Joi.string().min(1).max(16).required(),
+  factor: Joi.number().invalid(0).default(1),
+  offset: Joi.number().default(0),
+  aliases: Joi.array().items(Joi.string().min(1).max(16)).max(8).default([])
+});
+
+const definitionSchema = Joi.object({
+  name: Joi.string().pattern(SENSOR_TYPE_NAME_PATTERN).required(),
+  label: Joi.string().max(128).optional(),
+  canonicalUnit: Joi.string().min(1).max(16).required(),
+  units: Joi.array().items(unitSchema).max(16).unique('unit').default([]),
+  min: Joi.number().required(),
+  max: Joi.number().greater(Joi.ref('min')).required(),
+  precision: Joi.number().integer().min(0).max(6).default(3),
+  retentionDays: Joi.number().integer().min(0).max(36500).optional()
+});
+
+const validateDefinition = (payload) => definitionSchema.validate(payload);
+
+// µ (micro, U+00B5) y μ (mu griega, U+03BC) se escriben indistintamente
+const normalizeKey = (unit) => unit.trim().replace(/µ/g, 'μ').toLowerCase();
+
+// Definición validada -> tipo del registro, con la tabla de alias para convertir
+const compile = (definition, source) => {
+  const { value, error } = validateDefinition(definition);
+  if (error) {
+    logger.warn('Invalid sensor type definition ignored', { name: definition && definition.name, source, error: error.message });
+    return null;
+  }
+
+  const units = value.units.some(u => u.unit === value.canonicalUnit)
+    ? value.units
+    : [{ unit: value.canonicalUnit, factor: 1, offset: 0, aliases: [] }, ...value.units];
+  const lookup = new Map();
+  for (const entry of units) {
+    for (const alias of [entry.unit, ...entry.aliases]) lookup.set(normalizeKey(alias), entry);
+  }
+
+  return { ...value, label: value.label || value.name, units, source, lookup };
+};
+
+const toPublicType = ({ lookup, ...type }) => type;
+
+const loadFile = () => {
+  const file = process.env.SENSOR_TYPES_FILE;
+  if (!file) return [];
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return loaded.sensorTypes || [];
+  } catch (err) {
+    logger.error('Could not load sensor types file, ignoring it', { file, error: err.message });
+    return [];
+  }
+};
+
+// null si las unidades guardadas no se pueden leer: ese documento se ignora y el resto del registro se carga
+const fromDocument = (doc) => {
+  const units = fromAttribute(doc.units, null);
+  if (doc.units && units === null) {
+    logger.warn('Sensor type document with unreadable units ignored', { name: doc.$id });
+    return null;
+  }
+  return {
+    name: doc.$id,
+    label: doc.label || undefined,
+    canonicalUnit: doc.canonicalUnit,
+    units: units || [],
+    min: doc.min,
+    max: doc.max,
+    precision: doc.precision,
+    // null en Appwrite: sin valor propio
+    retentionDays: doc.retentionDays !== null ? doc.retentionDays : undefined
+  };
+};
+
+// 404 si la colección no existe: solo se usan los incorporados y el fichero
+const loadStored = async () => {
+  const definitions = [];
+  let cursor;
+  try {
+    do {
+      const queries = [Query.orderAsc('$id'), Query.limit(100)];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const page = await databases.listDocuments(platformDatabaseId(), collections.sensorTypes(), queries);
+      definitions.push(...page.documents.map(fromDocument).filter(Boolean));
+      cursor = page.documents.length === 100 ? page.documents[page.documents.length - 1].$id : null;
+    } while (cursor);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+  return definitions;
+};
+
+const build = (stored) => {
+  const next = new Map();
+  const sources = [['builtin', BUILT_IN], ['file', loadFile()], ['custom', stored]];
+  for (const [source, definitions] of sources) {
+    for (const definition of definitions) {
+      const type = compile(definition, source);
+      if (type) next.set(type.name, type);
+    }
+  }
+  return next;
+};
+
+let registry = build([]);
+
+// Relee la colección; si falla se mantiene el registro actual
+const refresh = async () => {
+  try {
+    registry = build(await loadStored());
+  } catch (err) {
+    logger.error('Sensor type refresh failed, keeping current registry', { error: err.message });
+  }
+  return registry.size;
+};
+
+const names = () => [...registry.keys()];
+
+const has = (name) => registry.has(name);
+
+const getType = (name) => (registry.has(name) ? toPublicType(registry.get(name)) : null);
+
+const listTypes = () => [...registry.values()].map(toPublicType);
+
+const canonicalUnit = (name) => (registry.has(name) ? registry.get(name).canonicalUnit : 'unit');
+
+const supportedUnits = (name) => (registry.has(name) ? registry.get(name).units.map(u => u.unit) : []);
+
+const findUnit = (name, unit) => (registry.has(name) ? registry.get(name).lookup.get(normalizeKey(unit)) : undefined);
+
+// Sin unidad se asume la canónica
+const isSupportedUnit = (name, unit) => unit === undefined || Boolean(findUnit(name, unit));
+
+// Redondea a la precisión del tipo (6 decimales si no se conoce); evita guardar ruido de coma flotante
+const round = (name, value) => {
+  const factor = 10 ** (registry.has(name) ? registry.get(name).precision : 6);
+  return Math.round(value * factor) / factor;
+};
+
+// Resultado: { ok: true, value, unit } en la unidad canónica o { ok: false } si la unidad no se conoce.
+// El valor no se redondea: la precisión se aplica al final, después de calibrar.
+const toCanonical = (name, value, unit) => {
+  if (unit === undefined) return { ok: true, value, unit: canonicalUnit(name) };
+  const entry = findUnit(name, unit);
+  if (!entry) return { ok: false };
+  return { ok: true, value: value * entry.factor + entry.offset, unit: canonicalUnit(name) };
+};
+
+// Valor canónico dentro del rango físico del tipo
+const inRange = (name, value) => {
+  const type = registry.get(name);
+  return Boolean(type) && value >= type.min && value <= type.max;
+};
+
+const getTypeDocument = async (name) => {
+  try {
+    return await databases.getDocument(platformDatabaseId(), collections.sensorTypes(), name);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+// Alta o sustitución de la definición guardada (puede sobreescribir a un tipo incorporado).
+// La unidad canónica de un tipo existente no se puede cambiar: las lecturas ya guardadas están en ella.
+// Resultado: { ok: true, sensorType, created } o { ok: false, code: 'CANONICAL_UNIT_CHANGE' }
+const saveType = async (definition) => {
+  const current = registry.get(definition.name);
+  if (current && current.canonicalUnit !== definition.canonicalUnit) return { ok: false, code: 'CANONICAL_UNIT_CHANGE' };
+
+  const data = {
+    label: definition.label || null,
+    canonicalUnit: definition.canonicalUnit,
+    units: toAttribute(definition.units),
+    min: definition.min,
+    max: definition.max,
+    precision: definition.precision,
+    retentionDays: definition.retentionDays !== undefined ? definition.retentionDays : null,
+    updatedAt: new Date().toISOString()
+  };
+  const existing = await getTypeDocument(definition.name);
+  const saved = existing
+    ? await databases.updateDocument(platformDatabaseId(), collections.sensorTypes(), definition.name, data)
+    : await databases.createDocument(platformDatabaseId(), collections.sensorTypes(), definition.name, data);
+
+  // El tipo sale del documento guardado: vale aunque falle la recarga del registro
+  const type = compile(fromDocument(saved), 'custom');
+  registry.set(type.name, type);
+  await refresh();
+  logger.info('Sensor type saved', { name: definition.name, created: !existing });
+  return { ok: true, sensorType: toPublicType(type), created: !existing };
+};
+
+// Borra la definición guardada; si sobreescribía a un tipo incorporado o del fichero, vuelve ese.
+// Resultado: { ok: true, sensorType (null si ya no existe) } o { ok: false, code: 'SENSOR_TYPE_NOT_FOUND' }
+const deleteType = async (name) => {
+  if (!(await getTypeDocument(name))) return { ok: false, code: 'SENSOR_TYPE_NOT_FOUND' };
+
+  await databases.deleteDocument(platformDatabaseId(), collections.sensorTypes(), name);
+  await refresh();
+  logger.info('Sensor type deleted', { name, restored: has(name) });
+  return { ok: true, sensorType: getType(name) };
+};
+
+let timer = null;
+
+const start = () => {
+  if (timer) return;
+  const intervalMs = parseInt(process.env.SENSOR_TYPES_REFRESH_MS || '60000'); // 1m
+  refresh().then(count => logger.info('Sensor type registry loaded', { count, intervalMs }));
+  timer = setInterval(refresh, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  SENSOR_TYPE_NAME_PATTERN,
+  validateDefinition,
+  names,
+  has,
+  getType,
+  listTypes,
+  canonicalUnit,
+  supportedUnits,
+  isSupportedUnit,
+  toCanonical,
+  inRange,
+  round,
+  refresh,
+  saveType,
+  deleteType,
+  start,
+  stop
+};
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { databases, databaseId, collections, ID } = require('../utils/appwrite');
+const anomalyDetection = require('./anomalyDetection');
+const eventBus = require('./eventBus');
+const ingestQueue = require('./ingestQueue');
+const tenants = require('./tenants');
+const sensorTypes = require('./sensorTypes');
+const calibration = require('./calibration');
+const deviceAbuse = require('./deviceAbuse');
+const { toPublicReading } = require('./readingsQuery');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toAttribute } = require('../utils/jsonAttribute');
+const metrics = require('../utils/metrics');
+
+// Validación y persistencia de telemetría compartida por HTTP (/ingest) y MQTT
+
+// Unidad canónica (la que se guarda) de cada tipo de sensor
+const getUnit = (type) => sensorTypes.canonicalUnit(type);
+
+// El tipo tiene que estar en el registro (puede cambiar sin reiniciar), la unidad ser una de las suyas
+// y el valor, ya convertido a la unidad canónica, estar dentro de su rango físico
+const checkReading = (reading, helpers) => {
+  const type = sensorTypes.getType(reading.sensorType);
+  if (!type) {
+    return helpers.message(`"sensorType" must be one of [${sensorTypes.names().join(', ')}]`);
+  }
+
+  const converted = sensorTypes.toCanonical(reading.sensorType, reading.value, reading.unit);
+  if (!converted.ok) {
+    return helpers.message(`"unit" ${reading.unit} is not supported for ${reading.sensorType} (${sensorTypes.supportedUnits(reading.sensorType).join(', ')})`);
+  }
+  if (!sensorTypes.inRange(reading.sensorType, converted.value)) {
+    return helpers.message(`"value" ${reading.value} is outside the valid range for ${reading.sensorType} (${type.min} to ${type.max} ${type.canonicalUnit})`);
+  }
+  return reading;
+};
+
+// Telemetry payload validation schema (camelCase)
+const telemetrySchema = Joi.object({
+  deviceId: Joi.string().required().min(1).max(100),
+  sensorType: Joi.string().max(64).required(),
+  value: Joi.number().required(),
+  unit: Joi.string().optional(),
+  timestamp: Joi.alternatives().try(
+    Joi.string().isoDate(),
+    Joi.number().positive()
+  ).optional(),
+  location: Joi.string().optional(),
+  metadata: Joi.object().optional(),
+  messageId: Joi.string().min(1).max(64).optional()
+}).custom(checkReading);
+
+const maxBulkReadings = parseInt(process.env.BULK_MAX_READINGS || '100');
+
+const bulkTelemetrySchema = Joi.object({
+  readings: Joi.array().items(telemetrySchema).min(1).max(maxBulkReadings).required(),
+  atomic: Joi.boolean().default(false)
+});
+
+// Trama multisensor: un timestamp y un valor por tipo de sensor, para no repetir deviceId/sensorType
+// en cada lectura. deviceId es opcional (se toma del token); units solo para los que no van en la canónica.
+// { "timestamp": 1700000000, "values": { "flow": 3.2, "pressure": 58 }, "units": { "pressure": "psi" } }
+const frameSchema = Joi.object({
+  deviceId: Joi.string().min(1).max(100).optional(),
+  timestamp: Joi.alternatives().try(
+    Joi.string().isoDate(),
+    Joi.number().positive()
+  ).optional(),
+  values: Joi.object().pattern(Joi.string(), Joi.number()).min(1).max(maxBulkReadings).required(),
+  units: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  location: Joi.string().optional(),
+  metadata: Joi.object().optional(),
+  messageId: Joi.string().min(1).max(64).optional(),
+  atomic: Joi.boolean().default(false)
+});
+
+const isFrame = (payload) => Boolean(payload) && typeof payload === 'object' && payload.values !== undefined && payload.sensorType === undefined;
+
+// Expande la trama a lecturas normales (una por sensor) y las valida como un lote, con los mismos
+// mensajes de error. Cada lectura hereda el messageId como `<messageId>:<sensorType>`.
+const validateFrame = (payload, authenticatedDeviceId) => {
+  const { error, value: frame } = frameSchema.validate(payload);
+  if (error) return { error };
+
+  const { deviceId = authenticatedDeviceId, timestamp, values, units = {}, location, metadata, messageId, atomic } = frame;
+  const readings = Object.entries(values).map(([sensorType, value]) => {
+    const reading = { deviceId, sensorType, value };
+    if (units[sensorType] !== undefined) reading.unit = units[sensorType];
+    if (timestamp !== undefined) reading.timestamp = timestamp;
+    if (location !== undefined) reading.location = location;
+    if (metadata !== undefined) reading.metadata = metadata;
+    if (messageId !== undefined) reading.messageId = `${messageId}:${sensorType}`;
+    return reading;
+  });
+
+  return bulkTelemetrySchema.validate({ readings, atomic });
+};
+
+const validateReading = (payload) => telemetrySchema.validate(payload);
+const validateBulk = (payload) => bulkTelemetrySchema.validate(payload);
+
+// Epoch en segundos o ISO8601; sin timestamp se usa la hora de recepción
+const normalizeTimestamp = (timestamp) => {
+  if (typeof timestamp === 'number') return new Date(timestamp * 1000).toISOString();
+  return timestamp || new Date().toISOString();
+};
+
+// Clave de idempotencia: messageId del dispositivo o, si trae timestamp propio, sensorType + timestamp
+const idempotencyKey = (reading) => {
+  if (reading.messageId) return `msg:${reading.messageId}`;
+  if (reading.timestamp !== undefined && process.env.IDEMPOTENCY_NATURAL_KEY !== 'false') {
+    return `ts:${reading.sensorType}:${new Date(normalizeTimestamp(reading.timestamp)).toISOString()}`;
+  }
+  return null;
+};
+
+// Con clave, el documentId es determinista: un reintento produce el mismo ID y Appwrite responde 409.
+// Fuera del tenant por defecto el tenant entra en el hash (la cola local es común a todos).
+const documentIdFor = (deviceId, key) => {
+  if (!key) return ID.unique();
+  const tenantId = tenants.currentTenantId();
+  const source = tenantId === tenants.DEFAULT_TENANT_ID ? `${deviceId}|${key}` : `${tenantId}|${deviceId}|${key}`;
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+};
+
+// Códigos de error estables por lectura
+const storageErrorCode = (err) => {
+  if (err.code === 400) return 'DB_REJECTED';
+  if (err.code === 401) return 'DB_AUTH_ERROR';
+  if (err.code === 404) return 'DB_NOT_FOUND';
+  if (err.code === 'QUEUE_FULL') return 'QUEUE_FULL';
+  return 'STORAGE_ERROR';
+};
+
+const CLIENT_ERROR_CODES = ['DEVICE_ID_MISMATCH', 'TIMESTAMP_IN_FUTURE', 'DB_REJECTED', 'COMPENSATION_OUT_OF_RANGE'];
+
+// Más allá de INGEST_MAX_FUTURE_SKEW_MS no es deriva del reloj: la lectura se rechaza y cuenta como abuso
+const maxFutureSkewMs = () => parseInt(process.env.INGEST_MAX_FUTURE_SKEW_MS || `${10 * 60 * 1000}`); // 10m
+
+// Motivo por el que no se acepta una lectura ya validada del dispositivo autenticado, o null
+const rejectionFor = (reading, authenticatedDeviceId) => {
+  if (reading.deviceId !== authenticatedDeviceId) {
+    return { ok: false, code: 'DEVICE_ID_MISMATCH', error: 'Device ID mismatch' };
+  }
+  if (reading.timestamp !== undefined && Date.parse(normalizeTimestamp(reading.timestamp)) > Date.now() + maxFutureSkewMs()) {
+    return { ok: false, code: 'TIMESTAMP_IN_FUTURE', error: 'Timestamp is too far in the future' };
+  }
+  return null;
+};
+
+// Un strike por petición (no por lectura) con timestamps en el futuro
+const reportFutureTimestamps = (authenticatedDeviceId, codes) => {
+  const readings = codes.filter(code => code === 'TIMESTAMP_IN_FUTURE').length;
+  if (readings > 0) deviceAbuse.record(authenticatedDeviceId, 'future_timestamp', { readings });
+};
+
+// Convierte el valor a la unidad canónica, aplica el perfil de calibración del dispositivo, si tiene,
+// y lo redondea a la precisión del tipo; { ok: false, code, error } si no se puede compensar.
+// `frame`: temperaturas del mismo lote ([{ value, at }]) para la compensación de conductividad y pH.
+const normalizeValue = async (reading, timestamp, frame) => {
+  const converted = sensorTypes.toCanonical(reading.sensorType, reading.value, reading.unit);
+  const profile = await calibration.getProfile(reading.deviceId, reading.sensorType);
+  const temperature = calibration.needsTemperature(profile)
+    ? calibration.temperatureFor(reading.deviceId, timestamp, reading.metadata, frame)
+    : null;
+  const calibrated = calibration.apply(profile, reading.sensorType, converted.value, temperature);
+  if (!calibrated.ok) return calibrated;
+  const value = sensorTypes.round(reading.sensorType, calibrated.value);
+
+  if (reading.sensorType === 'temperature') calibration.rememberTemperature(reading.deviceId, value, timestamp);
+  return { ...calibrated, value, unit: converted.unit, rawValue: reading.value, rawUnit: reading.unit || converted.unit };
+};
+
+// Temperaturas del dispositivo en un lote, normalizadas, solo si alguna lectura las necesita
+const frameTemperatures = async (readings, authenticatedDeviceId) => {
+  const own = readings.filter(r => r.deviceId === authenticatedDeviceId);
+  if (!own.some(r => calibration.TEMPERATURE_COMPENSATED.includes(r.sensorType))) return [];
+
+  const frame = [];
+  for (const reading of own.filter(r => r.sensorType === 'temperature')) {
+    const timestamp = normalizeTimestamp(reading.timestamp);
+    const converted = sensorTypes.toCanonical('temperature', reading.value, reading.unit);
+    const profile = await calibration.getProfile(reading.deviceId, 'temperature');
+    frame.push({ value: calibration.apply(profile, 'temperature', converted.value).value, at: Date.parse(timestamp) });
+  }
+  return frame;
+};
+
+// Fase 1: comprueba el dispositivo, deriva el documentId, normaliza el valor y evalúa anomalías
+// (con anomalyDraft, sin tocar el historial compartido hasta que el lote se confirma)
+const prepareReading = async (reading, authenticatedDeviceId, frame = [], anomalyDraft = null) => {
+  const rejection = rejectionFor(reading, authenticatedDeviceId);
+  if (rejection) return rejection;
+
+  const timestamp = normalizeTimestamp(reading.timestamp);
+  const key = idempotencyKey(reading);
+  const documentId = documentIdFor(reading.deviceId, key);
+  const prepared = { ok: true, reading, key, documentId, timestamp };
+
+  // Reintento de una lectura que sigue en la cola local
+  if (key && ingestQueue.has(documentId)) return { ...prepared, duplicate: true };
+
+  const normalized = await normalizeValue(reading, timestamp, frame);
+  if (!normalized.ok) return normalized;
+  const { value, unit } = normalized;
+  const location = reading.location || 'unknown';
+  const detection = anomalyDetection.evaluate({ deviceId: reading.deviceId, sensorType: reading.sensorType, value, timestamp }, anomalyDraft);
+
+  const data = {
+    deviceId: reading.deviceId,
+    sensorType: reading.sensorType,
+    value,
+    unit,
+    rawValue: normalized.rawValue,
+    rawUnit: normalized.rawUnit,
+    calibrationVersion: normalized.calibrationVersion,
+    compensationTemperature: normalized.compensationTemperature,
+    timestamp,
+    location,
+    isAnomalous: detection.isAnomalous,
+    ingestedAt: new Date().toISOString(),
+    metadata: toAttribute(reading.metadata || {}),
+    ...(reading.messageId ? { messageId: reading.messageId } : {})
+  };
+
+  return { ...prepared, duplicate: false, unit, location, detection, data };
+};
+
+// Fase 2: escribe en Appwrite. Si no está disponible y se permite, la lectura se confirma
+// tras guardarla en la cola local.
+const writeReading = async (prepared, { allowQueue = true } = {}) => {
+  try {
+    const document = await databases.createDocument(databaseId(), collections.sensorReadings(), prepared.documentId, prepared.data);
+    return { document, duplicate: false, queued: false };
+  } catch (err) {
+    if (prepared.key && err.code === 409) return { duplicate: true };
+    if (!allowQueue || !ingestQueue.isQueueable(err)) throw err;
+    ingestQueue.enqueue({ documentId: prepared.documentId, data: prepared.data }, err);
+    return { document: { $id: prepared.documentId, ...prepared.data }, duplicate: false, queued: true };
+  }
+};
+
+// result: stored | queued | duplicate | rejected | failed
+const countReading = (reading, result) => metrics.recordReading({
+  tenant: tenants.currentTenantId(),
+  deviceId: reading.deviceId,
+  sensorType: reading.sensorType,
+  result
+});
+
+// Fase 3: difunde la lectura y procesa alertas
+const finalizeReading = async (prepared, written) => {
+  countReading(prepared.reading, written.queued ? 'queued' : 'stored');
+  eventBus.publish('reading', toPublicReading(written.document));
+  await anomalyDetection.processAlerts(
+    { ...prepared.reading, value: prepared.data.value, unit: prepared.unit, location: prepared.location, timestamp: prepared.timestamp },
+    prepared.detection,
+    prepared.documentId
+  );
+
+  return {
+    ok: true,
+    duplicate: false,
+    documentId: prepared.documentId,
+    timestamp: prepared.timestamp,
+    sensorType: prepared.reading.sensorType,
+    isAnomalous: prepared.detection.isAnomalous,
+    queued: written.queued
+  };
+};
+
+// Sin timestamp del dispositivo no se conoce el del original, así que no se devuelve
+const duplicateResult = (prepared) => {
+  countReading(prepared.reading, 'duplicate');
+  return {
+    ok: true,
+    duplicate: true,
+    documentId: prepared.documentId,
+    timestamp: prepared.reading.timestamp !== undefined ? prepared.timestamp : undefined,
+    sensorType: prepared.reading.sensorType
+  };
+};
+
+const ingestOne = async (reading, authenticatedDeviceId, { frame } = {}) => {
+  const prepared = await prepareReading(reading, authenticatedDeviceId, frame);
+  if (!prepared.ok) {
+    // Con el dispositivo autenticado: el deviceId del payload no es de fiar
+    countReading({ ...reading, deviceId: authenticatedDeviceId }, 'rejected');
+    return prepared;
+  }
+  if (prepared.duplicate) return duplicateResult(prepared);
+
+  let written;
+  try {
+    written = await writeReading(prepared);
+  } catch (err) {
+    countReading(reading, 'failed');
+    throw err;
+  }
+  if (written.duplicate) return duplicateResult(prepared);
+  return finalizeReading(prepared, written);
+};
+
+// Guarda una lectura ya validada del dispositivo autenticado.
+// Resultado: { ok: true, duplicate, documentId, timestamp, sensorType, isAnomalous, queued } o { ok: false, code, error }
+const ingestReading = async (reading, authenticatedDeviceId, options) => {
+  const result = await ingestOne(reading, authenticatedDeviceId, options);
+  reportFutureTimestamps(authenticatedDeviceId, [result.code]);
+  return result;
+};
+
+const bulkEntry = (index, reading, result) => ({
+  index,
+  documentId: result.documentId,
+  timestamp: result.timestamp,
+  sensorType: result.sensorType,
+  messageId: reading.messageId,
+  duplicate: result.duplicate,
+  isAnomalous: result.isAnomalous,
+  queued: result.queued
+});
+
+const writeConcurrency = () => parseInt(process.env.BULK_WRITE_CONCURRENCY || '8');
+
+// Modo parcial: escrituras concurrentes acotadas; los fallos se informan por índice
+const ingestBulkPartial = async (readings, authenticatedDeviceId, frame) => {
+  const outcomes = await mapWithConcurrency(readings, writeConcurrency(), async (reading, index) => {
+    try {
+      const result = await ingestOne(reading, authenticatedDeviceId, { frame });
+      if (!result.ok) return { error: { index, code: result.code, error: result.error } };
+      return { result: bulkEntry(index, reading, result) };
+    } catch (err) {
+      logger.warn('Bulk reading storage error', { deviceId: authenticatedDeviceId, index, error: err.message });
+      return { error: { index, code: storageErrorCode(err), error: err.message } };
+    }
+  });
+
+  return {
+    committed: true,
+    results: outcomes.filter(o => o.result).map(o => o.result),
+    errors: outcomes.filter(o => o.error).map(o => o.error)
+  };
+};
+
+// Modo todo-o-nada: sin cola local; si falla alguna escritura se borran las ya creadas
+const ingestBulkAtomic = async (readings, authenticatedDeviceId, frame) => {
+  const rejected = readings
+    .map((reading, index) => ({ index, rejection: rejectionFor(reading, authenticatedDeviceId) }))
+    .filter(({ rejection }) => rejection)
+    .map(({ index, rejection }) => ({ index, code: rejection.code, error: rejection.error }));
+  if (rejected.length > 0) {
+    readings.forEach(reading => countReading({ ...reading, deviceId: authenticatedDeviceId }, 'rejected'));
+    return { committed: false, results: [], errors: rejected };
+  }
+
+  // En orden: la detección de anomalías depende de las lecturas anteriores de la serie.
+  // El historial se actualiza en un borrador que solo se aplica si el lote se guarda entero.
+  const anomalyDraft = anomalyDetection.draft();
+  const prepared = [];
+  for (const reading of readings) prepared.push(await prepareReading(reading, authenticatedDeviceId, frame, anomalyDraft));
+  const invalid = prepared
+    .map((p, index) => ({ index, p }))
+    .filter(({ p }) => !p.ok)
+    .map(({ index, p }) => ({ index, code: p.code, error: p.error }));
+  if (invalid.length > 0) {
+    readings.forEach(reading => countReading(reading, 'rejected'));
+    return { committed: false, results: [], errors: invalid };
+  }
+
+  const written = await mapWithConcurrency(prepared, writeConcurrency(), async (p, index) => {
+    if (p.duplicate) return { duplicate: true };
+    try {
+      return await writeReading(p, { allowQueue: false });
+    } catch (err) {
+      return { error: { index, code: storageErrorCode(err), error: err.message } };
+    }
+  });
+
+  const errors = written.filter(w => w.error).map(w => w.error);
+  if (errors.length > 0) {
+    const created = written.filter(w => w.document);
+    await mapWithConcurrency(created, writeConcurrency(), async (w) => {
+      try {
+        await databases.deleteDocument(databaseId(), collections.sensorReadings(), w.document.$id);
+      } catch (err) {
+        logger.error('Bulk rollback failed', { deviceId: authenticatedDeviceId, documentId: w.document.$id, error: err.message });
+      }
+    });
+    logger.warn('Atomic bulk rolled back', { deviceId: authenticatedDeviceId, failed: errors.length, rolledBack: created.length });
+    readings.forEach(reading => countReading(reading, 'failed'));
+    return { committed: false, results: [], errors };
+  }
+
+  anomalyDetection.commit(anomalyDraft);
+  const results = [];
+  for (let index = 0; index < prepared.length; index++) {
+    const result = written[index].duplicate
+      ? duplicateResult(prepared[index])
+      : await finalizeReading(prepared[index], written[index]);
+    results.push(bulkEntry(index, readings[index], result));
+  }
+  return { committed: true, results, errors: [] };
+};
+
+// Resultado: { committed, results, errors: [{ index, code, error }], duplicates }
+const ingestBulk = async (readings, authenticatedDeviceId, { atomic = false } = {}) => {
+  const frame = await frameTemperatures(readings, authenticatedDeviceId);
+  const outcome = atomic
+    ? await ingestBulkAtomic(readings, authenticatedDeviceId, frame)
+    : await ingestBulkPartial(readings, authenticatedDeviceId, frame);
+
+  reportFutureTimestamps(authenticatedDeviceId, outcome.errors.map(e => e.code));
+  const duplicates = outcome.results.filter(r => r.duplicate).length;
+  logger.info('Bulk telemetry processed', { deviceId: authenticatedDeviceId, atomic, committed: outcome.committed, successful: outcome.results.length, duplicates, failed: outcome.errors.length });
+
+  return { ...outcome, duplicates };
+};
+
+// HTTP status de un lote: 201 todo bien, 207 parcial, 422/503 si no se guardó nada
+const bulkStatus = ({ results, errors }) => {
+  if (errors.length === 0) return 201;
+  if (results.length > 0) return 207;
+  return errors.every(e => CLIENT_ERROR_CODES.includes(e.code)) ? 422 : 503;
+};
+
+module.exports = {
+  getUnit,
+  telemetrySchema,
+  bulkTelemetrySchema,
+  validateReading,
+  validateBulk,
+  isFrame,
+  validateFrame,
+  normalizeTimestamp,
+  idempotencyKey,
+  documentIdFor,
+  ingestReading,
+  ingestBulk,
+  bulkStatus
+};
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const { databases, platformDatabaseId, collections, Query } = require('../utils/appwrite');
+
+// Tenants (compañías de agua). Cada uno tiene su propia base de datos en Appwrite con el mismo esquema
+// (npm run bootstrap:appwrite -- --tenant <id>) y un documento en la colección de tenants de la base principal.
+// El tenant por defecto usa APPWRITE_DATABASE_ID y existe aunque no haya documento: sin tenants todo sigue igual.
+const DEFAULT_TENANT_ID = process.env.DEFAULT_TENANT_ID || 'default';
+// Los IDs de Appwrite tienen como mucho 36 caracteres (prefijo de base de datos incluido)
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+const cacheTtlMs = () => parseInt(process.env.TENANT_CACHE_TTL_MS || '60000'); // 1m
+
+// Límite del tenant o, si no lo tiene, el general TENANT_* (null = sin límite)
+const limit = (value, envName) => {
+  if (Number.isInteger(value) && value > 0) return value;
+  const fallback = parseInt(process.env[envName] || '0');
+  return fallback > 0 ? fallback : null;
+};
+
+const toTenant = (doc) => ({
+  id: doc.$id,
+  name: doc.name || doc.$id,
+  databaseId: doc.databaseId || (doc.$id === DEFAULT_TENANT_ID ? process.env.APPWRITE_DATABASE_ID : null),
+  // Sin base de datos propia no se puede usar (no cae en la principal: son los datos del tenant por defecto)
+  isProvisioned: Boolean(doc.databaseId) || doc.$id === DEFAULT_TENANT_ID,
+  isEnabled: doc.isEnabled !== false,
+  ingestRateLimitMax: limit(doc.ingestRateLimitMax, 'TENANT_INGEST_RATE_LIMIT_MAX_REQUESTS'),
+  maxDevices: limit(doc.maxDevices, 'TENANT_MAX_DEVICES'),
+  maxReadingsPerDay: limit(doc.maxReadingsPerDay, 'TENANT_MAX_READINGS_PER_DAY'),
+  deviceMaxReadingsPerDay: limit(doc.deviceMaxReadingsPerDay, 'TENANT_DEVICE_MAX_READINGS_PER_DAY'),
+  createdAt: doc.createdAt || doc.$createdAt || null
+});
+
+const defaultTenant = () => toTenant({ $id: DEFAULT_TENANT_ID, name: DEFAULT_TENANT_ID });
+
+const isDefault = (tenant) => !tenant || tenant.id === DEFAULT_TENANT_ID;
+
+// Tenant en curso (el por defecto fuera de una petición o tarea de tenant)
+const currentTenantId = () => {
+  const tenant = tenantContext.current();
+  return tenant ? tenant.id : DEFAULT_TENANT_ID;
+};
+
+// 404 también si la colección de tenants no existe (instalación de un solo tenant)
+const getTenantDocument = async (tenantId) => {
+  try {
+    return await databases.getDocument(platformDatabaseId(), collections.tenants(), tenantId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+// tenantId -> { tenant, at }
+const cache = new Map();
+
+const getTenant = async (tenantId = DEFAULT_TENANT_ID) => {
+  if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) return null;
+
+  const cached = cache.get(tenantId);
+  if (cached && Date.now() - cached.at < cacheTtlMs()) return cached.tenant;
+
+  const doc = await getTenantDocument(tenantId);
+  const tenant = doc ? toTenant(doc) : tenantId === DEFAULT_TENANT_ID ? defaultTenant() : null;
+  cache.set(tenantId, { tenant, at: Date.now() });
+  return tenant;
+};
+
+const listTenants = async () => {
+  const tenants = [];
+  let cursor;
+  try {
+    do {
+      const queries = [Query.orderAsc('$id'), Query.limit(100)];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const page = await databases.listDocuments(platformDatabaseId(), collections.tenants(), queries);
+      tenants.push(...page.documents.map(toTenant));
+      cursor = page.documents.length === 100 ? page.documents[page.documents.length - 1].$id : null;
+    } while (cursor);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+
+  if (!tenants.some(isDefault)) tenants.unshift(defaultTenant());
+  return tenants;
+};
+
+// Límites y estado; el tenant por defecto se crea al cambiarlo por primera vez
+const updateTenant = async (tenantId, attributes) => {
+  const doc = await getTenantDocument(tenantId);
+  let updated;
+  if (doc) {
+    updated = await databases.updateDocument(platformDatabaseId(), collections.tenants(), tenantId, attributes);
+  } else if (tenantId === DEFAULT_TENANT_ID) {
+    updated = await databases.createDocument(platformDatabaseId(), collections.tenants(), tenantId, {
+      name: tenantId,
+      databaseId: process.env.APPWRITE_DATABASE_ID,
+      isEnabled: true,
+      createdAt: new Date().toISOString(),
+      ...attributes
+    });
+  } else {
+    return null;
+  }
+
+  cache.delete(tenantId);
+  return toTenant(updated);
+};
+
+// Ejecuta fn dentro del contexto de cada tenant habilitado, uno detrás de otro (trabajos periódicos)
+const forEachTenant = async (fn) => {
+  for (const tenant of await listTenants()) {
+    if (!tenant.isEnabled) continue;
+    if (!tenant.isProvisioned) {
+      logger.warn('Skipping tenant without database', { tenantId: tenant.id });
+      continue;
+    }
+    try {
+      await tenantContext.run(tenant, fn);
+    } catch (err) {
+      logger.error('Tenant task error', { tenantId: tenant.id, error: err.message, stack: err.stack });
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  TENANT_ID_PATTERN,
+  isDefault,
+  currentTenantId,
+  getTenant,
+  listTenants,
+  updateTenant,
+  forEachTenant
+};
@@ -0,0 +1,139 @@
+const jwt = require('jsonwebtoken');
+const { databases, databaseId, collections, ID, Query } = require('../utils/appwrite');
+const { hashSecret, verifySecret, verifyDummySecret } = require('./deviceRegistry');
+const { toScopes } = require('./accessControl');
+const { currentTenantId, DEFAULT_TENANT_ID } = require('./tenants');
+
+// Usuarios humanos (dashboards): email + contraseña (scrypt) -> JWT de usuario. Cada usuario vive en la
+// base de datos de su tenant y el JWT lleva el tenantId; estas funciones se llaman dentro de ese contexto.
+// El JWT lleva su propia audiencia para que nunca se acepte como token de dispositivo ni al revés.
+const USER_AUDIENCE = 'aquaguard-user';
+const userSecret = () => process.env.USER_JWT_SECRET || process.env.JWT_SECRET;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const toPublicUser = (doc) => ({
+  id: doc.$id,
+  email: doc.email,
+  name: doc.name || null,
+  role: doc.role,
+  scopeLocations: doc.scopeLocations || [],
+  scopeDevices: doc.scopeDevices || [],
+  isEnabled: doc.isEnabled !== false,
+  createdAt: doc.createdAt || doc.$createdAt,
+  lastLoginAt: doc.lastLoginAt || null
+});
+
+const toPrincipal = (doc) => ({
+  type: 'user',
+  id: doc.$id,
+  name: doc.email,
+  role: doc.role,
+  tenantId: currentTenantId(),
+  scopes: toScopes(doc)
+});
+
+const findUserByEmail = async (email) => {
+  const list = await databases.listDocuments(databaseId(), collections.users(), [
+    Query.equal('email', normalizeEmail(email)),
+    Query.limit(1)
+  ]);
+  return list.documents[0] || null;
+};
+
+const getUserDocument = async (userId) => {
+  try {
+    return await databases.getDocument(databaseId(), collections.users(), userId);
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+};
+
+const getUser = async (userId) => {
+  const doc = await getUserDocument(userId);
+  return doc ? toPublicUser(doc) : null;
+};
+
+const listUsers = async ({ limit = 25, cursor } = {}) => {
+  const queries = [Query.orderAsc('email'), Query.limit(limit)];
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const list = await databases.listDocuments(databaseId(), collections.users(), queries);
+  const users = list.documents.map(toPublicUser);
+  return {
+    users,
+    total: list.total,
+    nextCursor: users.length === limit ? users[users.length - 1].id : null
+  };
+};
+
+// Devuelve null si el email ya existe
+const createUser = async ({ email, password, ...attributes }) => {
+  if (await findUserByEmail(email)) return null;
+
+  const doc = await databases.createDocument(databaseId(), collections.users(), ID.unique(), {
+    email: normalizeEmail(email),
+    passwordHash: await hashSecret(password),
+    scopeLocations: [],
+    scopeDevices: [],
+    ...attributes,
+    isEnabled: true,
+    createdAt: new Date().toISOString()
+  });
+  return toPublicUser(doc);
+};
+
+const updateUser = async (userId, { password, ...attributes }) => {
+  const doc = await getUserDocument(userId);
+  if (!doc) return null;
+
+  const data = { ...attributes };
+  if (password) data.passwordHash = await hashSecret(password);
+  const updated = await databases.updateDocument(databaseId(), collections.users(), userId, data);
+  return toPublicUser(updated);
+};
+
+const deleteUser = async (userId) => {
+  if (!(await getUserDocument(userId))) return false;
+  await databases.deleteDocument(databaseId(), collections.users(), userId);
+  return true;
+};
+
+// Resultado: { ok: true, user, token, expiresIn } o { ok: false, reason: 'INVALID_CREDENTIALS' | 'USER_DISABLED' }
+const login = async (email, password) => {
+  const doc = await findUserByEmail(email);
+  if (!doc) {
+    await verifyDummySecret(password);
+    return { ok: false, reason: 'INVALID_CREDENTIALS' };
+  }
+  if (!(await verifySecret(password, doc.passwordHash))) return { ok: false, reason: 'INVALID_CREDENTIALS' };
+  if (doc.isEnabled === false) return { ok: false, reason: 'USER_DISABLED' };
+
+  const expiresIn = process.env.USER_TOKEN_EXPIRES_IN || '8h';
+  const token = jwt.sign({ type: 'user', role: doc.role, tenantId: currentTenantId() }, userSecret(), { subject: doc.$id, audience: USER_AUDIENCE, expiresIn });
+  await databases.updateDocument(databaseId(), collections.users(), doc.$id, { lastLoginAt: new Date().toISOString() });
+  return { ok: true, user: toPublicUser(doc), token, expiresIn };
+};
+
+// El rol y los ámbitos se leen del documento en cada petición: un cambio o una baja aplica al momento
+const verifyUserToken = async (token) => {
+  const decoded = jwt.verify(token, userSecret(), { audience: USER_AUDIENCE });
+  if (decoded.type !== 'user') throw new Error('Not a user token');
+  if ((decoded.tenantId || DEFAULT_TENANT_ID) !== currentTenantId()) throw new Error('Token belongs to another tenant');
+
+  const doc = await getUserDocument(decoded.sub);
+  if (!doc) throw new Error('User no longer exists');
+  if (doc.isEnabled === false) throw new Error('User is disabled');
+  return toPrincipal(doc);
+};
+
+module.exports = {
+  USER_AUDIENCE,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  login,
+  verifyUserToken
+};
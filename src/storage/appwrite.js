@@ -0,0 +1,12 @@
+const { Databases, Storage } = require('node-appwrite');
+
+// Backend por defecto: el proyecto de Appwrite configurado con APPWRITE_ENDPOINT/PROJECT_ID/API_KEY
+const createAppwriteBackend = (client) => ({
+  name: 'appwrite',
+  databases: new Databases(client),
+  storage: new Storage(client),
+  start: () => {},
+  close: () => {}
+});
+
+module.exports = { createAppwriteBackend };
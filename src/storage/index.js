@@ -0,0 +1,27 @@
+const { createAppwriteBackend } = require('./appwrite');
+const { createMemoryBackend } = require('./memory');
+
+// Capa de almacenamiento. Los servicios (lecturas, dispositivos, alertas, predicciones y el resto) usan
+// `databases` y `storage` de utils/appwrite, que salen del backend elegido con STORAGE_BACKEND:
+// - appwrite (por defecto): clientes Databases/Storage de node-appwrite
+// - memory: en memoria con instantánea opcional en disco (./memory.js), para funcionar sin Appwrite
+//
+// Interfaz que tiene que implementar un backend (la de node-appwrite, con sus errores: 404, 409, 400):
+// - databases: get, createDocument, getDocument, updateDocument, deleteDocument, listDocuments con
+//   consultas Query (equal, notEqual, lessThan(Equal), greaterThan(Equal), between, isNull, isNotNull,
+//   startsWith, endsWith, contains, search, and, or, orderAsc, orderDesc, limit, offset, cursorAfter,
+//   cursorBefore, select)
+// - storage: createFile, getFile, getFileDownload, deleteFile
+// - start() / close(): tareas de fondo del backend (p. ej. instantáneas) y cierre ordenado
+const BACKENDS = {
+  appwrite: ({ client }) => createAppwriteBackend(client),
+  memory: () => createMemoryBackend()
+};
+
+const createBackend = (name, options) => {
+  const create = BACKENDS[name];
+  if (!create) throw new Error(`STORAGE_BACKEND desconocido: ${name} (${Object.keys(BACKENDS).join(', ')})`);
+  return create(options);
+};
+
+module.exports = { BACKENDS, createBackend };
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AppwriteException } = require('node-appwrite');
+const logger = require('../utils/logger');
+
+// Backend local (STORAGE_BACKEND=memory): la misma interfaz que Databases/Storage de Appwrite, en memoria,
+// para ejecutar el gateway sin Appwrite (on-prem, desarrollo, tests). Valida los documentos con el esquema
+// declarado (src/schema/collections.js) igual que Appwrite: atributos desconocidos, obligatorios y tipos.
+// Con STORAGE_MEMORY_FILE guarda una instantánea JSON cada STORAGE_MEMORY_SNAPSHOT_MS y al cerrar, y la
+// carga al arrancar. Un solo proceso: no es compartible entre instancias.
+const DEFAULT_LIMIT = 25;
+const SYSTEM_DATETIMES = ['$createdAt', '$updatedAt'];
+
+const notFound = (message, type) => new AppwriteException(message, 404, type);
+const invalid = (message, type = 'document_invalid_structure') => new AppwriteException(message, 400, type);
+
+const newId = () => `${Math.floor(Date.now() / 1000).toString(16)}${crypto.randomBytes(6).toString('hex')}`.slice(0, 20);
+
+const validId = (id) => typeof id === 'string' && /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,35}$/.test(id);
+
+const typeCheckers = {
+  string: (value, attr) => typeof value === 'string' && value.length <= attr.size,
+  integer: (value) => Number.isInteger(value),
+  float: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  datetime: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryDatabases {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async get(databaseId) {
+    return { $id: databaseId, name: databaseId, enabled: true };
+  }
+
+  async createDocument(databaseId, collectionId, documentId, data) {
+    const { documents, schema } = this.store.collection(databaseId, collectionId);
+    const id = documentId === 'unique()' ? newId() : documentId;
+    if (!validId(id)) throw invalid(`Invalid document ID: ${id}`, 'argument_invalid');
+    if (documents.has(id)) throw new AppwriteException('Document with the requested ID already exists.', 409, 'document_already_exists');
+
+    this.store.validate(schema, data, true);
+    const now = new Date().toISOString();
+    const doc = {
+      ...Object.fromEntries(schema.attributes.map(a => [a.key, a.array ? [] : null])),
+      ...clone(data),
+      $id: id,
+      $createdAt: now,
+      $updatedAt: now,
+      $permissions: [],
+      $databaseId: databaseId,
+      $collectionId: collectionId
+    };
+    documents.set(id, doc);
+    this.store.touch();
+    return clone(doc);
+  }
+
+  async getDocument(databaseId, collectionId, documentId) {
+    const doc = this.store.collection(databaseId, collectionId).documents.get(documentId);
+    if (!doc) throw notFound('Document with the requested ID could not be found.', 'document_not_found');
+    return clone(doc);
+  }
+
+  async updateDocument(databaseId, collectionId, documentId, data = {}) {
+    const { documents, schema } = this.store.collection(databaseId, collectionId);
+    const doc = documents.get(documentId);
+    if (!doc) throw notFound('Document with the requested ID could not be found.', 'document_not_found');
+
+    this.store.validate(schema, data, false);
+    Object.assign(doc, clone(data), { $updatedAt: new Date().toISOString() });
+    this.store.touch();
+    return clone(doc);
+  }
+
+  async deleteDocument(databaseId, collectionId, documentId) {
+    if (!this.store.collection(databaseId, collectionId).documents.delete(documentId)) {
+      throw notFound('Document with the requested ID could not be found.', 'document_not_found');
+    }
+    this.store.touch();
+    return {};
+  }
+
+  async listDocuments(databaseId, collectionId, queries = []) {
+    const { documents, schema } = this.store.collection(databaseId, collectionId);
+    const parsed = queries.map(q => (typeof q === 'string' ? JSON.parse(q) : q));
+    const typeOf = (attribute) => (SYSTEM_DATETIMES.includes(attribute) ? 'datetime' : (schema.byKey.get(attribute) || {}).type);
+
+    const filters = parsed.filter(q => !['orderAsc', 'orderDesc', 'limit', 'offset', 'cursorAfter', 'cursorBefore', 'select'].includes(q.method));
+    let matches = [...documents.values()].filter(doc => filters.every(q => matchQuery(doc, q, typeOf)));
+
+    const orders = parsed.filter(q => q.method === 'orderAsc' || q.method === 'orderDesc');
+    if (orders.length > 0) {
+      matches = matches.map((doc, position) => ({ doc, position })).sort((a, b) => {
+        for (const order of orders) {
+          const result = compareValues(a.doc[order.attribute], b.doc[order.attribute], typeOf(order.attribute));
+          if (result !== 0) return order.method === 'orderAsc' ? result : -result;
+        }
+        return a.position - b.position;
+      }).map(({ doc }) => doc);
+    }
+
+    const total = matches.length;
+    const after = parsed.find(q => q.method === 'cursorAfter');
+    const before = parsed.find(q => q.method === 'cursorBefore');
+    const cursor = after || before;
+    if (cursor) {
+      const index = matches.findIndex(doc => doc.$id === cursor.values[0]);
+      if (index === -1 && !documents.has(cursor.values[0])) throw invalid(`Document '${cursor.values[0]}' for the 'cursor' value not found.`, 'general_cursor_not_found');
+      matches = after ? matches.slice(index + 1) : matches.slice(0, Math.max(index, 0));
+    }
+
+    const limitQuery = parsed.find(q => q.method === 'limit');
+    const offsetQuery = parsed.find(q => q.method === 'offset');
+    const limit = limitQuery ? limitQuery.values[0] : DEFAULT_LIMIT;
+    const offset = offsetQuery ? offsetQuery.values[0] : 0;
+    // cursorBefore devuelve los inmediatamente anteriores al cursor
+    let page = before ? matches.slice(Math.max(matches.length - offset - limit, 0), matches.length - offset) : matches.slice(offset, offset + limit);
+
+    const select = parsed.find(q => q.method === 'select');
+    if (select) {
+      page = page.map(doc => Object.fromEntries(Object.entries(doc).filter(([key]) => key.startsWith('$') || select.values.includes(key))));
+    }
+
+    return { total, documents: clone(page) };
+  }
+}
+
+const compareValues = (a, b, type) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (type === 'datetime') return Date.parse(a) - Date.parse(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const matchQuery = (doc, query, typeOf) => {
+  const { method, attribute, values = [] } = query;
+  if (method === 'and') return values.map(q => (typeof q === 'string' ? JSON.parse(q) : q)).every(q => matchQuery(doc, q, typeOf));
+  if (method === 'or') return values.map(q => (typeof q === 'string' ? JSON.parse(q) : q)).some(q => matchQuery(doc, q, typeOf));
+
+  const value = doc[attribute];
+  const type = typeOf(attribute);
+  const compare = (other) => compareValues(value, other, type);
+  const present = value !== null && value !== undefined;
+  switch (method) {
+    case 'equal':
+      return Array.isArray(value) ? value.some(v => values.includes(v)) : values.some(v => present && compare(v) === 0);
+    case 'notEqual':
+      return !present || compare(values[0]) !== 0;
+    case 'lessThan':
+      return present && compare(values[0]) < 0;
+    case 'lessThanEqual':
+      return present && compare(values[0]) <= 0;
+    case 'greaterThan':
+      return present && compare(values[0]) > 0;
+    case 'greaterThanEqual':
+      return present && compare(values[0]) >= 0;
+    case 'between':
+      return present && compare(values[0]) >= 0 && compare(values[1]) <= 0;
+    case 'isNull':
+      return !present;
+    case 'isNotNull':
+      return present;
+    case 'startsWith':
+      return typeof value === 'string' && value.startsWith(values[0]);
+    case 'endsWith':
+      return typeof value === 'string' && value.endsWith(values[0]);
+    case 'contains':
+      return Array.isArray(value) ? value.some(v => values.includes(v)) : typeof value === 'string' && values.some(v => value.includes(v));
+    case 'search':
+      return typeof value === 'string' && value.toLowerCase().includes(String(values[0]).toLowerCase());
+    default:
+      throw invalid(`Query method not supported by the memory backend: ${method}`, 'general_query_invalid');
+  }
+};
+
+class MemoryStorage {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async createFile(bucketId, fileId, file) {
+    const files = this.store.bucket(bucketId);
+    const id = fileId === 'unique()' ? newId() : fileId;
+    if (files.has(id)) throw new AppwriteException('A storage file with the requested ID already exists.', 409, 'storage_file_already_exists');
+
+    const data = Buffer.from(await file.arrayBuffer());
+    const now = new Date().toISOString();
+    const meta = {
+      $id: id,
+      bucketId,
+      $createdAt: now,
+      $updatedAt: now,
+      $permissions: [],
+      name: file.name,
+      signature: crypto.createHash('md5').update(data).digest('hex'),
+      mimeType: file.type || 'application/octet-stream',
+      sizeOriginal: data.length,
+      chunksTotal: 1,
+      chunksUploaded: 1
+    };
+    files.set(id, { meta, data });
+    this.store.touch();
+    return { ...meta };
+  }
+
+  async getFile(bucketId, fileId) {
+    const file = this.store.bucket(bucketId).get(fileId);
+    if (!file) throw notFound('The requested file could not be found.', 'storage_file_not_found');
+    return { ...file.meta };
+  }
+
+  async getFileDownload(bucketId, fileId) {
+    const file = this.store.bucket(bucketId).get(fileId);
+    if (!file) throw notFound('The requested file could not be found.', 'storage_file_not_found');
+    return file.data.buffer.slice(file.data.byteOffset, file.data.byteOffset + file.data.length);
+  }
+
+  async deleteFile(bucketId, fileId) {
+    if (!this.store.bucket(bucketId).delete(fileId)) throw notFound('The requested file could not be found.', 'storage_file_not_found');
+    this.store.touch();
+    return {};
+  }
+}
+
+// Estado compartido por Databases y Storage: databaseId -> collectionId -> documentos, bucketId -> ficheros
+const createStore = () => {
+  const databases = new Map();
+  const buckets = new Map();
+  let schemas = null;
+  let dirty = false;
+
+  // Esquema de cada colección (la base principal tiene además las de plataforma)
+  const schemaFor = (databaseId, collectionId) => {
+    if (!schemas) {
+      // Aquí y no arriba: schema/collections usa utils/appwrite, que crea este backend
+      const { collectionsFor } = require('../schema/collections');
+      const build = (scope) => new Map(collectionsFor(scope).map(c => [c.id, { ...c, byKey: new Map(c.attributes.map(a => [a.key, a])) }]));
+      schemas = { platform: build('platform'), tenant: build('tenant') };
+    }
+    const scope = databaseId === process.env.APPWRITE_DATABASE_ID ? 'platform' : 'tenant';
+    return schemas[scope].get(collectionId) || null;
+  };
+
+  const collection = (databaseId, collectionId) => {
+    const schema = schemaFor(databaseId, collectionId);
+    if (!schema) throw notFound('Collection with the requested ID could not be found.', 'collection_not_found');
+    if (!databases.has(databaseId)) databases.set(databaseId, new Map());
+    const collections = databases.get(databaseId);
+    if (!collections.has(collectionId)) collections.set(collectionId, new Map());
+    return { documents: collections.get(collectionId), schema };
+  };
+
+  const bucket = (bucketId) => {
+    if (!buckets.has(bucketId)) buckets.set(bucketId, new Map());
+    return buckets.get(bucketId);
+  };
+
+  const validate = (schema, data, creating) => {
+    for (const [key, value] of Object.entries(data)) {
+      const attr = schema.byKey.get(key);
+      if (!attr) throw invalid(`Invalid document structure: Unknown attribute: "${key}"`);
+      if (value === null || value === undefined) {
+        if (attr.required) throw invalid(`Invalid document structure: Missing required attribute "${key}"`);
+        continue;
+      }
+      const items = attr.array ? value : [value];
+      if (attr.array && !Array.isArray(value)) throw invalid(`Invalid document structure: Attribute "${key}" must be an array`);
+      if (!items.every(item => typeCheckers[attr.type](item, attr))) {
+        throw invalid(`Invalid document structure: Attribute "${key}" has invalid ${attr.type === 'string' ? `format. Value must be a valid string and no longer than ${attr.size} chars` : `type. Value must be a valid ${attr.type}`}`);
+      }
+    }
+    if (creating) {
+      const missing = schema.attributes.find(a => a.required && (data[a.key] === null || data[a.key] === undefined));
+      if (missing) throw invalid(`Invalid document structure: Missing required attribute "${missing.key}"`);
+    }
+  };
+
+  const touch = () => { dirty = true; };
+
+  const toJSON = () => ({
+    version: 1,
+    savedAt: new Date().toISOString(),
+    databases: Object.fromEntries([...databases].map(([databaseId, collections]) => [
+      databaseId,
+      Object.fromEntries([...collections].map(([collectionId, documents]) => [collectionId, [...documents.values()]]))
+    ])),
+    buckets: Object.fromEntries([...buckets].map(([bucketId, files]) => [
+      bucketId,
+      [...files.values()].map(({ meta, data }) => ({ meta, data: data.toString('base64') }))
+    ]))
+  });
+
+  const load = (snapshot) => {
+    databases.clear();
+    buckets.clear();
+    for (const [databaseId, collections] of Object.entries(snapshot.databases || {})) {
+      databases.set(databaseId, new Map(Object.entries(collections).map(([collectionId, documents]) => [collectionId, new Map(documents.map(d => [d.$id, d]))])));
+    }
+    for (const [bucketId, files] of Object.entries(snapshot.buckets || {})) {
+      buckets.set(bucketId, new Map(files.map(({ meta, data }) => [meta.$id, { meta, data: Buffer.from(data, 'base64') }])));
+    }
+    dirty = false;
+  };
+
+  const reset = () => load({});
+
+  return {
+    collection,
+    bucket,
+    validate,
+    touch,
+    toJSON,
+    load,
+    reset,
+    isDirty: () => dirty,
+    markClean: () => { dirty = false; }
+  };
+};
+
+const createMemoryBackend = ({ file = process.env.STORAGE_MEMORY_FILE, snapshotMs = parseInt(process.env.STORAGE_MEMORY_SNAPSHOT_MS || '10000') } = {}) => {
+  const store = createStore();
+  const snapshotPath = file ? path.resolve(file) : null;
+  let timer = null;
+
+  if (snapshotPath && fs.existsSync(snapshotPath)) {
+    store.load(JSON.parse(fs.readFileSync(snapshotPath, 'utf8')));
+  }
+
+  // Escritura atómica (fichero temporal + rename) para no dejar una instantánea a medias
+  const snapshot = () => {
+    if (!snapshotPath || !store.isDirty()) return;
+    try {
+      fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+      const tmp = `${snapshotPath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(store.toJSON()));
+      fs.renameSync(tmp, snapshotPath);
+      store.markClean();
+    } catch (err) {
+      logger.error('Memory storage snapshot error', { file: snapshotPath, error: err.message, stack: err.stack });
+    }
+  };
+
+  return {
+    name: 'memory',
+    databases: new MemoryDatabases(store),
+    storage: new MemoryStorage(store),
+    store,
+    start: () => {
+      if (!snapshotPath || timer) return;
+      timer = setInterval(snapshot, snapshotMs);
+      timer.unref();
+    },
+    close: () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+      snapshot();
+    },
+    reset: () => store.reset()
+  };
+};
+
+module.exports = { createMemoryBackend, MemoryDatabases, MemoryStorage };
@@ -0,0 +1,55 @@
+const { Client, ID, Query } = require('node-appwrite');
+require('dotenv').config();
+const tenantContext = require('./tenantContext');
+const { instrumentAppwrite } = require('./metrics');
+const { createBackend } = require('../storage');
+
+// Appwrite client configuration (compartido por rutas y servicios)
+const client = new Client();
+if (process.env.APPWRITE_ENDPOINT) client.setEndpoint(process.env.APPWRITE_ENDPOINT);
+if (process.env.APPWRITE_PROJECT_ID) client.setProject(process.env.APPWRITE_PROJECT_ID);
+if (process.env.APPWRITE_API_KEY) client.setKey(process.env.APPWRITE_API_KEY);
+// Appwrite o el backend local (STORAGE_BACKEND=memory), ver src/storage
+const backend = createBackend(process.env.STORAGE_BACKEND || 'appwrite', { client });
+// Latencia y errores de cada llamada, para /metrics
+const databases = instrumentAppwrite(backend.databases, 'databases');
+const storage = instrumentAppwrite(backend.storage, 'storage');
+
+// Base de datos del tenant en curso (tenantContext); sin tenant, la de APPWRITE_DATABASE_ID.
+// Un tenant sin base de datos falla en vez de usar la principal, que es la del tenant por defecto
+const databaseId = () => {
+  const tenant = tenantContext.current();
+  if (!tenant) return process.env.APPWRITE_DATABASE_ID;
+  if (!tenant.isProvisioned) throw new Error(`Tenant ${tenant.id} has no database`);
+  return tenant.databaseId;
+};
+
+// Registro de tenants: siempre en la base de datos principal
+const platformDatabaseId = () => process.env.APPWRITE_DATABASE_ID;
+
+const collections = {
+  sensorReadings: () => process.env.APPWRITE_SENSOR_READINGS_COLLECTION_ID,
+  devices: () => process.env.APPWRITE_DEVICES_COLLECTION_ID || 'devices',
+  alerts: () => process.env.APPWRITE_ALERTS_COLLECTION_ID || 'alerts',
+  leakPredictions: () => process.env.APPWRITE_LEAK_PREDICTIONS_COLLECTION_ID || 'leak_predictions',
+  notificationDeliveries: () => process.env.APPWRITE_NOTIFICATION_DELIVERIES_COLLECTION_ID || 'notification_deliveries',
+  firmwareReleases: () => process.env.APPWRITE_FIRMWARE_RELEASES_COLLECTION_ID || 'firmware_releases',
+  firmwareUpdates: () => process.env.APPWRITE_FIRMWARE_UPDATES_COLLECTION_ID || 'firmware_updates',
+  deviceConfigs: () => process.env.APPWRITE_DEVICE_CONFIGS_COLLECTION_ID || 'device_configs',
+  deviceCommands: () => process.env.APPWRITE_DEVICE_COMMANDS_COLLECTION_ID || 'device_commands',
+  users: () => process.env.APPWRITE_USERS_COLLECTION_ID || 'users',
+  apiKeys: () => process.env.APPWRITE_API_KEYS_COLLECTION_ID || 'api_keys',
+  auditLog: () => process.env.APPWRITE_AUDIT_LOG_COLLECTION_ID || 'audit_log',
+  tenants: () => process.env.APPWRITE_TENANTS_COLLECTION_ID || 'tenants',
+  calibrationProfiles: () => process.env.APPWRITE_CALIBRATION_PROFILES_COLLECTION_ID || 'calibration_profiles',
+  sensorTypes: () => process.env.APPWRITE_SENSOR_TYPES_COLLECTION_ID || 'sensor_types',
+  readingsHourly: () => process.env.APPWRITE_READINGS_HOURLY_COLLECTION_ID || 'readings_hourly',
+  readingsDaily: () => process.env.APPWRITE_READINGS_DAILY_COLLECTION_ID || 'readings_daily',
+  limitCounters: () => process.env.APPWRITE_LIMIT_COUNTERS_COLLECTION_ID || 'limit_counters'
+};
+
+const buckets = {
+  firmware: () => process.env.APPWRITE_FIRMWARE_BUCKET_ID || 'firmware'
+};
+
+module.exports = { client, backend, databases, storage, databaseId, platformDatabaseId, collections, buckets, ID, Query };
@@ -0,0 +1,19 @@
+// Ejecuta fn(item, index) con como mucho `limit` promesas a la vez. Las tareas arrancan en orden
+// de índice y los resultados se devuelven en el mismo orden que `items`.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
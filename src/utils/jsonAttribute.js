@@ -0,0 +1,16 @@
+// Appwrite no tiene atributos JSON: los objetos (metadata, contributingFactors...) se guardan
+// serializados en atributos string y se leen con fromAttribute
+const toAttribute = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// Acepta también objetos ya deserializados (documentos de la cola local o anteriores a este formato)
+const fromAttribute = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return fallback;
+  }
+};
+
+module.exports = { toAttribute, fromAttribute };
@@ -0,0 +1,107 @@
+const promClient = require('prom-client');
+
+// Métricas Prometheus del gateway (GET /metrics). Registro propio para no mezclar con otras librerías.
+const register = new promClient.Registry();
+promClient.collectDefaultMetrics({ register, prefix: 'aquaguard_' });
+
+// result: stored | queued | duplicate | rejected | failed
+const readingsIngested = new promClient.Counter({
+  name: 'aquaguard_readings_ingested_total',
+  help: 'Telemetry readings processed, by tenant, device, sensor type and result',
+  labelNames: ['tenant', 'device_id', 'sensor_type', 'result'],
+  registers: [register]
+});
+
+// transport: http | mqtt; payload: single | bulk | frame
+const validationFailures = new promClient.Counter({
+  name: 'aquaguard_ingest_validation_failures_total',
+  help: 'Ingest payloads rejected by validation',
+  labelNames: ['transport', 'payload'],
+  registers: [register]
+});
+
+const appwriteDuration = new promClient.Histogram({
+  name: 'aquaguard_appwrite_request_duration_seconds',
+  help: 'Appwrite API call latency, by operation',
+  labelNames: ['operation'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// code: HTTP status de Appwrite o `network` si no hubo respuesta
+const appwriteErrors = new promClient.Counter({
+  name: 'aquaguard_appwrite_errors_total',
+  help: 'Failed Appwrite API calls, by operation and error code',
+  labelNames: ['operation', 'code'],
+  registers: [register]
+});
+
+const rateLimited = new promClient.Counter({
+  name: 'aquaguard_rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+// event: burst | future_timestamp (señales) | throttled | quarantined (acciones)
+const deviceAbuse = new promClient.Counter({
+  name: 'aquaguard_device_abuse_events_total',
+  help: 'Device abuse signals detected and throttle/quarantine actions taken',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+const recordReading = ({ tenant, deviceId, sensorType, result }) => {
+  readingsIngested.inc({ tenant, device_id: deviceId, sensor_type: sensorType || 'unknown', result });
+};
+
+const recordValidationFailure = (transport, payload) => validationFailures.inc({ transport, payload });
+
+const recordRateLimited = (limiter) => rateLimited.inc({ limiter });
+
+const recordDeviceAbuse = (event) => deviceAbuse.inc({ event });
+
+// 404/409 son respuestas esperadas (documento inexistente, duplicado): no cuentan como error
+const EXPECTED_CODES = [404, 409];
+
+// Sustituye los métodos de un servicio de node-appwrite (Databases, Storage) por versiones cronometradas
+const instrumentAppwrite = (service, prefix) => {
+  const proto = Object.getPrototypeOf(service);
+  for (const name of Object.getOwnPropertyNames(proto)) {
+    if (name === 'constructor' || typeof proto[name] !== 'function') continue;
+    const operation = `${prefix}.${name}`;
+    const original = proto[name];
+    service[name] = async function (...args) {
+      const end = appwriteDuration.startTimer({ operation });
+      try {
+        return await original.apply(this, args);
+      } catch (err) {
+        if (!EXPECTED_CODES.includes(err.code)) appwriteErrors.inc({ operation, code: err.code ? String(err.code) : 'network' });
+        throw err;
+      } finally {
+        end();
+      }
+    };
+  }
+  return service;
+};
+
+// Métricas que se leen en el momento del scrape (p. ej. profundidad de la cola local)
+const registerGauge = (name, help, collect) => new promClient.Gauge({
+  name,
+  help,
+  registers: [register],
+  collect() {
+    this.set(collect());
+  }
+});
+
+module.exports = {
+  register,
+  recordReading,
+  recordValidationFailure,
+  recordRateLimited,
+  recordDeviceAbuse,
+  instrumentAppwrite,
+  registerGauge
+};
@@ -0,0 +1,11 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Tenant de la petición/tarea en curso. Lo fijan los middlewares de autenticación (y los
+// trabajos periódicos por cada tenant); databaseId() lo usa para elegir la base de datos.
+const storage = new AsyncLocalStorage();
+
+const run = (tenant, fn) => storage.run(tenant, fn);
+
+const current = () => storage.getStore() || null;
+
+module.exports = { run, current };
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let scoped;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway();
+  const res = await gateway.request('POST', '/admin/api-keys', { headers: adminHeaders, body: { name: 'north-admin', role: 'admin', scopeLocations: ['plant-north'] } });
+  assert.equal(res.status, 201);
+  scoped = { 'x-api-key': res.body.key };
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('a location-scoped admin can only register devices in its locations', async () => {
+  const own = await gateway.request('POST', '/admin/devices', { headers: scoped, body: { deviceId: 'meter-north', location: 'plant-north' } });
+  assert.equal(own.status, 201);
+
+  const other = await gateway.request('POST', '/admin/devices', { headers: scoped, body: { deviceId: 'meter-south', location: 'plant-south' } });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.code, 'OUT_OF_SCOPE');
+
+  const unplaced = await gateway.request('POST', '/admin/devices', { headers: scoped, body: { deviceId: 'meter-nowhere' } });
+  assert.equal(unplaced.status, 403);
+  assert.equal((await gateway.request('GET', '/admin/devices/meter-south', { headers: adminHeaders })).status, 404);
+});
+
+test('a location-scoped admin cannot move a device out of its locations', async () => {
+  const moved = await gateway.request('PATCH', '/admin/devices/meter-north', { headers: scoped, body: { location: 'plant-south' } });
+  assert.equal(moved.status, 403);
+  assert.equal(moved.body.code, 'OUT_OF_SCOPE');
+
+  const renamed = await gateway.request('PATCH', '/admin/devices/meter-north', { headers: scoped, body: { name: 'North meter' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.device.location, 'plant-north');
+});
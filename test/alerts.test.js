@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let alerts;
+
+const condition = (deviceId) => ({ deviceId, sensorType: 'pressure', type: 'threshold_high' });
+const details = { severity: 'high', message: 'pressure above maximum' };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  gateway = await startGateway({ ALERT_CACHE_TTL_MS: '50' });
+  alerts = require('../src/services/alerts');
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('resolve finds an alert this process did not raise', async () => {
+  // Abierta por otra instancia (o antes de un reinicio)
+  const doc = await gateway.databases.createDocument('aquaguard', 'alerts', 'unique()', {
+    deviceId: 'meter-x', sensorType: 'pressure', type: 'threshold_high', severity: 'high', message: 'high', status: 'open', timestamp: new Date().toISOString()
+  });
+
+  const resolved = await alerts.resolve(condition('meter-x'));
+  assert.equal(resolved.$id, doc.$id);
+  assert.equal((await gateway.databases.getDocument('aquaguard', 'alerts', doc.$id)).status, 'resolved');
+  assert.equal(await alerts.resolve(condition('meter-x')), null);
+});
+
+test('raise stops suppressing once another instance resolves the alert', async () => {
+  const first = await alerts.raise(condition('meter-y'), details);
+  assert.ok(first);
+  assert.equal(await alerts.raise(condition('meter-y'), details), null);
+
+  await gateway.databases.updateDocument('aquaguard', 'alerts', first.$id, { status: 'resolved', resolvedAt: new Date().toISOString() });
+  await sleep(60);
+
+  const second = await alerts.raise(condition('meter-y'), details);
+  assert.ok(second);
+  assert.notEqual(second.$id, first.$id);
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('API keys are stored as a SHA-256 digest and verified without scrypt', async () => {
+  const created = await gateway.request('POST', '/admin/api-keys', { headers: adminHeaders, body: { name: 'reporting', role: 'viewer' } });
+  assert.equal(created.status, 201);
+  const doc = await gateway.databases.getDocument('aquaguard', 'api_keys', created.body.apiKey.id);
+  assert.match(doc.keyHash, /^sha256\$/);
+
+  assert.equal((await gateway.request('GET', '/admin/devices', { headers: { 'x-api-key': created.body.key } })).status, 200);
+  const wrong = await gateway.request('GET', '/admin/devices', { headers: { 'x-api-key': `${created.body.key}x` } });
+  assert.equal(wrong.status, 401);
+});
+
+test('a key hashed with scrypt still works and is upgraded on first use', async () => {
+  const { hashSecret } = require('../src/services/deviceRegistry');
+  const doc = await gateway.databases.createDocument('aquaguard', 'api_keys', 'legacy', {
+    name: 'legacy', role: 'viewer', scopeLocations: [], scopeDevices: [], keyHash: await hashSecret('old-secret'), isEnabled: true, createdAt: new Date().toISOString()
+  });
+
+  assert.equal((await gateway.request('GET', '/admin/devices', { headers: { 'x-api-key': 'agk_legacy.old-secret' } })).status, 200);
+  const deadline = Date.now() + 2000;
+  let stored;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stored = await gateway.databases.getDocument('aquaguard', 'api_keys', doc.$id);
+  } while (!stored.keyHash.startsWith('sha256$') && Date.now() < deadline);
+  assert.match(stored.keyHash, /^sha256\$/);
+  assert.ok(stored.lastUsedAt);
+  assert.equal((await gateway.request('GET', '/admin/devices', { headers: { 'x-api-key': 'agk_legacy.old-secret' } })).status, 200);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let token;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway();
+  const registered = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-c', location: 'plant-c' } });
+  const auth = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-c', deviceSecret: registered.body.deviceSecret } });
+  token = auth.body.token;
+
+  const profile = await gateway.request('PUT', '/admin/devices/meter-c/calibration/conductivity', {
+    headers: adminHeaders,
+    body: { temperatureCompensation: { referenceTemperature: 25, coefficient: 0.1 } }
+  });
+  assert.equal(profile.status, 200);
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+const conductivity = (value, temperature) => ({ deviceId: 'meter-c', sensorType: 'conductivity', value, metadata: { temperature } });
+
+test('conductivity is compensated to the reference temperature', async () => {
+  const res = await gateway.request('POST', '/ingest', { token, body: conductivity(600, 30) });
+  assert.equal(res.status, 201);
+
+  const stored = await gateway.databases.getDocument('aquaguard', 'sensor_readings', res.body.documentId);
+  assert.equal(stored.value, 400);
+  assert.equal(stored.compensationTemperature, 30);
+});
+
+test('a temperature outside the linear compensation model is rejected instead of stored', async () => {
+  // 1 + 0.1 * (15 - 25) = 0: división por cero; a 10 °C el factor sería negativo
+  for (const temperature of [15, 10]) {
+    const res = await gateway.request('POST', '/ingest', { token, body: conductivity(600, temperature) });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'COMPENSATION_OUT_OF_RANGE');
+  }
+
+  const bulk = await gateway.request('POST', '/ingest/bulk', { token, body: { atomic: true, readings: [conductivity(600, 30), conductivity(600, 10)] } });
+  assert.equal(bulk.status, 422);
+  assert.equal(bulk.body.processed, 0);
+  assert.deepEqual(bulk.body.errors.map(e => [e.index, e.code]), [[1, 'COMPENSATION_OUT_OF_RANGE']]);
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let token;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway({ LAST_SEEN_DEBOUNCE_MS: '50' });
+  const registered = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-p', location: 'plant-p' } });
+  const auth = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-p', deviceSecret: registered.body.deviceSecret } });
+  token = auth.body.token;
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('a device marked offline by another instance resolves its alert when it comes back', async () => {
+  const { Query } = require('node-appwrite');
+  assert.equal((await gateway.request('POST', '/devices/heartbeat', { token, body: {} })).status, 200);
+
+  // Otra instancia (o su watchdog) lo marca offline y abre la alerta: la caché de esta no se entera
+  const [doc] = (await gateway.databases.listDocuments('aquaguard', 'devices', [Query.equal('deviceId', 'meter-p')])).documents;
+  await gateway.databases.updateDocument('aquaguard', 'devices', doc.$id, { isOnline: false });
+  const alert = await gateway.databases.createDocument('aquaguard', 'alerts', 'unique()', {
+    deviceId: 'meter-p', type: 'device_offline', severity: 'high', message: 'offline', status: 'open', timestamp: new Date().toISOString()
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal((await gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-p', sensorType: 'flow', value: 1 } })).status, 201);
+
+  const deadline = Date.now() + 2000;
+  let stored;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stored = await gateway.databases.getDocument('aquaguard', 'alerts', alert.$id);
+  } while (stored.status !== 'resolved' && Date.now() < deadline);
+  assert.equal(stored.status, 'resolved');
+  assert.equal((await gateway.databases.getDocument('aquaguard', 'devices', doc.$id)).isOnline, true);
+});
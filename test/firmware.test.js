@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareVersions } = require('../src/services/firmware');
+
+test('compareVersions orders the numeric core', () => {
+  assert.equal(compareVersions('1.10.0', '1.9.3'), 1);
+  assert.equal(compareVersions('v1.2.3', '1.2.3'), 0);
+  assert.equal(compareVersions('1.2', '1.2.0'), 0);
+  assert.equal(compareVersions('1.2.0', '1.2.1'), -1);
+});
+
+test('compareVersions sorts a prerelease below its release', () => {
+  assert.equal(compareVersions('1.0.0-rc1', '1.0.0'), -1);
+  assert.equal(compareVersions('1.0.0', '1.0.0-rc1'), 1);
+  assert.equal(compareVersions('1.0.1-rc1', '1.0.0'), 1);
+  assert.equal(compareVersions('1.0.0+build.5', '1.0.0'), 0);
+});
+
+test('compareVersions follows semver precedence between prereleases', () => {
+  const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+  const shuffled = [...ordered].reverse();
+  assert.deepEqual(shuffled.sort(compareVersions), ordered);
+});
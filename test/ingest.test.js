@@ -0,0 +1,242 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let device;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+const tokenFor = async ({ deviceId, deviceSecret }) => {
+  const res = await gateway.request('POST', '/auth/token', { body: { deviceId, deviceSecret } });
+  assert.equal(res.status, 200);
+  return res.body.token;
+};
+
+const storedReadings = async (deviceId) => {
+  const { Query } = require('node-appwrite');
+  const page = await gateway.databases.listDocuments('aquaguard', 'sensor_readings', [Query.equal('deviceId', deviceId), Query.limit(100)]);
+  return page.documents;
+};
+
+before(async () => {
+  gateway = await startGateway({ METRICS_TOKEN: 'test-metrics-token' });
+  const res = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-1', location: 'plant-a' } });
+  assert.equal(res.status, 201);
+  device = { deviceId: 'meter-1', deviceSecret: res.body.deviceSecret };
+  assert.ok(device.deviceSecret);
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('POST /auth/token requires credentials', async () => {
+  const res = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-1' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'MISSING_CREDENTIALS');
+});
+
+test('POST /auth/token rejects a wrong secret or an unknown device', async () => {
+  const wrong = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-1', deviceSecret: 'nope' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+  const unknown = await gateway.request('POST', '/auth/token', { body: { deviceId: 'ghost', deviceSecret: 'nope' } });
+  assert.equal(unknown.status, 401);
+});
+
+test('POST /auth/token issues a device JWT', async () => {
+  const res = await gateway.request('POST', '/auth/token', { body: device });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tokenType, 'Bearer');
+  assert.ok(res.body.token);
+});
+
+test('device tokens stop working once the device is disabled, rotated or deleted', async () => {
+  const registered = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-revoked', location: 'plant-a' } });
+  const token = await tokenFor({ deviceId: 'meter-revoked', deviceSecret: registered.body.deviceSecret });
+  const ingest = () => gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-revoked', sensorType: 'flow', value: 1 } });
+  assert.equal((await ingest()).status, 201);
+
+  await gateway.request('POST', '/admin/devices/meter-revoked/disable', { headers: adminHeaders });
+  const disabled = await ingest();
+  assert.equal(disabled.status, 403);
+  assert.equal(disabled.body.code, 'DEVICE_DISABLED');
+
+  await gateway.request('POST', '/admin/devices/meter-revoked/enable', { headers: adminHeaders });
+  assert.equal((await ingest()).status, 201);
+
+  const rotated = await gateway.request('POST', '/admin/devices/meter-revoked/rotate-secret', { headers: adminHeaders });
+  const revoked = await ingest();
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, 'TOKEN_REVOKED');
+
+  const fresh = await tokenFor({ deviceId: 'meter-revoked', deviceSecret: rotated.body.deviceSecret });
+  await gateway.request('DELETE', '/admin/devices/meter-revoked', { headers: adminHeaders });
+  const deleted = await gateway.request('POST', '/ingest', { token: fresh, body: { deviceId: 'meter-revoked', sensorType: 'flow', value: 1 } });
+  assert.equal(deleted.status, 401);
+});
+
+test('POST /ingest requires a device token', async () => {
+  const res = await gateway.request('POST', '/ingest', { body: { deviceId: 'meter-1', sensorType: 'flow', value: 2 } });
+  assert.equal(res.status, 401);
+});
+
+test('POST /ingest stores a reading in canonical units', async () => {
+  const token = await tokenFor(device);
+  const res = await gateway.request('POST', '/ingest', {
+    token,
+    body: { deviceId: 'meter-1', sensorType: 'temperature', value: 68, unit: '°F', location: 'plant-a', metadata: { firmware: '1.2.0' }, messageId: 'm-1' }
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.queued, false);
+
+  const stored = await gateway.databases.getDocument('aquaguard', 'sensor_readings', res.body.documentId);
+  assert.equal(stored.deviceId, 'meter-1');
+  assert.equal(stored.unit, '°C');
+  assert.equal(stored.value, 20);
+  assert.equal(stored.rawValue, 68);
+  assert.equal(stored.location, 'plant-a');
+  assert.deepEqual(JSON.parse(stored.metadata), { firmware: '1.2.0' });
+});
+
+test('POST /ingest answers a retried messageId as a duplicate', async () => {
+  const token = await tokenFor(device);
+  const body = { deviceId: 'meter-1', sensorType: 'flow', value: 3.5, messageId: 'm-retry' };
+  const first = await gateway.request('POST', '/ingest', { token, body });
+  const retry = await gateway.request('POST', '/ingest', { token, body });
+
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(retry.body.documentId, first.body.documentId);
+  assert.equal((await storedReadings('meter-1')).filter(r => r.messageId === 'm-retry').length, 1);
+});
+
+test('POST /ingest rejects invalid readings and other devices\' data', async () => {
+  const token = await tokenFor(device);
+  const invalid = await gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-1', sensorType: 'flow', value: 'lots' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+
+  const outOfRange = await gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-1', sensorType: 'ph', value: 15 } });
+  assert.equal(outOfRange.status, 400);
+
+  const spoofed = await gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-2', sensorType: 'flow', value: 1 } });
+  assert.equal(spoofed.status, 403);
+  assert.equal(spoofed.body.code, 'DEVICE_ID_MISMATCH');
+});
+
+test('POST /ingest/bulk stores every reading of a valid batch', async () => {
+  const token = await tokenFor(device);
+  const readings = [1, 2, 3].map(n => ({ deviceId: 'meter-1', sensorType: 'pressure', value: n, messageId: `bulk-${n}` }));
+  const res = await gateway.request('POST', '/ingest/bulk', { token, body: { readings } });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.processed, 3);
+  assert.equal(res.body.failed, 0);
+  const stored = (await storedReadings('meter-1')).filter(r => r.sensorType === 'pressure');
+  assert.deepEqual(stored.map(r => r.value).sort(), [1, 2, 3]);
+});
+
+test('POST /ingest/bulk reports readings from other devices per item', async () => {
+  const token = await tokenFor(device);
+  const res = await gateway.request('POST', '/ingest/bulk', {
+    token,
+    body: { readings: [
+      { deviceId: 'meter-1', sensorType: 'humidity', value: 40 },
+      { deviceId: 'meter-2', sensorType: 'humidity', value: 41 }
+    ] }
+  });
+
+  assert.equal(res.status, 207);
+  assert.equal(res.body.processed, 1);
+  assert.equal(res.body.failed, 1);
+  assert.equal(res.body.errors[0].index, 1);
+});
+
+test('POST /ingest/bulk validates the whole batch', async () => {
+  const token = await tokenFor(device);
+  const empty = await gateway.request('POST', '/ingest/bulk', { token, body: { readings: [] } });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, 'VALIDATION_ERROR');
+
+  const unknownType = await gateway.request('POST', '/ingest/bulk', { token, body: { readings: [{ deviceId: 'meter-1', sensorType: 'radiation', value: 1 }] } });
+  assert.equal(unknownType.status, 400);
+});
+
+test('POST /ingest/bulk with atomic=true stores nothing when one reading is rejected', async () => {
+  const token = await tokenFor(device);
+  const before = (await storedReadings('meter-1')).length;
+  const res = await gateway.request('POST', '/ingest/bulk', {
+    token,
+    body: { atomic: true, readings: [
+      { deviceId: 'meter-1', sensorType: 'turbidity', value: 0.5 },
+      { deviceId: 'meter-2', sensorType: 'turbidity', value: 0.6 }
+    ] }
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.atomic, true);
+  assert.equal(res.body.processed, 0);
+  assert.equal(res.body.errors[0].code, 'DEVICE_ID_MISMATCH');
+  assert.equal((await storedReadings('meter-1')).length, before);
+});
+
+test('a rolled-back atomic bulk leaves the anomaly history untouched', async () => {
+  const registered = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-a', location: 'plant-a' } });
+  const token = await tokenFor({ deviceId: 'meter-a', deviceSecret: registered.body.deviceSecret });
+  const at = (minutes) => new Date(Date.parse('2026-03-10T10:00:00Z') + minutes * 60000).toISOString();
+  const ingest = (value, minutes) => gateway.request('POST', '/ingest', { token, body: { deviceId: 'meter-a', sensorType: 'pressure', value, timestamp: at(minutes) } });
+  assert.equal((await ingest(3, 0)).status, 201);
+
+  // La segunda escritura del lote falla y se deshace
+  const { databases } = gateway;
+  const createDocument = databases.createDocument;
+  databases.createDocument = async function (databaseId, collectionId, documentId, data) {
+    if (collectionId === 'sensor_readings' && data.value === 9.5) throw Object.assign(new Error('write failed'), { code: 500 });
+    return createDocument.apply(this, arguments);
+  };
+  try {
+    const res = await gateway.request('POST', '/ingest/bulk', {
+      token,
+      body: { atomic: true, readings: [
+        { deviceId: 'meter-a', sensorType: 'pressure', value: 9, timestamp: at(1) },
+        { deviceId: 'meter-a', sensorType: 'pressure', value: 9.5, timestamp: at(2) }
+      ] }
+    });
+    assert.equal(res.body.processed, 0);
+  } finally {
+    databases.createDocument = createDocument;
+  }
+
+  // Frente a la lectura de las 10:00 el cambio es de 0.5 en 3 min: no supera maxRatePerMinute (2)
+  const next = await ingest(3.5, 3);
+  assert.equal(next.status, 201);
+  assert.equal(next.body.isAnomalous, false);
+});
+
+test('GET /metrics requires the metrics token', async () => {
+  const missing = await gateway.request('GET', '/metrics');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.code, 'INVALID_METRICS_TOKEN');
+
+  delete process.env.METRICS_TOKEN;
+  try {
+    const unset = await gateway.request('GET', '/metrics');
+    assert.equal(unset.status, 503);
+    assert.equal(unset.body.code, 'METRICS_TOKEN_NOT_SET');
+  } finally {
+    process.env.METRICS_TOKEN = 'test-metrics-token';
+  }
+});
+
+test('GET /metrics exposes the ingest queue depth and oldest item age', async () => {
+  const res = await fetch(`${gateway.baseUrl}/metrics`, { headers: { authorization: 'Bearer test-metrics-token' } });
+  const body = await res.text();
+  assert.equal(res.status, 200);
+  assert.match(body, /^aquaguard_ingest_queue_depth 0$/m);
+  assert.match(body, /^aquaguard_ingest_queue_oldest_age_seconds 0$/m);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let ingestQueue;
+let createDocument;
+let failFor = () => null;
+
+const acme = { id: 'acme', databaseId: 'acme-db', isEnabled: true, isProvisioned: true };
+const reading = (deviceId) => ({ deviceId, sensorType: 'flow', value: 1, unit: 'L/min', timestamp: new Date().toISOString(), location: 'unknown', isAnomalous: false, ingestedAt: new Date().toISOString(), metadata: '{}' });
+
+before(async () => {
+  gateway = await startGateway({ QUEUE_MAX_DEPTH: '3', QUEUE_RETRY_BASE_MS: '600000' });
+  ingestQueue = require('../src/services/ingestQueue');
+
+  createDocument = gateway.databases.createDocument;
+  gateway.databases.createDocument = async function (databaseId, collectionId, documentId) {
+    const code = collectionId === 'sensor_readings' && failFor(databaseId, documentId);
+    if (code) throw Object.assign(new Error(`failed with ${code}`), { code });
+    return createDocument.apply(this, arguments);
+  };
+});
+
+after(async () => {
+  gateway.databases.createDocument = createDocument;
+  await gateway.stop();
+});
+
+test('one tenant failing does not hold back the queued readings of the others', async () => {
+  const tenantContext = require('../src/utils/tenantContext');
+  tenantContext.run(acme, () => ingestQueue.enqueue({ documentId: 'q-acme', data: reading('meter-acme') }));
+  ingestQueue.enqueue({ documentId: 'q-default', data: reading('meter-q') });
+
+  failFor = (databaseId) => (databaseId === 'acme-db' ? 503 : null);
+  const result = await ingestQueue.drain();
+  assert.deepEqual(result, { flushed: 1, failed: 1, depth: 1 });
+  assert.ok(await gateway.databases.getDocument('aquaguard', 'sensor_readings', 'q-default'));
+  assert.deepEqual(ingestQueue.listItems().map(item => item.id), ['q-acme']);
+});
+
+test('a reading whose collection no longer exists goes to dead letters', async () => {
+  ingestQueue.enqueue({ documentId: 'q-gone', data: reading('meter-q') });
+  failFor = (databaseId, documentId) => (documentId === 'q-gone' ? 404 : databaseId === 'acme-db' ? 503 : null);
+
+  const before = ingestQueue.getStats().deadLetters;
+  await ingestQueue.drain();
+  assert.equal(ingestQueue.getStats().deadLetters, before + 1);
+  assert.deepEqual(ingestQueue.listItems({ deadLetters: true }).map(item => item.id).slice(-1), ['q-gone']);
+});
+
+test('ingestion answers 503 once the local queue is full', async () => {
+  const registered = await gateway.request('POST', '/admin/devices', { headers: { 'x-admin-key': 'test-admin-key' }, body: { deviceId: 'meter-q', location: 'plant-q' } });
+  const auth = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-q', deviceSecret: registered.body.deviceSecret } });
+  failFor = () => 503;
+
+  const ingest = () => gateway.request('POST', '/ingest', { token: auth.body.token, body: { deviceId: 'meter-q', sensorType: 'flow', value: 2 } });
+  assert.equal((await ingest()).status, 202);
+  assert.equal((await ingest()).status, 202);
+  const full = await ingest();
+  assert.equal(full.status, 503);
+  assert.equal(full.body.code, 'QUEUE_FULL');
+  assert.equal(ingestQueue.getStats().depth, 3);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let scoreReadings;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+// 24 h de lecturas cada 20 min (las mismas que acepta `npm run leak:score`)
+const fixture = (name) => require(path.join(__dirname, 'fixtures', name));
+const now = '2026-03-10T23:40:00.000Z';
+const byFactor = (result) => Object.fromEntries(result.contributingFactors.map(f => [f.factor, f]));
+
+const apiKeyHeaders = async (role) => {
+  const res = await gateway.request('POST', '/admin/api-keys', { headers: adminHeaders, body: { name: `leak-${role}`, role } });
+  assert.equal(res.status, 201);
+  return { 'x-api-key': res.body.key };
+};
+
+before(async () => {
+  gateway = await startGateway();
+  ({ scoreReadings } = require('../src/services/leakPrediction'));
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('scoreReadings flags a leak: night flow, pressure drop and continuous flow', () => {
+  const result = scoreReadings(fixture('leak-readings.json'), { now, timeZone: 'UTC' });
+  const factors = byFactor(result);
+
+  assert.equal(result.probability, 0.8062);
+  assert.equal(result.confidence, 1);
+  assert.deepEqual(Object.keys(factors).sort(), ['continuousFlow', 'nightFlow', 'pressureDrop']);
+  assert.equal(factors.nightFlow.value, 1.2);
+  assert.equal(factors.nightFlow.score, 0.6);
+  assert.equal(factors.pressureDrop.score.toFixed(2), '1.00');
+  assert.equal(factors.continuousFlow.value.toFixed(1), '23.7');
+});
+
+test('scoreReadings keeps a normal series at low risk', () => {
+  const result = scoreReadings(fixture('normal-readings.json'), { now, timeZone: 'UTC' });
+
+  assert.equal(result.probability, 0.0444);
+  assert.equal(result.confidence, 1);
+  assert.deepEqual(result.contributingFactors.map(f => f.factor), ['continuousFlow']);
+  assert.equal(result.contributingFactors[0].value.toFixed(1), '2.7');
+});
+
+test('scoreReadings lowers confidence with few samples', () => {
+  const readings = fixture('leak-readings.json').filter(r => r.timestamp >= '2026-03-10T22:00');
+  const result = scoreReadings(readings, { now, timeZone: 'UTC' });
+
+  assert.ok(result.confidence < 0.5);
+  assert.equal(result.samples.flow, 6);
+});
+
+test('GET /locations/:location/leak-risk serves the stored prediction; POST recomputes it', async () => {
+  const viewer = await apiKeyHeaders('viewer');
+  const operator = await apiKeyHeaders('operator');
+
+  const missing = await gateway.request('GET', '/locations/plant-l/leak-risk', { headers: viewer });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'LEAK_PREDICTION_NOT_FOUND');
+
+  const denied = await gateway.request('POST', '/locations/plant-l/leak-risk', { headers: viewer });
+  assert.equal(denied.status, 403);
+
+  const computed = await gateway.request('POST', '/locations/plant-l/leak-risk', { headers: operator });
+  assert.equal(computed.status, 201);
+  assert.equal(computed.body.prediction.deviceLocation, 'plant-l');
+
+  const stored = await gateway.request('GET', '/locations/plant-l/leak-risk', { headers: viewer });
+  assert.equal(stored.status, 200);
+  assert.equal(stored.body.prediction.id, computed.body.prediction.id);
+});
@@ -0,0 +1,208 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+const secrets = {};
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+const register = async (deviceId) => {
+  const res = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId, location: 'plant-a' } });
+  assert.equal(res.status, 201);
+  secrets[deviceId] = res.body.deviceSecret;
+};
+
+const tokenFor = async (deviceId) => {
+  const res = await gateway.request('POST', '/auth/token', { body: { deviceId, deviceSecret: secrets[deviceId] } });
+  assert.equal(res.status, 200);
+  return res.body.token;
+};
+
+const reading = (deviceId, extra = {}) => ({ deviceId, sensorType: 'flow', value: 2, location: 'plant-a', ...extra });
+
+// Las señales de abuso se procesan sin bloquear la respuesta
+const eventually = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+};
+
+const alertsFor = async (deviceId) => {
+  const { Query } = require('node-appwrite');
+  const page = await gateway.databases.listDocuments('aquaguard', 'alerts', [Query.equal('deviceId', deviceId)]);
+  return page.documents;
+};
+
+before(async () => {
+  gateway = await startGateway({
+    INGEST_RATE_LIMIT_MAX_REQUESTS: '5',
+    TENANT_DEVICE_MAX_READINGS_PER_DAY: '6',
+    ABUSE_THROTTLE_STRIKES: '2',
+    ABUSE_THROTTLED_MAX_REQUESTS: '4',
+    ABUSE_QUARANTINE_STRIKES: '3'
+  });
+  for (const deviceId of ['meter-a', 'meter-b', 'meter-c', 'meter-d', 'meter-e']) await register(deviceId);
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('memory store counts in fixed windows', async () => {
+  const { createLimitStore } = require('../src/limits');
+  const store = createLimitStore('memory');
+
+  assert.equal((await store.increment('k', { windowMs: 50 })).count, 1);
+  assert.equal((await store.increment('k', { windowMs: 50, amount: 2 })).count, 3);
+  assert.equal((await store.get('k')).count, 3);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(await store.get('k'), null);
+  assert.equal((await store.increment('k', { windowMs: 50 })).count, 1);
+
+  await store.reset('k');
+  assert.equal(await store.get('k'), null);
+});
+
+test('appwrite store shares counters between instances', async () => {
+  const { createLimitStore } = require('../src/limits');
+  const options = { databases: gateway.databases, databaseId: () => 'aquaguard', collectionId: () => 'limit_counters', syncMs: 0 };
+  const first = createLimitStore('appwrite', options);
+  const second = createLimitStore('appwrite', options);
+
+  await first.increment('shared', { windowMs: 60000 });
+  await first.increment('shared', { windowMs: 60000 });
+  await second.increment('shared', { windowMs: 60000 });
+  await first.flush();
+  await second.flush();
+
+  assert.equal((await first.get('shared')).count, 3);
+  assert.equal((await second.get('shared')).count, 3);
+
+  await first.reset('shared');
+  assert.equal(await second.get('shared'), null);
+});
+
+test('appwrite store keeps counting locally while Appwrite is unreachable', async () => {
+  const { createLimitStore } = require('../src/limits');
+  let down = false;
+  const databases = new Proxy(gateway.databases, {
+    get: (target, name) => (typeof target[name] === 'function'
+      ? (...args) => (down ? Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 0 })) : target[name](...args))
+      : target[name])
+  });
+  const store = createLimitStore('appwrite', { databases, databaseId: () => 'aquaguard', collectionId: () => 'limit_counters', syncMs: 0 });
+
+  await store.increment('outage', { windowMs: 60000 });
+  await store.flush();
+  down = true;
+  assert.equal((await store.increment('outage', { windowMs: 60000 })).count, 2);
+  assert.equal((await store.increment('fresh', { windowMs: 60000 })).count, 1);
+  await store.flush();
+
+  down = false;
+  await store.flush();
+  assert.equal((await store.get('outage')).count, 2);
+  assert.equal((await store.get('fresh')).count, 1);
+});
+
+test('ingest is rate limited per device, not per IP', async () => {
+  const tokenA = await tokenFor('meter-a');
+  for (let i = 0; i < 5; i++) {
+    const res = await gateway.request('POST', '/ingest', { token: tokenA, body: reading('meter-a') });
+    assert.equal(res.status, 201);
+  }
+  const limited = await gateway.request('POST', '/ingest', { token: tokenA, body: reading('meter-a') });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'DEVICE_RATE_LIMITED');
+
+  // Same IP, different device
+  const other = await gateway.request('POST', '/ingest', { token: await tokenFor('meter-b'), body: reading('meter-b') });
+  assert.equal(other.status, 201);
+});
+
+test('daily reading quota per device', async () => {
+  const token = await tokenFor('meter-d');
+  const readings = (n) => ({ readings: Array.from({ length: n }, () => reading('meter-d')) });
+
+  assert.equal((await gateway.request('POST', '/ingest/bulk', { token, body: readings(5) })).status, 201);
+
+  const over = await gateway.request('POST', '/ingest/bulk', { token, body: readings(2) });
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'DEVICE_READING_QUOTA_EXCEEDED');
+
+  // The rejected batch was not counted
+  assert.equal((await gateway.request('POST', '/ingest', { token, body: reading('meter-d') })).status, 201);
+  const last = await gateway.request('POST', '/ingest', { token, body: reading('meter-d') });
+  assert.equal(last.status, 429);
+
+  const limits = await gateway.request('GET', '/admin/devices/meter-d/limits', { headers: adminHeaders });
+  assert.equal(limits.status, 200);
+  assert.equal(limits.body.maxReadingsPerDay, 6);
+  assert.equal(limits.body.usage.readingsToday, 6);
+});
+
+test('duplicates and rejected readings are refunded to the daily quota', async () => {
+  const token = await tokenFor('meter-e');
+  const batch = (ids, deviceId = 'meter-e') => ({ readings: ids.map(id => reading(deviceId, { messageId: id })) });
+  const usage = async () => (await gateway.request('GET', '/admin/devices/meter-e/limits', { headers: adminHeaders })).body.usage.readingsToday;
+
+  assert.equal((await gateway.request('POST', '/ingest/bulk', { token, body: batch(['e-1', 'e-2', 'e-3']) })).status, 201);
+  assert.equal(await usage(), 3);
+
+  // Retry after a lost response: all duplicates
+  const retry = await gateway.request('POST', '/ingest/bulk', { token, body: batch(['e-1', 'e-2', 'e-3']) });
+  assert.equal(retry.body.duplicates, 3);
+  assert.equal((await gateway.request('POST', '/ingest/bulk', { token, body: batch(['x-1', 'x-2'], 'meter-x') })).status, 422);
+  assert.equal((await gateway.request('POST', '/ingest', { token, body: reading('meter-x') })).status, 403);
+  assert.equal(await usage(), 3);
+
+  // The whole quota (6) is still available for stored readings
+  assert.equal((await gateway.request('POST', '/ingest/bulk', { token, body: batch(['e-4', 'e-5', 'e-6']) })).status, 201);
+  assert.equal(await usage(), 6);
+});
+
+test('future timestamps throttle, then quarantine the device until released', async () => {
+  const token = await tokenFor('meter-c');
+  const future = Math.floor(Date.now() / 1000) + 24 * 3600;
+
+  for (let i = 0; i < 3; i++) {
+    const res = await gateway.request('POST', '/ingest', { token, body: reading('meter-c', { timestamp: future + i }) });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'TIMESTAMP_IN_FUTURE');
+  }
+
+  const quarantined = await eventually(async () => {
+    const res = await gateway.request('POST', '/ingest', { token, body: reading('meter-c') });
+    assert.equal(res.status, 403);
+    return res;
+  });
+  assert.equal(quarantined.body.code, 'DEVICE_QUARANTINED');
+  assert.ok(quarantined.body.quarantinedUntil);
+
+  const raised = await eventually(async () => {
+    const alerts = await alertsFor('meter-c');
+    assert.equal(alerts.length, 2);
+    return alerts;
+  });
+  assert.deepEqual(raised.map(a => a.type).sort(), ['device_quarantined', 'device_throttled']);
+
+  const device = await gateway.request('GET', '/admin/devices/meter-c', { headers: adminHeaders });
+  assert.equal(device.body.device.quarantineReason, 'future_timestamp');
+
+  const released = await gateway.request('POST', '/admin/devices/meter-c/release', { headers: adminHeaders });
+  assert.equal(released.status, 200);
+  assert.equal(released.body.device.quarantinedUntil, null);
+  assert.deepEqual(released.body.abuse, { strikes: 0, throttledUntil: null, quarantinedUntil: null });
+  assert.ok((await alertsFor('meter-c')).every(a => a.status === 'resolved'));
+
+  const res = await gateway.request('POST', '/ingest', { token, body: reading('meter-c') });
+  assert.equal(res.status, 201);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let notifier;
+const realFetch = globalThis.fetch;
+const twilioCalls = [];
+
+before(async () => {
+  gateway = await startGateway({
+    NOTIFY_ENABLED: 'false',
+    NOTIFY_RETRY_BASE_MS: '10',
+    NOTIFY_MAX_ATTEMPTS: '3',
+    TWILIO_ACCOUNT_SID: 'AC-test',
+    TWILIO_AUTH_TOKEN: 'token',
+    SMS_FROM: '+34600000000'
+  });
+  notifier = require('../src/services/notifier');
+
+  // El segundo número falla la primera vez; el resto de peticiones va a la red normal
+  globalThis.fetch = async (url, options) => {
+    if (!String(url).startsWith('https://api.twilio.com/')) return realFetch(url, options);
+    const to = new URLSearchParams(options.body).get('To');
+    twilioCalls.push(to);
+    const failing = to === '+34600000002' && twilioCalls.filter(n => n === to).length === 1;
+    return new Response(JSON.stringify({ sid: `SM-${twilioCalls.length}` }), { status: failing ? 503 : 201 });
+  };
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  notifier.stop();
+  await gateway.stop();
+});
+
+test('an SMS retry only goes to the recipients that failed', async () => {
+  const doc = await gateway.databases.createDocument('aquaguard', 'alerts', 'unique()', {
+    deviceId: 'meter-n', type: 'threshold', severity: 'high', message: 'pressure high', status: 'open', timestamp: new Date().toISOString()
+  });
+  const alert = require('../src/services/alerts').toPublicAlert(doc);
+
+  notifier.setConfig({
+    channels: { guardia: { type: 'sms', provider: 'twilio', to: ['+34600000001', '+34600000002', '+34600000003'] } },
+    routes: [{ channels: ['guardia'] }]
+  });
+  assert.equal(notifier.dispatch(alert), 1);
+
+  const deadline = Date.now() + 2000;
+  let deliveries;
+  do {
+    // El reintento queda guardado en notification_deliveries: lo lanza el bucle del notificador
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await notifier.runDueDeliveries();
+    deliveries = await notifier.listDeliveries(alert.id);
+  } while (!deliveries.some(d => d.status === 'sent') && Date.now() < deadline);
+
+  assert.deepEqual(twilioCalls, ['+34600000001', '+34600000002', '+34600000003', '+34600000002']);
+  assert.deepEqual(deliveries.map(d => d.status), ['failed', 'sent']);
+  assert.deepEqual(deliveries[0].sentTo, ['+34600000001', '+34600000003']);
+  assert.deepEqual(deliveries[0].pendingRecipients, ['+34600000002']);
+  assert.equal(deliveries[0].responseCode, 503);
+  assert.deepEqual(deliveries[1].sentTo, ['+34600000002']);
+});
+
+test('escalation looks past a full page of alerts no route escalates', async () => {
+  const create = (type) => gateway.databases.createDocument('aquaguard', 'alerts', 'unique()', {
+    deviceId: 'meter-e', type, severity: 'low', message: type, status: 'open', timestamp: new Date().toISOString()
+  });
+  for (let i = 0; i < 120; i++) await create('flatline');
+  const leak = await create('leak');
+
+  notifier.setConfig({
+    channels: { guardia: { type: 'sms', provider: 'stub', to: ['+34600000009'] } },
+    routes: [{ types: ['leak'], channels: [], escalation: { afterMs: 1, channels: ['guardia'] } }]
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.equal(await notifier.checkEscalations(), 1);
+  const stored = await gateway.databases.getDocument('aquaguard', 'alerts', leak.$id);
+  assert.ok(stored.escalatedAt);
+  assert.equal(await notifier.checkEscalations(), 0);
+});
+
+test('a deferred delivery saved before a restart is sent once it is due', async () => {
+  const doc = await gateway.databases.createDocument('aquaguard', 'alerts', 'unique()', {
+    deviceId: 'meter-q', type: 'threshold', severity: 'low', message: 'quiet', status: 'open', timestamp: new Date().toISOString()
+  });
+  notifier.setConfig({
+    channels: { guardia: { type: 'sms', provider: 'stub', to: ['+34600000007'] } },
+    routes: [{ channels: ['guardia'] }]
+  });
+  // Lo que dejó otro proceso: aplazado por horario silencioso y ya vencido
+  await gateway.databases.createDocument('aquaguard', 'notification_deliveries', 'unique()', {
+    deliveryId: 'd-restart', alertId: doc.$id, deviceId: 'meter-q', channel: 'guardia', channelType: 'sms', stage: 'initial', attempt: 1,
+    status: 'deferred', attemptedAt: new Date(Date.now() - 60000).toISOString(), nextAttemptAt: new Date(Date.now() - 1000).toISOString(), retryPending: true
+  });
+
+  assert.equal(await notifier.runDueDeliveries(), 1);
+  assert.equal(await notifier.runDueDeliveries(), 0);
+  const deliveries = await notifier.listDeliveries(doc.$id);
+  assert.deepEqual(deliveries.map(d => [d.status, d.attempt]), [['deferred', 1], ['sent', 1]]);
+  assert.deepEqual(deliveries[1].sentTo, ['+34600000007']);
+});
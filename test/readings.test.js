@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway();
+  const registered = await gateway.request('POST', '/admin/devices', { headers: adminHeaders, body: { deviceId: 'meter-r', location: 'plant-r' } });
+  assert.equal(registered.status, 201);
+  const auth = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-r', deviceSecret: registered.body.deviceSecret } });
+  for (const value of [1, 2, 3]) {
+    const res = await gateway.request('POST', '/ingest', { token: auth.body.token, body: { deviceId: 'meter-r', sensorType: 'flow', value } });
+    assert.equal(res.status, 201);
+  }
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('GET /devices/:deviceId/readings accepts `to` without `from`', async () => {
+  const to = new Date(Date.now() + 60000).toISOString();
+  const res = await gateway.request('GET', `/devices/meter-r/readings?to=${to}`, { headers: adminHeaders });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.readings.length, 3);
+
+  const reversed = await gateway.request('GET', `/devices/meter-r/readings?from=${new Date().toISOString()}&to=${new Date(Date.now() - 60000).toISOString()}`, { headers: adminHeaders });
+  assert.equal(reversed.status, 400);
+});
+
+test('a `from` in the future is rejected instead of returning an empty range', async () => {
+  const from = new Date(Date.now() + 60000).toISOString();
+  const to = new Date(Date.now() + 120000).toISOString();
+  for (const url of [
+    `/devices/meter-r/readings?from=${from}`,
+    `/devices/meter-r/readings/aggregate?sensorType=flow&interval=1h&from=${from}&to=${to}`,
+    `/readings/export?deviceId=meter-r&from=${from}`
+  ]) {
+    const res = await gateway.request('GET', url, { headers: adminHeaders });
+    assert.equal(res.status, 400, url);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  }
+});
+
+test('GET /devices/:deviceId/readings/aggregate defaults `from` to one day before `to`', async () => {
+  const to = new Date(Date.now() + 60000);
+  const res = await gateway.request('GET', `/devices/meter-r/readings/aggregate?sensorType=flow&interval=1h&to=${to.toISOString()}`, { headers: adminHeaders });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.from, new Date(to.getTime() - 24 * 60 * 60 * 1000).toISOString());
+  assert.equal(res.body.buckets.reduce((total, bucket) => total + bucket.count, 0), 3);
+});
+
+test('GET /readings/export accepts `to` without `from`', async () => {
+  const to = new Date(Date.now() + 60000).toISOString();
+  const res = await fetch(`${gateway.baseUrl}/readings/export?deviceId=meter-r&to=${to}&format=ndjson`, { headers: adminHeaders });
+  assert.equal(res.status, 200);
+  const lines = (await res.text()).trim().split('\n');
+  assert.equal(lines.length, 3);
+});
+
+test('an export stops reading pages when the client disconnects during backpressure', async () => {
+  const { Writable } = require('stream');
+  const { Query } = require('node-appwrite');
+  const readingsExport = require('../src/services/readingsExport');
+  const { databases } = gateway;
+
+  // Un destino que nunca drena y se cierra a mitad, como una respuesta que el cliente abandona
+  const output = new Writable({ highWaterMark: 1, write() {} });
+  const listDocuments = databases.listDocuments;
+  let pagesRead = 0;
+  databases.listDocuments = async function (databaseId, collectionId) {
+    if (collectionId !== 'sensor_readings') return listDocuments.apply(this, arguments);
+    pagesRead++;
+    const page = await listDocuments.call(this, databaseId, collectionId, [Query.equal('deviceId', 'meter-r')]);
+    // Páginas llenas para que el recorrido no termine por sí solo
+    return { total: 500, documents: Array.from({ length: 500 }, (_, i) => ({ ...page.documents[i % page.documents.length], $id: `r-${pagesRead}-${i}` })) };
+  };
+  try {
+    const exported = readingsExport.writeExport({ deviceId: 'meter-r' }, { format: 'ndjson' }, output);
+    setTimeout(() => output.destroy(), 50);
+    const rows = await Promise.race([exported, new Promise(resolve => setTimeout(() => resolve('hung'), 2000))]);
+    assert.notEqual(rows, 'hung');
+    assert.equal(pagesRead, 1);
+  } finally {
+    databases.listDocuments = listDocuments;
+  }
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = Math.floor((Date.now() - 200 * DAY_MS) / DAY_MS) * DAY_MS;
+
+const listAll = async (collectionId) => {
+  const { Query } = require('node-appwrite');
+  const page = await gateway.databases.listDocuments('aquaguard', collectionId, [Query.equal('sensorType', 'flow'), Query.limit(100)]);
+  return page.documents;
+};
+
+before(async () => {
+  gateway = await startGateway();
+  // $createdAt distintos para que el corte por RETENTION_MAX_READINGS_PER_RUN caiga entre lecturas
+  for (let i = 0; i < 12; i++) {
+    await gateway.databases.createDocument('aquaguard', 'sensor_readings', 'unique()', {
+      deviceId: i % 2 ? 'meter-odd' : 'meter-even',
+      sensorType: 'flow',
+      value: i,
+      unit: 'L/min',
+      timestamp: new Date(day + (i % 3) * 60 * 60 * 1000).toISOString()
+    });
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+});
+
+after(async () => {
+  delete process.env.RETENTION_MAX_READINGS_PER_RUN;
+  await gateway.stop();
+});
+
+test('retention stops at the per-run cap inside a day and resumes without double counting', async () => {
+  const retention = require('../src/services/retention');
+
+  process.env.RETENTION_MAX_READINGS_PER_RUN = '5';
+  assert.deepEqual(await retention.runTenant(), { deleted: 5, days: 1 });
+  assert.equal((await listAll('sensor_readings')).length, 7);
+
+  process.env.RETENTION_MAX_READINGS_PER_RUN = '100';
+  assert.deepEqual(await retention.runTenant(), { deleted: 7, days: 1 });
+  assert.equal((await listAll('sensor_readings')).length, 0);
+
+  const daily = await listAll('readings_daily');
+  assert.deepEqual(daily.map(doc => [doc.deviceId, doc.count, doc.sum]).sort(), [['meter-even', 6, 30], ['meter-odd', 6, 36]]);
+  const hourly = await listAll('readings_hourly');
+  assert.equal(hourly.length, 6);
+  assert.equal(hourly.reduce((total, doc) => total + doc.count, 0), 12);
+});
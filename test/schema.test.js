@@ -0,0 +1,100 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.APPWRITE_DATABASE_ID = 'aquaguard';
+process.env.APPWRITE_SENSOR_READINGS_COLLECTION_ID = 'sensor_readings';
+process.env.SCHEMA_POLL_INTERVAL_MS = '1';
+process.env.SCHEMA_POLL_TIMEOUT_MS = '1000';
+
+const { createMockAppwrite } = require('./support/mockAppwrite');
+const { createMigrator, hasDrift } = require('../src/schema/migrator');
+const { collectionsFor, MIGRATIONS_COLLECTION } = require('../src/schema/collections');
+
+let appwrite;
+let migrator;
+
+beforeEach(() => {
+  appwrite = createMockAppwrite({ processingPolls: 2 });
+  migrator = createMigrator(appwrite);
+});
+
+test('dry run on an empty project plans the whole schema without touching it', async () => {
+  const result = await migrator.migrate('aquaguard', 'platform', { dryRun: true });
+
+  assert.equal(result.changes[0].action, 'create_database');
+  assert.ok(result.changes.some(c => c.action === 'create_collection' && c.collectionId === 'tenants'));
+  assert.deepEqual(result.pending.map(m => m.id), ['001_baseline']);
+  assert.ok(hasDrift(result));
+  assert.equal(appwrite.calls.length, 0);
+});
+
+test('migrate creates every collection, waits for attributes and records migrations', async () => {
+  const result = await migrator.migrate('aquaguard', 'platform');
+  assert.equal(result.migrated, 1);
+  assert.deepEqual(result.drift, []);
+
+  const db = appwrite.state.dbs.get('aquaguard');
+  for (const collection of collectionsFor('platform')) {
+    const live = db.collections.get(collection.id);
+    assert.ok(live, `${collection.id} missing`);
+    assert.deepEqual([...live.attributes.keys()], collection.attributes.map(a => a.key));
+    assert.ok([...live.attributes.values()].every(a => a.status === 'available'));
+    assert.deepEqual([...live.indexes.keys()], collection.indexes.map(i => i.key));
+  }
+  assert.ok(db.collections.get(MIGRATIONS_COLLECTION.id).documents.has('001_baseline'));
+
+  const again = await migrator.migrate('aquaguard', 'platform', { dryRun: true });
+  assert.deepEqual(again.changes, []);
+  assert.deepEqual(again.pending, []);
+  assert.equal(hasDrift(again), false);
+});
+
+test('tenant databases only get tenant collections', async () => {
+  await migrator.migrate('tn_acme', 'tenant');
+
+  const db = appwrite.state.dbs.get('tn_acme');
+  assert.ok(db.collections.has('sensor_readings'));
+  assert.ok(db.collections.has(MIGRATIONS_COLLECTION.id));
+  assert.equal(db.collections.has('tenants'), false);
+  assert.equal(db.collections.has('sensor_types'), false);
+});
+
+test('reports drift, updates attributes in place and recreates changed indexes', async () => {
+  await migrator.migrate('aquaguard', 'platform');
+  const readings = appwrite.state.dbs.get('aquaguard').collections.get('sensor_readings');
+  readings.attributes.get('metadata').size = 1024;
+  readings.attributes.get('unit').required = true;
+  readings.indexes.get('idx_timestamp').orders = ['desc'];
+  readings.attributes.set('legacy', { key: 'legacy', type: 'string', size: 16, required: false, array: false, status: 'available' });
+
+  const plan = await migrator.migrate('aquaguard', 'platform', { dryRun: true });
+  const byKey = (key) => plan.changes.find(c => c.collectionId === 'sensor_readings' && c.key === key);
+  assert.equal(byKey('metadata').action, 'drift');
+  assert.equal(byKey('unit').action, 'update_attribute');
+  assert.equal(byKey('idx_timestamp').action, 'recreate_index');
+  assert.equal(byKey('legacy').action, 'extra');
+
+  const result = await migrator.migrate('aquaguard', 'platform');
+  assert.equal(readings.attributes.get('unit').required, false);
+  assert.deepEqual(readings.indexes.get('idx_timestamp').orders, ['asc']);
+  assert.ok(readings.attributes.has('legacy'));
+  assert.deepEqual(result.drift.map(c => c.key), ['metadata']);
+});
+
+test('fails when Appwrite cannot build an attribute', async () => {
+  appwrite = createMockAppwrite({ failAttributes: ['devices.cohort'] });
+  migrator = createMigrator(appwrite);
+
+  await assert.rejects(migrator.migrate('aquaguard', 'tenant'), /devices\.cohort.*failed/);
+});
+
+test('creates the firmware bucket and fixes its limits', async () => {
+  const created = await migrator.migrateBuckets();
+  assert.equal(created.applied, 1);
+  assert.equal(appwrite.state.buckets.get('firmware').maximumFileSize, 8 * 1024 * 1024);
+
+  appwrite.state.buckets.get('firmware').allowedFileExtensions = ['bin', 'hex'];
+  const updated = await migrator.migrateBuckets();
+  assert.deepEqual(updated.changes.map(c => c.action), ['update_bucket']);
+  assert.deepEqual(appwrite.state.buckets.get('firmware').allowedFileExtensions, ['bin']);
+});
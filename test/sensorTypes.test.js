@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+let sensorTypes;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+const definition = (name) => ({ name, canonicalUnit: 'mg/L', units: [{ unit: 'ppm', factor: 1 }], min: 0, max: 10 });
+
+before(async () => {
+  gateway = await startGateway();
+  sensorTypes = require('../src/services/sensorTypes');
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('a stored type with unreadable units is skipped and the rest of the registry loads', async () => {
+  await gateway.databases.createDocument('aquaguard', 'sensor_types', 'broken', { canonicalUnit: 'mg/L', units: '[{"unit":', min: 0, max: 10, precision: 2 });
+  assert.equal((await gateway.request('POST', '/admin/sensor-types', { headers: adminHeaders, body: definition('chlorine') })).status, 201);
+
+  await sensorTypes.refresh();
+  assert.equal(sensorTypes.has('broken'), false);
+  assert.equal(sensorTypes.has('chlorine'), true);
+  assert.equal(sensorTypes.has('flow'), true);
+});
+
+test('saving a type returns it even if the registry refresh fails', async () => {
+  const { databases } = gateway;
+  const listDocuments = databases.listDocuments;
+  databases.listDocuments = async function (databaseId, collectionId) {
+    if (collectionId === 'sensor_types') throw Object.assign(new Error('unavailable'), { code: 503 });
+    return listDocuments.apply(this, arguments);
+  };
+  try {
+    const res = await gateway.request('POST', '/admin/sensor-types', { headers: adminHeaders, body: definition('fluoride') });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.sensorType.name, 'fluoride');
+    assert.deepEqual(res.body.sensorType.units.map(u => u.unit), ['mg/L', 'ppm']);
+    assert.equal(sensorTypes.has('fluoride'), true);
+  } finally {
+    databases.listDocuments = listDocuments;
+  }
+});
@@ -0,0 +1,50 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Arranca el gateway en proceso contra el backend en memoria (STORAGE_BACKEND=memory) en un puerto libre.
+// Se llama antes de cargar nada de src/: la configuración sale de process.env al cargar los módulos.
+const startGateway = async (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aquaguard-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    STORAGE_BACKEND: 'memory',
+    APPWRITE_DATABASE_ID: 'aquaguard',
+    APPWRITE_SENSOR_READINGS_COLLECTION_ID: 'sensor_readings',
+    JWT_SECRET: 'test-jwt-secret',
+    ADMIN_API_KEY: 'test-admin-key',
+    QUEUE_DIR: path.join(dataDir, 'queue'),
+    ...env
+  });
+
+  const app = require('../../src/index');
+  const { backend, databases } = require('../../src/utils/appwrite');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, token, headers = {} } = {}) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { app, backend, databases, baseUrl, request, stop };
+};
+
+module.exports = { startGateway };
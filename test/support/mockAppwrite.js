@@ -0,0 +1,191 @@
+const { AppwriteException } = require('node-appwrite');
+
+// Appwrite en memoria para los tests: bases de datos, colecciones, atributos, índices, documentos y buckets.
+// Como el real, crea atributos e índices en estado 'processing' y no deja indexar atributos que aún no
+// están disponibles; pasan a 'available' tras `processingPolls` consultas con getAttribute/getIndex.
+const INTEGER_LIMITS = { min: -9223372036854775808, max: 9223372036854775807 };
+const FLOAT_LIMITS = { min: -Number.MAX_VALUE, max: Number.MAX_VALUE };
+
+const notFound = (what) => new AppwriteException(`${what} not found`, 404, 'not_found');
+const conflict = (what) => new AppwriteException(`${what} already exists`, 409, 'already_exists');
+
+const parseQueries = (queries = []) => queries.map(q => JSON.parse(q));
+
+const createMockAppwrite = ({ processingPolls = 1, failAttributes = [] } = {}) => {
+  const dbs = new Map(); // databaseId -> { collections: Map }
+  const buckets = new Map();
+  const calls = [];
+
+  const database = (databaseId) => {
+    const db = dbs.get(databaseId);
+    if (!db) throw notFound(`Database ${databaseId}`);
+    return db;
+  };
+
+  const collection = (databaseId, collectionId) => {
+    const coll = database(databaseId).collections.get(collectionId);
+    if (!coll) throw notFound(`Collection ${collectionId}`);
+    return coll;
+  };
+
+  const advance = (item) => {
+    if (item.status !== 'processing') return item;
+    item.polls -= 1;
+    if (item.polls <= 0) item.status = item.fail ? 'failed' : 'available';
+    return item;
+  };
+
+  const publicItem = ({ polls, fail, ...item }) => ({ ...item });
+
+  const addAttribute = (databaseId, collectionId, attr) => {
+    calls.push(['createAttribute', databaseId, collectionId, attr.key]);
+    const coll = collection(databaseId, collectionId);
+    if (coll.attributes.has(attr.key)) throw conflict(`Attribute ${attr.key}`);
+    if (attr.required && attr.default !== null && attr.default !== undefined) {
+      throw new AppwriteException('Cannot set default value for required attribute', 400, 'attribute_default_unsupported');
+    }
+    coll.attributes.set(attr.key, {
+      array: false,
+      default: null,
+      ...attr,
+      status: 'processing',
+      polls: processingPolls,
+      fail: failAttributes.includes(`${collectionId}.${attr.key}`)
+    });
+    return publicItem(coll.attributes.get(attr.key));
+  };
+
+  const updateAttribute = (databaseId, collectionId, key, changes) => {
+    calls.push(['updateAttribute', databaseId, collectionId, key]);
+    const attr = collection(databaseId, collectionId).attributes.get(key);
+    if (!attr) throw notFound(`Attribute ${key}`);
+    Object.assign(attr, changes);
+    return publicItem(attr);
+  };
+
+  const databases = {
+    get: async (databaseId) => ({ $id: databaseId, name: database(databaseId).name }),
+    create: async (databaseId, name) => {
+      calls.push(['create', databaseId]);
+      if (dbs.has(databaseId)) throw conflict(`Database ${databaseId}`);
+      dbs.set(databaseId, { name, collections: new Map() });
+      return { $id: databaseId, name };
+    },
+    getCollection: async (databaseId, collectionId) => {
+      const coll = collection(databaseId, collectionId);
+      return { $id: collectionId, name: coll.name, documentSecurity: coll.documentSecurity };
+    },
+    createCollection: async (databaseId, collectionId, name, permissions, documentSecurity) => {
+      calls.push(['createCollection', databaseId, collectionId]);
+      const db = database(databaseId);
+      if (db.collections.has(collectionId)) throw conflict(`Collection ${collectionId}`);
+      db.collections.set(collectionId, { name, documentSecurity, attributes: new Map(), indexes: new Map(), documents: new Map() });
+      return { $id: collectionId, name };
+    },
+    listAttributes: async (databaseId, collectionId) => {
+      const attributes = [...collection(databaseId, collectionId).attributes.values()].map(publicItem);
+      return { total: attributes.length, attributes };
+    },
+    getAttribute: async (databaseId, collectionId, key) => {
+      const attr = collection(databaseId, collectionId).attributes.get(key);
+      if (!attr) throw notFound(`Attribute ${key}`);
+      return publicItem(advance(attr));
+    },
+    deleteAttribute: async (databaseId, collectionId, key) => {
+      calls.push(['deleteAttribute', databaseId, collectionId, key]);
+      if (!collection(databaseId, collectionId).attributes.delete(key)) throw notFound(`Attribute ${key}`);
+    },
+    createStringAttribute: async (databaseId, collectionId, key, size, required, xdefault, array) =>
+      addAttribute(databaseId, collectionId, { key, type: 'string', size, required, default: xdefault, array: Boolean(array) }),
+    createIntegerAttribute: async (databaseId, collectionId, key, required, min, max, xdefault, array) =>
+      addAttribute(databaseId, collectionId, { key, type: 'integer', required, min: min ?? INTEGER_LIMITS.min, max: max ?? INTEGER_LIMITS.max, default: xdefault, array: Boolean(array) }),
+    createFloatAttribute: async (databaseId, collectionId, key, required, min, max, xdefault, array) =>
+      addAttribute(databaseId, collectionId, { key, type: 'double', required, min: min ?? FLOAT_LIMITS.min, max: max ?? FLOAT_LIMITS.max, default: xdefault, array: Boolean(array) }),
+    createBooleanAttribute: async (databaseId, collectionId, key, required, xdefault, array) =>
+      addAttribute(databaseId, collectionId, { key, type: 'boolean', required, default: xdefault, array: Boolean(array) }),
+    createDatetimeAttribute: async (databaseId, collectionId, key, required, xdefault, array) =>
+      addAttribute(databaseId, collectionId, { key, type: 'datetime', format: 'datetime', required, default: xdefault, array: Boolean(array) }),
+    updateStringAttribute: async (databaseId, collectionId, key, required, xdefault) =>
+      updateAttribute(databaseId, collectionId, key, { required, default: xdefault }),
+    updateIntegerAttribute: async (databaseId, collectionId, key, required, min, max, xdefault) =>
+      updateAttribute(databaseId, collectionId, key, { required, min, max, default: xdefault }),
+    updateFloatAttribute: async (databaseId, collectionId, key, required, min, max, xdefault) =>
+      updateAttribute(databaseId, collectionId, key, { required, min, max, default: xdefault }),
+    updateBooleanAttribute: async (databaseId, collectionId, key, required, xdefault) =>
+      updateAttribute(databaseId, collectionId, key, { required, default: xdefault }),
+    updateDatetimeAttribute: async (databaseId, collectionId, key, required, xdefault) =>
+      updateAttribute(databaseId, collectionId, key, { required, default: xdefault }),
+    listIndexes: async (databaseId, collectionId) => {
+      const indexes = [...collection(databaseId, collectionId).indexes.values()].map(publicItem);
+      return { total: indexes.length, indexes };
+    },
+    getIndex: async (databaseId, collectionId, key) => {
+      const index = collection(databaseId, collectionId).indexes.get(key);
+      if (!index) throw notFound(`Index ${key}`);
+      return publicItem(advance(index));
+    },
+    createIndex: async (databaseId, collectionId, key, type, attributes, orders) => {
+      calls.push(['createIndex', databaseId, collectionId, key]);
+      const coll = collection(databaseId, collectionId);
+      if (coll.indexes.has(key)) throw conflict(`Index ${key}`);
+      for (const name of attributes) {
+        const attr = coll.attributes.get(name);
+        if (!attr || attr.status !== 'available') throw new AppwriteException(`Attribute ${name} not available`, 400, 'attribute_not_available');
+      }
+      coll.indexes.set(key, { key, type, attributes, orders, status: 'processing', polls: processingPolls });
+      return publicItem(coll.indexes.get(key));
+    },
+    deleteIndex: async (databaseId, collectionId, key) => {
+      calls.push(['deleteIndex', databaseId, collectionId, key]);
+      if (!collection(databaseId, collectionId).indexes.delete(key)) throw notFound(`Index ${key}`);
+    },
+    createDocument: async (databaseId, collectionId, documentId, data) => {
+      const coll = collection(databaseId, collectionId);
+      if (coll.documents.has(documentId)) throw conflict(`Document ${documentId}`);
+      for (const key of Object.keys(data)) {
+        if (!coll.attributes.has(key)) throw new AppwriteException(`Invalid document structure: Unknown attribute: "${key}"`, 400, 'document_invalid_structure');
+      }
+      const doc = { $id: documentId, $createdAt: new Date().toISOString(), ...data };
+      coll.documents.set(documentId, doc);
+      return { ...doc };
+    },
+    getDocument: async (databaseId, collectionId, documentId) => {
+      const doc = collection(databaseId, collectionId).documents.get(documentId);
+      if (!doc) throw notFound(`Document ${documentId}`);
+      return { ...doc };
+    },
+    // Solo limit y cursorAfter, lo que necesita el registro de migraciones
+    listDocuments: async (databaseId, collectionId, queries) => {
+      let documents = [...collection(databaseId, collectionId).documents.values()].sort((a, b) => a.$id.localeCompare(b.$id));
+      const parsed = parseQueries(queries);
+      const cursor = parsed.find(q => q.method === 'cursorAfter');
+      if (cursor) documents = documents.slice(documents.findIndex(d => d.$id === cursor.values[0]) + 1);
+      const limit = parsed.find(q => q.method === 'limit');
+      return { total: documents.length, documents: documents.slice(0, limit ? limit.values[0] : 25).map(d => ({ ...d })) };
+    }
+  };
+
+  const storage = {
+    getBucket: async (bucketId) => {
+      const bucket = buckets.get(bucketId);
+      if (!bucket) throw notFound(`Bucket ${bucketId}`);
+      return { ...bucket };
+    },
+    createBucket: async (bucketId, name, permissions, fileSecurity, enabled, maximumFileSize, allowedFileExtensions) => {
+      calls.push(['createBucket', bucketId]);
+      if (buckets.has(bucketId)) throw conflict(`Bucket ${bucketId}`);
+      buckets.set(bucketId, { $id: bucketId, name, $permissions: permissions, fileSecurity, enabled, maximumFileSize, allowedFileExtensions });
+      return { ...buckets.get(bucketId) };
+    },
+    updateBucket: async (bucketId, name, permissions, fileSecurity, enabled, maximumFileSize, allowedFileExtensions) => {
+      calls.push(['updateBucket', bucketId]);
+      if (!buckets.has(bucketId)) throw notFound(`Bucket ${bucketId}`);
+      buckets.set(bucketId, { $id: bucketId, name, $permissions: permissions, fileSecurity, enabled, maximumFileSize, allowedFileExtensions });
+      return { ...buckets.get(bucketId) };
+    }
+  };
+
+  return { databases, storage, calls, state: { dbs, buckets } };
+};
+
+module.exports = { createMockAppwrite };
@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./support/gateway');
+
+let gateway;
+
+const adminHeaders = { 'x-admin-key': 'test-admin-key' };
+
+before(async () => {
+  gateway = await startGateway();
+  // Registrado a mano sin base de datos (sin pasar por npm run migrate -- --tenant)
+  await gateway.databases.createDocument('aquaguard', 'tenants', 'orphan', { name: 'Orphan', databaseId: '', isEnabled: true });
+});
+
+after(async () => {
+  await gateway.stop();
+});
+
+test('a tenant without database is rejected instead of using the default database', async () => {
+  const token = await gateway.request('POST', '/auth/token', { body: { deviceId: 'meter-1', deviceSecret: 'secret', tenantId: 'orphan' } });
+  assert.equal(token.status, 403);
+  assert.equal(token.body.code, 'TENANT_NOT_PROVISIONED');
+
+  const devices = await gateway.request('GET', '/admin/devices', { headers: { ...adminHeaders, 'x-tenant-id': 'orphan' } });
+  assert.equal(devices.status, 403);
+  assert.equal(devices.body.code, 'TENANT_NOT_PROVISIONED');
+});
+
+test('databaseId() throws inside the context of a tenant without database', async () => {
+  const tenants = require('../src/services/tenants');
+  const tenantContext = require('../src/utils/tenantContext');
+  const { databaseId } = require('../src/utils/appwrite');
+
+  const orphan = await tenants.getTenant('orphan');
+  assert.equal(orphan.isProvisioned, false);
+  assert.throws(() => tenantContext.run(orphan, databaseId), /has no database/);
+  assert.equal(tenantContext.run(await tenants.getTenant(), databaseId), 'aquaguard');
+});